@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+'use strict'
+
+// Convert saved workspaces to program JSON.
+//
+// Usage: convert.js workspace.jeff [...more workspaces...]
+//
+// The JSON for each workspace is written to a file with the same name and the
+// suffix '.json'. The number of stray stacks in each workspace is reported.
+
+const fs = require('fs')
+
+const {xmlToJSON} = require('../libs/workspace')
+
+const main = () => {
+  const filenames = process.argv.slice(2)
+  if (filenames.length === 0) {
+    console.error('Usage: convert.js workspace.jeff [...more workspaces...]')
+    return 1
+  }
+  let status = 0
+  for (const infile of filenames) {
+    try {
+      const {json, strayCount} = xmlToJSON(fs.readFileSync(infile, 'utf-8'))
+      const outfile = infile.replace(/\.(jeff|xml)$/, '') + '.json'
+      fs.writeFileSync(outfile, JSON.stringify(json, null, 2))
+      if (strayCount > 0) {
+        console.warn(`${infile}: ${strayCount} stray stacks found`)
+      }
+    }
+    catch (err) {
+      console.error(`${infile}: ${err.message}`)
+      status = 1
+    }
+  }
+  return status
+}
+
+process.exitCode = main()
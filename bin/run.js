@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+'use strict'
+
+// Run a saved program without a browser.
+//
+// Usage: run.js [--trace] [--svg] program.json output_dir [data.csv ...]
+//
+// The program may be JSON or a saved workspace (a `.jeff` or `.xml` file), which
+// is converted to JSON before running.
+//
+// Each CSV file is made available to the program as a dataset whose name is
+// the file's name without the '.csv' suffix. Results are written to
+// `output_dir/results/*.csv`, statistics to `output_dir/stats/*.json`, and
+// plots (as Vega-Lite specs with their data inlined) to `output_dir/plots/*.json`.
+// If `--svg` is given, plots are also rendered to `output_dir/plots/*.svg`. The
+// program's log is printed, and the exit status is non-zero if anything went
+// wrong.
+
+const fs = require('fs')
+const path = require('path')
+
+const util = require('../libs/util')
+const HeadlessInterface = require('../libs/headless')
+const {plotToJSON, plotToSvg} = require('../libs/render')
+const {xmlToJSON} = require('../libs/workspace')
+
+const USAGE = 'Usage: run.js [--trace] [--svg] program.json output_dir [data.csv ...]'
+
+/**
+ * Turn a result label into something that is safe to use as a filename.
+ */
+const safeName = (label) => {
+  return label.replace(/[^A-Za-z0-9_-]/g, '_')
+}
+
+/**
+ * Load a program from a JSON file or a saved workspace.
+ */
+const loadProgram = (filename) => {
+  const text = fs.readFileSync(filename, 'utf-8')
+  if (!/\.(jeff|xml)$/.test(filename)) {
+    return JSON.parse(text)
+  }
+  const {json, strayCount} = xmlToJSON(text)
+  if (strayCount > 0) {
+    console.warn(`warn: ${strayCount} stray stacks found`)
+  }
+  return json
+}
+
+/**
+ * Write every entry of a map from labels to values into a directory.
+ */
+const writeAll = (outDir, subDir, suffix, entries, convert) => {
+  if (entries.size === 0) {
+    return
+  }
+  const dir = path.join(outDir, subDir)
+  fs.mkdirSync(dir, {recursive: true})
+  entries.forEach((value, label) => {
+    const filename = path.join(dir, `${safeName(label)}${suffix}`)
+    fs.writeFileSync(filename, convert(value))
+  })
+}
+
+/**
+ * Save results, statistics, and plots from a program's environment.
+ */
+const saveEnv = (env, outDir) => {
+  const toJSON = (value) => JSON.stringify(value, null, 2)
+  writeAll(outDir, 'results', '.csv', env.results,
+           (df) => util.tableToCsv(df.data, df.columns))
+  writeAll(outDir, 'stats', '.json', env.stats, toJSON)
+  writeAll(outDir, 'plots', '.json', env.plots, plotToJSON)
+}
+
+/**
+ * Render plots from a program's environment as SVG.
+ */
+const saveSvg = (env, outDir) => {
+  const dir = path.join(outDir, 'plots')
+  const pending = Array.from(env.plots.entries()).map(([label, spec]) => {
+    return plotToSvg(spec).then(svg => {
+      fs.writeFileSync(path.join(dir, `${safeName(label)}.svg`), svg)
+    })
+  })
+  return Promise.all(pending)
+}
+
+/**
+ * Print the program's log, sending errors to standard error.
+ */
+const printLog = (env) => {
+  env.log.forEach(([level, message]) => {
+    const stream = (level === 'error') ? process.stderr : process.stdout
+    stream.write(`${level}: ${message}\n`)
+  })
+}
+
+/**
+ * Report an error (with a stack trace if asked for).
+ */
+const reportError = (err, showTrace) => {
+  console.error(`error: ${err.message}`)
+  if (showTrace) {
+    console.error(err.stack)
+  }
+  return 1
+}
+
+const main = () => {
+  const args = process.argv.slice(2)
+  const flags = new Set()
+  while ((args.length > 0) && args[0].startsWith('--')) {
+    flags.add(args.shift())
+  }
+  const showTrace = flags.has('--trace')
+  if ((args.length < 2) || ![...flags].every(f => ['--trace', '--svg'].includes(f))) {
+    console.error(USAGE)
+    return Promise.resolve(1)
+  }
+  const [programFile, outDir, ...dataFiles] = args
+
+  try {
+    const json = loadProgram(programFile)
+    const ui = new HeadlessInterface(json)
+    ui.showTrace = showTrace
+    dataFiles.forEach(filename => {
+      const label = path.basename(filename).replace(/\.csv$/, '')
+      ui.loadCsv(label, fs.readFileSync(filename, 'utf-8'))
+    })
+    ui.runProgram()
+    printLog(ui.env)
+    saveEnv(ui.env, outDir)
+    const status = ui.hasErrors() ? 1 : 0
+    if (!flags.has('--svg')) {
+      return Promise.resolve(status)
+    }
+    return saveSvg(ui.env, outDir)
+      .then(() => status)
+      .catch(err => reportError(err, showTrace))
+  }
+  catch (err) {
+    return Promise.resolve(reportError(err, showTrace))
+  }
+}
+
+main().then(status => {
+  process.exitCode = status
+})
@@ -124,28 +124,53 @@ const createXmlConfig = (language) => {
     </category>
     <category name="${msg.get('transform')}" colour="${TRANSFORM_COLOR}">
       <block type="transform_bin"></block>
+      <block type="transform_bootstrap"></block>
+      <block type="transform_collapse"></block>
       <block type="transform_create"></block>
       <block type="transform_drop"></block>
       <block type="transform_filter"></block>
       <block type="transform_groupBy"></block>
+      <block type="transform_sample"></block>
       <block type="transform_saveAs"></block>
       <block type="transform_select"></block>
+      <block type="transform_shuffle"></block>
       <block type="transform_sort"></block>
-      <block type="transform_summarize"></block>
+      <block type="transform_summarize">
+        <statement name="SUMMARIES">
+          <block type="transform_summarize_item"></block>
+        </statement>
+      </block>
+      <block type="transform_summarize_item"></block>
       <block type="transform_running"></block>
       <block type="transform_ungroup"></block>
       <block type="transform_unique"></block>
     </category>
     <category name="${msg.get('plot')}" colour="${PLOT_COLOR}">
+      <block type="plot_area"></block>
       <block type="plot_bar"></block>
       <block type="plot_box"></block>
       <block type="plot_dot"></block>
+      <block type="plot_heatmap"></block>
       <block type="plot_histogram"></block>
+      <block type="plot_line"></block>
       <block type="plot_scatter"></block>
+      <block type="plot_title"></block>
+      <block type="plot_axis_title"></block>
+      <block type="plot_scale"></block>
+      <block type="plot_domain"></block>
+      <block type="plot_color_scheme"></block>
     </category>
     <category name="${msg.get('stats')}" colour="${STATS_COLOR}">
       <block type="stats_ttest_one"></block>
       <block type="stats_ttest_two"></block>
+      <block type="stats_ttest_paired"></block>
+      <block type="stats_linear_regression"></block>
+      <block type="stats_chisq"></block>
+      <block type="stats_anova"></block>
+      <block type="stats_mann_whitney"></block>
+      <block type="stats_wilcoxon"></block>
+      <block type="stats_kruskal_wallis"></block>
+      <block type="stats_correlation"></block>
       <block type="stats_k_means"></block>
       <block type="stats_silhouette"></block>
     </category>
@@ -153,6 +178,7 @@ const createXmlConfig = (language) => {
       <block type="op_arithmetic"></block>
       <block type="op_negate"></block>
       <block type="op_abs"></block>
+      <block type="op_math"></block>
       <block type="op_compare"></block>
       <block type="op_extremum"></block>
       <block type="op_logical"></block>
@@ -160,6 +186,21 @@ const createXmlConfig = (language) => {
       <block type="op_type"></block>
       <block type="op_convert"></block>
       <block type="op_datetime"></block>
+      <block type="op_datetime_add"></block>
+      <block type="op_datetime_difference"></block>
+      <block type="op_datetime_truncate"></block>
+      <block type="op_datetime_format"></block>
+      <block type="op_datetime_parse"></block>
+      <block type="op_text_length"></block>
+      <block type="op_text_convert"></block>
+      <block type="op_text_concatenate"></block>
+      <block type="op_text_search"></block>
+      <block type="op_text_substring"></block>
+      <block type="op_text_replace"></block>
+      <block type="op_text_split"></block>
+      <block type="op_text_matches"></block>
+      <block type="op_text_extract"></block>
+      <block type="op_text_replace_all"></block>
       <block type="op_conditional"></block>
       <block type="op_shift"></block>
     </category>
@@ -180,6 +221,7 @@ const createXmlConfig = (language) => {
     </category>
     <category name="${msg.get('control')}" colour="${CONTROL_COLOR}">
       <block type="control_seed"></block>
+      <block type="control_time_zone"></block>
     </category>
   </xml>`
 }
@@ -302,14 +344,16 @@ const MATCH_COL_NAME = /^ *[_A-Za-z][_A-Za-z0-9]* *$/
 // Names of block fields that require a single valid column name.
 const SINGLE_COL_FIELDS = [
   'COLUMN',
+  'FIRST_COLUMN',
   'FORMAT',
   'GROUPS',
-  'LEFT_COLUMN',
+  'LABEL_COLUMN',
   'LEFT_TABLE',
   'NAME',
   'NUMBER',
-  'RIGHT_COLUMN',
   'RIGHT_TABLE',
+  'SECOND_COLUMN',
+  'VALUE_COLUMN',
   'VALUES',
   'X_AXIS',
   'Y_AXIS'
@@ -321,7 +365,18 @@ const MATCH_MULTI_COL_NAMES = /^ *([_A-Za-z][_A-Za-z0-9]*)( *, *[_A-Za-z][_A-Za-
 
 // Names of block fields that require one or more comma-separated column names.
 const MULTI_COL_FIELDS = [
-  'MULTIPLE_COLUMNS'
+  'LEFT_COLUMN',
+  'MULTIPLE_COLUMNS',
+  'RIGHT_COLUMN'
+]
+
+// Names of block fields that may be blank or contain a single valid column name.
+const OPTIONAL_COL_FIELDS = [
+  'COLOR',
+  'FACET',
+  'FITTED',
+  'OUTPUT',
+  'RESIDUALS'
 ]
 
 // Names of block fields that require non-negative numbers.
@@ -374,11 +429,49 @@ const _validateDate = (columnName) => {
   }
 }
 
+// Helper function to create a validator that only accepts one of the given
+// keywords (like 'local' or 'UTC') or the name of a time zone known to the
+// browser.
+const _validateTimeZone = (columnName, keywords) => {
+  return function () {
+    const field = this.getField(columnName)
+    field.setValidator((newValue) => {
+      if (keywords.includes(newValue)) {
+        return newValue
+      }
+      try {
+        Intl.DateTimeFormat('en-US', {timeZone: newValue})
+      }
+      catch (err) {
+        return null
+      }
+      return newValue
+    })
+  }
+}
+
+// Helper function to create a validator that only accepts valid regular
+// expressions.
+const _validatePattern = (columnName) => {
+  return function () {
+    const field = this.getField(columnName)
+    field.setValidator((newValue) => {
+      try {
+        RegExp(newValue)
+      }
+      catch (err) {
+        return null
+      }
+      return newValue
+    })
+  }
+}
+
 /**
- * Create a validator for a color column field. This can either be a column name
- * or an empty string (meaning "don't colorize").
+ * Create a validator for an optional column field. This can either be a column
+ * name or an empty string (e.g., meaning "don't colorize" for a color column).
  */
-const _validateColor = (columnName, pattern) => {
+const _validateOptional = (columnName, pattern) => {
   return function () {
     const field = this.getField(columnName)
     field.setValidator((newValue) => {
@@ -396,6 +489,23 @@ const _validateColor = (columnName, pattern) => {
   }
 }
 
+/**
+ * Create an extension that only shows a field when a particular operation is
+ * selected (e.g., a summary block's quantile field for the quantile operation).
+ * @param {string} fieldName The field to show or hide.
+ * @param {string} option The value of the block's `OP` field that shows it.
+ */
+const _showForOption = (fieldName, option) => {
+  return function () {
+    const field = this.getField(fieldName)
+    field.setVisible(this.getFieldValue('OP') === option)
+    this.getField('OP').setValidator((newValue) => {
+      field.setVisible(newValue === option)
+      return newValue
+    })
+  }
+}
+
 /**
  * Create validators for block fields.
  */
@@ -408,12 +518,20 @@ const _createValidators = () => {
     Blockly.Extensions.register(`validate_${name}`, _createRegexp(name, MATCH_MULTI_COL_NAMES))
   })
 
+  OPTIONAL_COL_FIELDS.forEach(name => {
+    Blockly.Extensions.register(`validate_${name}`, _validateOptional(name, MATCH_COL_NAME))
+  })
+
   NON_NEGATIVE_NUM_FIELDS.forEach(name => {
     Blockly.Extensions.register(`validate_${name}`, _createNonNeg(name))
   })
 
-  Blockly.Extensions.register('validate_COLOR', _validateColor('COLOR', MATCH_COL_NAME))
   Blockly.Extensions.register('validate_DATE', _validateDate('DATE'))
+  Blockly.Extensions.register('validate_PATTERN', _validatePattern('PATTERN'))
+  Blockly.Extensions.register('validate_TIME_ZONE', _validateTimeZone('TIME_ZONE', ['local', 'UTC']))
+  Blockly.Extensions.register('validate_ZONE', _validateTimeZone('ZONE', ['program', 'local', 'UTC']))
+  Blockly.Extensions.register('show_QUANTILE', _showForOption('QUANTILE', 'quantile'))
+  Blockly.Extensions.register('show_DIGITS', _showForOption('DIGITS', 'round'))
 }
 
 // ----------------------------------------------------------------------
@@ -3,9 +3,15 @@
 const Blockly = require('blockly/blockly_compressed')
 
 const {
+  formatMultiColNames,
   Messages
 } = require('./helpers')
 
+/**
+ * Kinds of join in the order they appear in the drop-down.
+ */
+const JOIN_KINDS = ['inner', 'left', 'right', 'full', 'semi', 'anti']
+
 /**
  * Lookup table for message strings.
  */
@@ -50,13 +56,13 @@ const MESSAGES = {
   },
   join: {
     message0: {
-      ar: 'دمج',
-      el: 'Ένωση',
-      en: 'Join',
-      es: 'Unir',
-      it: 'unisci',
-      ko: '연결',
-      pt: 'Unir'
+      ar: 'دمج %1',
+      el: 'Ένωση %1',
+      en: 'Join %1',
+      es: 'Unir %1',
+      it: 'unisci %1',
+      ko: '연결 %1',
+      pt: 'Unir %1'
     },
     message1: {
       ar: 'يسار %1 %2',
@@ -94,6 +100,62 @@ const MESSAGES = {
       ko: '열',
       pt: 'coluna'
     },
+    kinds: {
+      inner: {
+        ar: 'داخلي',
+        el: 'εσωτερική',
+        en: 'inner',
+        es: 'interna',
+        it: 'interna',
+        ko: '내부',
+        pt: 'interna'
+      },
+      left: {
+        ar: 'يسار',
+        el: 'αριστερή',
+        en: 'left',
+        es: 'izquierda',
+        it: 'sinistra',
+        ko: '왼쪽',
+        pt: 'esquerda'
+      },
+      right: {
+        ar: 'يمين',
+        el: 'δεξιά',
+        en: 'right',
+        es: 'derecha',
+        it: 'destra',
+        ko: '오른쪽',
+        pt: 'direita'
+      },
+      full: {
+        ar: 'كامل',
+        el: 'πλήρης',
+        en: 'full',
+        es: 'completa',
+        it: 'completa',
+        ko: '전체',
+        pt: 'completa'
+      },
+      semi: {
+        ar: 'شبه',
+        el: 'ημι',
+        en: 'semi',
+        es: 'semi',
+        it: 'semi',
+        ko: '세미',
+        pt: 'semi'
+      },
+      anti: {
+        ar: 'عكسي',
+        el: 'αντι',
+        en: 'anti',
+        es: 'anti',
+        it: 'anti',
+        ko: '안티',
+        pt: 'anti'
+      }
+    },
     tooltip: {
       ar: 'دمج جدولين عن طريق تشابه القيم',
       el: 'ένωση δύο πινάκων βάση κοινών τιμών',
@@ -146,7 +208,13 @@ const setup = (language) => {
     {
       type: 'combine_join',
       message0: msg.get('join.message0'),
-      args0: [],
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'KIND',
+          options: JOIN_KINDS.map(kind => [msg.get(`join.kinds.${kind}`), kind])
+        }
+      ],
       message1: msg.get('join.message1'),
       args1: [
         {
@@ -194,10 +262,11 @@ const setup = (language) => {
   // Join
   Blockly.TidyBlocks['combine_join'] = (block) => {
     const leftTable = block.getFieldValue('LEFT_TABLE')
-    const leftColumn = block.getFieldValue('LEFT_COLUMN')
+    const leftColumns = formatMultiColNames(block.getFieldValue('LEFT_COLUMN'))
     const rightTable = block.getFieldValue('RIGHT_TABLE')
-    const rightColumn = block.getFieldValue('RIGHT_COLUMN')
-    return `["@transform", "join", "${leftTable}", "${leftColumn}", "${rightTable}", "${rightColumn}"]`
+    const rightColumns = formatMultiColNames(block.getFieldValue('RIGHT_COLUMN'))
+    const kind = block.getFieldValue('KIND')
+    return `["@transform", "join", "${leftTable}", ${leftColumns}, "${rightTable}", ${rightColumns}, "${kind}"]`
   }
 }
 
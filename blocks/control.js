@@ -29,6 +29,26 @@ const MESSAGES = {
       // TRANSLATE ko
       // TRANSLATE pt
     }
+  },
+  time_zone: {
+    message0: {
+      ar: 'المنطقة الزمنية %1',
+      el: 'Ζώνη ώρας %1',
+      en: 'time zone %1',
+      es: 'zona horaria %1',
+      it: 'fuso orario %1',
+      ko: '시간대 %1',
+      pt: 'fuso horário %1'
+    },
+    tooltip: {
+      ar: 'تعيين المنطقة الزمنية لعمليات التاريخ والوقت',
+      el: 'Ορισμός ζώνης ώρας για πράξεις ημερομηνίας και ώρας',
+      en: 'Set the time zone used by datetime operations',
+      es: 'Establecer la zona horaria de las operaciones con fechas',
+      it: 'Impostare il fuso orario delle operazioni su date e ore',
+      ko: '날짜 및 시간 연산에 사용할 시간대 설정',
+      pt: 'Definir o fuso horário das operações com datas'
+    }
   }
 }
 
@@ -55,6 +75,24 @@ const setup = (language) => {
       style: 'control_block',
       tooltip: msg.get('seed.tooltip'),
       helpUrl: './guide/#seed'
+    },
+    // Time zone
+    {
+      type: 'control_time_zone',
+      message0: msg.get('time_zone.message0'),
+      args0: [
+        {
+          type: 'field_input',
+          name: 'TIME_ZONE',
+          text: 'UTC'
+        }
+      ],
+      inputsInline: true,
+      hat: 'cap',
+      style: 'control_block',
+      tooltip: msg.get('time_zone.tooltip'),
+      helpUrl: './guide/#time-zone',
+      extensions: ['validate_TIME_ZONE']
     }
   ])
 
@@ -63,6 +101,12 @@ const setup = (language) => {
     const seed = block.getFieldValue('SEED')
     return `["@transform", "seed", "${seed}"]`
   }
+
+  // Time zone for datetime operations
+  Blockly.TidyBlocks['control_time_zone'] = (block) => {
+    const zone = block.getFieldValue('TIME_ZONE')
+    return `["@transform", "timeZone", "${zone}"]`
+  }
 }
 
 module.exports = {
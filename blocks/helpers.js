@@ -37,6 +37,22 @@ const valueToCode = (block, label) => {
   return raw
 }
 
+/**
+ * Get the code for the blocks in a statement input as a stringified JSON list.
+ * @param block The block object.
+ * @param label Which statement input to get blocks from.
+ * @return Stringified JSON list of block representations (possibly empty).
+ */
+const statementsToCode = (block, label) => {
+  const code = []
+  let current = block.getInputTargetBlock(label)
+  while (current) {
+    code.push(Blockly.TidyBlocks.blockToCode(current, true))
+    current = current.getNextBlock()
+  }
+  return `[${code}]`
+}
+
 /**
  * Create a table lookup object.
  */
@@ -86,6 +102,7 @@ Messages.UNDEFINED = 'undefined'
 module.exports = {
   ORDER_NONE,
   formatMultiColNames,
+  statementsToCode,
   valueToCode,
   Messages
 }
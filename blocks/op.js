@@ -8,6 +8,28 @@ const {
   Messages
 } = require('./helpers')
 
+/**
+ * Units for datetime arithmetic and truncation.
+ */
+const DATETIME_UNITS = ['year', 'month', 'week', 'day', 'hour', 'minute', 'second']
+
+/**
+ * Default time zone for datetime operations, meaning whatever time zone the
+ * program has set. The `ZONE` fields can also be 'UTC', 'local', or the name
+ * of a time zone like 'America/Toronto'.
+ */
+const PROGRAM_TIME_ZONE = 'program'
+
+/**
+ * Generate code for a block's time zone choice.
+ * @param {Object} block The block with a `ZONE` field.
+ * @return {string} `null` for the program's time zone or the quoted zone.
+ */
+const zoneToCode = (block) => {
+  const zone = block.getFieldValue('ZONE')
+  return (zone === PROGRAM_TIME_ZONE) ? 'null' : `"${zone}"`
+}
+
 /**
  * Lookup table for message strings.
  */
@@ -45,6 +67,17 @@ const MESSAGES = {
       pt: 'valor absoluto de uma coluna numérica'
     }
   },
+  math: {
+    tooltip: {
+      ar: 'تطبيق دالة رياضية على عمود حسابي',
+      el: 'εφάρμοσε μία μαθηματική συνάρτηση σε αριθμητική στήλη',
+      en: 'apply a mathematical function to a numeric column',
+      es: 'aplica una función matemática a una columna numérica',
+      it: 'applicare una funzione matematica a una colonna numerica',
+      ko: '숫자열에 수학 함수를 적용',
+      pt: 'aplicar uma função matemática a uma coluna numérica'
+    }
+  },
   compare: {
     tooltip: {
       ar: 'مقارنه عمودين',
@@ -140,13 +173,13 @@ const MESSAGES = {
   },
   datetime: {
     message0: {
-      ar: 'الحصول على %1 من %2',
-      el: 'βρες %1 από %2',
-      en: 'get %1 from %2',
-      es: 'obten %1 de %2',
-      it: 'ottieni %1 da %2',
-      ko: '%2 에서 %1 가져오기',
-      pt: 'pegue %1 de %2'
+      ar: 'الحصول على %1 من %2 %3',
+      el: 'βρες %1 από %2 %3',
+      en: 'get %1 from %2 %3',
+      es: 'obten %1 de %2 %3',
+      it: 'ottieni %1 da %2 %3',
+      ko: '%2 에서 %1 가져오기 %3',
+      pt: 'pegue %1 de %2 %3'
     },
     tooltip: {
       ar: 'تغيير نوع القيمه',
@@ -158,6 +191,279 @@ const MESSAGES = {
       pt: 'mude o tipo de dado de um valor'
     }
   },
+  datetime_add: {
+    tooltip: {
+      ar: 'إضافة مدة إلى تاريخ أو طرحها منه',
+      el: 'πρόσθεσε ή αφαίρεσε χρονικό διάστημα από ημερομηνία',
+      en: 'add or subtract a duration from a date/time',
+      es: 'suma o resta una duración a una fecha',
+      it: 'aggiungere o sottrarre una durata da una data',
+      ko: '날짜/시간에 기간을 더하거나 빼기',
+      pt: 'somar ou subtrair uma duração de uma data'
+    }
+  },
+  datetime_difference: {
+    message0: {
+      ar: '%1 من %2 إلى %3 %4',
+      el: '%1 από %2 έως %3 %4',
+      en: '%1 from %2 to %3 %4',
+      es: '%1 desde %2 hasta %3 %4',
+      it: '%1 da %2 a %3 %4',
+      ko: '%2 부터 %3 까지 %1 %4',
+      pt: '%1 de %2 até %3 %4'
+    },
+    tooltip: {
+      ar: 'عد الوحدات الكاملة بين تاريخين',
+      el: 'μέτρησε τις πλήρεις μονάδες μεταξύ δύο ημερομηνιών',
+      en: 'count whole units between two dates/times',
+      es: 'cuenta las unidades completas entre dos fechas',
+      it: 'contare le unità intere tra due date',
+      ko: '두 날짜/시간 사이의 단위 수 세기',
+      pt: 'contar as unidades inteiras entre duas datas'
+    }
+  },
+  datetime_truncate: {
+    message0: {
+      ar: 'بداية %1 لـ %2 %3',
+      el: 'αρχή του %1 για %2 %3',
+      en: 'start of %1 for %2 %3',
+      es: 'inicio de %1 para %2 %3',
+      it: 'inizio di %1 per %2 %3',
+      ko: '%2 의 %1 시작 %3',
+      pt: 'início de %1 para %2 %3'
+    },
+    tooltip: {
+      ar: 'تقريب تاريخ إلى بداية السنة أو الشهر أو الأسبوع',
+      el: 'στρογγύλεψε ημερομηνία στην αρχή του έτους, μήνα ή εβδομάδας',
+      en: 'round a date/time down to the start of a year, month, week, etc.',
+      es: 'redondea una fecha al inicio del año, mes, semana, etc.',
+      it: "arrotondare una data all'inizio dell'anno, mese, settimana, ecc.",
+      ko: '날짜/시간을 연, 월, 주 등의 시작으로 내림',
+      pt: 'arredondar uma data para o início do ano, mês, semana, etc.'
+    }
+  },
+  datetime_format: {
+    message0: {
+      ar: 'تنسيق %1 بالشكل %2 %3',
+      el: 'μορφοποίησε %1 ως %2 %3',
+      en: 'format %1 as %2 %3',
+      es: 'formatea %1 como %2 %3',
+      it: 'formatta %1 come %2 %3',
+      ko: '%1 을 %2 형식으로 %3',
+      pt: 'formate %1 como %2 %3'
+    },
+    tooltip: {
+      ar: 'تحويل تاريخ إلى نص',
+      el: 'μετέτρεψε ημερομηνία σε κείμενο',
+      en: 'convert a date/time to text',
+      es: 'convierte una fecha en texto',
+      it: 'convertire una data in testo',
+      ko: '날짜/시간을 텍스트로 변환',
+      pt: 'converter uma data em texto'
+    }
+  },
+  datetime_parse: {
+    message0: {
+      ar: 'تحليل %1 بالشكل %2 %3',
+      el: 'ανάλυσε %1 ως %2 %3',
+      en: 'parse %1 as %2 %3',
+      es: 'interpreta %1 como %2 %3',
+      it: 'interpreta %1 come %2 %3',
+      ko: '%1 을 %2 형식으로 읽기 %3',
+      pt: 'interprete %1 como %2 %3'
+    },
+    tooltip: {
+      ar: 'تحويل نص إلى تاريخ باستخدام تنسيق',
+      el: 'μετέτρεψε κείμενο σε ημερομηνία με συγκεκριμένη μορφή',
+      en: 'convert text to a date/time using a format',
+      es: 'convierte texto en fecha usando un formato',
+      it: 'convertire testo in data usando un formato',
+      ko: '형식을 사용해 텍스트를 날짜/시간으로 변환',
+      pt: 'converter texto em data usando um formato'
+    }
+  },
+  text_length: {
+    message0: {
+      ar: 'طول %1',
+      el: 'μήκος %1',
+      en: 'length of %1',
+      es: 'longitud de %1',
+      it: 'lunghezza di %1',
+      ko: '%1 의 길이',
+      pt: 'comprimento de %1'
+    },
+    tooltip: {
+      ar: 'عد الأحرف في النص',
+      el: 'μέτρησε τους χαρακτήρες ενός κειμένου',
+      en: 'count the characters in text',
+      es: 'cuenta los caracteres del texto',
+      it: 'contare i caratteri del testo',
+      ko: '텍스트의 글자 수 세기',
+      pt: 'contar os caracteres do texto'
+    }
+  },
+  text_convert: {
+    tooltip: {
+      ar: 'تغيير حالة الأحرف أو إزالة المسافات',
+      el: 'άλλαξε πεζά/κεφαλαία ή αφαίρεσε κενά',
+      en: 'change the case of text or trim spaces',
+      es: 'cambia mayúsculas/minúsculas o quita espacios',
+      it: 'cambiare maiuscole/minuscole o togliere spazi',
+      ko: '대소문자를 바꾸거나 공백을 제거',
+      pt: 'mudar maiúsculas/minúsculas ou remover espaços'
+    }
+  },
+  text_concatenate: {
+    message0: {
+      ar: 'ضم %1 و %2',
+      el: 'ένωσε %1 και %2',
+      en: 'join %1 and %2',
+      es: 'une %1 y %2',
+      it: 'unisci %1 e %2',
+      ko: '%1 와 %2 연결',
+      pt: 'junte %1 e %2'
+    },
+    tooltip: {
+      ar: 'ضم نصين',
+      el: 'ένωσε δύο κείμενα',
+      en: 'join two pieces of text',
+      es: 'une dos textos',
+      it: 'unire due testi',
+      ko: '두 텍스트를 연결',
+      pt: 'juntar dois textos'
+    }
+  },
+  text_search: {
+    tooltip: {
+      ar: 'تحقق مما إذا كان النص يحتوي على نص آخر',
+      el: 'έλεγξε αν ένα κείμενο περιέχει άλλο κείμενο',
+      en: 'check if text contains other text',
+      es: 'comprueba si el texto contiene otro texto',
+      it: 'controlla se il testo contiene un altro testo',
+      ko: '텍스트가 다른 텍스트를 포함하는지 확인',
+      pt: 'confira se o texto contém outro texto'
+    }
+  },
+  text_substring: {
+    message0: {
+      ar: 'جزء من %1 من %2 بطول %3',
+      el: 'τμήμα του %1 από %2 μήκους %3',
+      en: 'substring of %1 from %2 length %3',
+      es: 'subcadena de %1 desde %2 longitud %3',
+      it: 'sottostringa di %1 da %2 lunghezza %3',
+      ko: '%1 의 %2 번째부터 %3 글자',
+      pt: 'parte de %1 a partir de %2 comprimento %3'
+    },
+    tooltip: {
+      ar: 'الحصول على جزء من النص حسب الموضع',
+      el: 'πάρε μέρος κειμένου βάσει θέσης',
+      en: 'get part of text by position',
+      es: 'obten parte del texto por posición',
+      it: 'ottieni parte del testo per posizione',
+      ko: '위치로 텍스트의 일부 가져오기',
+      pt: 'pegue parte do texto pela posição'
+    }
+  },
+  text_replace: {
+    message0: {
+      ar: 'في %1 استبدل %2 بـ %3',
+      el: 'στο %1 αντικατέστησε %2 με %3',
+      en: 'in %1 replace %2 with %3',
+      es: 'en %1 reemplaza %2 por %3',
+      it: 'in %1 sostituisci %2 con %3',
+      ko: '%1 에서 %2 를 %3 로 바꾸기',
+      pt: 'em %1 substitua %2 por %3'
+    },
+    tooltip: {
+      ar: 'استبدال كل ظهور لنص ما',
+      el: 'αντικατέστησε κάθε εμφάνιση ενός κειμένου',
+      en: 'replace every occurrence of some text',
+      es: 'reemplaza cada aparición de un texto',
+      it: 'sostituire ogni occorrenza di un testo',
+      ko: '텍스트가 나타날 때마다 바꾸기',
+      pt: 'substituir cada ocorrência de um texto'
+    }
+  },
+  text_split: {
+    message0: {
+      ar: 'الجزء %3 من %1 مقسم على %2',
+      el: 'μέρος %3 του %1 χωρισμένου με %2',
+      en: 'part %3 of %1 split on %2',
+      es: 'parte %3 de %1 dividido por %2',
+      it: 'parte %3 di %1 diviso per %2',
+      ko: '%2 로 나눈 %1 의 %3 번째 부분',
+      pt: 'parte %3 de %1 dividido por %2'
+    },
+    tooltip: {
+      ar: 'الحصول على جزء من نص مقسم بفاصل',
+      el: 'πάρε ένα μέρος κειμένου χωρισμένου με διαχωριστικό',
+      en: 'get one part of text split on a separator',
+      es: 'obten una parte del texto dividido por un separador',
+      it: 'ottieni una parte del testo diviso da un separatore',
+      ko: '구분자로 나눈 텍스트의 한 부분 가져오기',
+      pt: 'pegue uma parte do texto dividido por um separador'
+    }
+  },
+  text_matches: {
+    message0: {
+      ar: '%1 يطابق %2',
+      el: '%1 ταιριάζει με %2',
+      en: '%1 matches %2',
+      es: '%1 coincide con %2',
+      it: '%1 corrisponde a %2',
+      ko: '%1 이 %2 와 일치',
+      pt: '%1 corresponde a %2'
+    },
+    tooltip: {
+      ar: 'تحقق مما إذا كان النص يطابق نمطا',
+      el: 'έλεγξε αν ένα κείμενο ταιριάζει με ένα μοτίβο',
+      en: 'check if text matches a pattern',
+      es: 'comprueba si el texto coincide con un patrón',
+      it: 'controlla se il testo corrisponde a uno schema',
+      ko: '텍스트가 패턴과 일치하는지 확인',
+      pt: 'confira se o texto corresponde a um padrão'
+    }
+  },
+  text_extract: {
+    message0: {
+      ar: 'من %1 استخرج %2 المجموعة %3',
+      el: 'από %1 εξήγαγε %2 ομάδα %3',
+      en: 'from %1 extract %2 group %3',
+      es: 'de %1 extrae %2 grupo %3',
+      it: 'da %1 estrai %2 gruppo %3',
+      ko: '%1 에서 %2 의 %3 번째 그룹 추출',
+      pt: 'de %1 extraia %2 grupo %3'
+    },
+    tooltip: {
+      ar: 'استخراج النص الذي يطابق نمطا',
+      el: 'εξήγαγε το κείμενο που ταιριάζει με ένα μοτίβο',
+      en: 'extract the text matching a pattern',
+      es: 'extrae el texto que coincide con un patrón',
+      it: 'estrarre il testo che corrisponde a uno schema',
+      ko: '패턴과 일치하는 텍스트 추출',
+      pt: 'extrair o texto que corresponde a um padrão'
+    }
+  },
+  text_replace_all: {
+    message0: {
+      ar: 'في %1 استبدل النمط %2 بـ %3',
+      el: 'στο %1 αντικατέστησε το μοτίβο %2 με %3',
+      en: 'in %1 replace pattern %2 with %3',
+      es: 'en %1 reemplaza el patrón %2 por %3',
+      it: 'in %1 sostituisci lo schema %2 con %3',
+      ko: '%1 에서 패턴 %2 를 %3 로 바꾸기',
+      pt: 'em %1 substitua o padrão %2 por %3'
+    },
+    tooltip: {
+      ar: 'استبدال كل ما يطابق نمطا',
+      el: 'αντικατέστησε κάθε ταίριασμα ενός μοτίβου',
+      en: 'replace every match for a pattern',
+      es: 'reemplaza cada coincidencia de un patrón',
+      it: 'sostituire ogni corrispondenza di uno schema',
+      ko: '패턴과 일치하는 모든 부분 바꾸기',
+      pt: 'substituir cada correspondência de um padrão'
+    }
+  },
   conditional: {
     message0: {
       ar: 'إذا %1 افعل %2 غير ذلك %3',
@@ -283,6 +589,50 @@ const setup = (language) => {
       helpUrl: './guide/#abs'
     },
 
+    // Mathematical functions
+    {
+      type: 'op_math',
+      message0: '%1 %2 %3',
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'OP',
+          options: [
+            ['ln', 'log'],
+            ['log10', 'log10'],
+            ['exp', 'exp'],
+            ['\u221A', 'sqrt'],
+            ['round', 'round'],
+            ['floor', 'floor'],
+            ['ceiling', 'ceiling'],
+            ['sign', 'sign'],
+            ['sin', 'sin'],
+            ['cos', 'cos'],
+            ['tan', 'tan'],
+            ['asin', 'asin'],
+            ['acos', 'acos'],
+            ['atan', 'atan']
+          ]
+        },
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'field_number',
+          name: 'DIGITS',
+          value: 0,
+          precision: 1
+        }
+      ],
+      inputsInline: true,
+      output: 'Number',
+      style: 'op_block',
+      tooltip: msg.get('math.tooltip'),
+      helpUrl: './guide/#math',
+      extensions: ['show_DIGITS']
+    },
+
     // Comparisons
     {
       type: 'op_compare',
@@ -458,7 +808,7 @@ const setup = (language) => {
             ['year', 'toYear'],
             ['month', 'toMonth'],
             ['day', 'toDay'],
-            ['weekday', 'toWeekDay'],
+            ['weekday', 'toWeekday'],
             ['hours', 'toHours'],
             ['minutes', 'toMinutes'],
             ['seconds', 'toSeconds']
@@ -467,13 +817,425 @@ const setup = (language) => {
         {
           type: 'input_value',
           name: 'VALUE'
+        },
+        {
+          type: 'field_input',
+          name: 'ZONE',
+          text: PROGRAM_TIME_ZONE
         }
       ],
       inputsInline: true,
       output: 'Number',
       style: 'op_block',
       tooltip: msg.get('datetime.tooltip'),
-      helpUrl: './guide/#datetime'
+      helpUrl: './guide/#datetime',
+      extensions: ['validate_ZONE']
+    },
+
+    // Datetime arithmetic
+    {
+      type: 'op_datetime_add',
+      message0: '%1 %2 %3 %4 %5',
+      args0: [
+        {
+          type: 'input_value',
+          name: 'LEFT'
+        },
+        {
+          type: 'field_dropdown',
+          name: 'OP',
+          options: [
+            ['+', 'addDuration'],
+            ['-', 'subtractDuration']
+          ]
+        },
+        {
+          type: 'input_value',
+          name: 'RIGHT'
+        },
+        {
+          type: 'field_dropdown',
+          name: 'UNIT',
+          options: DATETIME_UNITS.map(unit => [`${unit}s`, unit])
+        },
+        {
+          type: 'field_input',
+          name: 'ZONE',
+          text: PROGRAM_TIME_ZONE
+        }
+      ],
+      inputsInline: true,
+      output: 'DateTime',
+      style: 'op_block',
+      tooltip: msg.get('datetime_add.tooltip'),
+      helpUrl: './guide/#datetime',
+      extensions: ['validate_ZONE']
+    },
+
+    // Datetime differences
+    {
+      type: 'op_datetime_difference',
+      message0: msg.get('datetime_difference.message0'),
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'UNIT',
+          options: DATETIME_UNITS.map(unit => [`${unit}s`, unit])
+        },
+        {
+          type: 'input_value',
+          name: 'LEFT'
+        },
+        {
+          type: 'input_value',
+          name: 'RIGHT'
+        },
+        {
+          type: 'field_input',
+          name: 'ZONE',
+          text: PROGRAM_TIME_ZONE
+        }
+      ],
+      inputsInline: true,
+      output: 'Number',
+      style: 'op_block',
+      tooltip: msg.get('datetime_difference.tooltip'),
+      helpUrl: './guide/#datetime',
+      extensions: ['validate_ZONE']
+    },
+
+    // Datetime truncation
+    {
+      type: 'op_datetime_truncate',
+      message0: msg.get('datetime_truncate.message0'),
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'UNIT',
+          options: DATETIME_UNITS.map(unit => [unit, unit])
+        },
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'field_input',
+          name: 'ZONE',
+          text: PROGRAM_TIME_ZONE
+        }
+      ],
+      inputsInline: true,
+      output: 'DateTime',
+      style: 'op_block',
+      tooltip: msg.get('datetime_truncate.tooltip'),
+      helpUrl: './guide/#datetime',
+      extensions: ['validate_ZONE']
+    },
+
+    // Datetime formatting
+    {
+      type: 'op_datetime_format',
+      message0: msg.get('datetime_format.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'field_input',
+          name: 'FORMAT',
+          text: 'YYYY-MM-DD'
+        },
+        {
+          type: 'field_input',
+          name: 'ZONE',
+          text: PROGRAM_TIME_ZONE
+        }
+      ],
+      inputsInline: true,
+      output: 'String',
+      style: 'op_block',
+      tooltip: msg.get('datetime_format.tooltip'),
+      helpUrl: './guide/#datetime',
+      extensions: ['validate_ZONE']
+    },
+
+    // Datetime parsing
+    {
+      type: 'op_datetime_parse',
+      message0: msg.get('datetime_parse.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'field_input',
+          name: 'FORMAT',
+          text: 'YYYY-MM-DD'
+        },
+        {
+          type: 'field_input',
+          name: 'ZONE',
+          text: PROGRAM_TIME_ZONE
+        }
+      ],
+      inputsInline: true,
+      output: 'DateTime',
+      style: 'op_block',
+      tooltip: msg.get('datetime_parse.tooltip'),
+      helpUrl: './guide/#datetime',
+      extensions: ['validate_ZONE']
+    },
+
+    // Text length
+    {
+      type: 'op_text_length',
+      message0: msg.get('text_length.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        }
+      ],
+      inputsInline: true,
+      output: 'Number',
+      style: 'op_block',
+      tooltip: msg.get('text_length.tooltip'),
+      helpUrl: './guide/#text'
+    },
+
+    // Text conversions
+    {
+      type: 'op_text_convert',
+      message0: '%1 %2',
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'TYPE',
+          options: [
+            ['upper case', 'upper'],
+            ['lower case', 'lower'],
+            ['trim', 'trim']
+          ]
+        },
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        }
+      ],
+      inputsInline: true,
+      output: 'String',
+      style: 'op_block',
+      tooltip: msg.get('text_convert.tooltip'),
+      helpUrl: './guide/#text'
+    },
+
+    // Text concatenation
+    {
+      type: 'op_text_concatenate',
+      message0: msg.get('text_concatenate.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'LEFT'
+        },
+        {
+          type: 'input_value',
+          name: 'RIGHT'
+        }
+      ],
+      inputsInline: true,
+      output: 'String',
+      style: 'op_block',
+      tooltip: msg.get('text_concatenate.tooltip'),
+      helpUrl: './guide/#text'
+    },
+
+    // Text searching
+    {
+      type: 'op_text_search',
+      message0: '%1 %2 %3',
+      args0: [
+        {
+          type: 'input_value',
+          name: 'LEFT'
+        },
+        {
+          type: 'field_dropdown',
+          name: 'OP',
+          options: [
+            ['contains', 'contains'],
+            ['starts with', 'startsWith'],
+            ['ends with', 'endsWith']
+          ]
+        },
+        {
+          type: 'input_value',
+          name: 'RIGHT'
+        }
+      ],
+      inputsInline: true,
+      output: 'Boolean',
+      style: 'op_block',
+      tooltip: msg.get('text_search.tooltip'),
+      helpUrl: './guide/#text'
+    },
+
+    // Substring
+    {
+      type: 'op_text_substring',
+      message0: msg.get('text_substring.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'input_value',
+          name: 'START'
+        },
+        {
+          type: 'input_value',
+          name: 'LENGTH'
+        }
+      ],
+      inputsInline: true,
+      output: 'String',
+      style: 'op_block',
+      tooltip: msg.get('text_substring.tooltip'),
+      helpUrl: './guide/#text'
+    },
+
+    // Text replacement
+    {
+      type: 'op_text_replace',
+      message0: msg.get('text_replace.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'input_value',
+          name: 'OLD'
+        },
+        {
+          type: 'input_value',
+          name: 'NEW'
+        }
+      ],
+      inputsInline: true,
+      output: 'String',
+      style: 'op_block',
+      tooltip: msg.get('text_replace.tooltip'),
+      helpUrl: './guide/#text'
+    },
+
+    // Splitting text
+    {
+      type: 'op_text_split',
+      message0: msg.get('text_split.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'input_value',
+          name: 'SEPARATOR'
+        },
+        {
+          type: 'input_value',
+          name: 'INDEX'
+        }
+      ],
+      inputsInline: true,
+      output: 'String',
+      style: 'op_block',
+      tooltip: msg.get('text_split.tooltip'),
+      helpUrl: './guide/#text'
+    },
+
+    // Pattern matching
+    {
+      type: 'op_text_matches',
+      message0: msg.get('text_matches.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'field_input',
+          name: 'PATTERN',
+          text: '[0-9]+'
+        }
+      ],
+      inputsInline: true,
+      output: 'Boolean',
+      style: 'op_block',
+      tooltip: msg.get('text_matches.tooltip'),
+      helpUrl: './guide/#patterns',
+      extensions: ['validate_PATTERN']
+    },
+
+    // Pattern extraction
+    {
+      type: 'op_text_extract',
+      message0: msg.get('text_extract.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'field_input',
+          name: 'PATTERN',
+          text: '[0-9]+'
+        },
+        {
+          type: 'field_number',
+          name: 'GROUP',
+          value: 0,
+          min: 0,
+          precision: 1
+        }
+      ],
+      inputsInline: true,
+      output: 'String',
+      style: 'op_block',
+      tooltip: msg.get('text_extract.tooltip'),
+      helpUrl: './guide/#patterns',
+      extensions: ['validate_PATTERN']
+    },
+
+    // Pattern replacement
+    {
+      type: 'op_text_replace_all',
+      message0: msg.get('text_replace_all.message0'),
+      args0: [
+        {
+          type: 'input_value',
+          name: 'VALUE'
+        },
+        {
+          type: 'field_input',
+          name: 'PATTERN',
+          text: '[0-9]+'
+        },
+        {
+          type: 'field_input',
+          name: 'REPLACEMENT',
+          text: ''
+        }
+      ],
+      inputsInline: true,
+      output: 'String',
+      style: 'op_block',
+      tooltip: msg.get('text_replace_all.tooltip'),
+      helpUrl: './guide/#patterns',
+      extensions: ['validate_PATTERN']
     },
 
     // Conditional
@@ -548,6 +1310,19 @@ const setup = (language) => {
     return [code, ORDER_NONE]
   }
 
+  // Mathematical functions
+  Blockly.TidyBlocks['op_math'] = (block) => {
+    const op = block.getFieldValue('OP')
+    const value = valueToCode(block, 'VALUE')
+    if (op === 'round') {
+      const digits = block.getFieldValue('DIGITS')
+      const code = `["@op", "${op}", ${value}, ${digits}]`
+      return [code, ORDER_NONE]
+    }
+    const code = `["@op", "${op}", ${value}]`
+    return [code, ORDER_NONE]
+  }
+
   // Extrema
   Blockly.TidyBlocks['op_extremum'] = (block) => {
     const op = block.getFieldValue('OP')
@@ -602,7 +1377,142 @@ const setup = (language) => {
   Blockly.TidyBlocks['op_datetime'] = (block) => {
     const type = block.getFieldValue('TYPE')
     const value = valueToCode(block, 'VALUE')
-    const code = `["@op", "datetime", "${type}", ${value}]`
+    const zone = zoneToCode(block)
+    const code = `["@op", "${type}", ${value}, ${zone}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Datetime arithmetic
+  Blockly.TidyBlocks['op_datetime_add'] = (block) => {
+    const op = block.getFieldValue('OP')
+    const left = valueToCode(block, 'LEFT')
+    const right = valueToCode(block, 'RIGHT')
+    const unit = block.getFieldValue('UNIT')
+    const zone = zoneToCode(block)
+    const code = `["@op", "${op}", ${left}, ${right}, "${unit}", ${zone}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Datetime differences
+  Blockly.TidyBlocks['op_datetime_difference'] = (block) => {
+    const unit = block.getFieldValue('UNIT')
+    const left = valueToCode(block, 'LEFT')
+    const right = valueToCode(block, 'RIGHT')
+    const zone = zoneToCode(block)
+    const code = `["@op", "datetimeDifference", ${left}, ${right}, "${unit}", ${zone}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Datetime truncation
+  Blockly.TidyBlocks['op_datetime_truncate'] = (block) => {
+    const unit = block.getFieldValue('UNIT')
+    const value = valueToCode(block, 'VALUE')
+    const zone = zoneToCode(block)
+    const code = `["@op", "truncateDatetime", ${value}, "${unit}", ${zone}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Datetime formatting
+  Blockly.TidyBlocks['op_datetime_format'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const format = JSON.stringify(block.getFieldValue('FORMAT'))
+    const zone = zoneToCode(block)
+    const code = `["@op", "formatDatetime", ${value}, ${format}, ${zone}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Datetime parsing
+  Blockly.TidyBlocks['op_datetime_parse'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const format = JSON.stringify(block.getFieldValue('FORMAT'))
+    const zone = zoneToCode(block)
+    const code = `["@op", "parseDatetime", ${value}, ${format}, ${zone}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Text length
+  Blockly.TidyBlocks['op_text_length'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const code = `["@op", "length", ${value}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Text conversions
+  Blockly.TidyBlocks['op_text_convert'] = (block) => {
+    const type = block.getFieldValue('TYPE')
+    const value = valueToCode(block, 'VALUE')
+    const code = `["@op", "${type}", ${value}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Text concatenation
+  Blockly.TidyBlocks['op_text_concatenate'] = (block) => {
+    const left = valueToCode(block, 'LEFT')
+    const right = valueToCode(block, 'RIGHT')
+    const code = `["@op", "concatenate", ${left}, ${right}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Text searching
+  Blockly.TidyBlocks['op_text_search'] = (block) => {
+    const op = block.getFieldValue('OP')
+    const left = valueToCode(block, 'LEFT')
+    const right = valueToCode(block, 'RIGHT')
+    const code = `["@op", "${op}", ${left}, ${right}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Substring
+  Blockly.TidyBlocks['op_text_substring'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const start = valueToCode(block, 'START')
+    const length = valueToCode(block, 'LENGTH')
+    const code = `["@op", "substring", ${value}, ${start}, ${length}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Text replacement
+  Blockly.TidyBlocks['op_text_replace'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const old = valueToCode(block, 'OLD')
+    const replacement = valueToCode(block, 'NEW')
+    const code = `["@op", "replace", ${value}, ${old}, ${replacement}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Splitting text
+  Blockly.TidyBlocks['op_text_split'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const separator = valueToCode(block, 'SEPARATOR')
+    const index = valueToCode(block, 'INDEX')
+    const code = `["@op", "splitPart", ${value}, ${separator}, ${index}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Pattern matching (patterns are quoted with JSON.stringify because they
+  // often contain backslashes)
+  Blockly.TidyBlocks['op_text_matches'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const pattern = JSON.stringify(block.getFieldValue('PATTERN'))
+    const code = `["@op", "matches", ${value}, ${pattern}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Pattern extraction
+  Blockly.TidyBlocks['op_text_extract'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const pattern = JSON.stringify(block.getFieldValue('PATTERN'))
+    const group = block.getFieldValue('GROUP')
+    const code = `["@op", "extract", ${value}, ${pattern}, ${group}]`
+    return [code, ORDER_NONE]
+  }
+
+  // Pattern replacement
+  Blockly.TidyBlocks['op_text_replace_all'] = (block) => {
+    const value = valueToCode(block, 'VALUE')
+    const pattern = JSON.stringify(block.getFieldValue('PATTERN'))
+    const replacement = JSON.stringify(block.getFieldValue('REPLACEMENT'))
+    const code = `["@op", "replaceAll", ${value}, ${pattern}, ${replacement}]`
     return [code, ORDER_NONE]
   }
 
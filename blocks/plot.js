@@ -3,13 +3,38 @@
 const Blockly = require('blockly/blockly_compressed')
 
 const {
-  Messages
+  Messages,
+  statementsToCode
 } = require('./helpers')
 
+/**
+ * Axes that plot options can be applied to.
+ */
+const PLOT_AXES = [['X', 'x'], ['Y', 'y']]
+
+/**
+ * Named color schemes (must match `TransformPlot.COLOR_SCHEMES`).
+ */
+const COLOR_SCHEMES = [
+  'category10', 'tableau10', 'set1', 'set2', 'dark2', 'pastel1', 'accent',
+  'viridis', 'plasma', 'inferno', 'magma',
+  'blues', 'greens', 'greys', 'oranges', 'purples', 'reds',
+  'redblue', 'spectral'
+]
+
 /**
  * Lookup table for message strings.
  */
 const MESSAGES = {
+  facet: {
+    ar: 'تقسيم حسب %1',
+    el: 'διαχωρισμός κατά %1',
+    en: 'facet by %1',
+    es: 'dividir por %1',
+    it: 'suddividi per %1',
+    ko: '분할 기준 %1',
+    pt: 'dividir por %1'
+  },
   name: {
     ar: 'الإسم',
     el: 'όνομα',
@@ -37,6 +62,126 @@ const MESSAGES = {
     ko: 'Y축',
     pt: 'eixo Y'
   },
+  plot_axis_title: {
+    message0: {
+      ar: 'عنوان المحور %1 %2',
+      el: 'τίτλος άξονα %1 %2',
+      en: '%1 axis title %2',
+      es: 'título del eje %1 %2',
+      it: 'titolo asse %1 %2',
+      ko: '%1축 제목 %2',
+      pt: 'título do eixo %1 %2'
+    },
+    tooltip: {
+      ar: 'تعيين عنوان المحور',
+      el: 'όρισε τον τίτλο ενός άξονα',
+      en: 'set the title of an axis',
+      es: 'establecer el título de un eje',
+      it: 'imposta il titolo di un asse',
+      ko: '축 제목 설정',
+      pt: 'definir o título de um eixo'
+    }
+  },
+  plot_color_scheme: {
+    message0: {
+      ar: 'نظام الألوان %1',
+      el: 'χρωματικό σχήμα %1',
+      en: 'color scheme %1',
+      es: 'esquema de color %1',
+      it: 'schema di colori %1',
+      ko: '색 구성표 %1',
+      pt: 'esquema de cores %1'
+    },
+    tooltip: {
+      ar: 'تعيين الألوان المستخدمة في المخطط',
+      el: 'όρισε τα χρώματα του διαγράμματος',
+      en: 'set the colors used in a plot',
+      es: 'establecer los colores de un gráfico',
+      it: 'imposta i colori di un grafico',
+      ko: '그래프에 사용할 색 설정',
+      pt: 'definir as cores de um gráfico'
+    }
+  },
+  plot_domain: {
+    message0: {
+      ar: 'المحور %1 من %2 إلى %3',
+      el: 'άξονας %1 από %2 έως %3',
+      en: '%1 axis from %2 to %3',
+      es: 'eje %1 de %2 a %3',
+      it: 'asse %1 da %2 a %3',
+      ko: '%1축 %2부터 %3까지',
+      pt: 'eixo %1 de %2 a %3'
+    },
+    tooltip: {
+      ar: 'تعيين نطاق القيم المعروضة على المحور',
+      el: 'όρισε το εύρος τιμών ενός άξονα',
+      en: 'set the range of values shown on an axis',
+      es: 'establecer el rango de valores de un eje',
+      it: "imposta l'intervallo di valori di un asse",
+      ko: '축에 표시할 값의 범위 설정',
+      pt: 'definir o intervalo de valores de um eixo'
+    }
+  },
+  plot_scale: {
+    message0: {
+      ar: 'مقياس المحور %1 %2',
+      el: 'κλίμακα άξονα %1 %2',
+      en: '%1 axis scale %2',
+      es: 'escala del eje %1 %2',
+      it: 'scala asse %1 %2',
+      ko: '%1축 척도 %2',
+      pt: 'escala do eixo %1 %2'
+    },
+    tooltip: {
+      ar: 'تعيين مقياس المحور',
+      el: 'όρισε την κλίμακα ενός άξονα',
+      en: 'set the scale of an axis',
+      es: 'establecer la escala de un eje',
+      it: 'imposta la scala di un asse',
+      ko: '축 척도 설정',
+      pt: 'definir a escala de um eixo'
+    }
+  },
+  plot_title: {
+    message0: {
+      ar: 'العنوان %1',
+      el: 'τίτλος %1',
+      en: 'title %1',
+      es: 'título %1',
+      it: 'titolo %1',
+      ko: '제목 %1',
+      pt: 'título %1'
+    },
+    tooltip: {
+      ar: 'تعيين عنوان المخطط',
+      el: 'όρισε τον τίτλο του διαγράμματος',
+      en: 'set the title of a plot',
+      es: 'establecer el título de un gráfico',
+      it: 'imposta il titolo di un grafico',
+      ko: '그래프 제목 설정',
+      pt: 'definir o título de um gráfico'
+    }
+  },
+  plot_area: {
+    message0: {
+      ar: 'المساحة %1 %2 %3 اللون %4',
+      el: 'Περιοχή %1 %2 %3 Χρώμα %4',
+      en: 'Area %1 %2 %3 Color %4',
+      es: 'Área %1 %2 %3 Color %4',
+      it: 'Area %1 %2 %3 Colore %4',
+      ko: '영역 %1 %2 %3 색깔 %4',
+      pt: 'Área %1 %2 %3 Cor %4'
+    },
+    tooltip: {
+      ar: 'إنشاء مخطط المساحة',
+      el: 'δημιούργησε διάγραμμα περιοχής',
+      en: 'create area plot',
+      es: 'crear grafico de área',
+      it: 'crea un grafico ad area',
+      ko: '영역 그래프 만들기',
+      pt: 'criar gráfico de área'
+    }
+  },
   plot_bar: {
     message0: {
       ar: 'الأعمده %1 %2 %3',
@@ -97,6 +242,35 @@ const MESSAGES = {
       pt: 'criar gráfico de pontos'
     }
   },
+  plot_heatmap: {
+    message0: {
+      ar: 'خريطة حرارية %1 %2 %3 القيمة %4',
+      el: 'Θερμικός χάρτης %1 %2 %3 Τιμή %4',
+      en: 'Heatmap %1 %2 %3 Value %4',
+      es: 'Mapa de calor %1 %2 %3 Valor %4',
+      it: 'Mappa di calore %1 %2 %3 Valore %4',
+      ko: '히트맵 %1 %2 %3 값 %4',
+      pt: 'Mapa de calor %1 %2 %3 Valor %4'
+    },
+    column: {
+      ar: 'العمود',
+      el: 'στήλη',
+      en: 'column',
+      es: 'columna',
+      it: 'colonna',
+      ko: '열',
+      pt: 'coluna'
+    },
+    tooltip: {
+      ar: 'إنشاء خريطة حرارية',
+      el: 'δημιούργησε θερμικό χάρτη',
+      en: 'create heatmap',
+      es: 'crear mapa de calor',
+      it: 'crea una mappa di calore',
+      ko: '히트맵 만들기',
+      pt: 'criar mapa de calor'
+    }
+  },
   plot_histogram: {
     message0: {
       ar: 'المدرج التكراري %1 %2 %3',
@@ -126,6 +300,26 @@ const MESSAGES = {
       pt: 'criar histograma'
     }
   },
+  plot_line: {
+    message0: {
+      ar: 'الخط %1 %2 %3 اللون %4',
+      el: 'Γραμμή %1 %2 %3 Χρώμα %4',
+      en: 'Line %1 %2 %3 Color %4',
+      es: 'Línea %1 %2 %3 Color %4',
+      it: 'Linea %1 %2 %3 Colore %4',
+      ko: '선 %1 %2 %3 색깔 %4',
+      pt: 'Linha %1 %2 %3 Cor %4'
+    },
+    tooltip: {
+      ar: 'إنشاء مخطط خطي',
+      el: 'δημιούργησε γραμμικό διάγραμμα',
+      en: 'create line plot',
+      es: 'crear grafico de líneas',
+      it: 'crea un grafico a linee',
+      ko: '선 그래프 만들기',
+      pt: 'criar gráfico de linhas'
+    }
+  },
   plot_scatter: {
     message0: {
       ar: 'التشتت %1 %2 %3 اللون %4 إضافه خط؟ %5',
@@ -155,6 +349,57 @@ const MESSAGES = {
 const setup = (language) => {
   const msg = new Messages(MESSAGES, language, 'en')
   Blockly.defineBlocksWithJsonArray([
+    // Area plot
+    {
+      type: 'plot_area',
+      message0: msg.get('plot_area.message0'),
+      args0: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('name')
+        },
+        {
+          type: 'field_input',
+          name: 'X_AXIS',
+          text: msg.get('x_axis')
+        },
+        {
+          type: 'field_input',
+          name: 'Y_AXIS',
+          text: msg.get('y_axis')
+        },
+        {
+          type: 'field_input',
+          name: 'COLOR',
+          text: ''
+        }
+      ],
+      message1: msg.get('facet'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'FACET',
+          text: ''
+        }
+      ],
+      message2: '%1',
+      args2: [
+        {
+          type: 'input_statement',
+          name: 'OPTIONS',
+          check: 'PlotOption'
+        }
+      ],
+      inputsInline: true,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'plot_block',
+      tooltip: msg.get('plot_area.tooltip'),
+      helpUrl: './guide/#area',
+      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS', 'validate_COLOR', 'validate_FACET']
+    },
+
     // Bar plot
     {
       type: 'plot_bar',
@@ -176,13 +421,29 @@ const setup = (language) => {
           text: msg.get('y_axis')
         }
       ],
+      message1: msg.get('facet'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'FACET',
+          text: ''
+        }
+      ],
+      message2: '%1',
+      args2: [
+        {
+          type: 'input_statement',
+          name: 'OPTIONS',
+          check: 'PlotOption'
+        }
+      ],
       inputsInline: true,
       previousStatement: null,
       nextStatement: null,
       style: 'plot_block',
       tooltip: msg.get('plot_bar.tooltip'),
       helpUrl: './guide/#bar',
-      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS']
+      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS', 'validate_FACET']
     },
 
     // Box plot
@@ -206,13 +467,29 @@ const setup = (language) => {
           text: msg.get('y_axis')
         }
       ],
+      message1: msg.get('facet'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'FACET',
+          text: ''
+        }
+      ],
+      message2: '%1',
+      args2: [
+        {
+          type: 'input_statement',
+          name: 'OPTIONS',
+          check: 'PlotOption'
+        }
+      ],
       inputsInline: true,
       previousStatement: null,
       nextStatement: null,
       style: 'plot_block',
       tooltip: msg.get('plot_box.tooltip'),
       helpUrl: './guide/#box',
-      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS']
+      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS', 'validate_FACET']
     },
 
     // Dot plot
@@ -231,13 +508,80 @@ const setup = (language) => {
           text: msg.get('x_axis')
         }
       ],
+      message1: msg.get('facet'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'FACET',
+          text: ''
+        }
+      ],
+      message2: '%1',
+      args2: [
+        {
+          type: 'input_statement',
+          name: 'OPTIONS',
+          check: 'PlotOption'
+        }
+      ],
       inputsInline: true,
       previousStatement: null,
       nextStatement: null,
       style: 'plot_block',
       tooltip: msg.get('plot_dot.tooltip'),
       helpUrl: './guide/#dot',
-      extensions: ['validate_NAME', 'validate_X_AXIS']
+      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_FACET']
+    },
+
+    // Heatmap
+    {
+      type: 'plot_heatmap',
+      message0: msg.get('plot_heatmap.message0'),
+      args0: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('name')
+        },
+        {
+          type: 'field_input',
+          name: 'X_AXIS',
+          text: msg.get('x_axis')
+        },
+        {
+          type: 'field_input',
+          name: 'Y_AXIS',
+          text: msg.get('y_axis')
+        },
+        {
+          type: 'field_input',
+          name: 'COLUMN',
+          text: msg.get('plot_heatmap.column')
+        }
+      ],
+      message1: msg.get('facet'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'FACET',
+          text: ''
+        }
+      ],
+      message2: '%1',
+      args2: [
+        {
+          type: 'input_statement',
+          name: 'OPTIONS',
+          check: 'PlotOption'
+        }
+      ],
+      inputsInline: true,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'plot_block',
+      tooltip: msg.get('plot_heatmap.tooltip'),
+      helpUrl: './guide/#heatmap',
+      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS', 'validate_COLUMN', 'validate_FACET']
     },
 
     // Histogram plot
@@ -261,13 +605,80 @@ const setup = (language) => {
           value: 10
         }
       ],
+      message1: msg.get('facet'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'FACET',
+          text: ''
+        }
+      ],
+      message2: '%1',
+      args2: [
+        {
+          type: 'input_statement',
+          name: 'OPTIONS',
+          check: 'PlotOption'
+        }
+      ],
       inputsInline: true,
       previousStatement: null,
       nextStatement: null,
       style: 'plot_block',
       tooltip: msg.get('plot_histogram.tooltip'),
       helpUrl: './guide/#histogram',
-      extensions: ['validate_NAME', 'validate_COLUMN']
+      extensions: ['validate_NAME', 'validate_COLUMN', 'validate_FACET']
+    },
+
+    // Line plot
+    {
+      type: 'plot_line',
+      message0: msg.get('plot_line.message0'),
+      args0: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('name')
+        },
+        {
+          type: 'field_input',
+          name: 'X_AXIS',
+          text: msg.get('x_axis')
+        },
+        {
+          type: 'field_input',
+          name: 'Y_AXIS',
+          text: msg.get('y_axis')
+        },
+        {
+          type: 'field_input',
+          name: 'COLOR',
+          text: ''
+        }
+      ],
+      message1: msg.get('facet'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'FACET',
+          text: ''
+        }
+      ],
+      message2: '%1',
+      args2: [
+        {
+          type: 'input_statement',
+          name: 'OPTIONS',
+          check: 'PlotOption'
+        }
+      ],
+      inputsInline: true,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'plot_block',
+      tooltip: msg.get('plot_line.tooltip'),
+      helpUrl: './guide/#line',
+      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS', 'validate_COLOR', 'validate_FACET']
     },
 
     // Scatter plot
@@ -301,22 +712,170 @@ const setup = (language) => {
           checked: false
         }
       ],
+      message1: msg.get('facet'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'FACET',
+          text: ''
+        }
+      ],
+      message2: '%1',
+      args2: [
+        {
+          type: 'input_statement',
+          name: 'OPTIONS',
+          check: 'PlotOption'
+        }
+      ],
       inputsInline: true,
       previousStatement: null,
       nextStatement: null,
       style: 'plot_block',
       tooltip: msg.get('plot_scatter.tooltip'),
       helpUrl: './guide/#scatter',
-      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS', 'validate_COLOR']
+      extensions: ['validate_NAME', 'validate_X_AXIS', 'validate_Y_AXIS', 'validate_COLOR', 'validate_FACET']
+    },
+
+    // Axis title option
+    {
+      type: 'plot_axis_title',
+      message0: msg.get('plot_axis_title.message0'),
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'AXIS',
+          options: PLOT_AXES
+        },
+        {
+          type: 'field_input',
+          name: 'TEXT',
+          text: ''
+        }
+      ],
+      inputsInline: true,
+      previousStatement: 'PlotOption',
+      nextStatement: 'PlotOption',
+      style: 'plot_block',
+      tooltip: msg.get('plot_axis_title.tooltip'),
+      helpUrl: './guide/#options'
+    },
+
+    // Color scheme option
+    {
+      type: 'plot_color_scheme',
+      message0: msg.get('plot_color_scheme.message0'),
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'SCHEME',
+          options: COLOR_SCHEMES.map(scheme => [scheme, scheme])
+        }
+      ],
+      inputsInline: true,
+      previousStatement: 'PlotOption',
+      nextStatement: 'PlotOption',
+      style: 'plot_block',
+      tooltip: msg.get('plot_color_scheme.tooltip'),
+      helpUrl: './guide/#options'
+    },
+
+    // Axis domain option
+    {
+      type: 'plot_domain',
+      message0: msg.get('plot_domain.message0'),
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'AXIS',
+          options: PLOT_AXES
+        },
+        {
+          type: 'field_number',
+          name: 'LOW',
+          value: 0
+        },
+        {
+          type: 'field_number',
+          name: 'HIGH',
+          value: 100
+        }
+      ],
+      inputsInline: true,
+      previousStatement: 'PlotOption',
+      nextStatement: 'PlotOption',
+      style: 'plot_block',
+      tooltip: msg.get('plot_domain.tooltip'),
+      helpUrl: './guide/#options'
+    },
+
+    // Axis scale option
+    {
+      type: 'plot_scale',
+      message0: msg.get('plot_scale.message0'),
+      args0: [
+        {
+          type: 'field_dropdown',
+          name: 'AXIS',
+          options: PLOT_AXES
+        },
+        {
+          type: 'field_dropdown',
+          name: 'SCALE',
+          options: [
+            ['linear', 'linear'],
+            ['log', 'log'],
+            ['sqrt', 'sqrt']
+          ]
+        }
+      ],
+      inputsInline: true,
+      previousStatement: 'PlotOption',
+      nextStatement: 'PlotOption',
+      style: 'plot_block',
+      tooltip: msg.get('plot_scale.tooltip'),
+      helpUrl: './guide/#options'
+    },
+
+    // Title option
+    {
+      type: 'plot_title',
+      message0: msg.get('plot_title.message0'),
+      args0: [
+        {
+          type: 'field_input',
+          name: 'TEXT',
+          text: ''
+        }
+      ],
+      inputsInline: true,
+      previousStatement: 'PlotOption',
+      nextStatement: 'PlotOption',
+      style: 'plot_block',
+      tooltip: msg.get('plot_title.tooltip'),
+      helpUrl: './guide/#options'
     }
   ])
 
+  // Area plot
+  Blockly.TidyBlocks['plot_area'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const xAxis = block.getFieldValue('X_AXIS')
+    const yAxis = block.getFieldValue('Y_AXIS')
+    const color = block.getFieldValue('COLOR')
+    const facet = block.getFieldValue('FACET')
+    const options = statementsToCode(block, 'OPTIONS')
+    return `["@transform", "area", "${name}", "${xAxis}", "${yAxis}", "${color}", "${facet}", ${options}]`
+  }
+
   // Bar plot
   Blockly.TidyBlocks['plot_bar'] = (block) => {
     const name = block.getFieldValue('NAME')
     const xAxis = block.getFieldValue('X_AXIS')
     const yAxis = block.getFieldValue('Y_AXIS')
-    return `["@transform", "bar", "${name}", "${xAxis}", "${yAxis}"]`
+    const facet = block.getFieldValue('FACET')
+    const options = statementsToCode(block, 'OPTIONS')
+    return `["@transform", "bar", "${name}", "${xAxis}", "${yAxis}", "${facet}", ${options}]`
   }
 
   // Box plot
@@ -324,14 +883,29 @@ const setup = (language) => {
     const name = block.getFieldValue('NAME')
     const xAxis = block.getFieldValue('X_AXIS')
     const yAxis = block.getFieldValue('Y_AXIS')
-    return `["@transform", "box", "${name}", "${xAxis}", "${yAxis}"]`
+    const facet = block.getFieldValue('FACET')
+    const options = statementsToCode(block, 'OPTIONS')
+    return `["@transform", "box", "${name}", "${xAxis}", "${yAxis}", "${facet}", ${options}]`
   }
 
   // Dot plot
   Blockly.TidyBlocks['plot_dot'] = (block) => {
     const name = block.getFieldValue('NAME')
     const xAxis = block.getFieldValue('X_AXIS')
-    return `["@transform", "dot", "${name}", "${xAxis}"]`
+    const facet = block.getFieldValue('FACET')
+    const options = statementsToCode(block, 'OPTIONS')
+    return `["@transform", "dot", "${name}", "${xAxis}", "${facet}", ${options}]`
+  }
+
+  // Heatmap
+  Blockly.TidyBlocks['plot_heatmap'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const xAxis = block.getFieldValue('X_AXIS')
+    const yAxis = block.getFieldValue('Y_AXIS')
+    const column = block.getFieldValue('COLUMN')
+    const facet = block.getFieldValue('FACET')
+    const options = statementsToCode(block, 'OPTIONS')
+    return `["@transform", "heatmap", "${name}", "${xAxis}", "${yAxis}", "${column}", "${facet}", ${options}]`
   }
 
   // Histogram plot
@@ -339,7 +913,20 @@ const setup = (language) => {
     const name = block.getFieldValue('NAME')
     const column = block.getFieldValue('COLUMN')
     const bins = parseFloat(block.getFieldValue('BINS'))
-    return `["@transform", "histogram", "${name}", "${column}", ${bins}]`
+    const facet = block.getFieldValue('FACET')
+    const options = statementsToCode(block, 'OPTIONS')
+    return `["@transform", "histogram", "${name}", "${column}", ${bins}, "${facet}", ${options}]`
+  }
+
+  // Line plot
+  Blockly.TidyBlocks['plot_line'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const xAxis = block.getFieldValue('X_AXIS')
+    const yAxis = block.getFieldValue('Y_AXIS')
+    const color = block.getFieldValue('COLOR')
+    const facet = block.getFieldValue('FACET')
+    const options = statementsToCode(block, 'OPTIONS')
+    return `["@transform", "line", "${name}", "${xAxis}", "${yAxis}", "${color}", "${facet}", ${options}]`
   }
 
   // Scatter plot
@@ -349,7 +936,43 @@ const setup = (language) => {
     const yAxis = block.getFieldValue('Y_AXIS')
     const color = block.getFieldValue('COLOR')
     const lm = (block.getFieldValue('REGRESSION') === 'TRUE')
-    return `["@transform", "scatter", "${name}", "${xAxis}", "${yAxis}", "${color}", ${lm}]`
+    const facet = block.getFieldValue('FACET')
+    const options = statementsToCode(block, 'OPTIONS')
+    return `["@transform", "scatter", "${name}", "${xAxis}", "${yAxis}", "${color}", ${lm}, "${facet}", ${options}]`
+  }
+
+  // Axis title option
+  Blockly.TidyBlocks['plot_axis_title'] = (block) => {
+    const axis = block.getFieldValue('AXIS')
+    const text = block.getFieldValue('TEXT')
+    return `["axisTitle", "${axis}", "${text}"]`
+  }
+
+  // Color scheme option
+  Blockly.TidyBlocks['plot_color_scheme'] = (block) => {
+    const scheme = block.getFieldValue('SCHEME')
+    return `["colorScheme", "${scheme}"]`
+  }
+
+  // Axis domain option
+  Blockly.TidyBlocks['plot_domain'] = (block) => {
+    const axis = block.getFieldValue('AXIS')
+    const low = parseFloat(block.getFieldValue('LOW'))
+    const high = parseFloat(block.getFieldValue('HIGH'))
+    return `["domain", "${axis}", ${low}, ${high}]`
+  }
+
+  // Axis scale option
+  Blockly.TidyBlocks['plot_scale'] = (block) => {
+    const axis = block.getFieldValue('AXIS')
+    const scale = block.getFieldValue('SCALE')
+    return `["scale", "${axis}", "${scale}"]`
+  }
+
+  // Title option
+  Blockly.TidyBlocks['plot_title'] = (block) => {
+    const text = block.getFieldValue('TEXT')
+    return `["title", "${text}"]`
   }
 }
 
@@ -3,13 +3,79 @@
 const Blockly = require('blockly/blockly_compressed')
 
 const {
-  Messages
+  Messages,
+  formatMultiColNames
 } = require('./helpers')
 
+/**
+ * Methods for correlation tests (must match `statistics.CORRELATION_METHODS`).
+ */
+const CORRELATION_METHODS = [['Pearson', 'pearson'], ['Spearman', 'spearman']]
+
 /**
  * Lookup table for message strings.
  */
 const MESSAGES = {
+  alternative: {
+    message: {
+      ar: 'الفرضية البديلة %1',
+      el: 'εναλλακτική υπόθεση %1',
+      en: 'alternative %1',
+      es: 'alternativa %1',
+      it: 'alternativa %1',
+      ko: '대립가설 %1',
+      pt: 'alternativa %1'
+    },
+    two_sided: {
+      ar: 'ذو اتجاهين',
+      el: 'δίπλευρη',
+      en: 'two-sided',
+      es: 'bilateral',
+      it: 'bilaterale',
+      ko: '양측',
+      pt: 'bilateral'
+    },
+    less: {
+      ar: 'أصغر',
+      el: 'μικρότερη',
+      en: 'less',
+      es: 'menor',
+      it: 'minore',
+      ko: '작음',
+      pt: 'menor'
+    },
+    greater: {
+      ar: 'أكبر',
+      el: 'μεγαλύτερη',
+      en: 'greater',
+      es: 'mayor',
+      it: 'maggiore',
+      ko: '큼',
+      pt: 'maior'
+    }
+  },
+  welch: {
+    message: {
+      ar: 'تباينات غير متساوية (ويلش) %1',
+      el: 'άνισες διακυμάνσεις (Welch) %1',
+      en: 'unequal variances (Welch) %1',
+      es: 'varianzas desiguales (Welch) %1',
+      it: 'varianze diverse (Welch) %1',
+      ko: '등분산 아님 (Welch) %1',
+      pt: 'variâncias desiguais (Welch) %1'
+    }
+  },
+  standardize: {
+    message: {
+      ar: 'توحيد القيم %1',
+      el: 'τυποποίηση %1',
+      en: 'standardize %1',
+      es: 'estandarizar %1',
+      it: 'standardizza %1',
+      ko: '표준화 %1',
+      pt: 'padronizar %1'
+    }
+  },
   stats_ttest_one: {
     message0: {
       ar: 'إختبار (ت) لعينه واحده',
@@ -48,13 +114,13 @@ const MESSAGES = {
       pt: 'coluna'
     },
     tooltip: {
-      ar: 'إختبار (ت) ذو الاتجاهين لعينه واحده',
-      el: 'Έλεγχος t-test ενός δείγματος με συντελεστή δίπλευρης σημαντικότητας',
-      en: 'perform one-sample two-sided t-test',
-      es: 'hacer t-test para una muestra dos colas',
-      it: 'eseguire il t-test su un solo campione su due lati',
-      ko: '독립표본 양측 t-검정 수행',
-      pt: 'fazer teste-t bilateral de amostra única'
+      ar: 'إختبار (ت) لعينه واحده',
+      el: 'Έλεγχος t-test ενός δείγματος',
+      en: 'perform one-sample t-test',
+      es: 'hacer t-test para una muestra',
+      it: 'eseguire il t-test su un solo campione',
+      ko: '독립표본 t-검정 수행',
+      pt: 'fazer teste-t de amostra única'
     }
   },
   stats_ttest_two: {
@@ -104,13 +170,434 @@ const MESSAGES = {
       pt: 'coluna'
     },
     tooltip: {
-      ar: 'إختبار (ت) ذو الإتجاهين لعينتين',
-      el: 'Έλεγχος t-test δύο δειγμάτων με συντελεστή δίπλευρης σημαντικότητας',
-      en: 'perform two-sample two-sided t-test',
-      es: 'hacer t-test para dos muestras dos colas',
-      it: 'eseguire un t-test a due campioni su due lati',
-      ko: '이표본 양측 t-검정 수행',
-      pt: 'fazer teste-t bilateral de duas amostras'
+      ar: 'إختبار (ت) لعينتين مستقلتين',
+      el: 'Έλεγχος t-test δύο ανεξάρτητων δειγμάτων',
+      en: 'perform t-test on two independent groups',
+      es: 'hacer t-test para dos muestras independientes',
+      it: 'eseguire un t-test su due campioni indipendenti',
+      ko: '독립 이표본 t-검정 수행',
+      pt: 'fazer teste-t de duas amostras independentes'
+    }
+  },
+  stats_ttest_paired: {
+    message0: {
+      ar: 'إختبار (ت) للعينات المزدوجة',
+      el: 'Έλεγχος t-test ζευγαρωμένων δειγμάτων',
+      en: 'Paired t-test',
+      es: 'T-test para muestras pareadas',
+      it: 'T-test per campioni appaiati',
+      ko: '대응표본 t-검정',
+      pt: 'Teste-T pareado'
+    },
+    message1: {
+      ar: 'الإسم %1 الأعمدة %2 %3',
+      el: 'όνομα %1 στήλες %2 %3',
+      en: 'name %1 columns %2 %3',
+      es: 'nombre %1 columnas %2 %3',
+      it: 'nome %1 colonne %2 %3',
+      ko: '이름 %1 열 %2 %3',
+      pt: 'nome %1 colunas %2 %3'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_column: {
+      ar: 'العمود',
+      el: 'στήλη',
+      en: 'column',
+      es: 'columna',
+      it: 'colonna',
+      ko: '열',
+      pt: 'coluna'
+    },
+    tooltip: {
+      ar: 'إختبار (ت) للقيم المزدوجة في عمودين',
+      el: 'Έλεγχος t-test ζευγαρωμένων τιμών σε δύο στήλες',
+      en: 'perform t-test on paired values in two columns',
+      es: 'hacer t-test para valores pareados en dos columnas',
+      it: 'eseguire il t-test su valori appaiati in due colonne',
+      ko: '두 열의 짝지은 값에 대해 t-검정 수행',
+      pt: 'fazer teste-t de valores pareados em duas colunas'
+    }
+  },
+  stats_linear_regression: {
+    message0: {
+      ar: 'الانحدار الخطي',
+      el: 'Γραμμική παλινδρόμηση',
+      en: 'Linear regression',
+      es: 'Regresión lineal',
+      it: 'Regressione lineare',
+      ko: '선형 회귀',
+      pt: 'Regressão linear'
+    },
+    message1: {
+      ar: 'الإسم %1 ص %2 س %3',
+      el: 'όνομα %1 Ψ %2 Χ %3',
+      en: 'name %1 Y %2 X %3',
+      es: 'nombre %1 Y %2 X %3',
+      it: 'nome %1 Y %2 X %3',
+      ko: '이름 %1 Y %2 X %3',
+      pt: 'nome %1 Y %2 X %3'
+    },
+    message2: {
+      ar: 'القيم المطابقة %1 البواقي %2',
+      el: 'προσαρμοσμένες τιμές %1 υπόλοιπα %2',
+      en: 'fitted %1 residuals %2',
+      es: 'ajustados %1 residuos %2',
+      it: 'valori stimati %1 residui %2',
+      ko: '적합값 %1 잔차 %2',
+      pt: 'ajustados %1 resíduos %2'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_response: {
+      ar: 'الاستجابة',
+      el: 'απόκριση',
+      en: 'response',
+      es: 'respuesta',
+      it: 'risposta',
+      ko: '반응',
+      pt: 'resposta'
+    },
+    args1_predictors: {
+      ar: 'المتنبئات',
+      el: 'προβλεπτικές',
+      en: 'predictors',
+      es: 'predictores',
+      it: 'predittori',
+      ko: '예측변수',
+      pt: 'preditores'
+    },
+    tooltip: {
+      ar: 'ملاءمة نموذج خطي وحفظ معاملاته',
+      el: 'προσάρμοσε γραμμικό μοντέλο και αποθήκευσε τους συντελεστές του',
+      en: 'fit a linear model and save its coefficients',
+      es: 'ajustar un modelo lineal y guardar sus coeficientes',
+      it: 'adatta un modello lineare e salva i suoi coefficienti',
+      ko: '선형 모형을 적합하고 계수 저장',
+      pt: 'ajustar um modelo linear e salvar seus coeficientes'
+    }
+  },
+  stats_chisq: {
+    message0: {
+      ar: 'اختبار مربع كاي',
+      el: 'Έλεγχος χ-τετράγωνο',
+      en: 'Chi-square test',
+      es: 'Prueba de chi-cuadrado',
+      it: 'Test del chi-quadrato',
+      ko: '카이제곱 검정',
+      pt: 'Teste qui-quadrado'
+    },
+    message1: {
+      ar: 'الإسم %1 الأعمدة %2 %3',
+      el: 'όνομα %1 στήλες %2 %3',
+      en: 'name %1 columns %2 %3',
+      es: 'nombre %1 columnas %2 %3',
+      it: 'nome %1 colonne %2 %3',
+      ko: '이름 %1 열 %2 %3',
+      pt: 'nome %1 colunas %2 %3'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_column: {
+      ar: 'العمود',
+      el: 'στήλη',
+      en: 'column',
+      es: 'columna',
+      it: 'colonna',
+      ko: '열',
+      pt: 'coluna'
+    },
+    tooltip: {
+      ar: 'اختبار استقلال عمودين فئويين',
+      el: 'έλεγξε αν δύο κατηγορικές στήλες είναι ανεξάρτητες',
+      en: 'test whether two categorical columns are independent',
+      es: 'probar si dos columnas categóricas son independientes',
+      it: 'verifica se due colonne categoriche sono indipendenti',
+      ko: '두 범주형 열이 독립인지 검정',
+      pt: 'testar se duas colunas categóricas são independentes'
+    }
+  },
+  stats_anova: {
+    message0: {
+      ar: 'تحليل التباين الأحادي',
+      el: 'Ανάλυση διακύμανσης ενός παράγοντα',
+      en: 'One-way ANOVA',
+      es: 'ANOVA de un factor',
+      it: 'ANOVA a una via',
+      ko: '일원 분산분석',
+      pt: 'ANOVA de um fator'
+    },
+    message1: {
+      ar: 'الإسم %1 المجموعات %2 القيم %3',
+      el: 'όνομα %1 ομάδες %2 τιμές %3',
+      en: 'name %1 groups %2 values %3',
+      es: 'nombre %1 grupos %2 valores %3',
+      it: 'nome %1 gruppi %2 valori %3',
+      ko: '이름 %1 그룹 %2 값 %3',
+      pt: 'nome %1 grupos %2 valores %3'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_group: {
+      ar: 'المجموعة',
+      el: 'ομάδα',
+      en: 'group',
+      es: 'grupo',
+      it: 'gruppo',
+      ko: '그룹',
+      pt: 'grupo'
+    },
+    args1_value: {
+      ar: 'القيمة',
+      el: 'τιμή',
+      en: 'value',
+      es: 'valor',
+      it: 'valore',
+      ko: '값',
+      pt: 'valor'
+    },
+    tooltip: {
+      ar: 'اختبار اختلاف متوسطات عدة مجموعات',
+      el: 'έλεγξε αν διαφέρουν οι μέσοι όροι πολλών ομάδων',
+      en: 'test whether the means of several groups differ',
+      es: 'probar si las medias de varios grupos difieren',
+      it: 'verifica se le medie di più gruppi differiscono',
+      ko: '여러 그룹의 평균이 다른지 검정',
+      pt: 'testar se as médias de vários grupos diferem'
+    }
+  },
+  stats_mann_whitney: {
+    message0: {
+      ar: 'اختبار مان ويتني',
+      el: 'Έλεγχος Mann-Whitney U',
+      en: 'Mann-Whitney U test',
+      es: 'Prueba U de Mann-Whitney',
+      it: 'Test U di Mann-Whitney',
+      ko: '만-위트니 U 검정',
+      pt: 'Teste U de Mann-Whitney'
+    },
+    message1: {
+      ar: 'الإسم %1 المجموعات %2 القيم %3',
+      el: 'όνομα %1 ομάδες %2 τιμές %3',
+      en: 'name %1 groups %2 values %3',
+      es: 'nombre %1 grupos %2 valores %3',
+      it: 'nome %1 gruppi %2 valori %3',
+      ko: '이름 %1 그룹 %2 값 %3',
+      pt: 'nome %1 grupos %2 valores %3'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_group: {
+      ar: 'المجموعة',
+      el: 'ομάδα',
+      en: 'group',
+      es: 'grupo',
+      it: 'gruppo',
+      ko: '그룹',
+      pt: 'grupo'
+    },
+    args1_value: {
+      ar: 'القيمة',
+      el: 'τιμή',
+      en: 'value',
+      es: 'valor',
+      it: 'valore',
+      ko: '값',
+      pt: 'valor'
+    },
+    tooltip: {
+      ar: 'اختبار اختلاف قيم مجموعتين دون افتراض التوزيع الطبيعي',
+      el: 'έλεγξε αν διαφέρουν οι τιμές δύο ομάδων χωρίς υπόθεση κανονικότητας',
+      en: 'test whether values in two groups differ without assuming normality',
+      es: 'probar si los valores de dos grupos difieren sin suponer normalidad',
+      it: 'verifica se i valori di due gruppi differiscono senza assumere la normalità',
+      ko: '정규성을 가정하지 않고 두 그룹의 값이 다른지 검정',
+      pt: 'testar se os valores de dois grupos diferem sem supor normalidade'
+    }
+  },
+  stats_wilcoxon: {
+    message0: {
+      ar: 'اختبار ويلكوكسون للرتب ذات الإشارة',
+      el: 'Έλεγχος προσημασμένης τάξης Wilcoxon',
+      en: 'Wilcoxon signed-rank test',
+      es: 'Prueba de rangos con signo de Wilcoxon',
+      it: 'Test dei ranghi con segno di Wilcoxon',
+      ko: '윌콕슨 부호순위 검정',
+      pt: 'Teste de postos sinalizados de Wilcoxon'
+    },
+    message1: {
+      ar: 'الإسم %1 الأعمدة %2 %3',
+      el: 'όνομα %1 στήλες %2 %3',
+      en: 'name %1 columns %2 %3',
+      es: 'nombre %1 columnas %2 %3',
+      it: 'nome %1 colonne %2 %3',
+      ko: '이름 %1 열 %2 %3',
+      pt: 'nome %1 colunas %2 %3'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_column: {
+      ar: 'العمود',
+      el: 'στήλη',
+      en: 'column',
+      es: 'columna',
+      it: 'colonna',
+      ko: '열',
+      pt: 'coluna'
+    },
+    tooltip: {
+      ar: 'اختبار اختلاف القيم المزدوجة دون افتراض التوزيع الطبيعي',
+      el: 'έλεγξε αν διαφέρουν ζευγαρωμένες τιμές χωρίς υπόθεση κανονικότητας',
+      en: 'test whether paired values differ without assuming normality',
+      es: 'probar si valores pareados difieren sin suponer normalidad',
+      it: 'verifica se valori appaiati differiscono senza assumere la normalità',
+      ko: '정규성을 가정하지 않고 짝지은 값이 다른지 검정',
+      pt: 'testar se valores pareados diferem sem supor normalidade'
+    }
+  },
+  stats_kruskal_wallis: {
+    message0: {
+      ar: 'اختبار كروسكال واليس',
+      el: 'Έλεγχος Kruskal-Wallis',
+      en: 'Kruskal-Wallis test',
+      es: 'Prueba de Kruskal-Wallis',
+      it: 'Test di Kruskal-Wallis',
+      ko: '크러스컬-월리스 검정',
+      pt: 'Teste de Kruskal-Wallis'
+    },
+    message1: {
+      ar: 'الإسم %1 المجموعات %2 القيم %3',
+      el: 'όνομα %1 ομάδες %2 τιμές %3',
+      en: 'name %1 groups %2 values %3',
+      es: 'nombre %1 grupos %2 valores %3',
+      it: 'nome %1 gruppi %2 valori %3',
+      ko: '이름 %1 그룹 %2 값 %3',
+      pt: 'nome %1 grupos %2 valores %3'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_group: {
+      ar: 'المجموعة',
+      el: 'ομάδα',
+      en: 'group',
+      es: 'grupo',
+      it: 'gruppo',
+      ko: '그룹',
+      pt: 'grupo'
+    },
+    args1_value: {
+      ar: 'القيمة',
+      el: 'τιμή',
+      en: 'value',
+      es: 'valor',
+      it: 'valore',
+      ko: '값',
+      pt: 'valor'
+    },
+    tooltip: {
+      ar: 'اختبار اختلاف قيم عدة مجموعات دون افتراض التوزيع الطبيعي',
+      el: 'έλεγξε αν διαφέρουν οι τιμές πολλών ομάδων χωρίς υπόθεση κανονικότητας',
+      en: 'test whether values in several groups differ without assuming normality',
+      es: 'probar si los valores de varios grupos difieren sin suponer normalidad',
+      it: 'verifica se i valori di più gruppi differiscono senza assumere la normalità',
+      ko: '정규성을 가정하지 않고 여러 그룹의 값이 다른지 검정',
+      pt: 'testar se os valores de vários grupos diferem sem supor normalidade'
+    }
+  },
+  stats_correlation: {
+    message0: {
+      ar: 'اختبار الارتباط',
+      el: 'Έλεγχος συσχέτισης',
+      en: 'Correlation test',
+      es: 'Prueba de correlación',
+      it: 'Test di correlazione',
+      ko: '상관 검정',
+      pt: 'Teste de correlação'
+    },
+    message1: {
+      ar: 'الإسم %1 الأعمدة %2 %3 الطريقة %4',
+      el: 'όνομα %1 στήλες %2 %3 μέθοδος %4',
+      en: 'name %1 columns %2 %3 method %4',
+      es: 'nombre %1 columnas %2 %3 método %4',
+      it: 'nome %1 colonne %2 %3 metodo %4',
+      ko: '이름 %1 열 %2 %3 방법 %4',
+      pt: 'nome %1 colunas %2 %3 método %4'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_column: {
+      ar: 'العمود',
+      el: 'στήλη',
+      en: 'column',
+      es: 'columna',
+      it: 'colonna',
+      ko: '열',
+      pt: 'coluna'
+    },
+    tooltip: {
+      ar: 'اختبار ارتباط عمودين',
+      el: 'έλεγξε αν δύο στήλες συσχετίζονται',
+      en: 'test whether two columns are correlated',
+      es: 'probar si dos columnas están correlacionadas',
+      it: 'verifica se due colonne sono correlate',
+      ko: '두 열이 상관되어 있는지 검정',
+      pt: 'testar se duas colunas estão correlacionadas'
     }
   },
   stats_k_means: {
@@ -124,31 +611,31 @@ const MESSAGES = {
       pt: 'agrupamento por k-means'
     },
     message1: {
-      ar: 'س %1 ص %2 الرقم %3 الفئه %4',
-      el: 'Χ %1 Ψ %2 αριθμός %3 ετικέτα %4',
-      en: 'X %1 Y %2 number %3 label %4',
-      es: 'X %1 Y %2 numero %3 etiqueta %4',
-      // TRANSLATE ko
-      it: 'X %1 Y %2 numero %3 etichetta %4',
-      pt: 'X %1 Y %2 número %3 rótulo %4'
-    },
-    args1_x: {
-      ar: 'المحور الأفقي',
-      el: 'άξονας Χ',
-      en: 'X axis',
-      es: 'eje X',
-      it: 'asse X',
-      ko: 'X축',
-      pt: 'eixo X'
-    },
-    args1_y: {
-      ar: 'المحور الرأسي',
-      el: 'άξονας Ψ',
-      en: 'Y axis',
-      es: 'eje Y',
-      it: 'asse Y',
-      ko: 'Y축',
-      pt: 'eixo Y'
+      ar: 'الإسم %1 الأعمدة %2 الرقم %3 الفئه %4',
+      el: 'όνομα %1 στήλες %2 αριθμός %3 ετικέτα %4',
+      en: 'name %1 columns %2 number %3 label %4',
+      es: 'nombre %1 columnas %2 numero %3 etiqueta %4',
+      it: 'nome %1 colonne %2 numero %3 etichetta %4',
+      ko: '이름 %1 열 %2 개수 %3 라벨 %4',
+      pt: 'nome %1 colunas %2 número %3 rótulo %4'
+    },
+    args1_name: {
+      ar: 'الإسم',
+      el: 'όνομα',
+      en: 'name',
+      es: 'nombre',
+      it: 'nome',
+      ko: '이름',
+      pt: 'nome'
+    },
+    args1_columns: {
+      ar: 'عمود, عمود',
+      el: 'στήλη, στήλη',
+      en: 'column, column',
+      es: 'columna, columna',
+      it: 'colonna, colonna',
+      ko: '열, 열',
+      pt: 'coluna, coluna'
     },
     args1_label: {
       ar: 'الفئه',
@@ -180,31 +667,22 @@ const MESSAGES = {
       pt: 'silhueta'
     },
     message1: {
-      ar: 'س %1 ص %2 الفئه %3 النتيجه\المعدل %4',
-      el: 'Χ %1 Ψ %2 ετικέτα %3 αποτέλεσμα %4',
-      en: 'X %1 Y %2 label %3 score %4',
-      es: 'X %1 Y %2 etiqueta %3 puntuación %4',
-      // TRANSLATE ko
-      it: 'X %1 Y %2 etichetta %3 punteggio %4',
-      pt: 'X %1 Y %2 rótulo %3 pontuação %4'
-    },
-    args1_x: {
-      ar: 'المحور الأفقي',
-      el: 'άξονας Χ',
-      en: 'X axis',
-      es: 'eje X',
-      it: 'asse X',
-      ko: 'X축',
-      pt: 'eixo X'
-    },
-    args1_y: {
-      ar: 'المحور الرأسي',
-      el: 'άξονας Ψ',
-      en: 'Y axis',
-      es: 'eje Y',
-      it: 'asse Y',
-      ko: 'Y축',
-      pt: 'eixo Y'
+      ar: 'الأعمدة %1 الفئه %2 النتيجه\المعدل %3',
+      el: 'στήλες %1 ετικέτα %2 αποτέλεσμα %3',
+      en: 'columns %1 label %2 score %3',
+      es: 'columnas %1 etiqueta %2 puntuación %3',
+      it: 'colonne %1 etichetta %2 punteggio %3',
+      ko: '열 %1 라벨 %2 점수 %3',
+      pt: 'colunas %1 rótulo %2 pontuação %3'
+    },
+    args1_columns: {
+      ar: 'عمود, عمود',
+      el: 'στήλη, στήλη',
+      en: 'column, column',
+      es: 'columna, columna',
+      it: 'colonna, colonna',
+      ko: '열, 열',
+      pt: 'coluna, coluna'
     },
     args1_label: {
       ar: 'الفئه',
@@ -225,17 +703,33 @@ const MESSAGES = {
       pt: 'pontuação'
     },
     tooltip: {
-      ar: 'حساب معدل رسم الصورة الظلية لتصنيف ذو بعدين',
-      el: 'υπολόγισε το σκορ σιλουέτας των συστάδων δύο διαστάσεων',
-      en: 'calculate silhouette score of 2D clusters',
-      es: 'calcular la puntuación de la silueta de los clústeres 2D',
+      ar: 'حساب معدل رسم الصورة الظلية للتصنيف',
+      el: 'υπολόγισε το σκορ σιλουέτας των συστάδων',
+      en: 'calculate silhouette score of clusters',
+      es: 'calcular la puntuación de la silueta de los clústeres',
       // TRANSLATE ko
-      it: 'calcola il punteggio silhouette per i raggruppamenti 2D',
-      pt: 'calcular a pontuação de silhueta dos agrupamentos 2D'
+      it: 'calcola il punteggio silhouette per i raggruppamenti',
+      pt: 'calcular a pontuação de silhueta dos agrupamentos'
     }
   }
 }
 
+/**
+ * Create the drop-down for choosing the alternative hypothesis of a t-test.
+ * @param {Messages} msg Message lookup for the current language.
+ */
+const alternativeDropdown = (msg) => {
+  return {
+    type: 'field_dropdown',
+    name: 'ALTERNATIVE',
+    options: [
+      [msg.get('alternative.two_sided'), 'two-sided'],
+      [msg.get('alternative.less'), 'less'],
+      [msg.get('alternative.greater'), 'greater']
+    ]
+  }
+}
+
 /**
  * Define statistics blocks.
  * @param {string} language Two-letter language code to use for string lookups.
@@ -243,7 +737,7 @@ const MESSAGES = {
 const setup = (language) => {
   const msg = new Messages(MESSAGES, language, 'en')
   Blockly.defineBlocksWithJsonArray([
-    // One-sample two-sided t-test
+    // One-sample t-test
     {
       type: 'stats_ttest_one',
       message0: msg.get('stats_ttest_one.message0'),
@@ -266,6 +760,10 @@ const setup = (language) => {
           value: 0.0
         }
       ],
+      message2: msg.get('alternative.message'),
+      args2: [
+        alternativeDropdown(msg)
+      ],
       inputsInline: false,
       previousStatement: null,
       nextStatement: null,
@@ -274,7 +772,7 @@ const setup = (language) => {
       helpUrl: './guide/#ttest_one'
     },
 
-    // Two-sample two-sided t-test
+    // Two-sample t-test
     {
       type: 'stats_ttest_two',
       message0: msg.get('stats_ttest_two.message0'),
@@ -297,6 +795,18 @@ const setup = (language) => {
           text: msg.get('stats_ttest_two.args1_column')
         }
       ],
+      message2: msg.get('welch.message'),
+      args2: [
+        {
+          type: 'field_checkbox',
+          name: 'WELCH',
+          checked: false
+        }
+      ],
+      message3: msg.get('alternative.message'),
+      args3: [
+        alternativeDropdown(msg)
+      ],
       inputsInline: false,
       previousStatement: null,
       nextStatement: null,
@@ -305,6 +815,318 @@ const setup = (language) => {
       helpUrl: './guide/#ttest_two'
     },
 
+    // Paired t-test
+    {
+      type: 'stats_ttest_paired',
+      message0: msg.get('stats_ttest_paired.message0'),
+      args0: [],
+      message1: msg.get('stats_ttest_paired.message1'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('stats_ttest_paired.args1_name')
+        },
+        {
+          type: 'field_input',
+          name: 'FIRST_COLUMN',
+          text: msg.get('stats_ttest_paired.args1_column')
+        },
+        {
+          type: 'field_input',
+          name: 'SECOND_COLUMN',
+          text: msg.get('stats_ttest_paired.args1_column')
+        }
+      ],
+      message2: msg.get('alternative.message'),
+      args2: [
+        alternativeDropdown(msg)
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'stats_blocks',
+      tooltip: msg.get('stats_ttest_paired.tooltip'),
+      helpUrl: './guide/#ttest_paired',
+      extensions: [
+        'validate_NAME',
+        'validate_FIRST_COLUMN',
+        'validate_SECOND_COLUMN'
+      ]
+    },
+
+    // Linear regression
+    {
+      type: 'stats_linear_regression',
+      message0: msg.get('stats_linear_regression.message0'),
+      args0: [],
+      message1: msg.get('stats_linear_regression.message1'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('stats_linear_regression.args1_name')
+        },
+        {
+          type: 'field_input',
+          name: 'COLUMN',
+          text: msg.get('stats_linear_regression.args1_response')
+        },
+        {
+          type: 'field_input',
+          name: 'MULTIPLE_COLUMNS',
+          text: msg.get('stats_linear_regression.args1_predictors')
+        }
+      ],
+      message2: msg.get('stats_linear_regression.message2'),
+      args2: [
+        {
+          type: 'field_input',
+          name: 'FITTED',
+          text: ''
+        },
+        {
+          type: 'field_input',
+          name: 'RESIDUALS',
+          text: ''
+        }
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'stats_blocks',
+      tooltip: msg.get('stats_linear_regression.tooltip'),
+      helpUrl: './guide/#linear_regression',
+      extensions: [
+        'validate_NAME',
+        'validate_COLUMN',
+        'validate_MULTIPLE_COLUMNS',
+        'validate_FITTED',
+        'validate_RESIDUALS'
+      ]
+    },
+
+    // Chi-square test
+    {
+      type: 'stats_chisq',
+      message0: msg.get('stats_chisq.message0'),
+      args0: [],
+      message1: msg.get('stats_chisq.message1'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('stats_chisq.args1_name')
+        },
+        {
+          type: 'field_input',
+          name: 'FIRST_COLUMN',
+          text: msg.get('stats_chisq.args1_column')
+        },
+        {
+          type: 'field_input',
+          name: 'SECOND_COLUMN',
+          text: msg.get('stats_chisq.args1_column')
+        }
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'stats_blocks',
+      tooltip: msg.get('stats_chisq.tooltip'),
+      helpUrl: './guide/#chisq',
+      extensions: [
+        'validate_NAME',
+        'validate_FIRST_COLUMN',
+        'validate_SECOND_COLUMN'
+      ]
+    },
+
+    // One-way ANOVA
+    {
+      type: 'stats_anova',
+      message0: msg.get('stats_anova.message0'),
+      args0: [],
+      message1: msg.get('stats_anova.message1'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('stats_anova.args1_name')
+        },
+        {
+          type: 'field_input',
+          name: 'LABEL_COLUMN',
+          text: msg.get('stats_anova.args1_group')
+        },
+        {
+          type: 'field_input',
+          name: 'VALUE_COLUMN',
+          text: msg.get('stats_anova.args1_value')
+        }
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'stats_blocks',
+      tooltip: msg.get('stats_anova.tooltip'),
+      helpUrl: './guide/#anova',
+      extensions: [
+        'validate_NAME',
+        'validate_LABEL_COLUMN',
+        'validate_VALUE_COLUMN'
+      ]
+    },
+
+    // Mann-Whitney U test
+    {
+      type: 'stats_mann_whitney',
+      message0: msg.get('stats_mann_whitney.message0'),
+      args0: [],
+      message1: msg.get('stats_mann_whitney.message1'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('stats_mann_whitney.args1_name')
+        },
+        {
+          type: 'field_input',
+          name: 'LABEL_COLUMN',
+          text: msg.get('stats_mann_whitney.args1_group')
+        },
+        {
+          type: 'field_input',
+          name: 'VALUE_COLUMN',
+          text: msg.get('stats_mann_whitney.args1_value')
+        }
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'stats_blocks',
+      tooltip: msg.get('stats_mann_whitney.tooltip'),
+      helpUrl: './guide/#mann_whitney',
+      extensions: [
+        'validate_NAME',
+        'validate_LABEL_COLUMN',
+        'validate_VALUE_COLUMN'
+      ]
+    },
+
+    // Wilcoxon signed-rank test
+    {
+      type: 'stats_wilcoxon',
+      message0: msg.get('stats_wilcoxon.message0'),
+      args0: [],
+      message1: msg.get('stats_wilcoxon.message1'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('stats_wilcoxon.args1_name')
+        },
+        {
+          type: 'field_input',
+          name: 'FIRST_COLUMN',
+          text: msg.get('stats_wilcoxon.args1_column')
+        },
+        {
+          type: 'field_input',
+          name: 'SECOND_COLUMN',
+          text: msg.get('stats_wilcoxon.args1_column')
+        }
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'stats_blocks',
+      tooltip: msg.get('stats_wilcoxon.tooltip'),
+      helpUrl: './guide/#wilcoxon',
+      extensions: [
+        'validate_NAME',
+        'validate_FIRST_COLUMN',
+        'validate_SECOND_COLUMN'
+      ]
+    },
+
+    // Kruskal-Wallis test
+    {
+      type: 'stats_kruskal_wallis',
+      message0: msg.get('stats_kruskal_wallis.message0'),
+      args0: [],
+      message1: msg.get('stats_kruskal_wallis.message1'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('stats_kruskal_wallis.args1_name')
+        },
+        {
+          type: 'field_input',
+          name: 'LABEL_COLUMN',
+          text: msg.get('stats_kruskal_wallis.args1_group')
+        },
+        {
+          type: 'field_input',
+          name: 'VALUE_COLUMN',
+          text: msg.get('stats_kruskal_wallis.args1_value')
+        }
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'stats_blocks',
+      tooltip: msg.get('stats_kruskal_wallis.tooltip'),
+      helpUrl: './guide/#kruskal_wallis',
+      extensions: [
+        'validate_NAME',
+        'validate_LABEL_COLUMN',
+        'validate_VALUE_COLUMN'
+      ]
+    },
+
+    // Correlation test
+    {
+      type: 'stats_correlation',
+      message0: msg.get('stats_correlation.message0'),
+      args0: [],
+      message1: msg.get('stats_correlation.message1'),
+      args1: [
+        {
+          type: 'field_input',
+          name: 'NAME',
+          text: msg.get('stats_correlation.args1_name')
+        },
+        {
+          type: 'field_input',
+          name: 'FIRST_COLUMN',
+          text: msg.get('stats_correlation.args1_column')
+        },
+        {
+          type: 'field_input',
+          name: 'SECOND_COLUMN',
+          text: msg.get('stats_correlation.args1_column')
+        },
+        {
+          type: 'field_dropdown',
+          name: 'METHOD',
+          options: CORRELATION_METHODS
+        }
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'stats_blocks',
+      tooltip: msg.get('stats_correlation.tooltip'),
+      helpUrl: './guide/#correlation',
+      extensions: [
+        'validate_NAME',
+        'validate_FIRST_COLUMN',
+        'validate_SECOND_COLUMN'
+      ]
+    },
+
     // K-means clustering
     {
       type: 'stats_k_means',
@@ -314,18 +1136,20 @@ const setup = (language) => {
       args1: [
         {
           type: 'field_input',
-          name: 'X_AXIS',
-          text: msg.get('stats_k_means.args1_x')
+          name: 'NAME',
+          text: msg.get('stats_k_means.args1_name')
         },
         {
           type: 'field_input',
-          name: 'Y_AXIS',
-          text: msg.get('stats_k_means.args1_y')
+          name: 'MULTIPLE_COLUMNS',
+          text: msg.get('stats_k_means.args1_columns')
         },
         {
           type: 'field_number',
           name: 'NUMBER',
-          value: 2
+          value: 2,
+          min: 1,
+          precision: 1
         },
         {
           type: 'field_input',
@@ -333,12 +1157,24 @@ const setup = (language) => {
           text: msg.get('stats_k_means.args1_label')
         }
       ],
+      message2: msg.get('standardize.message'),
+      args2: [
+        {
+          type: 'field_checkbox',
+          name: 'STANDARDIZE',
+          checked: false
+        }
+      ],
       inputsInline: false,
       previousStatement: null,
       nextStatement: null,
       style: 'stats_blocks',
       tooltip: msg.get('stats_k_means.tooltip'),
-      helpUrl: './guide/#k_means'
+      helpUrl: './guide/#k_means',
+      extensions: [
+        'validate_NAME',
+        'validate_MULTIPLE_COLUMNS'
+      ]
     },
 
     // Silhouette
@@ -350,13 +1186,8 @@ const setup = (language) => {
       args1: [
         {
           type: 'field_input',
-          name: 'X_AXIS',
-          text: msg.get('stats_silhouette.args1_x')
-        },
-        {
-          type: 'field_input',
-          name: 'Y_AXIS',
-          text: msg.get('stats_silhouette.args1_y')
+          name: 'MULTIPLE_COLUMNS',
+          text: msg.get('stats_silhouette.args1_columns')
         },
         {
           type: 'field_input',
@@ -369,47 +1200,128 @@ const setup = (language) => {
           text: msg.get('stats_silhouette.args1_score')
         }
       ],
+      message2: msg.get('standardize.message'),
+      args2: [
+        {
+          type: 'field_checkbox',
+          name: 'STANDARDIZE',
+          checked: false
+        }
+      ],
       inputsInline: false,
       previousStatement: null,
       nextStatement: null,
       style: 'stats_blocks',
       tooltip: msg.get('stats_silhouette.tooltip'),
-      helpUrl: './guide/#silhouette'
+      helpUrl: './guide/#silhouette',
+      extensions: ['validate_MULTIPLE_COLUMNS']
     }
   ])
 
-  // One-sample two-sided t-test.
+  // One-sample t-test.
   Blockly.TidyBlocks['stats_ttest_one'] = (block) => {
     const name = block.getFieldValue('NAME')
     const column = block.getFieldValue('COLUMN')
     const mean = block.getFieldValue('MEAN')
-    return `["@transform", "ttest_one", "${name}", "${column}", ${mean}]`
+    const alternative = block.getFieldValue('ALTERNATIVE')
+    return `["@transform", "ttest_one", "${name}", "${column}", ${mean}, "${alternative}"]`
   }
 
-  // Create a paired two-sided t-test.
+  // Create a two-sample t-test.
   Blockly.TidyBlocks['stats_ttest_two'] = (block) => {
     const name = block.getFieldValue('NAME')
     const labels = block.getFieldValue('LABEL_COLUMN')
     const values = block.getFieldValue('VALUE_COLUMN')
-    return `["@transform", "ttest_two", "${name}", "${labels}", "${values}"]`
+    const welch = (block.getFieldValue('WELCH') === 'TRUE')
+    const alternative = block.getFieldValue('ALTERNATIVE')
+    return `["@transform", "ttest_two", "${name}", "${labels}", "${values}", ${welch}, "${alternative}"]`
+  }
+
+  // Create a paired t-test.
+  Blockly.TidyBlocks['stats_ttest_paired'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const first = block.getFieldValue('FIRST_COLUMN')
+    const second = block.getFieldValue('SECOND_COLUMN')
+    const alternative = block.getFieldValue('ALTERNATIVE')
+    return `["@transform", "ttest_paired", "${name}", "${first}", "${second}", "${alternative}"]`
+  }
+
+  // Fit a linear regression.
+  Blockly.TidyBlocks['stats_linear_regression'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const response = block.getFieldValue('COLUMN')
+    const predictors = formatMultiColNames(block.getFieldValue('MULTIPLE_COLUMNS'))
+    const fitted = block.getFieldValue('FITTED')
+    const residuals = block.getFieldValue('RESIDUALS')
+    return `["@transform", "linear_regression", "${name}", "${response}", ${predictors}, "${fitted}", "${residuals}"]`
+  }
+
+  // Chi-square test.
+  Blockly.TidyBlocks['stats_chisq'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const first = block.getFieldValue('FIRST_COLUMN')
+    const second = block.getFieldValue('SECOND_COLUMN')
+    return `["@transform", "chisq", "${name}", "${first}", "${second}"]`
+  }
+
+  // One-way ANOVA.
+  Blockly.TidyBlocks['stats_anova'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const groups = block.getFieldValue('LABEL_COLUMN')
+    const values = block.getFieldValue('VALUE_COLUMN')
+    return `["@transform", "anova", "${name}", "${groups}", "${values}"]`
+  }
+
+  // Mann-Whitney U test.
+  Blockly.TidyBlocks['stats_mann_whitney'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const groups = block.getFieldValue('LABEL_COLUMN')
+    const values = block.getFieldValue('VALUE_COLUMN')
+    return `["@transform", "mann_whitney", "${name}", "${groups}", "${values}"]`
+  }
+
+  // Wilcoxon signed-rank test.
+  Blockly.TidyBlocks['stats_wilcoxon'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const first = block.getFieldValue('FIRST_COLUMN')
+    const second = block.getFieldValue('SECOND_COLUMN')
+    return `["@transform", "wilcoxon", "${name}", "${first}", "${second}"]`
+  }
+
+  // Kruskal-Wallis test.
+  Blockly.TidyBlocks['stats_kruskal_wallis'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const groups = block.getFieldValue('LABEL_COLUMN')
+    const values = block.getFieldValue('VALUE_COLUMN')
+    return `["@transform", "kruskal_wallis", "${name}", "${groups}", "${values}"]`
+  }
+
+  // Correlation test.
+  Blockly.TidyBlocks['stats_correlation'] = (block) => {
+    const name = block.getFieldValue('NAME')
+    const first = block.getFieldValue('FIRST_COLUMN')
+    const second = block.getFieldValue('SECOND_COLUMN')
+    const method = block.getFieldValue('METHOD')
+    return `["@transform", "correlation", "${name}", "${first}", "${second}", "${method}"]`
   }
 
   // Create k-means cluster.
   Blockly.TidyBlocks['stats_k_means'] = (block) => {
-    const xAxis = block.getFieldValue('X_AXIS')
-    const yAxis = block.getFieldValue('Y_AXIS')
+    const name = block.getFieldValue('NAME')
+    const columns = formatMultiColNames(block.getFieldValue('MULTIPLE_COLUMNS'))
     const number = block.getFieldValue('NUMBER')
     const label = block.getFieldValue('LABEL')
-    return `["@transform", "k_means", "${xAxis}", "${yAxis}", ${number}, "${label}"]`
+    const standardize = (block.getFieldValue('STANDARDIZE') === 'TRUE')
+    return `["@transform", "k_means", "${name}", ${columns}, ${number}, "${label}", ${standardize}]`
   }
 
-  // Calculate silhouette score for 2D clusters.
+  // Calculate silhouette score for clusters.
   Blockly.TidyBlocks['stats_silhouette'] = (block) => {
-    const xAxis = block.getFieldValue('X_AXIS')
-    const yAxis = block.getFieldValue('Y_AXIS')
+    const columns = formatMultiColNames(block.getFieldValue('MULTIPLE_COLUMNS'))
     const label = block.getFieldValue('LABEL')
     const score = block.getFieldValue('SCORE')
-    return `["@transform", "silhouette", "${xAxis}", "${yAxis}", "${label}", "${score}"]`
+    const standardize = (block.getFieldValue('STANDARDIZE') === 'TRUE')
+    return `["@transform", "silhouette", ${columns}, "${label}", "${score}", ${standardize}]`
   }
 }
 
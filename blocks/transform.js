@@ -4,14 +4,67 @@ const Blockly = require('blockly/blockly_compressed')
 
 const {
   formatMultiColNames,
+  statementsToCode,
   valueToCode,
   Messages
 } = require('./helpers')
 
+/**
+ * Summarization operations in the order they appear in drop-downs.
+ */
+const SUMMARIZE_OPS = [
+  'all',
+  'any',
+  'count',
+  'distinct',
+  'first',
+  'iqr',
+  'last',
+  'maximum',
+  'mean',
+  'median',
+  'minimum',
+  'missing',
+  'mode',
+  'quantile',
+  'stdDev',
+  'sum',
+  'variance'
+]
+
 /**
  * Lookup table for message strings.
  */
 const MESSAGES = {
+  missing: {
+    message: {
+      ar: 'القيم المفقودة %1',
+      el: 'κενές τιμές %1',
+      en: 'missing values %1',
+      es: 'valores faltantes %1',
+      it: 'valori mancanti %1',
+      ko: '결측값 %1',
+      pt: 'valores ausentes %1'
+    },
+    skip: {
+      ar: 'تجاهل',
+      el: 'παράλειψη',
+      en: 'skip',
+      es: 'omitir',
+      it: 'ignora',
+      ko: '건너뛰기',
+      pt: 'ignorar'
+    },
+    propagate: {
+      ar: 'نشر',
+      el: 'διάδοση',
+      en: 'propagate',
+      es: 'propagar',
+      it: 'propaga',
+      ko: '전파',
+      pt: 'propagar'
+    }
+  },
   multiple_columns: {
     ar: 'عمود, عمود',
     el: 'στήλη, στήλη',
@@ -59,6 +112,55 @@ const MESSAGES = {
       pt: 'Divide os valores em intervalos iguais'
     }
   },
+  bootstrap: {
+    message0: {
+      ar: 'إعادة المعاينة (bootstrap) %1 تكرارات الفئة %2',
+      el: 'Bootstrap %1 επαναλήψεις ετικέτα %2',
+      en: 'Bootstrap %1 replicates label %2',
+      es: 'Bootstrap %1 réplicas etiqueta %2',
+      it: 'Bootstrap %1 repliche etichetta %2',
+      ko: '부트스트랩 %1회 반복 라벨 %2',
+      pt: 'Bootstrap %1 réplicas rótulo %2'
+    },
+    label: {
+      ar: 'التكرار',
+      el: 'επανάληψη',
+      en: 'replicate',
+      es: 'réplica',
+      it: 'replica',
+      ko: '반복',
+      pt: 'réplica'
+    },
+    tooltip: {
+      ar: 'إعادة معاينة الصفوف مع الإرجاع عدة مرات وترقيم كل تكرار',
+      el: 'επανάλαβε δειγματοληψία γραμμών με επανάθεση πολλές φορές και αρίθμησε κάθε επανάληψη',
+      en: 'resample rows with replacement several times and number each replicate',
+      es: 'remuestrear filas con reemplazo varias veces y numerar cada réplica',
+      it: 'ricampiona le righe con reinserimento più volte e numera ogni replica',
+      ko: '행을 복원 추출로 여러 번 재표본하고 각 반복에 번호 지정',
+      pt: 'reamostrar linhas com reposição várias vezes e numerar cada réplica'
+    }
+  },
+  collapse: {
+    message0: {
+      ar: 'صف واحد لكل مجموعة',
+      el: 'Μία γραμμή ανά ομάδα',
+      en: 'One row per group',
+      es: 'Una fila por grupo',
+      it: 'Una riga per gruppo',
+      ko: '그룹당 한 행',
+      pt: 'Uma linha por grupo'
+    },
+    tooltip: {
+      ar: 'الاحتفاظ بصف واحد لكل مجموعة',
+      el: 'κράτησε μία γραμμή για κάθε ομάδα',
+      en: 'keep one row for each group',
+      es: 'conserva una fila por cada grupo',
+      it: 'mantieni una riga per ogni gruppo',
+      ko: '각 그룹마다 한 행 유지',
+      pt: 'manter uma linha para cada grupo'
+    }
+  },
   create: {
     message0: {
       ar: 'إنشاء %1 %2',
@@ -157,6 +259,26 @@ const MESSAGES = {
       pt: 'agrupar dados por valores em colunas'
     }
   },
+  sample: {
+    message0: {
+      ar: 'عينة من %1 صفوف مع الإرجاع %2',
+      el: 'Δείγμα %1 γραμμών με επανάθεση %2',
+      en: 'Sample %1 rows with replacement %2',
+      es: 'Muestra de %1 filas con reemplazo %2',
+      it: 'Campione di %1 righe con reinserimento %2',
+      ko: '%1개 행 표본 추출 복원 %2',
+      pt: 'Amostra de %1 linhas com reposição %2'
+    },
+    tooltip: {
+      ar: 'اختيار صفوف عشوائياً',
+      el: 'επίλεξε γραμμές τυχαία',
+      en: 'choose rows at random',
+      es: 'elegir filas al azar',
+      it: 'scegli righe a caso',
+      ko: '무작위로 행 선택',
+      pt: 'escolher linhas aleatoriamente'
+    }
+  },
   saveAs: {
     message0: {
       ar: 'حفظ ك %1',
@@ -206,6 +328,35 @@ const MESSAGES = {
       pt: 'seleciona colunas por nome'
     }
   },
+  shuffle: {
+    message0: {
+      ar: 'خلط %1',
+      el: 'Ανακάτεψε %1',
+      en: 'Shuffle %1',
+      es: 'Barajar %1',
+      it: 'Mescola %1',
+      ko: '%1 섞기',
+      pt: 'Embaralhar %1'
+    },
+    column: {
+      ar: 'العمود',
+      el: 'στήλη',
+      en: 'column',
+      es: 'columna',
+      it: 'colonna',
+      ko: '열',
+      pt: 'coluna'
+    },
+    tooltip: {
+      ar: 'إعادة ترتيب قيم العمود عشوائياً',
+      el: 'αναδιάταξε τυχαία τις τιμές μιας στήλης',
+      en: 'randomly reorder the values in a column',
+      es: 'reordenar al azar los valores de una columna',
+      it: 'riordina a caso i valori di una colonna',
+      ko: '열의 값을 무작위로 재배열',
+      pt: 'reordenar aleatoriamente os valores de uma coluna'
+    }
+  },
   sort: {
     message0: {
       ar: 'ترتيب %1 تنازلي %2',
@@ -228,13 +379,197 @@ const MESSAGES = {
   },
   summarize: {
     message0: {
-      ar: 'تلخيص البيانات %1 %2',
-      el: 'Συνόψισε %1 %2',
-      en: 'Summarize %1 %2',
-      es: 'Resumen %1 %2',
-      it: 'Riassumi %1 %2',
-      ko: '%1 %2 축소',
-      pt: 'Agregar %1 %2'
+      ar: 'تلخيص البيانات',
+      el: 'Συνόψισε',
+      en: 'Summarize',
+      es: 'Resumen',
+      it: 'Riassumi',
+      ko: '축소',
+      pt: 'Agregar'
+    },
+    message2: {
+      ar: 'صف واحد لكل مجموعة %1',
+      el: 'μία γραμμή ανά ομάδα %1',
+      en: 'one row per group %1',
+      es: 'una fila por grupo %1',
+      it: 'una riga per gruppo %1',
+      ko: '그룹당 한 행 %1',
+      pt: 'uma linha por grupo %1'
+    },
+    tooltip: {
+      ar: 'تلخيص قيم العمود',
+      el: 'Συνόψισε τιμές μίας στήλης',
+      en: 'summarize values in  column',
+      es: 'Resume valores en columna',
+      it: 'riassumi valori in colonna',
+      ko: '열의 값 축소',
+      pt: 'agrega valores em coluna'
+    }
+  },
+  summarize_item: {
+    message0: {
+      ar: '%1 %2 %3 باسم %4',
+      el: '%1 %2 %3 ως %4',
+      en: '%1 %2 %3 as %4',
+      es: '%1 %2 %3 como %4',
+      it: '%1 %2 %3 come %4',
+      ko: '%1 %2 %3 이름 %4',
+      pt: '%1 %2 %3 como %4'
+    },
+    options: {
+      all: {
+        ar: 'الكل',
+        el: 'όλα',
+        en: 'all',
+        es: 'todos',
+        it: 'tutti',
+        ko: '모두',
+        pt: 'todos'
+      },
+      any: {
+        ar: 'أي',
+        el: 'οποιοδήποτε',
+        en: 'any',
+        es: 'alguno',
+        it: 'qualsiasi',
+        ko: '하나라도',
+        pt: 'algum'
+      },
+      count: {
+        ar: 'العدد',
+        el: 'πλήθος',
+        en: 'count',
+        es: 'cuenta',
+        it: 'conteggio',
+        ko: '개수',
+        pt: 'contagem'
+      },
+      distinct: {
+        ar: 'عدد القيم المختلفة',
+        el: 'πλήθος διακριτών',
+        en: 'distinct count',
+        es: 'cuenta de distintos',
+        it: 'conteggio distinti',
+        ko: '고유값 개수',
+        pt: 'contagem de distintos'
+      },
+      first: {
+        ar: 'الأول',
+        el: 'πρώτο',
+        en: 'first',
+        es: 'primero',
+        it: 'primo',
+        ko: '첫 번째',
+        pt: 'primeiro'
+      },
+      iqr: {
+        ar: 'المدى الربيعي',
+        el: 'ενδοτεταρτημοριακό εύρος',
+        en: 'interquartile range',
+        es: 'rango intercuartílico',
+        it: 'scarto interquartile',
+        ko: '사분위 범위',
+        pt: 'intervalo interquartil'
+      },
+      last: {
+        ar: 'الأخير',
+        el: 'τελευταίο',
+        en: 'last',
+        es: 'último',
+        it: 'ultimo',
+        ko: '마지막',
+        pt: 'último'
+      },
+      maximum: {
+        ar: 'القيمة العظمى',
+        el: 'μέγιστο',
+        en: 'maximum',
+        es: 'máximo',
+        it: 'massimo',
+        ko: '최댓값',
+        pt: 'máximo'
+      },
+      mean: {
+        ar: 'المتوسط',
+        el: 'μέση τιμή',
+        en: 'mean',
+        es: 'media',
+        it: 'media',
+        ko: '평균',
+        pt: 'média'
+      },
+      median: {
+        ar: 'الوسيط',
+        el: 'διάμεσος',
+        en: 'median',
+        es: 'mediana',
+        it: 'mediana',
+        ko: '중앙값',
+        pt: 'mediana'
+      },
+      minimum: {
+        ar: 'القيمة الصغرى',
+        el: 'ελάχιστο',
+        en: 'minimum',
+        es: 'mínimo',
+        it: 'minimo',
+        ko: '최솟값',
+        pt: 'mínimo'
+      },
+      missing: {
+        ar: 'عدد القيم المفقودة',
+        el: 'πλήθος κενών',
+        en: 'missing count',
+        es: 'cuenta de faltantes',
+        it: 'conteggio mancanti',
+        ko: '결측값 개수',
+        pt: 'contagem de ausentes'
+      },
+      mode: {
+        ar: 'المنوال',
+        el: 'επικρατούσα τιμή',
+        en: 'mode',
+        es: 'moda',
+        it: 'moda',
+        ko: '최빈값',
+        pt: 'moda'
+      },
+      quantile: {
+        ar: 'الكميم',
+        el: 'ποσοστημόριο',
+        en: 'quantile',
+        es: 'cuantil',
+        it: 'quantile',
+        ko: '분위수',
+        pt: 'quantil'
+      },
+      stdDev: {
+        ar: 'الانحراف المعياري',
+        el: 'τυπική απόκλιση',
+        en: 'standard deviation',
+        es: 'desviación estándar',
+        it: 'deviazione standard',
+        ko: '표준편차',
+        pt: 'desvio padrão'
+      },
+      sum: {
+        ar: 'المجموع',
+        el: 'άθροισμα',
+        en: 'sum',
+        es: 'suma',
+        it: 'somma',
+        ko: '합계',
+        pt: 'soma'
+      },
+      variance: {
+        ar: 'التباين',
+        el: 'διακύμανση',
+        en: 'variance',
+        es: 'varianza',
+        it: 'varianza',
+        ko: '분산',
+        pt: 'variância'
+      }
     },
     args0_text: {
       ar: 'العمود',
@@ -246,13 +581,13 @@ const MESSAGES = {
       pt: 'coluna'
     },
     tooltip: {
-      ar: 'تلخيص قيم العمود',
-      el: 'Συνόψισε τιμές μίας στήλης',
-      en: 'summarize values in  column',
-      es: 'Resume valores en columna',
-      it: 'riassumi valori in colonna',
-      ko: '열의 값 축소',
-      pt: 'agrega valores em coluna'
+      ar: 'ملخص واحد لعمود (اترك الاسم فارغا لاستخدام العمود_العملية)',
+      el: 'μία σύνοψη μιας στήλης (άφησε το όνομα κενό για στήλη_λειτουργία)',
+      en: 'one summary of a column (leave the name blank to use column_operation)',
+      es: 'un resumen de una columna (deja el nombre en blanco para usar columna_operación)',
+      it: 'un riepilogo di una colonna (lascia vuoto il nome per usare colonna_operazione)',
+      ko: '열 하나의 요약 (이름을 비워 두면 열_연산 사용)',
+      pt: 'um resumo de uma coluna (deixe o nome em branco para usar coluna_operação)'
     }
   },
   running: {
@@ -326,6 +661,22 @@ const MESSAGES = {
   }
 }
 
+/**
+ * Create the drop-down for choosing how summaries and running values handle
+ * missing values.
+ * @param {Messages} msg Message lookup for the current language.
+ */
+const missingDropdown = (msg) => {
+  return {
+    type: 'field_dropdown',
+    name: 'MISSING',
+    options: [
+      [msg.get('missing.skip'), 'skip'],
+      [msg.get('missing.propagate'), 'propagate']
+    ]
+  }
+}
+
 /**
  * Define transform blocks.
  * @param {string} language Two-letter language code to use for string lookups.
@@ -363,6 +714,45 @@ const setup = (language) => {
       extensions: ['validate_COLUMN']
     },
 
+    // Bootstrap
+    {
+      type: 'transform_bootstrap',
+      message0: msg.get('bootstrap.message0'),
+      args0: [
+        {
+          type: 'field_number',
+          name: 'NUMBER',
+          value: 100,
+          min: 1,
+          precision: 1
+        },
+        {
+          type: 'field_input',
+          name: 'LABEL',
+          text: msg.get('bootstrap.label')
+        }
+      ],
+      inputsInline: true,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'transform_block',
+      tooltip: msg.get('bootstrap.tooltip'),
+      helpUrl: './guide/#bootstrap'
+    },
+
+    // Collapse
+    {
+      type: 'transform_collapse',
+      message0: msg.get('collapse.message0'),
+      args0: [],
+      inputsInline: true,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'transform_block',
+      tooltip: msg.get('collapse.tooltip'),
+      helpUrl: './guide/#collapse'
+    },
+
     // Create
     {
       type: 'transform_create',
@@ -445,6 +835,32 @@ const setup = (language) => {
       extensions: ['validate_MULTIPLE_COLUMNS']
     },
 
+    // Sample
+    {
+      type: 'transform_sample',
+      message0: msg.get('sample.message0'),
+      args0: [
+        {
+          type: 'field_number',
+          name: 'NUMBER',
+          value: 10,
+          min: 0,
+          precision: 1
+        },
+        {
+          type: 'field_checkbox',
+          name: 'REPLACE',
+          checked: false
+        }
+      ],
+      inputsInline: true,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'transform_block',
+      tooltip: msg.get('sample.tooltip'),
+      helpUrl: './guide/#sample'
+    },
+
     // Save As
     {
       type: 'transform_saveAs',
@@ -484,6 +900,26 @@ const setup = (language) => {
       extensions: ['validate_MULTIPLE_COLUMNS']
     },
 
+    // Shuffle
+    {
+      type: 'transform_shuffle',
+      message0: msg.get('shuffle.message0'),
+      args0: [
+        {
+          type: 'field_input',
+          name: 'COLUMN',
+          text: msg.get('shuffle.column')
+        }
+      ],
+      inputsInline: true,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'transform_block',
+      tooltip: msg.get('shuffle.tooltip'),
+      helpUrl: './guide/#shuffle',
+      extensions: ['validate_COLUMN']
+    },
+
     // Sort
     {
       type: 'transform_sort',
@@ -513,36 +949,70 @@ const setup = (language) => {
     {
       type: 'transform_summarize',
       message0: msg.get('summarize.message0'),
+      args0: [],
+      message1: '%1',
+      args1: [
+        {
+          type: 'input_statement',
+          name: 'SUMMARIES',
+          check: 'Summary'
+        }
+      ],
+      message2: msg.get('summarize.message2'),
+      args2: [
+        {
+          type: 'field_checkbox',
+          name: 'COLLAPSE',
+          checked: false
+        }
+      ],
+      message3: msg.get('missing.message'),
+      args3: [
+        missingDropdown(msg)
+      ],
+      inputsInline: false,
+      previousStatement: null,
+      nextStatement: null,
+      style: 'transform_block',
+      tooltip: msg.get('summarize.tooltip'),
+      helpUrl: './guide/#summarize'
+    },
+
+    // Single summary inside summarize
+    {
+      type: 'transform_summarize_item',
+      message0: msg.get('summarize_item.message0'),
       args0: [
         {
           type: 'field_dropdown',
           name: 'OP',
-          options: [
-            ['all', 'all'],
-            ['any', 'any'],
-            ['count', 'count'],
-            ['maximum', 'maximum'],
-            ['mean', 'mean'],
-            ['median', 'median'],
-            ['minimum', 'minimum'],
-            ['stdDev', 'stdDev'],
-            ['sum', 'sum'],
-            ['variance', 'variance']
-          ]
+          options: SUMMARIZE_OPS.map(op => [msg.get(`summarize_item.options.${op}`), op])
+        },
+        {
+          type: 'field_number',
+          name: 'QUANTILE',
+          value: 0.5,
+          min: 0,
+          max: 1
         },
         {
           type: 'field_input',
           name: 'COLUMN',
-          text: msg.get('summarize.args0_text')
+          text: msg.get('summarize_item.args0_text')
+        },
+        {
+          type: 'field_input',
+          name: 'OUTPUT',
+          text: ''
         }
       ],
       inputsInline: true,
-      previousStatement: null,
-      nextStatement: null,
+      previousStatement: 'Summary',
+      nextStatement: 'Summary',
       style: 'transform_block',
-      tooltip: msg.get('summarize.tooltip'),
+      tooltip: msg.get('summarize_item.tooltip'),
       helpUrl: './guide/#summarize',
-      extensions: ['validate_COLUMN']
+      extensions: ['show_QUANTILE', 'validate_COLUMN', 'validate_OUTPUT']
     },
 
     // Running
@@ -569,6 +1039,10 @@ const setup = (language) => {
           text: msg.get('running.args0_text')
         }
       ],
+      message1: msg.get('missing.message'),
+      args1: [
+        missingDropdown(msg)
+      ],
       inputsInline: true,
       previousStatement: null,
       nextStatement: null,
@@ -620,6 +1094,18 @@ const setup = (language) => {
     return `["@transform", "bin", "${column}", ${bins}, "${label}"]`
   }
 
+  // Bootstrap
+  Blockly.TidyBlocks['transform_bootstrap'] = (block) => {
+    const replicates = block.getFieldValue('NUMBER')
+    const label = block.getFieldValue('LABEL')
+    return `["@transform", "bootstrap", ${replicates}, "${label}"]`
+  }
+
+  // Collapse
+  Blockly.TidyBlocks['transform_collapse'] = (block) => {
+    return `["@transform", "collapse"]`
+  }
+
   // Create
   Blockly.TidyBlocks['transform_create'] = (block) => {
     const column = block.getFieldValue('COLUMN')
@@ -645,6 +1131,13 @@ const setup = (language) => {
     return `["@transform", "groupBy", ${columns}]`
   }
 
+  // Sample
+  Blockly.TidyBlocks['transform_sample'] = (block) => {
+    const size = block.getFieldValue('NUMBER')
+    const replace = (block.getFieldValue('REPLACE') === 'TRUE')
+    return `["@transform", "sample", ${size}, ${replace}]`
+  }
+
   // Report
   Blockly.TidyBlocks['transform_saveAs'] = (block) => {
     const name = block.getFieldValue('NAME')
@@ -657,6 +1150,12 @@ const setup = (language) => {
     return `["@transform", "select", ${columns}]`
   }
 
+  // Shuffle
+  Blockly.TidyBlocks['transform_shuffle'] = (block) => {
+    const column = block.getFieldValue('COLUMN')
+    return `["@transform", "shuffle", "${column}"]`
+  }
+
   // Sort
   Blockly.TidyBlocks['transform_sort'] = (block) => {
     const columns = formatMultiColNames(block.getFieldValue('MULTIPLE_COLUMNS'))
@@ -666,16 +1165,30 @@ const setup = (language) => {
 
   // Summarize
   Blockly.TidyBlocks['transform_summarize'] = (block) => {
+    const summaries = statementsToCode(block, 'SUMMARIES')
+    const collapse = (block.getFieldValue('COLLAPSE') === 'TRUE')
+    const missing = block.getFieldValue('MISSING')
+    return `["@transform", "summarize", ${summaries}, ${collapse}, "${missing}"]`
+  }
+
+  // Single summary inside summarize
+  Blockly.TidyBlocks['transform_summarize_item'] = (block) => {
     const op = block.getFieldValue('OP')
     const column = block.getFieldValue('COLUMN')
-    return `["@transform", "summarize", "${op}", "${column}"]`
+    const output = block.getFieldValue('OUTPUT')
+    if (op === 'quantile') {
+      const quantile = block.getFieldValue('QUANTILE')
+      return `["${op}", "${column}", "${output}", ${quantile}]`
+    }
+    return `["${op}", "${column}", "${output}"]`
   }
 
   // Running
   Blockly.TidyBlocks['transform_running'] = (block) => {
     const op = block.getFieldValue('OP')
     const column = block.getFieldValue('COLUMN')
-    return `["@transform", "running", "${op}", "${column}"]`
+    const missing = block.getFieldValue('MISSING')
+    return `["@transform", "running", "${op}", "${column}", "${missing}"]`
   }
 
   // Ungroup
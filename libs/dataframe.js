@@ -11,6 +11,13 @@ const Running = require('./running')
  * associated with each key must be consistent for all rows. The column names
  * are stored as well to handle the case where filtering reduces the dataframe
  * to zero rows: it was confusing to have all the columns suddenly disappear.
+ * Each dataframe also has a schema recording the type of each column (one of
+ * `util.TYPES`, or `null` if the type is unknown), which is used to report
+ * type errors before any calculations are done. Datetimes converted from text
+ * that doesn't specify a time zone keep that text so that they can be
+ * re-interpreted in the time zone of the program that reads them. Grouped
+ * dataframes also record the columns used for grouping and the summary columns
+ * calculated since, which are the columns kept when groups are collapsed.
  */
 class DataFrame {
   /**
@@ -18,11 +25,17 @@ class DataFrame {
    * @param {Object[]} values The dataframe's values (aliased, not copied).
    * @param {string[]} oldColumns The names of columns (aliased, not copied). If
    * `null` is provided, the column names are taken from the first row's keys.
+   * @param {Map} schema The types of columns. Types are inferred from the
+   * values for columns that aren't in the schema (or if `null` is provided).
    */
-  constructor (values, oldColumns = null) {
+  constructor (values, oldColumns = null, schema = null) {
     this._checkData(values)
     this.data = values
     this.columns = this._makeColumns(values, oldColumns)
+    this.schema = this._makeSchema(schema)
+    this.datetimeText = new Map()
+    this.groupColumns = []
+    this.summaryColumns = []
   }
 
   /**
@@ -83,6 +96,7 @@ class DataFrame {
                `illegal new name for column`)
     util.check(expr instanceof ExprBase,
                `new value expression is not an expression object`)
+    expr.checkTypes(this)
     const newData = this.data.map((row, i, d) => {
       const newRow = {...row}
       newRow[newName] = expr.run(row, i, d)
@@ -90,7 +104,11 @@ class DataFrame {
     })
     const newColumns = this._makeColumns(newData, this.columns,
                                          {add: [newName]})
-    return new DataFrame(newData, newColumns)
+    const newSchema = new Map(this.schema)
+    newSchema.delete(newName)
+    return this._withGrouping(new DataFrame(newData, newColumns, newSchema),
+                              this.groupColumns.filter(col => (col !== newName)),
+                              this.summaryColumns.filter(col => (col !== newName)))
   }
 
   /**
@@ -114,9 +132,10 @@ class DataFrame {
   filter (expr) {
     util.check(expr instanceof ExprBase,
                `filter expression is not an expression object`)
+    expr.checkTypes(this)
     const newData = this.data.filter((row, i, d) => expr.run(row, i, d))
     const newColumns = this._makeColumns(newData, this.columns)
-    return new DataFrame(newData, newColumns)
+    return this.withData(newData, newColumns)
   }
 
   /**
@@ -136,7 +155,11 @@ class DataFrame {
     const groupedData = this._makeGroupedData(columns)
     const newColumns = this._makeColumns(groupedData, this.columns,
                                          {add: [DataFrame.GROUPCOL]})
-    return new DataFrame(groupedData, newColumns)
+    const groupColumns = columns.includes(DataFrame.GROUPCOL)
+      ? [...this.groupColumns, ...columns.filter(col => (col !== DataFrame.GROUPCOL))]
+      : columns
+    return this._withGrouping(new DataFrame(groupedData, newColumns, this.schema),
+                              Array.from(new Set(groupColumns)), [])
   }
 
   /**
@@ -159,7 +182,7 @@ class DataFrame {
       })
       return result
     })
-    return new DataFrame(newData, columns)
+    return this.withData(newData, columns)
   }
 
   /**
@@ -197,39 +220,104 @@ class DataFrame {
     if (reverse) {
       result.reverse()
     }
-    return new DataFrame(result, this.columns)
+    return this.withData(result)
   }
 
   /**
    * Summarize values (possibly grouped).
    * @param {Summarize} action What summarization to use.
+   * @param {string} missing How to handle missing values (one of
+   * `util.MISSING_POLICIES`).
    * @returns A new dataframe.
    */
-  summarize (action) {
+  summarize (action, missing = 'skip') {
     util.check(action instanceof Summarize.base,
                `Operation must be summarizer object`)
-    util.check(this.hasColumns([action.column]),
-               `unknown column in summarize`)
-    const newData = this.data.map(row => { return {...row} })
-    const destCol = `${action.column}_${action.species}`
-    this._summarizeColumn(newData, action, destCol)
-    return new DataFrame(newData, [destCol])
+    return this.summarizeMultiple([[action, `${action.column}_${action.species}`]],
+                                  false, missing)
+  }
+
+  /**
+   * Calculate several summaries at once (possibly grouped). By default each
+   * row is annotated with the summary values for its group; if `collapse` is
+   * true, the result is collapsed to one ungrouped row per group instead (see
+   * `collapse`).
+   * @param {Array[]} summaries Pairs of summarizer objects and the names of the
+   * columns to put their results in.
+   * @param {Boolean} collapse Produce one row per group?
+   * @param {string} missing How to handle missing values (one of
+   * `util.MISSING_POLICIES`).
+   * @returns A new dataframe.
+   */
+  summarizeMultiple (summaries, collapse = false, missing = 'skip') {
+    util.check(Array.isArray(summaries) && (summaries.length > 0),
+               `Require at least one summary`)
+    util.checkMissingPolicy(missing)
+    summaries.forEach(([action, destCol]) => {
+      util.check(action instanceof Summarize.base,
+                 `Operation must be summarizer object`)
+      util.check(this.hasColumns([action.column]),
+                 `unknown column in summarize`)
+      util.check((typeof destCol === 'string') && destCol.match(DataFrame.COLUMN_NAME),
+                 `illegal name "${destCol}" for summary column`)
+      this.checkType(action.column, action.types, `summarize ${action.species}`)
+    })
+    const destCols = summaries.map(([action, destCol]) => destCol)
+    util.check(destCols.length === (new Set(destCols)).size,
+               `duplicate summary column name(s) in [${destCols}]`)
+
+    const groups = this._putRowsInGroups(this.data)
+    const results = new Map()
+    groups.forEach((rows, groupId) => {
+      const values = {}
+      summaries.forEach(([action, destCol]) => {
+        values[destCol] = action.run(rows, missing)
+      })
+      results.set(groupId, values)
+    })
+
+    const newData = this.data.map(row => {
+      const groupId = (DataFrame.GROUPCOL in row) ? row[DataFrame.GROUPCOL] : null
+      return {...row, ...results.get(groupId)}
+    })
+    const newColumns = this._makeColumns(newData, this.columns, {add: destCols})
+    const newSchema = new Map(this.schema)
+    destCols.forEach(col => newSchema.delete(col))
+    const summaryColumns = [...this.summaryColumns.filter(col => !destCols.includes(col)), ...destCols]
+    const result = this._withGrouping(new DataFrame(newData, newColumns, newSchema),
+                                      this.groupColumns, summaryColumns)
+    return collapse ? result._collapseGroups() : result
   }
 
   /**
    * Calculate running values (possibly grouped).
    * @param {Running} action What running value to calculate.
+   * @param {string} missing How to handle missing values (one of
+   * `util.MISSING_POLICIES`).
    * @returns A new dataframe.
    */
-  running (action) {
+  running (action, missing = 'skip') {
     util.check(action instanceof Running.base,
                `Operation must be running value object`)
+    util.checkMissingPolicy(missing)
     util.check(this.hasColumns([action.srcCol]),
                `unknown column in summarize`)
+    this.checkType(action.srcCol, action.types, `running ${action.species}`)
     const newData = this.data.map(row => { return {...row} })
     const destCol = `${action.srcCol}_${action.species}`
-    this._runningColumn(newData, action, destCol)
-    return new DataFrame(newData, [destCol])
+    this._runningColumn(newData, action, destCol, missing)
+    return this.withData(newData, [destCol])
+  }
+
+  /**
+   * Reduce grouped data to one row per group. The result is not grouped, and
+   * only has the columns used for grouping and the summaries calculated since.
+   * @return A new dataframe.
+   */
+  collapse () {
+    util.check(this.hasColumns([DataFrame.GROUPCOL]),
+               `cannot collapse data that is not grouped`)
+    return this._collapseGroups()
   }
 
   /**
@@ -246,7 +334,7 @@ class DataFrame {
     })
     const newColumns = this._makeColumns(newData, this.columns,
                                          {remove: [DataFrame.GROUPCOL]})
-    return new DataFrame(newData, newColumns)
+    return new DataFrame(newData, newColumns, this.schema)
   }
 
   /**
@@ -262,7 +350,7 @@ class DataFrame {
     const seen = new Map()
     const newData = []
     this.data.forEach((row, i) => this._findUnique(seen, newData, row, i, columns))
-    return new DataFrame(newData, columns)
+    return new DataFrame(newData, columns, this.schema)
   }
 
   // ------------------------------------------------------------------------------
@@ -305,48 +393,110 @@ class DataFrame {
       }
     }
 
-    return new DataFrame(result)
+    const newSchema = new Map()
+    this.schema.forEach((type, col) => {
+      if (other.schema.get(col) === type) {
+        newSchema.set(col, type)
+      }
+    })
+    return new DataFrame(result, null, newSchema)
   }
 
   /**
-   * Join this dataframe with another on equality between values in specified columns.
+   * Join this dataframe with another on equality between values in specified
+   * columns. Values are compared using `util.equal`, so dates match if they
+   * represent the same moment and missing values match each other. Several
+   * columns can be given for each table, in which case rows only match if the
+   * values in all of those columns match.
+   *
+   * Inner, left, right, and full joins produce columns named `table_column`
+   * for everything except the keys. If there is a single key column, the
+   * matched values are put in a column `JOINCOL`; if there are several, they
+   * are put in columns named after this table's key columns. Rows kept without
+   * a match have `MISSING` for the other table's columns. Semi and anti joins
+   * keep the rows of this table that do (or do not) have a match, without
+   * adding any columns.
    * @param {string} thisName Name to use for this table in result.
-   * @param {string} thisCol Name of column in this table.
+   * @param {string|string[]} thisCols Name(s) of key column(s) in this table.
    * @param {string} other Other table to join to.
    * @param {string} otherName Name to use for other table in result.
-   * @param {string} otherCol Name of column in other table.
+   * @param {string|string[]} otherCols Name(s) of key column(s) in other table.
+   * @param {string} kind What kind of join to do (one of `JOIN_KINDS`).
    * @return A new dataframe.
    */
-  join (thisName, thisCol, other, otherName, otherCol) {
+  join (thisName, thisCols, other, otherName, otherCols, kind = 'inner') {
+    thisCols = Array.isArray(thisCols) ? thisCols : [thisCols]
+    otherCols = Array.isArray(otherCols) ? otherCols : [otherCols]
     util.check(thisName.match(DataFrame.TABLE_NAME),
                `cannot use ${thisName} as table name`)
-    util.check(this.hasColumns([thisCol]),
-               `this does not have column ${thisCol}`)
+    util.check(thisCols.length > 0,
+               `must have at least one column to join on`)
+    util.check(this.hasColumns(thisCols),
+               `this does not have column(s) ${thisCols.join(', ')}`)
     util.check(other instanceof DataFrame,
                `other table must be a dataframe`)
     util.check(otherName.match(DataFrame.TABLE_NAME),
                `cannot use ${otherName} as table name`)
-    util.check(other.hasColumns([otherCol]),
-               `other table does not have column ${otherCol}`)
+    util.check(other.hasColumns(otherCols),
+               `other table does not have column(s) ${otherCols.join(', ')}`)
+    util.check(thisCols.length === otherCols.length,
+               `must join on the same number of columns in both tables`)
+    util.check(DataFrame.JOIN_KINDS.includes(kind),
+               `unknown kind of join "${kind}"`)
+
+    const index = this._makeJoinIndex(other.data, otherCols)
+    const lookup = (thisRow) => {
+      const key = this._makeJoinKey(thisRow, thisCols)
+      return ((key !== null) && index.has(key)) ? index.get(key) : []
+    }
 
+    // Semi- and anti-joins filter this table.
+    if ((kind === 'semi') || (kind === 'anti')) {
+      const wanted = (kind === 'semi')
+      const newData = this.data.filter(thisRow => ((lookup(thisRow).length > 0) === wanted))
+      return new DataFrame(newData, this.columns, this.schema)
+    }
+
+    const keepThis = (kind === 'left') || (kind === 'full')
+    const keepOther = (kind === 'right') || (kind === 'full')
+    const otherMatched = new Set()
     const result = []
     for (let thisRow of this.data) {
-      for (let otherRow of other.data) {
-        if (thisRow[thisCol] === otherRow[otherCol]) {
-          const row = {}
-          row[DataFrame.JOINCOL] = thisRow[thisCol]
-          this._addFieldsExcept(row, thisRow, thisName, thisCol)
-          this._addFieldsExcept(row, otherRow, otherName, otherCol)
-          result.push(row)
-        }
+      const matches = lookup(thisRow)
+      matches.forEach(i => {
+        otherMatched.add(i)
+        result.push(this._makeJoinRow(thisName, thisCols, thisRow,
+                                      other, otherName, otherCols, other.data[i]))
+      })
+      if (keepThis && (matches.length === 0)) {
+        result.push(this._makeJoinRow(thisName, thisCols, thisRow,
+                                      other, otherName, otherCols, null))
       }
     }
+    if (keepOther) {
+      other.data.forEach((otherRow, i) => {
+        if (!otherMatched.has(i)) {
+          result.push(this._makeJoinRow(thisName, thisCols, null,
+                                        other, otherName, otherCols, otherRow))
+        }
+      })
+    }
+
+    const newColumns = this._makeJoinKeyNames(thisName, thisCols)
+    this._addColumnsExcept(newColumns, thisName, this.columns, thisCols)
+    this._addColumnsExcept(newColumns, otherName, other.columns, otherCols)
 
-    const newColumns = [DataFrame.JOINCOL]
-    this._addColumnsExcept(newColumns, thisName, this.columns, thisCol)
-    this._addColumnsExcept(newColumns, otherName, other.columns, otherCol)
+    const newSchema = new Map()
+    this._makeJoinKeyNames(thisName, thisCols).forEach((name, i) => {
+      const type = this.schema.get(thisCols[i])
+      if (other.schema.get(otherCols[i]) === type) {
+        newSchema.set(name, type)
+      }
+    })
+    this._addTypesExcept(newSchema, thisName, this.schema, thisCols)
+    this._addTypesExcept(newSchema, otherName, other.schema, otherCols)
 
-    return new DataFrame(result, newColumns)
+    return new DataFrame(result, newColumns, newSchema)
   }
 
   // ------------------------------------------------------------------------------
@@ -368,29 +518,250 @@ class DataFrame {
     return colNames.every(n => (this.columns.has(n)))
   }
 
+  /**
+   * Make a new dataframe from rows derived from this one's (e.g., by sampling
+   * rows or adding columns), keeping the types and grouping of the columns it
+   * still has.
+   * @param {Object[]} data The new rows.
+   * @param {string[]} columns The names of the new dataframe's columns.
+   * @return A new dataframe.
+   */
+  withData (data, columns = this.columns) {
+    return this._withGrouping(new DataFrame(data, columns, this.schema))
+  }
+
+  /**
+   * Get the type of a column.
+   * @param {string} column Name of column.
+   * @return One of `util.TYPES`, or `null` if the type is unknown.
+   */
+  getType (column) {
+    util.check(this.hasColumns([column]),
+               `unknown column ${column}`)
+    return this.schema.get(column)
+  }
+
+  /**
+   * Check that a column has one of the specified types, failing with a
+   * readable message if it doesn't. Columns whose types are unknown pass.
+   * @param {string} column Name of column.
+   * @param {string[]} types Allowed types (`null` to allow any type).
+   * @param {string} context What is checking (used in error message).
+   */
+  checkType (column, types, context) {
+    const actual = this.getType(column)
+    if ((types === null) || (actual === null) || types.includes(actual)) {
+      return
+    }
+    util.fail(`${context} requires ${types.join(' or ')} values but column "${column}" contains ${actual}`)
+  }
+
+  /**
+   * Convert columns to specified types.
+   * @param {Object} types Map or object whose keys are column names and whose
+   * values are types (one of `util.TYPES`).
+   * @return A new dataframe.
+   */
+  convert (types) {
+    const entries = (types instanceof Map) ? Array.from(types.entries()) : Object.entries(types)
+    const newSchema = new Map(this.schema)
+    entries.forEach(([column, type]) => {
+      util.check(this.hasColumns([column]),
+                 `unknown column ${column} in convert`)
+      util.check(util.TYPES.includes(type),
+                 `unknown type "${type}" for column ${column}`)
+      newSchema.set(column, type)
+    })
+    const newData = this.data.map((row, i) => {
+      const newRow = {...row}
+      entries.forEach(([column, type]) => {
+        try {
+          newRow[column] = util.convertType(row[column], type)
+        }
+        catch (err) {
+          util.fail(`column "${column}" row ${i + 1}: ${err.message}`)
+        }
+      })
+      return newRow
+    })
+    const result = new DataFrame(newData, this.columns, newSchema)
+    this.datetimeText.forEach((text, column) => {
+      if (newSchema.get(column) === 'datetime') {
+        result.datetimeText.set(column, text)
+      }
+    })
+    entries
+      .filter(([column, type]) => (type === 'datetime'))
+      .forEach(([column, type]) => {
+        const text = this.data.map(row => {
+          const value = (typeof row[column] === 'string') ? row[column].trim() : null
+          return ((value !== null) && util.MATCH_ZONELESS_DATE.test(value)) ? value : null
+        })
+        if (text.some(value => (value !== null))) {
+          result.datetimeText.set(column, text)
+        }
+      })
+    return result
+  }
+
+  /**
+   * Re-interpret datetimes that were converted from text without a time zone
+   * in the current time zone (see `util.setTimeZone`).
+   * @return A new dataframe (or this one if there is nothing to re-interpret).
+   */
+  reinterpretDatetimes () {
+    if (this.datetimeText.size === 0) {
+      return this
+    }
+    const newData = this.data.map((row, i) => {
+      const newRow = {...row}
+      this.datetimeText.forEach((text, column) => {
+        if (text[i] !== null) {
+          newRow[column] = util.makeDate(text[i])
+        }
+      })
+      return newRow
+    })
+    const result = new DataFrame(newData, this.columns, this.schema)
+    this.datetimeText.forEach((text, column) => result.datetimeText.set(column, text))
+    return result
+  }
+
+  /**
+   * Infer the types of columns from their values and convert them. This is
+   * used when loading data, so text that looks like dates is converted to
+   * datetimes.
+   * @param {Object} overrides Map or object whose keys are column names and
+   * whose values are types to use instead of the inferred ones.
+   * @return A new dataframe.
+   */
+  inferTypes (overrides = {}) {
+    overrides = (overrides instanceof Map) ? overrides : new Map(Object.entries(overrides))
+    const types = new Map()
+    this.columns.forEach(column => {
+      const type = overrides.has(column)
+        ? overrides.get(column)
+        : util.inferType(this.data.map(row => row[column]))
+      if (type !== null) {
+        types.set(column, type)
+      }
+    })
+    return this.convert(types)
+  }
+
   // ------------------------------------------------------------------------------
   // Utility functions that are only used internally.
   // ------------------------------------------------------------------------------
 
   //
-  // Add fields to object except the field being used as a join key.
+  // Add fields to object except the fields being used as join keys. If the row
+  // is null (because there was no match), the fields are filled with MISSING.
   //
-  _addFieldsExcept (result, row, tableName, exceptName) {
-    Object.keys(row)
-      .filter(key => (key !== exceptName))
-      .forEach(key => { result[`${tableName}_${key}`] = row[key] })
+  _addFieldsExcept (result, columns, row, tableName, exceptNames) {
+    Array.from(columns)
+      .filter(key => !exceptNames.includes(key))
+      .forEach(key => {
+        result[`${tableName}_${key}`] = (row === null) ? util.MISSING : row[key]
+      })
   }
 
   //
-  // Add columns to column list except the join column.
+  // Add columns to column list except the join columns.
   //
-  _addColumnsExcept (result, tableName, columns, exceptName) {
+  _addColumnsExcept (result, tableName, columns, exceptNames) {
     Array.from(columns)
-      .filter(col => (col !== exceptName))
+      .filter(col => !exceptNames.includes(col))
       .forEach(col => result.push(`${tableName}_${col}`))
     return result
   }
 
+  //
+  // Add types to schema except those of the join columns.
+  //
+  _addTypesExcept (result, tableName, schema, exceptNames) {
+    schema.forEach((type, col) => {
+      if (!exceptNames.includes(col)) {
+        result.set(`${tableName}_${col}`, type)
+      }
+    })
+  }
+
+  //
+  // Build an index from join keys to the locations of rows with those keys, so
+  // that joining takes time proportional to the sizes of the tables rather than
+  // their product.
+  //
+  _makeJoinIndex (data, columns) {
+    const index = new Map()
+    data.forEach((row, i) => {
+      const key = this._makeJoinKey(row, columns)
+      if (key !== null) {
+        if (!index.has(key)) {
+          index.set(key, [])
+        }
+        index.get(key).push(i)
+      }
+    })
+    return index
+  }
+
+  //
+  // Turn the values in a row's key columns into a key for a join index, or
+  // null if the row can't match anything.
+  //
+  _makeJoinKey (row, columns) {
+    const parts = columns.map(col => this._makeJoinKeyPart(row[col]))
+    return parts.includes(null) ? null : JSON.stringify(parts)
+  }
+
+  //
+  // Turn a single value into part of a key for a join index. Keys are tagged
+  // with the value's type so that (for example) the number 1 and the string "1"
+  // don't match. Missing values get a key of their own so that they match each
+  // other (as they do with `util.equal`), while values that aren't equal to
+  // themselves (NaN and invalid dates) get `null` so that they never match.
+  //
+  _makeJoinKeyPart (value) {
+    if (value === util.MISSING) {
+      return 'missing'
+    }
+    if (value instanceof Date) {
+      const time = value.getTime()
+      return isNaN(time) ? null : `date:${time}`
+    }
+    if ((typeof value === 'number') && isNaN(value)) {
+      return null
+    }
+    return `${typeof value}:${value}`
+  }
+
+  //
+  // Get the names of the columns holding join keys in a join result.
+  //
+  _makeJoinKeyNames (thisName, thisCols) {
+    if (thisCols.length === 1) {
+      return [DataFrame.JOINCOL]
+    }
+    return thisCols.map(col => `${thisName}_${col}`)
+  }
+
+  //
+  // Construct a single row of a join result. Key values are taken from this
+  // table's row if there is one and the other table's row if not.
+  //
+  _makeJoinRow (thisName, thisCols, thisRow, other, otherName, otherCols, otherRow) {
+    const keyValues = (thisRow !== null)
+      ? thisCols.map(col => thisRow[col])
+      : otherCols.map(col => otherRow[col])
+    const row = {}
+    this._makeJoinKeyNames(thisName, thisCols).forEach((name, i) => {
+      row[name] = keyValues[i]
+    })
+    this._addFieldsExcept(row, this.columns, thisRow, thisName, thisCols)
+    this._addFieldsExcept(row, other.columns, otherRow, otherName, otherCols)
+    return row
+  }
+
   //
   // Check that columns are all consistent when constructing a new dataframe.
   //
@@ -458,6 +829,33 @@ class DataFrame {
     return result
   }
 
+  //
+  // Create schema for new table from existing schema (if any), inferring types
+  // for columns that aren't in it. A column's type is only inferred if all of
+  // its values have the same type.
+  //
+  _makeSchema (oldSchema) {
+    const result = new Map()
+    this.columns.forEach(column => {
+      if (oldSchema && oldSchema.has(column)) {
+        const type = oldSchema.get(column)
+        util.check((type === null) || util.TYPES.includes(type),
+                   `unknown type "${type}" for column ${column}`)
+        result.set(column, type)
+      }
+      else {
+        const seen = new Set()
+        this.data.forEach(row => {
+          if (row[column] !== util.MISSING) {
+            seen.add(util.valueType(row[column]))
+          }
+        })
+        result.set(column, (seen.size === 1) ? seen.values().next().value : null)
+      }
+    })
+    return result
+  }
+
   //
   // Put data in groups.
   //
@@ -505,35 +903,46 @@ class DataFrame {
   }
 
   //
-  // Summarize a single column in place.
+  // Produce one ungrouped row per group (or a single row if the data isn't
+  // grouped) containing the columns used for grouping and the summaries.
   //
-  _summarizeColumn (data, action, destCol) {
-    // Classify.
-    const groups = this._putRowsInGroups(data)
-
-    // Calculate a single value for each group.
-    for (let groupId of groups.keys()) {
-      const result = action.run(groups.get(groupId))
-      groups.set(groupId, result)
-    }
-
-    // Paste back in each row.
-    data.forEach(row => {
-      const groupId = (DataFrame.GROUPCOL in row) ? row[DataFrame.GROUPCOL] : null
-      row[destCol] = groups.get(groupId)
+  _collapseGroups () {
+    const keep = [...this.groupColumns, ...this.summaryColumns]
+    const newData = []
+    this._putRowsInGroups(this.data).forEach(rows => {
+      const newRow = {}
+      keep.forEach(col => {
+        newRow[col] = rows[0][col]
+      })
+      newData.push(newRow)
     })
+    const newSchema = new Map(keep.map(col => [col, this.schema.get(col)]))
+    return new DataFrame(newData, keep, newSchema)
+  }
+
+  //
+  // Record the columns used for grouping and the summary columns in a new
+  // dataframe, keeping only those it still has. Ungrouped dataframes have no
+  // grouping columns.
+  //
+  _withGrouping (result, groupColumns = this.groupColumns, summaryColumns = this.summaryColumns) {
+    result.groupColumns = result.columns.has(DataFrame.GROUPCOL)
+      ? groupColumns.filter(col => result.columns.has(col))
+      : []
+    result.summaryColumns = summaryColumns.filter(col => result.columns.has(col))
+    return result
   }
 
   //
   // Calculate running values for a single column in place.
   //
-  _runningColumn (data, action, destCol) {
+  _runningColumn (data, action, destCol, missing) {
     // Classify.
     const groups = this._putRowsInGroups(data)
 
     // Calculate and save running value for each group.
     for (let groupId of groups.keys()) {
-      action.run(groups.get(groupId), destCol)
+      action.run(groups.get(groupId), destCol, missing)
     }
   }
 
@@ -573,6 +982,11 @@ DataFrame.GROUPCOL = '_group_'
  */
 DataFrame.JOINCOL = '_join_'
 
+/**
+ * Kinds of join supported by `join`.
+ */
+DataFrame.JOIN_KINDS = ['inner', 'left', 'right', 'full', 'semi', 'anti']
+
 /**
  * All special names (used for internal lookup).
  */
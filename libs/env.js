@@ -24,7 +24,9 @@ class Env {
 
   /**
    * Get a dataset by label. This checks the results generated by the program
-   * first, then the user data stored in the UI.
+   * first, then the user data stored in the UI. Datetimes in user data that
+   * were loaded from text without a time zone are interpreted in the program's
+   * time zone.
    * @param {string} label Identifier for data.
    * @return Data table to be converted to dataframe.
    */
@@ -35,7 +37,7 @@ class Env {
       return this.results.get(label)
     }
     if (this.ui.userData.has(label)) {
-      return this.ui.userData.get(label)
+      return this.ui.userData.get(label).reinterpretDatetimes()
     }
     util.fail(`Dataset ${label} not known`)
   }
@@ -4,7 +4,9 @@ const util = require('./util')
 
 /**
  * Represent an expression as an object. Derived classes must implement
- * `equal(other)` and `run(row, i, data)`.
+ * `equal(other)` and `run(row, i, data)`. Expressions with sub-expressions
+ * record the types those sub-expressions must produce (`null` for any type)
+ * so that `checkTypes` can report type errors before any rows are processed.
  */
 class ExprBase {
   /**
@@ -15,6 +17,17 @@ class ExprBase {
     this.family = family
     this.kind = kind
   }
+
+  /**
+   * Check the types of the columns this expression uses against the schema of
+   * the dataframe it will be run on. Columns whose types are unknown pass.
+   * @param {DataFrame} df The dataframe.
+   * @param {string[]} types The types this expression must produce (`null`
+   * for any type).
+   * @param {string} context What requires those types (used in error message).
+   */
+  checkTypes (df, types = null, context = null) {
+  }
 }
 
 /**
@@ -59,6 +72,11 @@ class ExprUnary extends ExprBase {
                `Require expression as child`)
     super(family, kind)
     this.arg = arg
+    this.argTypes = null
+  }
+
+  checkTypes (df, types = null, context = null) {
+    this.arg.checkTypes(df, this.argTypes, this.kind)
   }
 
   equal (other) {
@@ -90,6 +108,13 @@ class ExprBinary extends ExprBase {
     super(family, kind)
     this.left = left
     this.right = right
+    this.leftTypes = null
+    this.rightTypes = null
+  }
+
+  checkTypes (df, types = null, context = null) {
+    this.left.checkTypes(df, this.leftTypes, this.kind)
+    this.right.checkTypes(df, this.rightTypes, this.kind)
   }
 
   equal (other) {
@@ -126,6 +151,15 @@ class ExprTernary extends ExprBase {
     this.left = left
     this.middle = middle
     this.right = right
+    this.leftTypes = null
+    this.middleTypes = null
+    this.rightTypes = null
+  }
+
+  checkTypes (df, types = null, context = null) {
+    this.left.checkTypes(df, this.leftTypes, this.kind)
+    this.middle.checkTypes(df, this.middleTypes, this.kind)
+    this.right.checkTypes(df, this.rightTypes, this.kind)
   }
 
   equal (other) {
@@ -68,13 +68,13 @@ class UserInterface {
   }
 
   /**
-   * Load default datasets.
+   * Load default datasets, inferring the types of their columns.
    */
   _loadDefaultDatasets () {
-    this.userData.set('colors', new DataFrame(COLORS))
-    this.userData.set('earthquakes', new DataFrame(EARTHQUAKES))
-    this.userData.set('penguins', new DataFrame(PENGUINS))
-    this.userData.set('phish', new DataFrame(PHISH))
+    this.userData.set('colors', new DataFrame(COLORS).inferTypes())
+    this.userData.set('earthquakes', new DataFrame(EARTHQUAKES).inferTypes())
+    this.userData.set('penguins', new DataFrame(PENGUINS).inferTypes())
+    this.userData.set('phish', new DataFrame(PHISH).inferTypes())
   }
 }
 
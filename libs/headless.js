@@ -0,0 +1,64 @@
+'use strict'
+
+const util = require('./util')
+const DataFrame = require('./dataframe')
+const UserInterface = require('./gui')
+
+/**
+ * User interface stand-in for running programs without a browser. Programs are
+ * provided as JSON (the `['@program', ...]` format understood by `Restore`)
+ * rather than being generated from a Blockly workspace, and user datasets are
+ * loaded from CSV text.
+ */
+class HeadlessInterface extends UserInterface {
+  /**
+   * Build headless interface object.
+   * @param {Object[]} json The program to run.
+   * @param {string} language What language to use for localizing blocks.
+   */
+  constructor (json, language = 'en') {
+    super(language)
+    this.json = json
+  }
+
+  /**
+   * Get the JSON representation of the program.
+   * @return The JSON given to the constructor.
+   */
+  getJSON () {
+    return this.json
+  }
+
+  /**
+   * Add a dataset to the user data available to programs. The types of columns
+   * are inferred from their values unless specified.
+   * @param {string} label Identifier for data.
+   * @param {string} text CSV-formatted text to parse.
+   * @param {Object} types Types to use for particular columns instead of the
+   * inferred ones (column names as keys, types as values).
+   */
+  loadCsv (label, text, types = {}) {
+    util.check(label && (typeof label === 'string') &&
+               label.match(DataFrame.TABLE_NAME),
+               `Cannot use "${label}" as dataset label`)
+    util.check(typeof text === 'string',
+               `Require text for dataset ${label}`)
+    if (this.userData.has(label)) {
+      util.fail(`Dataset ${label} already loaded`)
+    }
+    const df = new DataFrame(util.csvToTable(text)).inferTypes(types)
+    this.userData.set(label, df)
+  }
+
+  /**
+   * Did the most recent run of the program log any errors?
+   * @return {Boolean} True if errors were logged.
+   */
+  hasErrors () {
+    util.check(this.env !== null,
+               `Program has not been run`)
+    return this.env.log.some(([level, message]) => (level === 'error'))
+  }
+}
+
+module.exports = HeadlessInterface
@@ -25,6 +25,7 @@ class OpNegate extends ExprUnary {
    */
   constructor (arg) {
     super(FAMILY, 'negate', arg)
+    this.argTypes = ['number']
   }
 
   run (row, i, data) {
@@ -45,6 +46,7 @@ class OpAbs extends ExprUnary {
    */
   constructor (arg) {
     super(FAMILY, 'abs', arg)
+    this.argTypes = ['number']
   }
 
   run (row, i, data) {
@@ -75,6 +77,343 @@ class OpNot extends ExprUnary {
 
 // ----------------------------------------------------------------------
 
+/**
+ * @extends ExprUnary
+ * Base class for mathematical functions of one number. Results that aren't
+ * finite (such as the logarithm of zero) are converted to MISSING.
+ */
+class OpMathBase extends ExprUnary {
+  /**
+   * @param {string} species The name of the operation.
+   * @param {ExprBase} arg How to get the value (which must be numeric or MISSING).
+   * @param {function} converter Mathematical function to apply.
+   */
+  constructor (species, arg, converter) {
+    super(FAMILY, species, arg)
+    this.argTypes = ['number']
+    this.converter = converter
+  }
+
+  run (row, i, data) {
+    const value = this.arg.run(row, i, data)
+    util.checkNumber(value,
+                     `Require number for ${this.name}`)
+    return (value === util.MISSING) ? util.MISSING : util.safeValue(this.converter(value))
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Arc cosine (in radians).
+ */
+class OpAcos extends OpMathBase {
+  /**
+   * Get arc cosine.
+   */
+  static CONVERTER (value) {
+    return Math.acos(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('acos', arg, OpAcos.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Arc sine (in radians).
+ */
+class OpAsin extends OpMathBase {
+  /**
+   * Get arc sine.
+   */
+  static CONVERTER (value) {
+    return Math.asin(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('asin', arg, OpAsin.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Arc tangent (in radians).
+ */
+class OpAtan extends OpMathBase {
+  /**
+   * Get arc tangent.
+   */
+  static CONVERTER (value) {
+    return Math.atan(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('atan', arg, OpAtan.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Round up to an integer.
+ */
+class OpCeiling extends OpMathBase {
+  /**
+   * Round up.
+   */
+  static CONVERTER (value) {
+    return Math.ceil(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('ceiling', arg, OpCeiling.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Cosine of an angle in radians.
+ */
+class OpCos extends OpMathBase {
+  /**
+   * Get cosine.
+   */
+  static CONVERTER (value) {
+    return Math.cos(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('cos', arg, OpCos.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Exponential (e to the power of a value).
+ */
+class OpExp extends OpMathBase {
+  /**
+   * Get exponential.
+   */
+  static CONVERTER (value) {
+    return Math.exp(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('exp', arg, OpExp.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Round down to an integer.
+ */
+class OpFloor extends OpMathBase {
+  /**
+   * Round down.
+   */
+  static CONVERTER (value) {
+    return Math.floor(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('floor', arg, OpFloor.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Natural logarithm.
+ */
+class OpLog extends OpMathBase {
+  /**
+   * Get natural logarithm.
+   */
+  static CONVERTER (value) {
+    return Math.log(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('log', arg, OpLog.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Base-10 logarithm.
+ */
+class OpLog10 extends OpMathBase {
+  /**
+   * Get base-10 logarithm.
+   */
+  static CONVERTER (value) {
+    return Math.log10(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('log10', arg, OpLog10.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Sign of a value (-1, 0, or 1).
+ */
+class OpSign extends OpMathBase {
+  /**
+   * Get sign.
+   */
+  static CONVERTER (value) {
+    return Math.sign(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('sign', arg, OpSign.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Sine of an angle in radians.
+ */
+class OpSin extends OpMathBase {
+  /**
+   * Get sine.
+   */
+  static CONVERTER (value) {
+    return Math.sin(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('sin', arg, OpSin.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Square root.
+ */
+class OpSqrt extends OpMathBase {
+  /**
+   * Get square root.
+   */
+  static CONVERTER (value) {
+    return Math.sqrt(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('sqrt', arg, OpSqrt.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpMathBase
+ * Tangent of an angle in radians.
+ */
+class OpTan extends OpMathBase {
+  /**
+   * Get tangent.
+   */
+  static CONVERTER (value) {
+    return Math.tan(value)
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('tan', arg, OpTan.CONVERTER)
+  }
+}
+
+/**
+ * Move the decimal point of a number by working with its decimal text, so that
+ * values like 1.005 are not turned into 100.49999... when scaled.
+ * @param {number} value Finite number to shift.
+ * @param {number} places How many places to move the point right (negative for left).
+ * @return {number} Shifted value.
+ */
+const _shiftDecimal = (value, places) => {
+  const [mantissa, exponent = '0'] = String(value).split('e')
+  return Number(`${mantissa}e${Number(exponent) + places}`)
+}
+
+/**
+ * @extends ExprUnary
+ * Round to a number of decimal places (rounding halves away from zero).
+ */
+class OpRound extends ExprUnary {
+  /**
+   * @param {ExprBase} arg How to get the value (which must be numeric or MISSING).
+   * @param {number} digits How many decimal places to keep (negative to round
+   * to tens, hundreds, etc.).
+   */
+  constructor (arg, digits = 0) {
+    util.check(Number.isInteger(digits),
+               `Number of digits to round to must be integer`)
+    super(FAMILY, 'round', arg)
+    this.argTypes = ['number']
+    this.digits = digits
+  }
+
+  run (row, i, data) {
+    const value = this.arg.run(row, i, data)
+    util.checkNumber(value,
+                     `Require number for ${this.name}`)
+    if (value === util.MISSING) {
+      return util.MISSING
+    }
+    if (!isFinite(value)) {
+      return util.MISSING
+    }
+    const rounded = Math.round(_shiftDecimal(Math.abs(value), this.digits))
+    return util.safeValue(Math.sign(value) * _shiftDecimal(rounded, -this.digits))
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.digits === other.digits)
+  }
+}
+
+// ----------------------------------------------------------------------
+
 /**
  * @extends ExprUnary
  * Base class for type-checking expressions.
@@ -291,17 +630,28 @@ class OpToText extends OpConvertBase {
 
 /**
  * @extends ExprUnary
- * Base class for unary datetime expressions.
+ * Base class for unary datetime expressions. Parts are extracted in the
+ * operation's time zone, or in the program's if the operation doesn't have one.
  */
 class OpDatetimeBase extends ExprUnary {
   /**
    * @param {string} species The precise function name.
    * @param {ExprBase} arg How to get a value.
-   * @param {function} converter Conversion function from Date to value.
+   * @param {function} converter Conversion function from datetime parts (see
+   * `util.datetimeParts`) to value.
+   * @param {string} zone Time zone (null to use the program's).
    */
-  constructor (species, arg, converter) {
+  constructor (species, arg, converter, zone) {
+    util.checkTimeZone(zone)
     super(FAMILY, species, arg)
+    this.argTypes = ['datetime']
     this.converter = converter
+    this.zone = zone
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.zone === other.zone)
   }
 
   run (row, i, data) {
@@ -311,7 +661,7 @@ class OpDatetimeBase extends ExprUnary {
     }
     util.check(value instanceof Date,
                `Require date for ${this.species}`)
-    return this.converter(value)
+    return this.converter(util.datetimeParts(value, this.zone))
   }
 }
 
@@ -321,17 +671,18 @@ class OpDatetimeBase extends ExprUnary {
  */
 class OpToYear extends OpDatetimeBase {
   /**
-   * Extract year from Date.
+   * Extract year from datetime parts.
    */
-  static CONVERTER (d) {
-    return d.getFullYear()
+  static CONVERTER (parts) {
+    return parts.year
   }
 
   /**
    * @param {ExprBase} arg How to get a value.
+   * @param {string} zone Time zone (null to use the program's).
    */
-  constructor (arg) {
-    super('toYear', arg, OpToYear.CONVERTER)
+  constructor (arg, zone = null) {
+    super('toYear', arg, OpToYear.CONVERTER, zone)
   }
 }
 
@@ -341,17 +692,18 @@ class OpToYear extends OpDatetimeBase {
  */
 class OpToMonth extends OpDatetimeBase {
   /**
-   * Extract year from Date.
+   * Extract month from datetime parts.
    */
-  static CONVERTER (d) {
-    return d.getMonth() + 1
+  static CONVERTER (parts) {
+    return parts.month
   }
 
   /**
    * @param {ExprBase} arg How to get a value.
+   * @param {string} zone Time zone (null to use the program's).
    */
-  constructor (arg) {
-    super('toMonth', arg, OpToMonth.CONVERTER)
+  constructor (arg, zone = null) {
+    super('toMonth', arg, OpToMonth.CONVERTER, zone)
   }
 }
 
@@ -361,17 +713,18 @@ class OpToMonth extends OpDatetimeBase {
  */
 class OpToDay extends OpDatetimeBase {
   /**
-   * Extract year from Date.
+   * Extract day of month from datetime parts.
    */
-  static CONVERTER (d) {
-    return d.getDate()
+  static CONVERTER (parts) {
+    return parts.day
   }
 
   /**
    * @param {ExprBase} arg How to get a value.
+   * @param {string} zone Time zone (null to use the program's).
    */
-  constructor (arg) {
-    super('toDay', arg, OpToDay.CONVERTER)
+  constructor (arg, zone = null) {
+    super('toDay', arg, OpToDay.CONVERTER, zone)
   }
 }
 
@@ -381,17 +734,18 @@ class OpToDay extends OpDatetimeBase {
  */
 class OpToWeekday extends OpDatetimeBase {
   /**
-   * Extract year from Date.
+   * Extract day of week from datetime parts.
    */
-  static CONVERTER (d) {
-    return d.getDay()
+  static CONVERTER (parts) {
+    return parts.weekday
   }
 
   /**
    * @param {ExprBase} arg How to get a value.
+   * @param {string} zone Time zone (null to use the program's).
    */
-  constructor (arg) {
-    super('toWeekday', arg, OpToWeekday.CONVERTER)
+  constructor (arg, zone = null) {
+    super('toWeekday', arg, OpToWeekday.CONVERTER, zone)
   }
 }
 
@@ -401,17 +755,18 @@ class OpToWeekday extends OpDatetimeBase {
  */
 class OpToHours extends OpDatetimeBase {
   /**
-   * Extract year from Date.
+   * Extract hours from datetime parts.
    */
-  static CONVERTER (d) {
-    return d.getHours()
+  static CONVERTER (parts) {
+    return parts.hours
   }
 
   /**
    * @param {ExprBase} arg How to get a value.
+   * @param {string} zone Time zone (null to use the program's).
    */
-  constructor (arg) {
-    super('toHours', arg, OpToHours.CONVERTER)
+  constructor (arg, zone = null) {
+    super('toHours', arg, OpToHours.CONVERTER, zone)
   }
 }
 
@@ -421,17 +776,18 @@ class OpToHours extends OpDatetimeBase {
  */
 class OpToMinutes extends OpDatetimeBase {
   /**
-   * Extract year from Date.
+   * Extract minutes from datetime parts.
    */
-  static CONVERTER (d) {
-    return d.getMinutes()
+  static CONVERTER (parts) {
+    return parts.minutes
   }
 
   /**
    * @param {ExprBase} arg How to get a value.
+   * @param {string} zone Time zone (null to use the program's).
    */
-  constructor (arg) {
-    super('toMinutes', arg, OpToMinutes.CONVERTER)
+  constructor (arg, zone = null) {
+    super('toMinutes', arg, OpToMinutes.CONVERTER, zone)
   }
 }
 
@@ -441,17 +797,739 @@ class OpToMinutes extends OpDatetimeBase {
  */
 class OpToSeconds extends OpDatetimeBase {
   /**
-   * Extract year from Date.
+   * Extract seconds from datetime parts.
    */
-  static CONVERTER (d) {
-    return d.getSeconds()
+  static CONVERTER (parts) {
+    return parts.seconds
   }
 
   /**
    * @param {ExprBase} arg How to get a value.
+   * @param {string} zone Time zone (null to use the program's).
    */
-  constructor (arg) {
-    super('toSeconds', arg, OpToSeconds.CONVERTER)
+  constructor (arg, zone = null) {
+    super('toSeconds', arg, OpToSeconds.CONVERTER, zone)
+  }
+}
+
+/**
+ * @extends ExprBinary
+ * Base class for adding durations to datetimes. The unit and time zone are
+ * constants; the amount may come from an expression.
+ */
+class OpDurationBase extends ExprBinary {
+  /**
+   * @param {string} species The name of the operation.
+   * @param {ExprBase} left How to get the datetime.
+   * @param {ExprBase} right How to get the number of units.
+   * @param {string} unit One of `util.DATETIME_UNITS`.
+   * @param {string} zone Time zone (null to use the program's).
+   * @param {number} sign 1 to add or -1 to subtract.
+   */
+  constructor (species, left, right, unit, zone, sign) {
+    util.checkDatetimeUnit(unit)
+    util.checkTimeZone(zone)
+    super(FAMILY, species, left, right)
+    this.leftTypes = ['datetime']
+    this.rightTypes = ['number']
+    this.unit = unit
+    this.zone = zone
+    this.sign = sign
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.unit === other.unit) &&
+      (this.zone === other.zone)
+  }
+
+  run (row, i, data) {
+    const left = this.left.run(row, i, data)
+    const right = this.right.run(row, i, data)
+    if ((left === util.MISSING) || (right === util.MISSING)) {
+      return util.MISSING
+    }
+    util.check(left instanceof Date,
+               `Require date for ${this.kind}`)
+    util.check(typeof right === 'number',
+               `Require number for ${this.kind}`)
+    return util.addToDatetime(left, this.sign * right, this.unit, this.zone)
+  }
+}
+
+/**
+ * @extends OpDurationBase
+ * Add a duration to a datetime.
+ */
+class OpAddDuration extends OpDurationBase {
+  /**
+   * @param {ExprBase} left How to get the datetime.
+   * @param {ExprBase} right How to get the number of units.
+   * @param {string} unit One of `util.DATETIME_UNITS`.
+   * @param {string} zone Time zone (null to use the program's).
+   */
+  constructor (left, right, unit, zone = null) {
+    super('addDuration', left, right, unit, zone, 1)
+  }
+}
+
+/**
+ * @extends OpDurationBase
+ * Subtract a duration from a datetime.
+ */
+class OpSubtractDuration extends OpDurationBase {
+  /**
+   * @param {ExprBase} left How to get the datetime.
+   * @param {ExprBase} right How to get the number of units.
+   * @param {string} unit One of `util.DATETIME_UNITS`.
+   * @param {string} zone Time zone (null to use the program's).
+   */
+  constructor (left, right, unit, zone = null) {
+    super('subtractDuration', left, right, unit, zone, -1)
+  }
+}
+
+/**
+ * @extends ExprBinary
+ * Count whole units from one datetime to another.
+ */
+class OpDatetimeDifference extends ExprBinary {
+  /**
+   * @param {ExprBase} left How to get the datetime to count from.
+   * @param {ExprBase} right How to get the datetime to count to.
+   * @param {string} unit One of `util.DATETIME_UNITS`.
+   * @param {string} zone Time zone (null to use the program's).
+   */
+  constructor (left, right, unit, zone = null) {
+    util.checkDatetimeUnit(unit)
+    util.checkTimeZone(zone)
+    super(FAMILY, 'datetimeDifference', left, right)
+    this.leftTypes = ['datetime']
+    this.rightTypes = ['datetime']
+    this.unit = unit
+    this.zone = zone
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.unit === other.unit) &&
+      (this.zone === other.zone)
+  }
+
+  run (row, i, data) {
+    const left = this.left.run(row, i, data)
+    const right = this.right.run(row, i, data)
+    if ((left === util.MISSING) || (right === util.MISSING)) {
+      return util.MISSING
+    }
+    util.check((left instanceof Date) && (right instanceof Date),
+               `Require dates for ${this.kind}`)
+    return util.datetimeDifference(left, right, this.unit, this.zone)
+  }
+}
+
+/**
+ * @extends ExprUnary
+ * Truncate a datetime to the start of its year, month, week, etc.
+ */
+class OpTruncateDatetime extends ExprUnary {
+  /**
+   * @param {ExprBase} arg How to get the datetime.
+   * @param {string} unit One of `util.DATETIME_UNITS`.
+   * @param {string} zone Time zone (null to use the program's).
+   */
+  constructor (arg, unit, zone = null) {
+    util.checkDatetimeUnit(unit)
+    util.checkTimeZone(zone)
+    super(FAMILY, 'truncateDatetime', arg)
+    this.argTypes = ['datetime']
+    this.unit = unit
+    this.zone = zone
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.unit === other.unit) &&
+      (this.zone === other.zone)
+  }
+
+  run (row, i, data) {
+    const value = this.arg.run(row, i, data)
+    if (value === util.MISSING) {
+      return util.MISSING
+    }
+    util.check(value instanceof Date,
+               `Require date for ${this.kind}`)
+    return util.truncateDatetime(value, this.unit, this.zone)
+  }
+}
+
+/**
+ * @extends ExprUnary
+ * Base class for converting between datetimes and text with explicit formats.
+ */
+class OpDatetimeFormatBase extends ExprUnary {
+  /**
+   * @param {string} species The name of the operation.
+   * @param {ExprBase} arg How to get a value.
+   * @param {string} format The datetime format (see `util.checkDatetimeFormat`).
+   * @param {string} zone Time zone (null to use the program's).
+   */
+  constructor (species, arg, format, zone) {
+    util.checkDatetimeFormat(format)
+    util.checkTimeZone(zone)
+    super(FAMILY, species, arg)
+    this.format = format
+    this.zone = zone
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.format === other.format) &&
+      (this.zone === other.zone)
+  }
+}
+
+/**
+ * @extends OpDatetimeFormatBase
+ * Format a datetime as text.
+ */
+class OpFormatDatetime extends OpDatetimeFormatBase {
+  /**
+   * @param {ExprBase} arg How to get the datetime.
+   * @param {string} format The datetime format.
+   * @param {string} zone Time zone (null to use the program's).
+   */
+  constructor (arg, format, zone = null) {
+    super('formatDatetime', arg, format, zone)
+    this.argTypes = ['datetime']
+  }
+
+  run (row, i, data) {
+    const value = this.arg.run(row, i, data)
+    if (value === util.MISSING) {
+      return util.MISSING
+    }
+    util.check(value instanceof Date,
+               `Require date for ${this.kind}`)
+    return util.formatDatetime(value, this.format, this.zone)
+  }
+}
+
+/**
+ * @extends OpDatetimeFormatBase
+ * Parse text as a datetime.
+ */
+class OpParseDatetime extends OpDatetimeFormatBase {
+  /**
+   * @param {ExprBase} arg How to get the text.
+   * @param {string} format The datetime format.
+   * @param {string} zone Time zone (null to use the program's).
+   */
+  constructor (arg, format, zone = null) {
+    super('parseDatetime', arg, format, zone)
+    this.argTypes = ['text']
+  }
+
+  run (row, i, data) {
+    const value = this.arg.run(row, i, data)
+    if (value === util.MISSING) {
+      return util.MISSING
+    }
+    util.check(typeof value === 'string',
+               `Require text for ${this.kind}`)
+    return util.parseDatetime(value, this.format, this.zone)
+  }
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * @extends ExprUnary
+ * Base class for unary text operations.
+ */
+class OpTextUnaryBase extends ExprUnary {
+  /**
+   * @param {string} species The name of the operation.
+   * @param {ExprBase} arg How to get a value.
+   * @param {function} converter Conversion function from text to value.
+   */
+  constructor (species, arg, converter) {
+    super(FAMILY, species, arg)
+    this.argTypes = ['text']
+    this.converter = converter
+  }
+
+  run (row, i, data) {
+    const value = this.arg.run(row, i, data)
+    if (value === util.MISSING) {
+      return util.MISSING
+    }
+    util.check(typeof value === 'string',
+               `Require text for ${this.kind}`)
+    return this.converter(value)
+  }
+}
+
+/**
+ * @extends OpTextUnaryBase
+ * Number of characters in text.
+ */
+class OpLength extends OpTextUnaryBase {
+  /**
+   * Count characters.
+   */
+  static CONVERTER (text) {
+    return text.length
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('length', arg, OpLength.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpTextUnaryBase
+ * Convert text to lower case.
+ */
+class OpLower extends OpTextUnaryBase {
+  /**
+   * Convert to lower case.
+   */
+  static CONVERTER (text) {
+    return text.toLowerCase()
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('lower', arg, OpLower.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpTextUnaryBase
+ * Remove leading and trailing whitespace from text.
+ */
+class OpTrim extends OpTextUnaryBase {
+  /**
+   * Remove whitespace.
+   */
+  static CONVERTER (text) {
+    return text.trim()
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('trim', arg, OpTrim.CONVERTER)
+  }
+}
+
+/**
+ * @extends OpTextUnaryBase
+ * Convert text to upper case.
+ */
+class OpUpper extends OpTextUnaryBase {
+  /**
+   * Convert to upper case.
+   */
+  static CONVERTER (text) {
+    return text.toUpperCase()
+  }
+
+  /**
+   * @param {ExprBase} arg How to get a value.
+   */
+  constructor (arg) {
+    super('upper', arg, OpUpper.CONVERTER)
+  }
+}
+
+/**
+ * @extends ExprBinary
+ * Base class for binary text operations.
+ */
+class OpTextBinaryBase extends ExprBinary {
+  /**
+   * @param {string} species The name of the operation.
+   * @param {ExprBase} left How to get the left value.
+   * @param {ExprBase} right How to get the right value.
+   * @param {function} operator How to combine values.
+   */
+  constructor (species, left, right, operator) {
+    super(FAMILY, species, left, right)
+    this.leftTypes = ['text']
+    this.rightTypes = ['text']
+    this.operator = operator
+  }
+
+  run (row, i, data) {
+    const left = this.left.run(row, i, data)
+    const right = this.right.run(row, i, data)
+    if ((left === util.MISSING) || (right === util.MISSING)) {
+      return util.MISSING
+    }
+    util.check((typeof left === 'string') && (typeof right === 'string'),
+               `Require text for ${this.kind}`)
+    return this.operator(left, right)
+  }
+}
+
+/**
+ * @extends OpTextBinaryBase
+ * Join two pieces of text.
+ */
+class OpConcatenate extends OpTextBinaryBase {
+  /**
+   * Join text.
+   */
+  static OPERATOR (left, right) {
+    return left + right
+  }
+
+  /**
+   * @param {ExprBase} left How to get a value.
+   * @param {ExprBase} right How to get a value.
+   */
+  constructor (left, right) {
+    super('concatenate', left, right, OpConcatenate.OPERATOR)
+  }
+}
+
+/**
+ * @extends OpTextBinaryBase
+ * Check if text contains other text.
+ */
+class OpContains extends OpTextBinaryBase {
+  /**
+   * Look for text anywhere.
+   */
+  static OPERATOR (left, right) {
+    return left.includes(right)
+  }
+
+  /**
+   * @param {ExprBase} left How to get the text to search.
+   * @param {ExprBase} right How to get the text to search for.
+   */
+  constructor (left, right) {
+    super('contains', left, right, OpContains.OPERATOR)
+  }
+}
+
+/**
+ * @extends OpTextBinaryBase
+ * Check if text ends with other text.
+ */
+class OpEndsWith extends OpTextBinaryBase {
+  /**
+   * Look for text at the end.
+   */
+  static OPERATOR (left, right) {
+    return left.endsWith(right)
+  }
+
+  /**
+   * @param {ExprBase} left How to get the text to search.
+   * @param {ExprBase} right How to get the text to search for.
+   */
+  constructor (left, right) {
+    super('endsWith', left, right, OpEndsWith.OPERATOR)
+  }
+}
+
+/**
+ * @extends OpTextBinaryBase
+ * Check if text starts with other text.
+ */
+class OpStartsWith extends OpTextBinaryBase {
+  /**
+   * Look for text at the start.
+   */
+  static OPERATOR (left, right) {
+    return left.startsWith(right)
+  }
+
+  /**
+   * @param {ExprBase} left How to get the text to search.
+   * @param {ExprBase} right How to get the text to search for.
+   */
+  constructor (left, right) {
+    super('startsWith', left, right, OpStartsWith.OPERATOR)
+  }
+}
+
+/**
+ * @extends ExprTernary
+ * Base class for ternary text operations. The first argument must be text;
+ * the operator checks the other two.
+ */
+class OpTextTernaryBase extends ExprTernary {
+  /**
+   * @param {string} species The name of the operation.
+   * @param {ExprBase} left How to get the text to operate on.
+   * @param {ExprBase} middle How to get the first parameter.
+   * @param {ExprBase} right How to get the second parameter.
+   * @param {function} operator How to combine values.
+   */
+  constructor (species, left, middle, right, operator) {
+    super(FAMILY, species, left, middle, right)
+    this.leftTypes = ['text']
+    this.operator = operator
+  }
+
+  run (row, i, data) {
+    const left = this.left.run(row, i, data)
+    const middle = this.middle.run(row, i, data)
+    const right = this.right.run(row, i, data)
+    if ((left === util.MISSING) ||
+        (middle === util.MISSING) ||
+        (right === util.MISSING)) {
+      return util.MISSING
+    }
+    util.check(typeof left === 'string',
+               `Require text for ${this.kind}`)
+    return this.operator(left, middle, right)
+  }
+}
+
+/**
+ * @extends OpTextTernaryBase
+ * Replace every occurrence of some text with other text.
+ */
+class OpReplace extends OpTextTernaryBase {
+  /**
+   * Replace literal text (not a pattern).
+   */
+  static OPERATOR (text, old, replacement) {
+    util.check((typeof old === 'string') && (typeof replacement === 'string'),
+               `Require text to replace`)
+    util.check(old.length > 0,
+               `Require non-empty text to replace`)
+    return text.split(old).join(replacement)
+  }
+
+  /**
+   * @param {ExprBase} left How to get the text to change.
+   * @param {ExprBase} middle How to get the text to replace.
+   * @param {ExprBase} right How to get the replacement text.
+   */
+  constructor (left, middle, right) {
+    super('replace', left, middle, right, OpReplace.OPERATOR)
+    this.middleTypes = ['text']
+    this.rightTypes = ['text']
+  }
+}
+
+/**
+ * @extends OpTextTernaryBase
+ * Get one part of text split on a separator.
+ */
+class OpSplitPart extends OpTextTernaryBase {
+  /**
+   * Get the 1-based part, or MISSING if there are not that many parts.
+   */
+  static OPERATOR (text, separator, index) {
+    util.check(typeof separator === 'string',
+               `Require text as separator`)
+    util.check(separator.length > 0,
+               `Require non-empty separator`)
+    util.check(Number.isInteger(index) && (index > 0),
+               `Require positive integer as part index`)
+    const parts = text.split(separator)
+    return (index <= parts.length) ? parts[index - 1] : util.MISSING
+  }
+
+  /**
+   * @param {ExprBase} left How to get the text to split.
+   * @param {ExprBase} middle How to get the separator.
+   * @param {ExprBase} right How to get the 1-based index of the part.
+   */
+  constructor (left, middle, right) {
+    super('splitPart', left, middle, right, OpSplitPart.OPERATOR)
+    this.middleTypes = ['text']
+    this.rightTypes = ['number']
+  }
+}
+
+/**
+ * @extends OpTextTernaryBase
+ * Get part of text by position.
+ */
+class OpSubstring extends OpTextTernaryBase {
+  /**
+   * Get characters starting at a 1-based position (possibly fewer than
+   * requested if the text is too short).
+   */
+  static OPERATOR (text, start, length) {
+    util.check(Number.isInteger(start) && (start > 0),
+               `Require positive integer as substring start`)
+    util.check(Number.isInteger(length) && (length >= 0),
+               `Require non-negative integer as substring length`)
+    return text.slice(start - 1, start - 1 + length)
+  }
+
+  /**
+   * @param {ExprBase} left How to get the text.
+   * @param {ExprBase} middle How to get the 1-based start position.
+   * @param {ExprBase} right How to get the number of characters.
+   */
+  constructor (left, middle, right) {
+    super('substring', left, middle, right, OpSubstring.OPERATOR)
+    this.middleTypes = ['number']
+    this.rightTypes = ['number']
+  }
+}
+
+// ----------------------------------------------------------------------
+
+/**
+ * Compile a regular expression, failing with a readable message if it is invalid.
+ * @param {string} pattern The pattern to compile.
+ * @param {string} flags Regular expression flags.
+ * @return {RegExp} The compiled pattern.
+ */
+const _makeRegExp = (pattern, flags = '') => {
+  util.check(typeof pattern === 'string',
+             `Require text as pattern`)
+  try {
+    return new RegExp(pattern, flags)
+  }
+  catch (err) {
+    util.fail(`Invalid pattern "${pattern}": ${err.message}`)
+  }
+}
+
+/**
+ * @extends ExprUnary
+ * Base class for regular expression operations. The pattern is a constant
+ * rather than an expression so that it can be checked when the operation is
+ * created instead of when the pipeline runs.
+ */
+class OpRegexBase extends ExprUnary {
+  /**
+   * @param {string} species The name of the operation.
+   * @param {ExprBase} arg How to get the text to match against.
+   * @param {string} pattern The regular expression.
+   * @param {string} flags Regular expression flags.
+   */
+  constructor (species, arg, pattern, flags = '') {
+    const regex = _makeRegExp(pattern, flags)
+    super(FAMILY, species, arg)
+    this.argTypes = ['text']
+    this.pattern = pattern
+    this.regex = regex
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.pattern === other.pattern)
+  }
+
+  /**
+   * Get the text to match against.
+   * @param {Object} row The row containing the value.
+   * @param {number} i The row index.
+   * @param {Array<Object>} data The array of rows.
+   * @return {string} The text or MISSING.
+   */
+  getText (row, i, data) {
+    const value = this.arg.run(row, i, data)
+    util.check((value === util.MISSING) || (typeof value === 'string'),
+               `Require text for ${this.kind}`)
+    return value
+  }
+}
+
+/**
+ * @extends OpRegexBase
+ * Extract text matching a pattern or one of its groups.
+ */
+class OpExtract extends OpRegexBase {
+  /**
+   * @param {ExprBase} arg How to get the text to match against.
+   * @param {string} pattern The regular expression.
+   * @param {number} group Which group to extract (0 for the whole match).
+   */
+  constructor (arg, pattern, group = 0) {
+    super('extract', arg, pattern)
+    const numGroups = _makeRegExp(`${pattern}|`).exec('').length - 1
+    util.check(Number.isInteger(group) && (group >= 0) && (group <= numGroups),
+               `Group ${group} does not exist in pattern "${pattern}"`)
+    this.group = group
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.group === other.group)
+  }
+
+  run (row, i, data) {
+    const value = this.getText(row, i, data)
+    if (value === util.MISSING) {
+      return util.MISSING
+    }
+    const match = this.regex.exec(value)
+    if ((match === null) || (match[this.group] === undefined)) {
+      return util.MISSING
+    }
+    return match[this.group]
+  }
+}
+
+/**
+ * @extends OpRegexBase
+ * Check if text contains a match for a pattern.
+ */
+class OpMatches extends OpRegexBase {
+  /**
+   * @param {ExprBase} arg How to get the text to match against.
+   * @param {string} pattern The regular expression.
+   */
+  constructor (arg, pattern) {
+    super('matches', arg, pattern)
+  }
+
+  run (row, i, data) {
+    const value = this.getText(row, i, data)
+    return (value === util.MISSING) ? util.MISSING : this.regex.test(value)
+  }
+}
+
+/**
+ * @extends OpRegexBase
+ * Replace every match for a pattern. The replacement may refer to groups as
+ * `$1`, `$2`, and so on.
+ */
+class OpReplaceAll extends OpRegexBase {
+  /**
+   * @param {ExprBase} arg How to get the text to change.
+   * @param {string} pattern The regular expression.
+   * @param {string} replacement What to replace matches with.
+   */
+  constructor (arg, pattern, replacement) {
+    util.check(typeof replacement === 'string',
+               `Require text as replacement`)
+    super('replaceAll', arg, pattern, 'g')
+    this.replacement = replacement
+  }
+
+  equal (other) {
+    return super.equal(other) &&
+      (this.replacement === other.replacement)
+  }
+
+  run (row, i, data) {
+    const value = this.getText(row, i, data)
+    return (value === util.MISSING)
+      ? util.MISSING
+      : value.replace(this.regex, this.replacement)
   }
 }
 
@@ -470,6 +1548,8 @@ class OpArithmeticBase extends ExprBinary {
    */
   constructor (species, left, right, operator) {
     super(FAMILY, species, left, right)
+    this.leftTypes = ['number']
+    this.rightTypes = ['number']
     this.operator = operator
   }
 
@@ -977,10 +2057,24 @@ class OpShift extends ExprBase {
 module.exports = {
   FAMILY: FAMILY,
   abs: OpAbs,
+  acos: OpAcos,
   add: OpAdd,
+  addDuration: OpAddDuration,
   and: OpAnd,
+  asin: OpAsin,
+  atan: OpAtan,
+  ceiling: OpCeiling,
+  concatenate: OpConcatenate,
+  contains: OpContains,
+  cos: OpCos,
+  datetimeDifference: OpDatetimeDifference,
   divide: OpDivide,
+  endsWith: OpEndsWith,
   equal: OpEqual,
+  exp: OpExp,
+  extract: OpExtract,
+  floor: OpFloor,
+  formatDatetime: OpFormatDatetime,
   greater: OpGreater,
   greaterEqual: OpGreaterEqual,
   ifElse: OpIfElse,
@@ -989,8 +2083,13 @@ module.exports = {
   isMissing: OpIsMissing,
   isNumber: OpIsNumber,
   isText: OpIsText,
+  length: OpLength,
   less: OpLess,
   lessEqual: OpLessEqual,
+  log: OpLog,
+  log10: OpLog10,
+  lower: OpLower,
+  matches: OpMatches,
   maximum: OpMaximum,
   minimum: OpMinimum,
   multiply: OpMultiply,
@@ -998,10 +2097,22 @@ module.exports = {
   not: OpNot,
   notEqual: OpNotEqual,
   or: OpOr,
+  parseDatetime: OpParseDatetime,
   power: OpPower,
   remainder: OpRemainder,
+  replace: OpReplace,
+  replaceAll: OpReplaceAll,
+  round: OpRound,
   shift: OpShift,
+  sign: OpSign,
+  sin: OpSin,
+  splitPart: OpSplitPart,
+  sqrt: OpSqrt,
+  startsWith: OpStartsWith,
+  substring: OpSubstring,
   subtract: OpSubtract,
+  subtractDuration: OpSubtractDuration,
+  tan: OpTan,
   toDatetime: OpToDatetime,
   toDay: OpToDay,
   toHours: OpToHours,
@@ -1012,5 +2123,8 @@ module.exports = {
   toSeconds: OpToSeconds,
   toText: OpToText,
   toWeekday: OpToWeekday,
-  toYear: OpToYear
+  toYear: OpToYear,
+  trim: OpTrim,
+  truncateDatetime: OpTruncateDatetime,
+  upper: OpUpper
 }
@@ -115,6 +115,12 @@ class Program {
       problems.push(`Program has ${numSeeds} random number seed blocks: only allowed 1`)
     }
 
+    // More than one time zone block?
+    const numZones = this.controls.filter(p => p.transforms[0] instanceof Transform.timeZone).length
+    if (numZones > 1) {
+      problems.push(`Program has ${numZones} time zone blocks: only allowed 1`)
+    }
+
     // Report any problems by raising exception to prevent execution.
     if (problems.length > 0) {
       throw new Error(problems.join('\n'))
@@ -123,11 +129,13 @@ class Program {
 
   /**
    * Run all pipelines in an order that respects dependencies.  Single-block
-   * control pipelines are always run before all other pipelines.
+   * control pipelines are always run before all other pipelines. The time zone
+   * used by datetime operations is reset to the default before and after.
    * @param {Env} env The runtime environment of the program.
    */
   run (env) {
     this.env = env
+    util.setTimeZone(util.DEFAULT_TIME_ZONE)
     try {
       // Check program integrity, throwing an exception if there are problems.
       this.checkProgram()
@@ -162,6 +170,9 @@ class Program {
       const trace = this.showTrace ? `\n${err.trace}` : ''
       this.env.appendLog('error', `${err.message}${trace}`)
     }
+    finally {
+      util.setTimeZone(util.DEFAULT_TIME_ZONE)
+    }
   }
 }
 
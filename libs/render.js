@@ -0,0 +1,53 @@
+'use strict'
+
+const vega = require('vega')
+const vegaLite = require('vega-lite')
+
+const util = require('./util')
+
+/**
+ * Version of Vega-Lite that plot specs are written for.
+ */
+const SCHEMA = 'https://vega.github.io/schema/vega-lite/v4.json'
+
+/**
+ * Make a standalone Vega-Lite spec from a plot stored by a program. The plot's
+ * data is already inlined, so the result can be used without TidyBlocks.
+ * @param {Object} spec Plot spec from `Env.plots`.
+ * @return New spec with a schema.
+ */
+const plotToSpec = (spec) => {
+  util.check(spec && (typeof spec === 'object') &&
+             spec.data && Array.isArray(spec.data.values),
+             `Require plot spec with data`)
+  return Object.assign({$schema: SCHEMA}, spec)
+}
+
+/**
+ * Convert a plot stored by a program to Vega-Lite JSON.
+ * @param {Object} spec Plot spec from `Env.plots`.
+ * @return {string} Formatted JSON text.
+ */
+const plotToJSON = (spec) => {
+  return JSON.stringify(plotToSpec(spec), null, 2)
+}
+
+/**
+ * Render a plot stored by a program to SVG using a headless Vega view.
+ * @param {Object} spec Plot spec from `Env.plots`.
+ * @return {Promise<string>} SVG text.
+ */
+const plotToSvg = (spec) => {
+  // Plots are always autosized, which Vega-Lite warns about for discrete axes.
+  const logger = vega.logger(vega.Error)
+  const compiled = vegaLite.compile(plotToSpec(spec), {logger}).spec
+  const view = new vega.View(vega.parse(compiled), {renderer: 'none', logger})
+  return view.toSVG().finally(() => view.finalize())
+}
+
+module.exports = {
+  SCHEMA,
+  plotToSpec,
+  plotToJSON,
+  plotToSvg
+}
@@ -11,8 +11,10 @@ class RunningBase {
    * @param {string} species Name of running values function.
    * @param {function} func How to accumulate values.
    * @param {string} srcCol Which column to accumulate.
+   * @param {string[]} types What types of columns can be accumulated (`null`
+   * for any type).
    */
-  constructor (species, srcCol, func = null) {
+  constructor (species, srcCol, func = null, types = null) {
     util.check((func === null) || (typeof func === 'function'),
                `Must provide callable function`)
     util.check(species && (typeof species === 'string') &&
@@ -21,20 +23,50 @@ class RunningBase {
     this.species = species
     this.srcCol = srcCol
     this.func = func
+    this.types = types
   }
 
-  run (rows, destCol) {
+  /**
+   * Calculate running values in place.
+   * @param {Object[]} rows The rows to calculate values for.
+   * @param {string} destCol Where to put the running values.
+   * @param {string} missing How to handle missing values (one of
+   * `util.MISSING_POLICIES`).
+   */
+  run (rows, destCol, missing = 'skip') {
+    let current = util.MISSING
+    this.accumulate(rows, destCol, missing, (value) => {
+      current = (current === util.MISSING) ? value : this.func(current, value)
+      return current
+    })
+  }
+
+  /**
+   * Walk through rows applying a missing-value policy. When skipping, a row
+   * with a missing value gets the latest running value (which is missing if
+   * there hasn't been a value yet); when propagating, every row from the first
+   * missing value onward gets a missing value.
+   * @param {Object[]} rows The rows to calculate values for.
+   * @param {string} destCol Where to put the running values.
+   * @param {string} missing How to handle missing values.
+   * @param {function} update Called with each non-missing value to get the new
+   * running value.
+   */
+  accumulate (rows, destCol, missing, update) {
     util.check(typeof destCol === 'string',
                `Must provide destination column name as string`)
-    let current = null
-    rows.forEach((row, i) => {
-      if (i === 0) {
-        current = row[this.srcCol]
+    util.checkMissingPolicy(missing)
+    let latest = util.MISSING
+    let propagating = false
+    rows.forEach(row => {
+      const value = row[this.srcCol]
+      if (value === util.MISSING) {
+        propagating = propagating || (missing === 'propagate')
       }
-      else {
-        current = this.func(current, row[this.srcCol])
+      else if (!propagating) {
+        latest = update(value)
       }
-      row[destCol] = current
+      row[destCol] = propagating ? util.MISSING : latest
     })
   }
 }
@@ -48,7 +80,7 @@ class RunningAll extends RunningBase {
   }
 
   constructor (column) {
-    super('all', column, RunningAll.Func)
+    super('all', column, RunningAll.Func, ['logical'])
   }
 }
 
@@ -61,21 +93,22 @@ class RunningAny extends RunningBase {
   }
 
   constructor (column) {
-    super('all', column, RunningAny.Func)
+    super('any', column, RunningAny.Func, ['logical'])
   }
 }
 
 /**
- * Index rows.
+ * Index rows (which is not affected by missing values).
  */
 class RunningIndex extends RunningBase {
   constructor (column) {
     super('index', column)
   }
 
-  run (rows, destCol) {
+  run (rows, destCol, missing = 'skip') {
     util.check(typeof destCol === 'string',
                `Must provide destination column name as string`)
+    util.checkMissingPolicy(missing)
     rows.forEach((row, i) => {
       row[destCol] = i + 1
     })
@@ -91,7 +124,7 @@ class RunningMaximum extends RunningBase {
   }
 
   constructor (column) {
-    super('all', column, RunningMaximum.Func)
+    super('maximum', column, RunningMaximum.Func, ['number', 'text', 'datetime'])
   }
 }
 
@@ -100,16 +133,16 @@ class RunningMaximum extends RunningBase {
  */
 class RunningMean extends RunningBase {
   constructor (column) {
-    super('all', column)
+    super('mean', column, null, ['number'])
   }
 
-  run (rows, destCol) {
-    util.check(typeof destCol === 'string',
-               `Must provide destination column name as string`)
+  run (rows, destCol, missing = 'skip') {
     let total = 0
-    rows.forEach((row, i) => {
-      total += row[this.srcCol]
-      row[destCol] = total / (i + 1)
+    let count = 0
+    this.accumulate(rows, destCol, missing, (value) => {
+      total += value
+      count += 1
+      return total / count
     })
   }
 }
@@ -123,7 +156,7 @@ class RunningMinimum extends RunningBase {
   }
 
   constructor (column) {
-    super('all', column, RunningMinimum.Func)
+    super('minimum', column, RunningMinimum.Func, ['number', 'text', 'datetime'])
   }
 }
 
@@ -136,7 +169,7 @@ class RunningSum extends RunningBase {
   }
 
   constructor (column) {
-    super('sum', column, RunningSum.Func)
+    super('sum', column, RunningSum.Func, ['number'])
   }
 }
 
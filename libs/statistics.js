@@ -0,0 +1,813 @@
+'use strict'
+
+const stats = require('simple-statistics')
+
+const util = require('./util')
+
+/**
+ * Result of a statistical test or model fit. Fields that don't apply to a
+ * particular test are `null`.
+ * - `test`: name of the test.
+ * - `statistic`: `{name, value}` of the test statistic.
+ * - `df`: degrees of freedom (a number, or an array for tests with several).
+ * - `pValue`: probability of a result at least this extreme.
+ * - `alternative`: alternative hypothesis ('two-sided', 'less', or 'greater').
+ * - `confidenceInterval`: `{level, low, high}`.
+ * - `effectSize`: `{name, value}`.
+ * - `sampleSizes`: object mapping group names to number of observations.
+ * - `extra`: object mapping names to other values of interest.
+ * - `details`: array of objects with further results (such as coefficients).
+ */
+class StatsResult {
+  /**
+   * Construct a result.
+   * @param {string} test Name of test.
+   * @param {Object} values Values of other fields.
+   */
+  constructor (test, values = {}) {
+    util.check(test && (typeof test === 'string'),
+               `Require name of statistical test`)
+    this.test = test
+    this.statistic = null
+    this.df = null
+    this.pValue = null
+    this.alternative = null
+    this.confidenceInterval = null
+    this.effectSize = null
+    this.sampleSizes = null
+    this.extra = null
+    this.details = null
+    Object.keys(values).forEach(key => {
+      util.check(key in this,
+                 `Unknown field ${key} in statistical result`)
+      this[key] = values[key]
+    })
+  }
+
+  /**
+   * Convert the summary fields of the result to rows of a two-column table.
+   * @return {Object[]} Objects with `name` and `value` for each field that applies.
+   */
+  toTable () {
+    const rows = [{name: 'test', value: this.test}]
+    const add = (name, value) => {
+      if ((value !== null) && (value !== undefined)) {
+        rows.push({name, value})
+      }
+    }
+    if (this.statistic) {
+      add(this.statistic.name, this.statistic.value)
+    }
+    add('degrees of freedom', Array.isArray(this.df) ? this.df.join(', ') : this.df)
+    add('p-value', this.pValue)
+    add('alternative', this.alternative)
+    if (this.confidenceInterval) {
+      const {level, low, high} = this.confidenceInterval
+      add(`${100 * level}% confidence interval`, `[${low}, ${high}]`)
+    }
+    if (this.effectSize) {
+      add(this.effectSize.name, this.effectSize.value)
+    }
+    if (this.sampleSizes) {
+      Object.keys(this.sampleSizes).forEach(group => {
+        add(`n (${group})`, this.sampleSizes[group])
+      })
+    }
+    if (this.extra) {
+      Object.keys(this.extra).forEach(name => add(name, this.extra[name]))
+    }
+    return rows
+  }
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b).
+ * @param {number} x Upper limit of integration (between 0 and 1).
+ * @param {number} a First shape parameter (positive).
+ * @param {number} b Second shape parameter (positive).
+ * @return {number} Value of the function.
+ */
+const incompleteBeta = (x, a, b) => {
+  util.check((x >= 0) && (x <= 1),
+             `Incomplete beta requires 0 <= x <= 1`)
+  util.check((a > 0) && (b > 0),
+             `Incomplete beta requires positive shape parameters`)
+  if ((x === 0) || (x === 1)) {
+    return x
+  }
+  const front = Math.exp(stats.gammaln(a + b) - stats.gammaln(a) - stats.gammaln(b) +
+                         (a * Math.log(x)) + (b * Math.log(1 - x)))
+  if (x < ((a + 1) / (a + b + 2))) {
+    return front * _betaContinuedFraction(x, a, b) / a
+  }
+  return 1 - (front * _betaContinuedFraction(1 - x, b, a) / b)
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x).
+ * @param {number} x Upper limit of integration (non-negative).
+ * @param {number} a Shape parameter (positive).
+ * @return {number} Value of the function.
+ */
+const incompleteGamma = (x, a) => {
+  util.check(x >= 0,
+             `Incomplete gamma requires non-negative x`)
+  util.check(a > 0,
+             `Incomplete gamma requires positive shape parameter`)
+  if (x === 0) {
+    return 0
+  }
+  if (x === Infinity) {
+    return 1
+  }
+  const front = Math.exp(-x + (a * Math.log(x)) - stats.gammaln(a))
+  if (x < (a + 1)) {
+    return front * _gammaSeries(x, a)
+  }
+  return 1 - (front * _gammaContinuedFraction(x, a))
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution.
+ * @param {number} z Value of the statistic.
+ * @return {number} Probability of a value less than or equal to `z`.
+ */
+const normalDistribution = (z) => {
+  const half = incompleteGamma(z * z / 2, 0.5) / 2
+  return (z < 0) ? (0.5 - half) : (0.5 + half)
+}
+
+/**
+ * Find the value of the standard normal distribution with a given cumulative
+ * probability.
+ * @param {number} p Cumulative probability (strictly between 0 and 1).
+ * @return {number} Value of `z`.
+ */
+const normalQuantile = (p) => {
+  util.check((p > 0) && (p < 1),
+             `Quantile requires probability strictly between 0 and 1`)
+  return _bisect(normalDistribution, p)
+}
+
+/**
+ * Cumulative distribution function of the chi-squared distribution.
+ * @param {number} x Value of the statistic (non-negative).
+ * @param {number} df Degrees of freedom.
+ * @return {number} Probability of a value less than or equal to `x`.
+ */
+const chiSquaredDistribution = (x, df) => {
+  return (x <= 0) ? 0 : incompleteGamma(x / 2, df / 2)
+}
+
+/**
+ * Cumulative distribution function of Student's t distribution.
+ * @param {number} t Value of the statistic.
+ * @param {number} df Degrees of freedom.
+ * @return {number} Probability of a value less than or equal to `t`.
+ */
+const tDistribution = (t, df) => {
+  const tail = incompleteBeta(df / (df + (t * t)), df / 2, 0.5) / 2
+  return (t < 0) ? tail : (1 - tail)
+}
+
+/**
+ * Find the value of Student's t distribution with a given cumulative
+ * probability.
+ * @param {number} p Cumulative probability (strictly between 0 and 1).
+ * @param {number} df Degrees of freedom.
+ * @return {number} Value of `t`.
+ */
+const tQuantile = (p, df) => {
+  util.check((p > 0) && (p < 1),
+             `Quantile requires probability strictly between 0 and 1`)
+  return _bisect(t => tDistribution(t, df), p)
+}
+
+/**
+ * Cumulative distribution function of the F distribution.
+ * @param {number} f Value of the statistic (non-negative).
+ * @param {number} df1 Degrees of freedom of the numerator.
+ * @param {number} df2 Degrees of freedom of the denominator.
+ * @return {number} Probability of a value less than or equal to `f`.
+ */
+const fDistribution = (f, df1, df2) => {
+  if (f <= 0) {
+    return 0
+  }
+  if (f === Infinity) {
+    return 1
+  }
+  return incompleteBeta(df1 * f / ((df1 * f) + df2), df1 / 2, df2 / 2)
+}
+
+/**
+ * P-value for a t statistic.
+ * @param {number} t Value of the statistic.
+ * @param {number} df Degrees of freedom.
+ * @param {string} alternative 'two-sided', 'less', or 'greater'.
+ * @return {number} Probability of a value at least as extreme as `t`.
+ */
+const tPValue = (t, df, alternative = 'two-sided') => {
+  _checkAlternative(alternative)
+  if (alternative === 'less') {
+    return tDistribution(t, df)
+  }
+  if (alternative === 'greater') {
+    return 1 - tDistribution(t, df)
+  }
+  return 2 * (1 - tDistribution(Math.abs(t), df))
+}
+
+/**
+ * Confidence interval for a t-distributed estimate. One-sided alternatives
+ * give intervals that are unbounded on one side.
+ * @param {number} estimate Center of the interval.
+ * @param {number} stdError Standard error of the estimate.
+ * @param {number} df Degrees of freedom.
+ * @param {number} level Confidence level.
+ * @param {string} alternative 'two-sided', 'less', or 'greater'.
+ * @return {Object} Interval as `{level, low, high}`.
+ */
+const tInterval = (estimate, stdError, df, level = 0.95, alternative = 'two-sided') => {
+  _checkAlternative(alternative)
+  if (alternative === 'less') {
+    return {level, low: -Infinity, high: estimate + (tQuantile(level, df) * stdError)}
+  }
+  if (alternative === 'greater') {
+    return {level, low: estimate - (tQuantile(level, df) * stdError), high: Infinity}
+  }
+  const width = tQuantile(1 - ((1 - level) / 2), df) * stdError
+  return {level, low: estimate - width, high: estimate + width}
+}
+
+/**
+ * Alternative hypotheses for t-tests.
+ */
+const ALTERNATIVES = ['two-sided', 'less', 'greater']
+
+/**
+ * Rank values, giving tied values the average of the ranks they span.
+ * @param {number[]} values Values to rank.
+ * @return {number[]} Rank of each value (starting from 1).
+ */
+const rank = (values) => {
+  const order = values
+    .map((value, index) => ({value, index}))
+    .sort((left, right) => left.value - right.value)
+  const result = new Array(values.length)
+  let start = 0
+  while (start < order.length) {
+    let end = start
+    while ((end + 1 < order.length) && (order[end + 1].value === order[start].value)) {
+      end += 1
+    }
+    const average = (start + end + 2) / 2
+    for (let i = start; i <= end; i += 1) {
+      result[order[i].index] = average
+    }
+    start = end + 1
+  }
+  return result
+}
+
+/**
+ * Chi-squared test of independence of two categorical variables.
+ * @param {Array} left Category of each observation in the first variable.
+ * @param {Array} right Category of each observation in the second variable.
+ * @param {string[]} names What to call the variables in the details.
+ * @return {StatsResult} Result with a table of observed and expected counts
+ * as details.
+ */
+const chiSquaredTest = (left, right, names = ['first', 'second']) => {
+  _checkPaired(left, right)
+  const leftLevels = _levels(left)
+  const rightLevels = _levels(right)
+  util.check((leftLevels.length > 1) && (rightLevels.length > 1),
+             `Require at least two categories in each column for chi-squared test`)
+  const n = left.length
+  const observed = new Map()
+  left.forEach((l, i) => {
+    const key = _cellKey(l, right[i])
+    observed.set(key, (observed.get(key) || 0) + 1)
+  })
+  const leftTotals = _countBy(left)
+  const rightTotals = _countBy(right)
+  const details = []
+  let statistic = 0
+  leftLevels.forEach(l => {
+    rightLevels.forEach(r => {
+      const count = observed.get(_cellKey(l, r)) || 0
+      const expected = leftTotals.get(l) * rightTotals.get(r) / n
+      statistic += ((count - expected) ** 2) / expected
+      details.push({[names[0]]: l, [names[1]]: r, observed: count, expected})
+    })
+  })
+  const df = (leftLevels.length - 1) * (rightLevels.length - 1)
+  const smaller = Math.min(leftLevels.length, rightLevels.length)
+  return new StatsResult('chi-squared test of independence', {
+    statistic: {name: 'chi-squared', value: statistic},
+    df,
+    pValue: 1 - chiSquaredDistribution(statistic, df),
+    effectSize: {name: "Cramer's V", value: Math.sqrt(statistic / (n * (smaller - 1)))},
+    sampleSizes: {total: n},
+    details
+  })
+}
+
+/**
+ * One-way analysis of variance.
+ * @param {Map} groups Map from group names to arrays of values.
+ * @return {StatsResult} Result with each group's size and mean as details.
+ */
+const anova = (groups) => {
+  _checkGroups(groups, 2)
+  const all = [].concat(...groups.values())
+  const k = groups.size
+  const n = all.length
+  util.check(n > k,
+             `Require more values than groups for ANOVA`)
+  const grandMean = stats.mean(all)
+  let between = 0
+  let within = 0
+  groups.forEach(values => {
+    const mean = stats.mean(values)
+    between += values.length * ((mean - grandMean) ** 2)
+    within += values.reduce((total, v) => total + ((v - mean) ** 2), 0)
+  })
+  const statistic = (between / (k - 1)) / (within / (n - k))
+  return new StatsResult('one-way ANOVA', {
+    statistic: {name: 'F', value: statistic},
+    df: [k - 1, n - k],
+    pValue: 1 - fDistribution(statistic, k - 1, n - k),
+    effectSize: {name: 'eta squared', value: between / (between + within)},
+    sampleSizes: _groupSizes(groups),
+    details: Array.from(groups.keys()).map(group => ({
+      group,
+      n: groups.get(group).length,
+      mean: stats.mean(groups.get(group))
+    }))
+  })
+}
+
+/**
+ * Mann-Whitney U test (using the normal approximation with corrections for
+ * ties and continuity).
+ * @param {Map} groups Map from two group names to arrays of values.
+ * @return {StatsResult} Result whose statistic is U for the first group.
+ */
+const mannWhitney = (groups) => {
+  _checkGroups(groups, 2, 2)
+  const [left, right] = Array.from(groups.values())
+  const n1 = left.length
+  const n2 = right.length
+  const all = [...left, ...right]
+  const n = all.length
+  const ranks = rank(all)
+  const rankSum = ranks.slice(0, n1).reduce((total, r) => total + r, 0)
+  const u = rankSum - (n1 * (n1 + 1) / 2)
+  const mean = n1 * n2 / 2
+  const variance = (n1 * n2 / 12) * ((n + 1) - (_tieSum(all) / (n * (n - 1))))
+  return new StatsResult('Mann-Whitney U test', {
+    statistic: {name: 'U', value: u},
+    pValue: _normalPValue(u - mean, variance),
+    alternative: 'two-sided',
+    effectSize: {name: 'rank-biserial correlation', value: (2 * u / (n1 * n2)) - 1},
+    sampleSizes: _groupSizes(groups)
+  })
+}
+
+/**
+ * Wilcoxon signed-rank test of paired values (using the normal approximation
+ * with corrections for ties and continuity). Pairs with no difference are
+ * ignored.
+ * @param {number[]} left First value of each pair.
+ * @param {number[]} right Second value of each pair.
+ * @return {StatsResult} Result whose statistic is the sum of the ranks of
+ * positive differences.
+ */
+const wilcoxon = (left, right) => {
+  _checkPaired(left, right)
+  const differences = left
+    .map((l, i) => l - right[i])
+    .filter(d => (d !== 0))
+  const n = differences.length
+  util.check(n > 0,
+             `Require at least one pair with a difference for Wilcoxon test`)
+  const ranks = rank(differences.map(d => Math.abs(d)))
+  const positive = ranks.reduce((total, r, i) => (differences[i] > 0) ? total + r : total, 0)
+  const total = n * (n + 1) / 2
+  const mean = total / 2
+  const variance = (n * (n + 1) * ((2 * n) + 1) / 24) -
+        (_tieSum(differences.map(d => Math.abs(d))) / 48)
+  return new StatsResult('Wilcoxon signed-rank test', {
+    statistic: {name: 'V', value: positive},
+    pValue: _normalPValue(positive - mean, variance),
+    alternative: 'two-sided',
+    effectSize: {name: 'rank-biserial correlation', value: ((2 * positive) - total) / total},
+    sampleSizes: {pairs: left.length, differences: n}
+  })
+}
+
+/**
+ * Kruskal-Wallis test (corrected for ties).
+ * @param {Map} groups Map from group names to arrays of values.
+ * @return {StatsResult} Result whose statistic is H.
+ */
+const kruskalWallis = (groups) => {
+  _checkGroups(groups, 2)
+  const all = [].concat(...groups.values())
+  const n = all.length
+  const ranks = rank(all)
+  let start = 0
+  let sum = 0
+  groups.forEach(values => {
+    const rankSum = ranks.slice(start, start + values.length).reduce((total, r) => total + r, 0)
+    sum += (rankSum ** 2) / values.length
+    start += values.length
+  })
+  const uncorrected = (12 * sum / (n * (n + 1))) - (3 * (n + 1))
+  const correction = 1 - (_tieSum(all) / ((n ** 3) - n))
+  util.check(correction > 0,
+             `Cannot run Kruskal-Wallis test when all values are the same`)
+  const statistic = uncorrected / correction
+  const df = groups.size - 1
+  return new StatsResult('Kruskal-Wallis test', {
+    statistic: {name: 'H', value: statistic},
+    df,
+    pValue: 1 - chiSquaredDistribution(statistic, df),
+    effectSize: {name: 'epsilon squared', value: statistic / (n - 1)},
+    sampleSizes: _groupSizes(groups)
+  })
+}
+
+/**
+ * Test for correlation between two variables. Spearman's correlation is
+ * Pearson's correlation of ranks; both are tested with the t distribution.
+ * @param {number[]} left Values of the first variable.
+ * @param {number[]} right Values of the second variable.
+ * @param {string} method 'pearson' or 'spearman'.
+ * @return {StatsResult} Result with the correlation as the effect size.
+ */
+const correlation = (left, right, method = 'pearson') => {
+  util.check(CORRELATION_METHODS.includes(method),
+             `Unknown correlation method "${method}"`)
+  _checkPaired(left, right)
+  const n = left.length
+  util.check(n > 2,
+             `Require at least three pairs for correlation test`)
+  const [x, y] = (method === 'spearman') ? [rank(left), rank(right)] : [left, right]
+  util.check((stats.variance(x) > 0) && (stats.variance(y) > 0),
+             `Cannot test correlation of constant values`)
+  const r = stats.sampleCorrelation(x, y)
+  const df = n - 2
+  const t = r * Math.sqrt(df / (1 - (r * r)))
+  const result = new StatsResult(`${method === 'spearman' ? 'Spearman' : 'Pearson'} correlation test`, {
+    statistic: {name: 't', value: t},
+    df,
+    pValue: 2 * (1 - tDistribution(Math.abs(t), df)),
+    alternative: 'two-sided',
+    effectSize: {name: (method === 'spearman') ? 'rho' : 'r', value: r},
+    sampleSizes: {pairs: n}
+  })
+  if ((method === 'pearson') && (n > 3)) {
+    const center = Math.atanh(r)
+    const width = normalQuantile(0.975) / Math.sqrt(n - 3)
+    result.confidenceInterval = {
+      level: 0.95,
+      low: Math.tanh(center - width),
+      high: Math.tanh(center + width)
+    }
+  }
+  return result
+}
+
+/**
+ * Methods for correlation tests.
+ */
+const CORRELATION_METHODS = ['pearson', 'spearman']
+
+/**
+ * Fit a linear model by ordinary least squares. Each row of `predictors` holds
+ * the values of the predictor variables for one observation; an intercept is
+ * always included.
+ * @param {number[]} response Observed values.
+ * @param {number[][]} predictors Values of predictor variables.
+ * @return Object with `coefficients`, `stdErrors`, `tValues`, and `pValues`
+ * (each with the intercept first), `rSquared`, `adjustedRSquared`,
+ * `residualStdError`, `df`, the overall `fStatistic` and its `fPValue`,
+ * `fitted`, and `residuals`.
+ */
+const linearFit = (response, predictors) => {
+  util.check(Array.isArray(response) && Array.isArray(predictors) &&
+             (response.length === predictors.length),
+             `Require the same number of observations and predictor rows`)
+  const n = response.length
+  const k = (n > 0) ? predictors[0].length + 1 : 1
+  util.check(n > k,
+             `Require more observations than coefficients to fit a linear model`)
+
+  const design = predictors.map(row => [1, ...row])
+  const transposed = _transpose(design)
+  const inverse = _invert(_multiply(transposed, design))
+  const coefficients = _multiply(inverse, _multiply(transposed, response.map(y => [y])))
+    .map(([value]) => value)
+
+  const fitted = design.map(row => row.reduce((total, x, i) => total + (x * coefficients[i]), 0))
+  const residuals = response.map((y, i) => y - fitted[i])
+  const mean = stats.mean(response)
+  const residualSS = residuals.reduce((total, r) => total + (r * r), 0)
+  const totalSS = response.reduce((total, y) => total + ((y - mean) ** 2), 0)
+  util.check(totalSS > 0,
+             `Cannot fit a linear model to a constant response`)
+
+  const df = n - k
+  const variance = residualSS / df
+  const stdErrors = coefficients.map((c, i) => Math.sqrt(variance * inverse[i][i]))
+  const tValues = coefficients.map((c, i) => c / stdErrors[i])
+  const pValues = tValues.map(t => 2 * (1 - tDistribution(Math.abs(t), df)))
+  const rSquared = 1 - (residualSS / totalSS)
+  const adjustedRSquared = 1 - ((1 - rSquared) * (n - 1) / df)
+  const fStatistic = ((totalSS - residualSS) / (k - 1)) / variance
+  const fPValue = 1 - fDistribution(fStatistic, k - 1, df)
+
+  return {
+    coefficients,
+    stdErrors,
+    tValues,
+    pValues,
+    rSquared,
+    adjustedRSquared,
+    residualStdError: Math.sqrt(variance),
+    df,
+    fStatistic,
+    fPValue,
+    fitted,
+    residuals
+  }
+}
+
+// ----------------------------------------------------------------------
+
+//
+// Evaluate the continued fraction for the incomplete beta function using the
+// modified Lentz method.
+//
+const _betaContinuedFraction = (x, a, b) => {
+  const MAX_ITERATIONS = 300
+  const EPSILON = 1e-14
+  const TINY = 1e-300
+  const clamp = (value) => (Math.abs(value) < TINY) ? TINY : value
+
+  let c = 1
+  let d = 1 / clamp(1 - ((a + b) * x / (a + 1)))
+  let result = d
+  for (let m = 1; m <= MAX_ITERATIONS; m += 1) {
+    const even = m * (b - m) * x / ((a + (2 * m) - 1) * (a + (2 * m)))
+    d = 1 / clamp(1 + (even * d))
+    c = clamp(1 + (even / c))
+    result *= d * c
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + (2 * m)) * (a + (2 * m) + 1))
+    d = 1 / clamp(1 + (odd * d))
+    c = clamp(1 + (odd / c))
+    const delta = d * c
+    result *= delta
+    if (Math.abs(delta - 1) < EPSILON) {
+      break
+    }
+  }
+  return result
+}
+
+//
+// Check that an alternative hypothesis is known.
+//
+const _checkAlternative = (alternative) => {
+  util.check(ALTERNATIVES.includes(alternative),
+             `Unknown alternative hypothesis "${alternative}"`)
+}
+
+//
+// Sum the series for the incomplete gamma function.
+//
+const _gammaSeries = (x, a) => {
+  const MAX_ITERATIONS = 1000
+  const EPSILON = 1e-15
+  let term = 1 / a
+  let sum = term
+  for (let n = 1; n <= MAX_ITERATIONS; n += 1) {
+    term *= x / (a + n)
+    sum += term
+    if (Math.abs(term) < (Math.abs(sum) * EPSILON)) {
+      break
+    }
+  }
+  return sum
+}
+
+//
+// Evaluate the continued fraction for the upper incomplete gamma function
+// using the modified Lentz method.
+//
+const _gammaContinuedFraction = (x, a) => {
+  const MAX_ITERATIONS = 1000
+  const EPSILON = 1e-15
+  const TINY = 1e-300
+  const clamp = (value) => (Math.abs(value) < TINY) ? TINY : value
+
+  let b = x + 1 - a
+  let c = 1 / TINY
+  let d = 1 / clamp(b)
+  let result = d
+  for (let i = 1; i <= MAX_ITERATIONS; i += 1) {
+    const an = -i * (i - a)
+    b += 2
+    d = 1 / clamp((an * d) + b)
+    c = clamp(b + (an / c))
+    const delta = d * c
+    result *= delta
+    if (Math.abs(delta - 1) < EPSILON) {
+      break
+    }
+  }
+  return result
+}
+
+//
+// Two-sided p-value for a normally-distributed difference from the mean,
+// with a continuity correction.
+//
+const _normalPValue = (difference, variance) => {
+  util.check(variance > 0,
+             `Cannot calculate p-value when all values are the same`)
+  const corrected = Math.max(Math.abs(difference) - 0.5, 0)
+  const z = corrected / Math.sqrt(variance)
+  return 2 * (1 - normalDistribution(z))
+}
+
+//
+// Sum of (t^3 - t) over groups of t tied values.
+//
+const _tieSum = (values) => {
+  let sum = 0
+  _countBy(values).forEach(t => {
+    sum += (t ** 3) - t
+  })
+  return sum
+}
+
+//
+// Count how many times each value occurs.
+//
+const _countBy = (values) => {
+  const counts = new Map()
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1))
+  return counts
+}
+
+//
+// Distinct values in sorted order.
+//
+const _levels = (values) => {
+  return Array.from(new Set(values)).sort((left, right) => {
+    return (left < right) ? -1 : ((left > right) ? 1 : 0)
+  })
+}
+
+//
+// Key for a cell of a contingency table.
+//
+const _cellKey = (left, right) => JSON.stringify([left, right])
+
+//
+// Check that paired values have the same length.
+//
+const _checkPaired = (left, right) => {
+  util.check(Array.isArray(left) && Array.isArray(right) &&
+             (left.length === right.length),
+             `Require the same number of values in each column`)
+}
+
+//
+// Check that groups are a map of non-empty arrays.
+//
+const _checkGroups = (groups, least, most = Infinity) => {
+  util.check((groups instanceof Map) &&
+             (groups.size >= least) && (groups.size <= most),
+             (least === most)
+               ? `Require exactly ${least} groups`
+               : `Require at least ${least} groups`)
+  util.check(Array.from(groups.values()).every(values => values.length > 0),
+             `Every group must have at least one value`)
+}
+
+//
+// Number of values in each group.
+//
+const _groupSizes = (groups) => {
+  const result = {}
+  groups.forEach((values, name) => {
+    result[name] = values.length
+  })
+  return result
+}
+
+//
+// Find where an increasing function reaches a target value by bisection.
+//
+const _bisect = (func, target) => {
+  const TOLERANCE = 1e-12
+  let low = -1
+  let high = 1
+  while (func(low) > target) {
+    low *= 2
+  }
+  while (func(high) < target) {
+    high *= 2
+  }
+  while ((high - low) > TOLERANCE * Math.max(1, Math.abs(low), Math.abs(high))) {
+    const middle = (low + high) / 2
+    if (func(middle) < target) {
+      low = middle
+    }
+    else {
+      high = middle
+    }
+  }
+  return (low + high) / 2
+}
+
+//
+// Transpose a matrix stored as an array of rows.
+//
+const _transpose = (matrix) => {
+  return matrix[0].map((_, j) => matrix.map(row => row[j]))
+}
+
+//
+// Multiply two matrices stored as arrays of rows.
+//
+const _multiply = (left, right) => {
+  return left.map(row => {
+    return right[0].map((_, j) => {
+      return row.reduce((total, value, i) => total + (value * right[i][j]), 0)
+    })
+  })
+}
+
+//
+// Invert a square matrix by Gauss-Jordan elimination with partial pivoting.
+//
+const _invert = (matrix) => {
+  const SINGULAR = 1e-12
+  const size = matrix.length
+  const work = matrix.map((row, i) => {
+    return [...row, ...row.map((_, j) => (i === j) ? 1 : 0)]
+  })
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col
+    for (let row = col + 1; row < size; row += 1) {
+      if (Math.abs(work[row][col]) > Math.abs(work[pivot][col])) {
+        pivot = row
+      }
+    }
+    util.check(Math.abs(work[pivot][col]) > SINGULAR,
+               `Predictors are collinear (or constant)`)
+    const temp = work[col]
+    work[col] = work[pivot]
+    work[pivot] = temp
+    const scale = work[col][col]
+    work[col] = work[col].map(value => value / scale)
+    for (let row = 0; row < size; row += 1) {
+      if (row !== col) {
+        const factor = work[row][col]
+        work[row] = work[row].map((value, j) => value - (factor * work[col][j]))
+      }
+    }
+  }
+  return work.map(row => row.slice(size))
+}
+
+module.exports = {
+  ALTERNATIVES,
+  CORRELATION_METHODS,
+  StatsResult,
+  incompleteBeta,
+  incompleteGamma,
+  normalDistribution,
+  normalQuantile,
+  chiSquaredDistribution,
+  tDistribution,
+  tQuantile,
+  tPValue,
+  fDistribution,
+  tInterval,
+  rank,
+  chiSquaredTest,
+  anova,
+  mannWhitney,
+  wilcoxon,
+  kruskalWallis,
+  correlation,
+  linearFit
+}
@@ -4,29 +4,55 @@ const util = require('./util')
 const stats = require('simple-statistics')
 
 /**
- * Represent summarization as object.
+ * Represent summarization as object. Derived classes provide `summarize`,
+ * which is given the values to summarize after missing values have been
+ * handled, or override `run` if they need to see missing values.
  */
 class SummarizeBase {
   /**
    * Construct.
    * @param {string} species Name of summarization function.
    * @param {string} column Which column to summarize.
+   * @param {string[]} types What types of columns can be summarized (`null`
+   * for any type).
    */
-  constructor (species, column) {
+  constructor (species, column, types = null) {
     util.check(species && (typeof species === 'string') &&
                column && (typeof column === 'string'),
                `Require non-empty strings as species and column`)
     this.species = species
     this.column = column
+    this.types = types
   }
 
-  run (rows, func) {
-    util.check(typeof func === 'function',
-               `Must provide callable function`)
-    if (rows.length === 0) {
+  /**
+   * Summarize the values in a column.
+   * @param {Object[]} rows The rows to summarize.
+   * @param {string} missing How to handle missing values (one of
+   * `util.MISSING_POLICIES`).
+   * @return The summary value, which is missing if there are no values to
+   * summarize or if missing values are propagated and there is one.
+   */
+  run (rows, missing = 'skip') {
+    const values = this.getValues(rows, missing)
+    if ((values === null) || (values.length === 0)) {
       return util.MISSING
     }
-    return func(rows.map(row => row[this.column]))
+    return this.summarize(values)
+  }
+
+  /**
+   * Get the values to summarize after applying a missing-value policy.
+   * @param {Object[]} rows The rows to summarize.
+   * @param {string} missing How to handle missing values.
+   * @return Array of values, or null if the result must be missing.
+   */
+  getValues (rows, missing) {
+    return util.applyMissingPolicy(rows.map(row => row[this.column]), missing)
+  }
+
+  summarize (values) {
+    util.fail(`summarize not implemented for ${this.species}`)
   }
 }
 
@@ -35,11 +61,11 @@ class SummarizeBase {
  */
 class SummarizeAll extends SummarizeBase {
   constructor (column) {
-    super('all', column)
+    super('all', column, ['logical'])
   }
 
-  run (rows) {
-    return super.run(rows, (values) => values.every(x => x))
+  summarize (values) {
+    return values.every(x => x)
   }
 }
 
@@ -48,37 +74,94 @@ class SummarizeAll extends SummarizeBase {
  */
 class SummarizeAny extends SummarizeBase {
   constructor (column) {
-    super('any', column)
+    super('any', column, ['logical'])
   }
 
-  run (rows) {
-    return super.run(rows, (values) => values.some(x => x))
+  summarize (values) {
+    return values.some(x => x)
   }
 }
 
 /**
- * Count rows.
+ * Count rows (including those with missing values, whatever the policy).
  */
 class SummarizeCount extends SummarizeBase {
   constructor (column) {
     super('count', column)
   }
 
-  run (rows) {
+  run (rows, missing = 'skip') {
+    util.checkMissingPolicy(missing)
     return rows.length
   }
 }
 
+/**
+ * Count distinct values.
+ */
+class SummarizeDistinct extends SummarizeBase {
+  constructor (column) {
+    super('distinct', column)
+  }
+
+  run (rows, missing = 'skip') {
+    const values = this.getValues(rows, missing)
+    if (values === null) {
+      return util.MISSING
+    }
+    return (new Set(values.map(value => _makeKey(value)))).size
+  }
+}
+
+/**
+ * Find the first value.
+ */
+class SummarizeFirst extends SummarizeBase {
+  constructor (column) {
+    super('first', column)
+  }
+
+  summarize (values) {
+    return values[0]
+  }
+}
+
+/**
+ * Find the interquartile range.
+ */
+class SummarizeIQR extends SummarizeBase {
+  constructor (column) {
+    super('iqr', column, ['number'])
+  }
+
+  summarize (values) {
+    return stats.interquartileRange(values)
+  }
+}
+
+/**
+ * Find the last value.
+ */
+class SummarizeLast extends SummarizeBase {
+  constructor (column) {
+    super('last', column)
+  }
+
+  summarize (values) {
+    return values[values.length - 1]
+  }
+}
+
 /**
  * Find maximum value.
  */
 class SummarizeMaximum extends SummarizeBase {
   constructor (column) {
-    super('maximum', column)
+    super('maximum', column, ['number', 'text', 'datetime'])
   }
 
-  run (rows) {
-    return super.run(rows, stats.max)
+  summarize (values) {
+    return stats.max(values)
   }
 }
 
@@ -87,11 +170,11 @@ class SummarizeMaximum extends SummarizeBase {
  */
 class SummarizeMean extends SummarizeBase {
   constructor (column) {
-    super('mean', column)
+    super('mean', column, ['number'])
   }
 
-  run (rows) {
-    return super.run(rows, stats.mean)
+  summarize (values) {
+    return stats.mean(values)
   }
 }
 
@@ -100,11 +183,11 @@ class SummarizeMean extends SummarizeBase {
  */
 class SummarizeMedian extends SummarizeBase {
   constructor (column) {
-    super('median', column)
+    super('median', column, ['number'])
   }
 
-  run (rows) {
-    return super.run(rows, stats.median)
+  summarize (values) {
+    return stats.median(values)
   }
 }
 
@@ -113,11 +196,77 @@ class SummarizeMedian extends SummarizeBase {
  */
 class SummarizeMinimum extends SummarizeBase {
   constructor (column) {
-    super('minimum', column)
+    super('minimum', column, ['number', 'text', 'datetime'])
+  }
+
+  summarize (values) {
+    return stats.min(values)
+  }
+}
+
+/**
+ * Count missing values (which are never skipped or propagated).
+ */
+class SummarizeMissing extends SummarizeBase {
+  constructor (column) {
+    super('missing', column)
   }
 
-  run (rows) {
-    return super.run(rows, stats.min)
+  run (rows, missing = 'skip') {
+    util.checkMissingPolicy(missing)
+    return rows.filter(row => (row[this.column] === util.MISSING)).length
+  }
+}
+
+/**
+ * Find the most common value. If several values are equally common, the one
+ * that appears first is used.
+ */
+class SummarizeMode extends SummarizeBase {
+  constructor (column) {
+    super('mode', column)
+  }
+
+  summarize (values) {
+    const counts = new Map()
+    values.forEach(value => {
+      const key = _makeKey(value)
+      if (counts.has(key)) {
+        counts.get(key).count += 1
+      }
+      else {
+        counts.set(key, {value, count: 1})
+      }
+    })
+    let result = util.MISSING
+    let largest = 0
+    counts.forEach(({value, count}) => {
+      if (count > largest) {
+        result = value
+        largest = count
+      }
+    })
+    return result
+  }
+}
+
+/**
+ * Find a quantile.
+ */
+class SummarizeQuantile extends SummarizeBase {
+  /**
+   * @param {string} column Which column to summarize.
+   * @param {number} quantile Which quantile to find (between 0 and 1).
+   */
+  constructor (column, quantile = 0.5) {
+    util.check((typeof quantile === 'number') && (quantile >= 0) && (quantile <= 1),
+               `Require quantile between 0 and 1 not "${quantile}"`)
+    super('quantile', column, ['number'])
+    this.quantile = quantile
+  }
+
+  summarize (values) {
+    return stats.quantile(values, this.quantile)
   }
 }
 
@@ -126,11 +275,11 @@ class SummarizeMinimum extends SummarizeBase {
  */
 class SummarizeStdDev extends SummarizeBase {
   constructor (column) {
-    super('stdDev', column)
+    super('stdDev', column, ['number'])
   }
 
-  run (rows) {
-    return super.run(rows, stats.standardDeviation)
+  summarize (values) {
+    return stats.standardDeviation(values)
   }
 }
 
@@ -139,15 +288,15 @@ class SummarizeStdDev extends SummarizeBase {
  */
 class SummarizeSum extends SummarizeBase {
   constructor (column) {
-    super('sum', column)
+    super('sum', column, ['number'])
   }
 
   static Sum (values) {
     return values.reduce((total, v) => total + v, 0)
   }
 
-  run (rows) {
-    return super.run(rows, SummarizeSum.Sum)
+  summarize (values) {
+    return SummarizeSum.Sum(values)
   }
 }
 
@@ -156,12 +305,23 @@ class SummarizeSum extends SummarizeBase {
  */
 class SummarizeVariance extends SummarizeBase {
   constructor (column) {
-    super('variance', column)
+    super('variance', column, ['number'])
+  }
+
+  summarize (values) {
+    return stats.variance(values)
   }
+}
 
-  run (rows) {
-    return super.run(rows, stats.variance)
+//
+// Make a key for counting values, keeping values of different types distinct
+// and treating equal dates as the same value.
+//
+const _makeKey = (value) => {
+  if (value instanceof Date) {
+    return `date:${value.getTime()}`
   }
+  return `${typeof value}:${value}`
 }
 
 module.exports = {
@@ -169,10 +329,17 @@ module.exports = {
   all: SummarizeAll,
   any: SummarizeAny,
   count: SummarizeCount,
+  distinct: SummarizeDistinct,
+  first: SummarizeFirst,
+  iqr: SummarizeIQR,
+  last: SummarizeLast,
   maximum: SummarizeMaximum,
   mean: SummarizeMean,
   median: SummarizeMedian,
   minimum: SummarizeMinimum,
+  missing: SummarizeMissing,
+  mode: SummarizeMode,
+  quantile: SummarizeQuantile,
   stdDev: SummarizeStdDev,
   sum: SummarizeSum,
   variance: SummarizeVariance
@@ -9,6 +9,7 @@ const {ExprBase} = require('./expr')
 const DataFrame = require('./dataframe')
 const Summarize = require('./summarize')
 const Running = require('./running')
+const statistics = require('./statistics')
 
 /**
  * Indicate that persisted JSON is a transform.
@@ -85,12 +86,14 @@ class TransformBin extends TransformBase {
 
   run (env, df) {
     env.appendLog('log', `${this.species} ${this.column} ${this.bins} ${this.label}`)
-    const result = new DataFrame(df.data)
-    const [low, high] = stats.extent(result.data.map(row => row[this.column]))
-    result.data.forEach(row => {
-      row[this.label] = this.pickBin(row[this.column], low, high, this.bins)
+    df.checkType(this.column, ['number'], this.species)
+    const [low, high] = stats.extent(df.data.map(row => row[this.column]))
+    const data = df.data.map(row => {
+      const newRow = Object.assign({}, row)
+      newRow[this.label] = this.pickBin(row[this.column], low, high, this.bins)
+      return newRow
     })
-    return result
+    return df.withData(data, [...df.columns, this.label])
   }
 
   pickBin (value, low, high, numBins) {
@@ -104,6 +107,60 @@ class TransformBin extends TransformBase {
   }
 }
 
+/**
+ * Make bootstrap replicates by resampling rows with replacement. Each replicate
+ * has as many rows as the original data, and replicates are numbered from 1 in
+ * a new column.
+ * @param {number} replicates How many replicates (integer > 0).
+ * @param {string} label New column containing replicate numbers.
+ */
+class TransformBootstrap extends TransformBase {
+  constructor (replicates, label) {
+    util.check(Number.isInteger(replicates) && (replicates > 0),
+               `Number of replicates must be integer > 0`)
+    util.check(label && (typeof label === 'string'),
+               `Expected string as label name`)
+    super('bootstrap', [], true, false)
+    this.replicates = replicates
+    this.label = label
+  }
+
+  equal (other) {
+    return super.equal(other, 'replicates', 'label')
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.replicates} ${this.label}`)
+    util.check(!df.hasColumns([this.label]),
+               `Column ${this.label} already exists`)
+    util.check(df.data.length > 0,
+               `Cannot bootstrap empty data`)
+    const data = []
+    for (let replicate = 1; replicate <= this.replicates; replicate += 1) {
+      _sampleIndices(df.data.length, df.data.length, true).forEach(i => {
+        const newRow = Object.assign({}, df.data[i])
+        newRow[this.label] = replicate
+        data.push(newRow)
+      })
+    }
+    return df.withData(data, [...df.columns, this.label])
+  }
+}
+
+/**
+ * Reduce grouped data to one row per group.
+ */
+class TransformCollapse extends TransformBase {
+  constructor () {
+    super('collapse', [], true, false)
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species}`)
+    return df.collapse()
+  }
+}
+
 /**
  * Create a new column.
  * @param {string} newName New column's name.
@@ -151,8 +208,9 @@ class TransformData extends TransformBase {
     env.appendLog('log', `${this.species} ${this.name}`)
     util.check(df === null,
                `Cannot provide input dataframe to reader`)
-    const loaded = env.getData(this.name)
-    return new DataFrame(loaded.data, loaded.columns)
+    // Transforms never modify dataframes, so the loaded one can be used as-is
+    // (which keeps its types and grouping).
+    return env.getData(this.name)
   }
 }
 
@@ -253,31 +311,76 @@ class TransformGroupBy extends TransformBase {
 /**
  * Join values.
  * @param {string} leftName Name of left table to wait for.
- * @param {string} leftCol Name of column in left table.
+ * @param {string|string[]} leftCols Name(s) of key column(s) in left table.
  * @param {string} rightName Name of right table to wait for.
- * @param {string} rightCol Name of column in right table.
+ * @param {string|string[]} rightCols Name(s) of key column(s) in right table.
+ * @param {string} kind What kind of join (inner, left, right, full, semi, or anti).
  */
 class TransformJoin extends TransformBase {
-  constructor (leftName, leftCol, rightName, rightCol) {
+  constructor (leftName, leftCols, rightName, rightCols, kind = 'inner') {
+    leftCols = Array.isArray(leftCols) ? leftCols : [leftCols]
+    rightCols = Array.isArray(rightCols) ? rightCols : [rightCols]
+    util.check(leftCols.length > 0,
+               `Must have at least one column to join on`)
+    util.check(leftCols.length === rightCols.length,
+               `Must join on the same number of columns in both tables`)
+    util.check(DataFrame.JOIN_KINDS.includes(kind),
+               `Unknown kind of join "${kind}"`)
     super('join', [leftName, rightName], false, false)
     this.leftName = leftName
-    this.leftCol = leftCol
+    this.leftCols = leftCols
     this.rightName = rightName
-    this.rightCol = rightCol
+    this.rightCols = rightCols
+    this.kind = kind
   }
 
   equal (other) {
-    return super.equal(other, 'leftName', 'leftCol', 'rightName', 'rightCol')
+    const sameCols = (a, b) => ((a.length === b.length) && a.every((x, i) => (x === b[i])))
+    return super.equal(other, 'leftName', 'rightName', 'kind') &&
+      sameCols(this.leftCols, other.leftCols) &&
+      sameCols(this.rightCols, other.rightCols)
   }
 
   run (env, df) {
-    env.appendLog('log', `${this.species} ${this.leftName} ${this.leftCol} ${this.rightName} ${this.rightCol}`)
+    env.appendLog('log', `${this.species} ${this.kind} ${this.leftName} ${this.leftCols.join(', ')} ${this.rightName} ${this.rightCols.join(', ')}`)
     util.check(df === null,
                `Cannot provide input dataframe to join`)
     const left = env.getData(this.leftName)
     const right = env.getData(this.rightName)
-    return left.join(this.leftName, this.leftCol,
-                     right, this.rightName, this.rightCol)
+    return left.join(this.leftName, this.leftCols,
+                     right, this.rightName, this.rightCols, this.kind)
+  }
+}
+
+/**
+ * Choose rows at random.
+ * @param {number} size How many rows to choose (integer >= 0).
+ * @param {Boolean} replace Choose with replacement?
+ */
+class TransformSample extends TransformBase {
+  constructor (size, replace = false) {
+    util.check(Number.isInteger(size) && (size >= 0),
+               `Sample size must be integer >= 0`)
+    util.check(typeof replace === 'boolean',
+               `Expected Boolean`)
+    super('sample', [], true, false)
+    this.size = size
+    this.replace = replace
+  }
+
+  equal (other) {
+    return super.equal(other, 'size', 'replace')
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.size} ${this.replace}`)
+    util.check(this.replace || (this.size <= df.data.length),
+               `Cannot sample ${this.size} rows without replacement from ${df.data.length}`)
+    util.check((this.size === 0) || (df.data.length > 0),
+               `Cannot sample from empty data`)
+    const data = _sampleIndices(df.data.length, this.size, this.replace)
+      .map(i => Object.assign({}, df.data[i]))
+    return df.withData(data)
   }
 }
 
@@ -384,6 +487,37 @@ class TransformSequence extends TransformBase {
   }
 }
 
+/**
+ * Randomly reorder the values in a column (e.g., for permutation tests). Other
+ * columns are not changed.
+ * @param {string} column Existing column's name.
+ */
+class TransformShuffle extends TransformBase {
+  constructor (column) {
+    util.check(column && (typeof column === 'string'),
+               `Expected string as column name`)
+    super('shuffle', [], true, false)
+    this.column = column
+  }
+
+  equal (other) {
+    return super.equal(other, 'column')
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.column}`)
+    util.check(df.hasColumns([this.column]),
+               `Unknown column ${this.column}`)
+    const order = _sampleIndices(df.data.length, df.data.length, false)
+    const data = df.data.map((row, i) => {
+      const newRow = Object.assign({}, row)
+      newRow[this.column] = df.data[order[i]][this.column]
+      return newRow
+    })
+    return df.withData(data)
+  }
+}
+
 /**
  * Sort data.
  * @param {string[]} columns Names of columns to sort by.
@@ -411,30 +545,95 @@ class TransformSort extends TransformBase {
 }
 
 /**
- * Summarize data.
- * @param {string} action Name of operation.
- * @param {string} column Column to summarize.
+ * Summarize data. For compatibility with older programs, this can be given a
+ * single operation name and column name instead of a list of summaries.
+ * @param {Array[]} summaries Triples of operation name, column to summarize,
+ * and name of column for result (which may be empty to use the default name
+ * `column_operation`), optionally followed by a numeric parameter for the
+ * operation (such as the quantile to find).
+ * @param {Boolean} collapse Produce one row per group?
+ * @param {string} missing How to handle missing values (one of
+ * `util.MISSING_POLICIES`).
  */
 class TransformSummarize extends TransformBase {
-  constructor (action, column) {
-    util.check(typeof action === 'string',
-               `Expected string as action`)
-    util.check(action in Summarize,
-               `Unknown summarization operation ${action}`)
-    util.check(typeof column === 'string',
-               `Expected string as column name`)
+  constructor (summaries, collapse = false, missing = 'skip') {
+    if (typeof summaries === 'string') {
+      const [action, column] = arguments
+      summaries = [[action, column, '']]
+      collapse = false
+      missing = 'skip'
+    }
+    util.check(Array.isArray(summaries) && (summaries.length > 0),
+               `Expected non-empty array of summaries`)
+    summaries.forEach(entry => {
+      util.check(Array.isArray(entry) && ((entry.length === 3) || (entry.length === 4)),
+                 `Expected operation, column, name, and optional parameter in summary`)
+      const [action, column, name, ...params] = entry
+      util.check(typeof action === 'string',
+                 `Expected string as action`)
+      util.check(action in Summarize,
+                 `Unknown summarization operation ${action}`)
+      util.check(typeof column === 'string',
+                 `Expected string as column name`)
+      util.check(typeof name === 'string',
+                 `Expected string as summary name`)
+      util.check(params.every(p => (typeof p === 'number')),
+                 `Expected number as summary parameter`)
+    })
+    util.check(typeof collapse === 'boolean',
+               `Expected Boolean for collapse`)
+    util.checkMissingPolicy(missing)
     super('summarize', [], true, false)
-    this.action = action
-    this.column = column
+    this.summaries = summaries
+    this.collapse = collapse
+    this.missing = missing
+  }
+
+  equal (other) {
+    return super.equal(other, 'collapse', 'missing') &&
+      (this.summaries.length === other.summaries.length) &&
+      this.summaries.every((entry, i) => {
+        return (entry.length === other.summaries[i].length) &&
+          entry.every((x, j) => (x === other.summaries[i][j]))
+      })
+  }
+
+  run (env, df) {
+    const description = this.summaries.map(entry => {
+      return entry.filter(x => (x !== '')).join(' ')
+    }).join(', ')
+    env.appendLog('log', `${this.species} ${description}${this.collapse ? ' collapse' : ''} ${this.missing}`)
+    const summaries = this.summaries.map(([action, column, name, ...params]) => {
+      return [new Summarize[action](column, ...params), name || `${column}_${action}`]
+    })
+    return df.summarizeMultiple(summaries, this.collapse, this.missing)
+  }
+}
+
+/**
+ * Set the time zone used by datetime operations in the program.
+ * @param {string} zone Name of time zone (see `util.checkTimeZone`).
+ */
+class TransformTimeZone extends TransformBase {
+  constructor (zone) {
+    util.check(typeof zone === 'string',
+               `Expected string as time zone`)
+    util.checkTimeZone(zone)
+    super('timeZone', [], false, false, true) // is a control block
+    this.zone = zone
   }
 
   equal (other) {
-    return super.equal(other, 'action', 'column')
+    return super.equal(other) &&
+      (this.zone === other.zone)
   }
 
   run (env, df) {
-    env.appendLog('log', `${this.species} ${this.action} ${this.column}`)
-    return df.summarize(new Summarize[this.action](this.column))
+    util.check(df === null,
+               `Cannot provide input dataframe to time zone`)
+    env.appendLog('log', `${this.species} ${this.zone}`)
+    util.setTimeZone(this.zone)
+    return df
   }
 }
 
@@ -442,29 +641,33 @@ class TransformSummarize extends TransformBase {
  * Calculate running values.
  * @param {string} action Name of operation.
  * @param {string} column Column to summarize.
+ * @param {string} missing How to handle missing values (one of
+ * `util.MISSING_POLICIES`).
  */
 class TransformRunning extends TransformBase {
-  constructor (action, column) {
+  constructor (action, column, missing = 'skip') {
     util.check(typeof action === 'string',
                `Expected string as action`)
     util.check(action in Running,
                `Unknown running operation ${action}`)
     util.check(typeof column === 'string',
                `Expected string as column name`)
+    util.checkMissingPolicy(missing)
     super('running', [], true, false)
     this.action = action
     this.column = column
+    this.missing = missing
   }
 
   equal (other) {
-    return super.equal(other) &&
+    return super.equal(other, 'missing') &&
       (this.action === other.action) &&
       (this.column === other.column)
   }
 
   run (env, df) {
-    env.appendLog('log', `${this.species} ${this.action} ${this.column}`)
-    return df.running(new Running[this.action](this.column))
+    env.appendLog('log', `${this.species} ${this.action} ${this.column} ${this.missing}`)
+    return df.running(new Running[this.action](this.column), this.missing)
   }
 }
 
@@ -507,32 +710,75 @@ class TransformUnique extends TransformBase {
 // ----------------------------------------------------------------------
 
 /**
- * Store information about a plotting transform.
+ * Store information about a plotting transform. If a facet column is given, a
+ * separate plot is made for each of its values; otherwise, grouped data is
+ * faceted by group. Options are lists whose first element is one of the keys
+ * of `TransformPlot.OPTIONS`, such as `['scale', 'y', 'log']`.
  */
 class TransformPlot extends TransformBase {
-  constructor (name, label, spec, fillin) {
+  constructor (name, label, spec, fillin, facet = '', options = []) {
     util.check(label && (typeof label === 'string'),
                `Must provide non-empty label`)
+    util.check(typeof facet === 'string',
+               `Must provide (empty) string for facet`)
+    util.check(Array.isArray(options),
+               `Must provide array of plot options`)
+    options.forEach(option => _checkPlotOption(option))
     super(name, [], true, true)
     this.label = label
+    this.facet = facet
+    this.options = options
     this.spec = Object.assign({}, spec, fillin, {name})
+    options.forEach(option => _applyPlotOption(this.spec, option))
   }
 
   run (env, df) {
-    env.appendLog('log', `${this.species} ${this.label} ${this.logParams()}`)
+    util.check(!this.facet || df.hasColumns([this.facet]),
+               `unknown facet column ${this.facet}`)
+    const facet = this.facet ||
+          (df.hasColumns([DataFrame.GROUPCOL]) ? DataFrame.GROUPCOL : '')
+    const facetLog = facet ? ` facet ${facet}` : ''
+    env.appendLog('log', `${this.species} ${this.label} ${this.logParams()}${facetLog}`)
     this.spec.data.values = df.data
-    env.setPlot(this.label, this.spec)
+    env.setPlot(this.label, facet ? _makeFacetSpec(this.spec, facet) : this.spec)
     return df
   }
 }
 
+/**
+ * Create an area plot.
+ * @param {string} axisX Which column to use for the X axis.
+ * @param {string} axisY Which column to use for the Y axis.
+ * @param {string} color Which column to use to divide areas into series (if
+ * any).
+ * @param {string} facet Which column to facet by (if any).
+ * @param {Array[]} options Plot options (see `TransformPlot`).
+ */
+class TransformArea extends TransformPlot {
+  constructor (label, axisX, axisY, color, facet = '', options = []) {
+    const spec = _makeSeriesSpec('area', axisX, axisY, color)
+    super('area', label, spec, {axisX, axisY, color}, facet, options)
+  }
+
+  run (env, df) {
+    this.spec.encoding.x.type = _getAxisType(df, this.spec.encoding.x.field)
+    return super.run(env, df)
+  }
+
+  logParams () {
+    return _logSeriesParams(this.spec)
+  }
+}
+
 /**
  * Create a bar plot.
  * @param {string} axisX Which column to use for the X axis.
  * @param {string} axisY Which column to use for the Y axis.
+ * @param {string} facet Which column to facet by (if any).
+ * @param {Array[]} options Plot options (see `TransformPlot`).
  */
 class TransformBar extends TransformPlot {
-  constructor (label, axisX, axisY) {
+  constructor (label, axisX, axisY, facet = '', options = []) {
     util.check(axisX && (typeof axisX === 'string') &&
                axisY && (typeof axisY === 'string'),
                `Must provide non-empty strings for axes`)
@@ -546,7 +792,7 @@ class TransformBar extends TransformPlot {
         tooltip: {field: axisY, type: 'quantitative'}
       }
     }
-    super('bar', label, spec, {axisX, axisY})
+    super('bar', label, spec, {axisX, axisY}, facet, options)
   }
 
   logParams () {
@@ -558,9 +804,11 @@ class TransformBar extends TransformPlot {
  * Create a box plot.
  * @param {string} axisX Which column to use for the X axis.
  * @param {string} axisY Which column to use for the Y axis.
+ * @param {string} facet Which column to facet by (if any).
+ * @param {Array[]} options Plot options (see `TransformPlot`).
  */
 class TransformBox extends TransformPlot {
-  constructor (label, axisX, axisY) {
+  constructor (label, axisX, axisY, facet = '', options = []) {
     util.check(axisX && (typeof axisX === 'string') &&
                axisY && (typeof axisY === 'string'),
                `Must provide non-empty strings for axes`)
@@ -573,7 +821,7 @@ class TransformBox extends TransformPlot {
         y: {field: axisY, type: 'quantitative'}
       }
     }
-    super('box', label, spec, {axisX, axisY})
+    super('box', label, spec, {axisX, axisY}, facet, options)
   }
 
   logParams () {
@@ -584,9 +832,11 @@ class TransformBox extends TransformPlot {
 /**
  * Create a dot plot.
  * @param {string} axisX Which column to use for the X axis.
+ * @param {string} facet Which column to facet by (if any).
+ * @param {Array[]} options Plot options (see `TransformPlot`).
  */
 class TransformDot extends TransformPlot {
-  constructor (label, axisX) {
+  constructor (label, axisX, facet = '', options = []) {
     util.check(axisX && (typeof axisX === 'string'),
                `Must provide non-empty string for axis`)
     const spec = {
@@ -607,7 +857,7 @@ class TransformDot extends TransformPlot {
         }
       }
     }
-    super('dot', label, spec, {axisX})
+    super('dot', label, spec, {axisX}, facet, options)
   }
 
   logParams () {
@@ -619,9 +869,11 @@ class TransformDot extends TransformPlot {
  * Create a histogram.
  * @param {string} column Which column to use for values.
  * @param {number} bins How many bins to use.
+ * @param {string} facet Which column to facet by (if any).
+ * @param {Array[]} options Plot options (see `TransformPlot`).
  */
 class TransformHistogram extends TransformPlot {
-  constructor (label, column, bins) {
+  constructor (label, column, bins, facet = '', options = []) {
     util.check(column && (typeof column === 'string') &&
                (typeof bins === 'number') && (bins > 0),
                `Invalid parameters for histogram`)
@@ -642,7 +894,7 @@ class TransformHistogram extends TransformPlot {
         tooltip: null
       }
     }
-    super('histogram', label, spec, {column, bins})
+    super('histogram', label, spec, {column, bins}, facet, options)
   }
 
   logParams () {
@@ -650,14 +902,76 @@ class TransformHistogram extends TransformPlot {
   }
 }
 
+/**
+ * Create a heatmap.
+ * @param {string} axisX Which column to use for the X axis.
+ * @param {string} axisY Which column to use for the Y axis.
+ * @param {string} value Which column to use for the color of each cell.
+ * @param {string} facet Which column to facet by (if any).
+ * @param {Array[]} options Plot options (see `TransformPlot`).
+ */
+class TransformHeatmap extends TransformPlot {
+  constructor (label, axisX, axisY, value, facet = '', options = []) {
+    util.check(axisX && (typeof axisX === 'string') &&
+               axisY && (typeof axisY === 'string'),
+               `Must provide non-empty strings for axes`)
+    util.check(value && (typeof value === 'string'),
+               `Must provide non-empty string for value`)
+    const spec = {
+      data: {values: null},
+      autosize: 'fit',
+      mark: 'rect',
+      encoding: {
+        x: {field: axisX, type: 'ordinal'},
+        y: {field: axisY, type: 'ordinal'},
+        color: {field: value, type: 'quantitative'},
+        tooltip: {field: value, type: 'quantitative'}
+      }
+    }
+    super('heatmap', label, spec, {axisX, axisY, value}, facet, options)
+  }
+
+  logParams () {
+    const encoding = this.spec.encoding
+    return `${encoding.x.field} ${encoding.y.field} ${encoding.color.field}`
+  }
+}
+
+/**
+ * Create a line plot.
+ * @param {string} axisX Which column to use for the X axis.
+ * @param {string} axisY Which column to use for the Y axis.
+ * @param {string} color Which column to use to divide lines into series (if
+ * any).
+ * @param {string} facet Which column to facet by (if any).
+ * @param {Array[]} options Plot options (see `TransformPlot`).
+ */
+class TransformLine extends TransformPlot {
+  constructor (label, axisX, axisY, color, facet = '', options = []) {
+    const spec = _makeSeriesSpec('line', axisX, axisY, color)
+    super('line', label, spec, {axisX, axisY, color}, facet, options)
+  }
+
+  run (env, df) {
+    this.spec.encoding.x.type = _getAxisType(df, this.spec.encoding.x.field)
+    return super.run(env, df)
+  }
+
+  logParams () {
+    return _logSeriesParams(this.spec)
+  }
+}
+
 /**
  * Create a scatter plot.
  * @param {string} axisX Which column to use for the X axis.
  * @param {string} axisY Which column to use for the Y axis.
  * @param {string} color Which column to use for color (if any).
+ * @param {string} facet Which column to facet by (if any).
+ * @param {Array[]} options Plot options (see `TransformPlot`).
  */
 class TransformScatter extends TransformPlot {
-  constructor (label, axisX, axisY, color, lm) {
+  constructor (label, axisX, axisY, color, lm, facet = '', options = []) {
     util.check(axisX && (typeof axisX === 'string') &&
                axisY && (typeof axisY === 'string'),
                `Must provide non-empty strings for axes`)
@@ -698,7 +1012,7 @@ class TransformScatter extends TransformPlot {
     if (color) {
       spec.layer[0].encoding.color = {field: color, type: 'nominal'}
     }
-    super('scatter', label, spec, {axisX, axisY, color, lm})
+    super('scatter', label, spec, {axisX, axisY, color, lm}, facet, options)
   }
 
   logParams () {
@@ -712,6 +1026,37 @@ class TransformScatter extends TransformPlot {
   }
 }
 
+/**
+ * Plot options and the number of values each takes.
+ */
+TransformPlot.OPTIONS = {
+  title: 1,
+  axisTitle: 2,
+  scale: 2,
+  domain: 3,
+  colorScheme: 1
+}
+
+/**
+ * Axes that options can be applied to.
+ */
+TransformPlot.AXES = ['x', 'y']
+
+/**
+ * Kinds of scales that can be used for axes.
+ */
+TransformPlot.SCALES = ['linear', 'log', 'sqrt']
+
+/**
+ * Named Vega color schemes that can be used.
+ */
+TransformPlot.COLOR_SCHEMES = [
+  'category10', 'tableau10', 'set1', 'set2', 'dark2', 'pastel1', 'accent',
+  'viridis', 'plasma', 'inferno', 'magma',
+  'blues', 'greens', 'greys', 'oranges', 'purples', 'reds',
+  'redblue', 'spectral'
+]
+
 // ----------------------------------------------------------------------
 /**
  * Base class for identifying our stats transforms.
@@ -723,43 +1068,73 @@ class TransformStats extends TransformBase {
 }
 
 /**
- * One-sample two-sided t-test.
+ * One-sample t-test. Missing values are ignored.
+ * @param {string} label Name of the statistical result.
  * @param {string} colName The column to get values from.
  * @param {number} mean Mean value tested for.
+ * @param {string} alternative 'two-sided', 'less', or 'greater'.
  */
 class TransformTTestOneSample extends TransformStats {
-  constructor (label, colName, mean) {
+  constructor (label, colName, mean, alternative = 'two-sided') {
+    _checkAlternative(alternative)
     super('ttest_one')
     this.label = label
     this.colName = colName
     this.mean = mean
+    this.alternative = alternative
   }
 
   run (env, df) {
     env.appendLog('log', `${this.species} ${this.label}`)
-    const samples = df.data.map(row => row[this.colName])
-    const pValue = stats.tTest(samples, this.mean)
-    env.setStats(this.label, pValue)
+    df.checkType(this.colName, ['number'], this.species)
+    const samples = _getNumbers(df, this.colName)
+    util.check(samples.length > 1,
+               `Require at least two values for t-test`)
+    const sd = stats.sampleStandardDeviation(samples)
+    const stdError = sd / Math.sqrt(samples.length)
+    const t = (stats.mean(samples) - this.mean) / stdError
+    const dof = samples.length - 1
+    env.setStats(this.label, new statistics.StatsResult('one-sample t-test', {
+      statistic: {name: 't', value: t},
+      df: dof,
+      pValue: statistics.tPValue(t, dof, this.alternative),
+      alternative: this.alternative,
+      confidenceInterval: statistics.tInterval(stats.mean(samples), stdError, dof,
+                                               0.95, this.alternative),
+      effectSize: {name: "Cohen's d", value: (stats.mean(samples) - this.mean) / sd},
+      sampleSizes: {[this.colName]: samples.length}
+    }))
     return df
   }
 }
 
 /**
- * Paired two-sided t-test.
- * @param {number} significance Significance tested for.
+ * Two-sample t-test comparing values in two independent groups, either
+ * assuming equal variances (Student's test) or not (Welch's test). Missing
+ * values are ignored.
+ * @param {string} label Name of the statistical result.
  * @param {string} labelCol The column to get labels from.
  * @param {string} valueCol The column to get the values from.
+ * @param {Boolean} welch Use Welch's test instead of pooling variances?
+ * @param {string} alternative 'two-sided', 'less', or 'greater' (comparing
+ * the first group to the second).
  */
-class TransformTTestPaired extends TransformStats {
-  constructor (label, labelCol, valueCol) {
+class TransformTTestTwoSample extends TransformStats {
+  constructor (label, labelCol, valueCol, welch = false, alternative = 'two-sided') {
+    util.check(typeof welch === 'boolean',
+               `Must say whether to use Welch's test`)
+    _checkAlternative(alternative)
     super('ttest_two')
     this.label = label
     this.labelCol = labelCol
     this.valueCol = valueCol
+    this.welch = welch
+    this.alternative = alternative
   }
 
   run (env, df) {
     env.appendLog('log', `${this.species} ${this.label}`)
+    df.checkType(this.valueCol, ['number'], this.species)
     const known = new Set(df.data.map(row => row[this.labelCol]))
     util.check(known.size === 2,
                `Must have exactly two labels for data`)
@@ -767,83 +1142,730 @@ class TransformTTestPaired extends TransformStats {
     const leftVals = df.data
       .filter(row => (row[this.labelCol] === leftVal))
       .map(row => row[this.valueCol])
+      .filter(value => (value !== util.MISSING))
     const rightVals = df
       .data
       .filter(row => (row[this.labelCol] === rightVal))
       .map(row => row[this.valueCol])
-    const pValue = stats.tTestTwoSample(leftVals, rightVals, 0)
-    env.setStats(this.label, pValue)
+      .filter(value => (value !== util.MISSING))
+    const n1 = leftVals.length
+    const n2 = rightVals.length
+    const difference = stats.mean(leftVals) - stats.mean(rightVals)
+    let dof = null
+    let stdError = null
+    let sd = null
+    if (this.welch) {
+      util.check((n1 > 1) && (n2 > 1),
+                 `Require at least two values in each group for Welch's t-test`)
+      const v1 = stats.sampleVariance(leftVals) / n1
+      const v2 = stats.sampleVariance(rightVals) / n2
+      stdError = Math.sqrt(v1 + v2)
+      dof = ((v1 + v2) ** 2) / (((v1 ** 2) / (n1 - 1)) + ((v2 ** 2) / (n2 - 1)))
+      sd = Math.sqrt((stats.sampleVariance(leftVals) + stats.sampleVariance(rightVals)) / 2)
+    }
+    else {
+      util.check((n1 > 0) && (n2 > 0) && (n1 + n2 > 2),
+                 `Require more values for t-test`)
+      dof = n1 + n2 - 2
+      sd = Math.sqrt((_sumSquares(leftVals) + _sumSquares(rightVals)) / dof)
+      stdError = sd * Math.sqrt((1 / n1) + (1 / n2))
+    }
+    const t = difference / stdError
+    const test = this.welch ? "Welch's two-sample t-test" : 'two-sample t-test'
+    env.setStats(this.label, new statistics.StatsResult(test, {
+      statistic: {name: 't', value: t},
+      df: dof,
+      pValue: statistics.tPValue(t, dof, this.alternative),
+      alternative: this.alternative,
+      confidenceInterval: statistics.tInterval(difference, stdError, dof,
+                                               0.95, this.alternative),
+      effectSize: {name: "Cohen's d", value: difference / sd},
+      sampleSizes: {[leftVal]: n1, [rightVal]: n2}
+    }))
     return df
   }
 }
 
 /**
- * K-means clustering.
- * @param {string} axisX Which column to use for the X axis.
- * @param {string} axisY Which column to use for the Y axis.
+ * Paired t-test comparing two columns of the same rows. Rows with missing
+ * values in either column are ignored.
+ * @param {string} label Name of the statistical result.
+ * @param {string} colA The first column.
+ * @param {string} colB The second column.
+ * @param {string} alternative 'two-sided', 'less', or 'greater' (comparing
+ * the first column to the second).
+ */
+class TransformTTestPaired extends TransformStats {
+  constructor (label, colA, colB, alternative = 'two-sided') {
+    _checkStatsColumns(label, [colA, colB])
+    _checkAlternative(alternative)
+    super('ttest_paired')
+    this.label = label
+    this.colA = colA
+    this.colB = colB
+    this.alternative = alternative
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.label}`)
+    df.checkType(this.colA, ['number'], this.species)
+    df.checkType(this.colB, ['number'], this.species)
+    const [left, right] = _getPairs(df, this.colA, this.colB)
+    const differences = left.map((value, i) => value - right[i])
+    util.check(differences.length > 1,
+               `Require at least two pairs for paired t-test`)
+    const mean = stats.mean(differences)
+    const sd = stats.sampleStandardDeviation(differences)
+    const stdError = sd / Math.sqrt(differences.length)
+    const t = mean / stdError
+    const dof = differences.length - 1
+    env.setStats(this.label, new statistics.StatsResult('paired t-test', {
+      statistic: {name: 't', value: t},
+      df: dof,
+      pValue: statistics.tPValue(t, dof, this.alternative),
+      alternative: this.alternative,
+      confidenceInterval: statistics.tInterval(mean, stdError, dof,
+                                               0.95, this.alternative),
+      effectSize: {name: "Cohen's d", value: mean / sd},
+      sampleSizes: {pairs: differences.length}
+    }))
+    return df
+  }
+}
+
+/**
+ * Linear regression by ordinary least squares. Rows with missing values in any
+ * of the columns used are ignored, and get missing fitted values and residuals.
+ * @param {string} label Name of the statistical result.
+ * @param {string} response The column to predict.
+ * @param {string[]} predictors The columns to predict it from.
+ * @param {string} fitted Where to put fitted values (if anywhere).
+ * @param {string} residuals Where to put residuals (if anywhere).
+ */
+class TransformLinearRegression extends TransformStats {
+  constructor (label, response, predictors, fitted = '', residuals = '') {
+    util.check(label && (typeof label === 'string'),
+               `Must provide non-empty label`)
+    util.check(response && (typeof response === 'string'),
+               `Must provide response column`)
+    util.check(Array.isArray(predictors) && (predictors.length > 0) &&
+               predictors.every(p => p && (typeof p === 'string')),
+               `Must provide one or more predictor columns`)
+    util.check((typeof fitted === 'string') && (typeof residuals === 'string'),
+               `Must provide (empty) strings for fitted values and residuals`)
+    super('linear_regression')
+    this.label = label
+    this.response = response
+    this.predictors = predictors
+    this.fitted = fitted
+    this.residuals = residuals
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.label} ${this.response} ${this.predictors.join(', ')}`)
+    const columns = [this.response, ...this.predictors]
+    columns.forEach(col => df.checkType(col, ['number'], this.species))
+    const used = df.data
+      .map((row, i) => i)
+      .filter(i => columns.every(col => df.data[i][col] !== util.MISSING))
+    const fit = statistics.linearFit(
+      used.map(i => df.data[i][this.response]),
+      used.map(i => this.predictors.map(col => df.data[i][col])))
+    const terms = ['(intercept)', ...this.predictors]
+    env.setStats(this.label, new statistics.StatsResult('linear regression', {
+      statistic: {name: 'F', value: fit.fStatistic},
+      df: [this.predictors.length, fit.df],
+      pValue: fit.fPValue,
+      effectSize: {name: 'R squared', value: fit.rSquared},
+      sampleSizes: {[this.response]: used.length},
+      extra: {
+        'adjusted R squared': fit.adjustedRSquared,
+        'residual standard error': fit.residualStdError
+      },
+      details: terms.map((term, i) => ({
+        term,
+        estimate: fit.coefficients[i],
+        stdError: fit.stdErrors[i],
+        tValue: fit.tValues[i],
+        pValue: fit.pValues[i]
+      }))
+    }))
+
+    const added = [this.fitted, this.residuals].filter(col => col)
+    if (added.length === 0) {
+      return df
+    }
+    const data = df.data.map(row => {
+      const newRow = Object.assign({}, row)
+      added.forEach(col => {
+        newRow[col] = util.MISSING
+      })
+      return newRow
+    })
+    used.forEach((rowIndex, i) => {
+      if (this.fitted) {
+        data[rowIndex][this.fitted] = fit.fitted[i]
+      }
+      if (this.residuals) {
+        data[rowIndex][this.residuals] = fit.residuals[i]
+      }
+    })
+    return df.withData(data, [...df.columns, ...added])
+  }
+}
+
+/**
+ * Chi-squared test of independence of two categorical columns. Rows with
+ * missing values in either column are ignored.
+ * @param {string} label Name of the statistical result.
+ * @param {string} colA The first column.
+ * @param {string} colB The second column.
+ */
+class TransformChiSquared extends TransformStats {
+  constructor (label, colA, colB) {
+    _checkStatsColumns(label, [colA, colB])
+    super('chisq')
+    this.label = label
+    this.colA = colA
+    this.colB = colB
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.label}`)
+    const [left, right] = _getPairs(df, this.colA, this.colB)
+    env.setStats(this.label,
+                 statistics.chiSquaredTest(left, right, [this.colA, this.colB]))
+    return df
+  }
+}
+
+/**
+ * One-way analysis of variance. Rows with missing groups or values are ignored.
+ * @param {string} label Name of the statistical result.
+ * @param {string} groupCol The column to get groups from.
+ * @param {string} valueCol The column to get values from.
+ */
+class TransformAnova extends TransformStats {
+  constructor (label, groupCol, valueCol) {
+    _checkStatsColumns(label, [groupCol, valueCol])
+    super('anova')
+    this.label = label
+    this.groupCol = groupCol
+    this.valueCol = valueCol
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.label}`)
+    df.checkType(this.valueCol, ['number'], this.species)
+    env.setStats(this.label,
+                 statistics.anova(_getGroups(df, this.groupCol, this.valueCol)))
+    return df
+  }
+}
+
+/**
+ * Mann-Whitney U test comparing values in two groups. Rows with missing groups
+ * or values are ignored.
+ * @param {string} label Name of the statistical result.
+ * @param {string} groupCol The column to get groups from.
+ * @param {string} valueCol The column to get values from.
+ */
+class TransformMannWhitney extends TransformStats {
+  constructor (label, groupCol, valueCol) {
+    _checkStatsColumns(label, [groupCol, valueCol])
+    super('mann_whitney')
+    this.label = label
+    this.groupCol = groupCol
+    this.valueCol = valueCol
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.label}`)
+    df.checkType(this.valueCol, ['number'], this.species)
+    env.setStats(this.label,
+                 statistics.mannWhitney(_getGroups(df, this.groupCol, this.valueCol)))
+    return df
+  }
+}
+
+/**
+ * Wilcoxon signed-rank test comparing paired values in two columns. Rows with
+ * missing values in either column are ignored.
+ * @param {string} label Name of the statistical result.
+ * @param {string} colA The first column.
+ * @param {string} colB The second column.
+ */
+class TransformWilcoxon extends TransformStats {
+  constructor (label, colA, colB) {
+    _checkStatsColumns(label, [colA, colB])
+    super('wilcoxon')
+    this.label = label
+    this.colA = colA
+    this.colB = colB
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.label}`)
+    df.checkType(this.colA, ['number'], this.species)
+    df.checkType(this.colB, ['number'], this.species)
+    const [left, right] = _getPairs(df, this.colA, this.colB)
+    env.setStats(this.label, statistics.wilcoxon(left, right))
+    return df
+  }
+}
+
+/**
+ * Kruskal-Wallis test comparing values in several groups. Rows with missing
+ * groups or values are ignored.
+ * @param {string} label Name of the statistical result.
+ * @param {string} groupCol The column to get groups from.
+ * @param {string} valueCol The column to get values from.
+ */
+class TransformKruskalWallis extends TransformStats {
+  constructor (label, groupCol, valueCol) {
+    _checkStatsColumns(label, [groupCol, valueCol])
+    super('kruskal_wallis')
+    this.label = label
+    this.groupCol = groupCol
+    this.valueCol = valueCol
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.label}`)
+    df.checkType(this.valueCol, ['number'], this.species)
+    env.setStats(this.label,
+                 statistics.kruskalWallis(_getGroups(df, this.groupCol, this.valueCol)))
+    return df
+  }
+}
+
+/**
+ * Test for correlation between two columns. Rows with missing values in either
+ * column are ignored.
+ * @param {string} label Name of the statistical result.
+ * @param {string} colA The first column.
+ * @param {string} colB The second column.
+ * @param {string} method 'pearson' or 'spearman'.
+ */
+class TransformCorrelation extends TransformStats {
+  constructor (label, colA, colB, method = 'pearson') {
+    _checkStatsColumns(label, [colA, colB])
+    util.check(statistics.CORRELATION_METHODS.includes(method),
+               `Unknown correlation method "${method}"`)
+    super('correlation')
+    this.label = label
+    this.colA = colA
+    this.colB = colB
+    this.method = method
+  }
+
+  run (env, df) {
+    env.appendLog('log', `${this.species} ${this.label} ${this.method}`)
+    df.checkType(this.colA, ['number'], this.species)
+    df.checkType(this.colB, ['number'], this.species)
+    const [left, right] = _getPairs(df, this.colA, this.colB)
+    env.setStats(this.label, statistics.correlation(left, right, this.method))
+    return df
+  }
+}
+
+/**
+ * K-means clustering on one or more numeric columns. Rows with missing values
+ * in any of the columns are not clustered and get a missing label. Cluster
+ * centroids (in the original units) and within-cluster sums of squares (in the
+ * units used for clustering) are saved as a statistical result. Initial
+ * centroids are chosen using the seeded random number generator. For
+ * compatibility with older programs, this can be given X and Y column names,
+ * the number of clusters, and the label column instead, in which case the
+ * label column's name is also used as the name of the statistical result.
+ * @param {string} label Name of the statistical result.
+ * @param {string[]} columns Which columns to use as features.
  * @param {number} numClusters The number of clusters to create.
  * @param {string} labels What to call the label column.
+ * @param {Boolean} standardize Convert features to z-scores before clustering?
  */
 class TransformKMeansClustering extends TransformStats {
-  constructor (axisX, axisY, numClusters, labels) {
-    util.check(numClusters > 0,
+  constructor (label, columns, numClusters, labels, standardize = false) {
+    if (typeof columns === 'string') {
+      const [axisX, axisY, oldNumClusters, oldLabels] = arguments
+      label = oldLabels
+      columns = [axisX, axisY]
+      numClusters = oldNumClusters
+      labels = oldLabels
+      standardize = false
+    }
+    _checkStatsColumns(label, [labels])
+    util.check(Array.isArray(columns) && (columns.length > 0) &&
+               columns.every(col => col && (typeof col === 'string')),
+               `Must provide one or more feature columns`)
+    util.check(Number.isInteger(numClusters) && (numClusters > 0),
                `Require positive number of clusters`)
+    util.check(typeof standardize === 'boolean',
+               `Must say whether to standardize features`)
     super('k_means')
-    this.axisX = axisX
-    this.axisY = axisY
+    this.label = label
+    this.columns = columns
     this.numClusters = numClusters
     this.labels = labels
+    this.standardize = standardize
   }
 
   run (env, df) {
-    env.appendLog('log', `${this.species} ${this.axisX} ${this.axisY} ${this.numClusters}`)
-    const points = df.data.map(row => [row[this.axisX], row[this.axisY]])
-    const {labels} = stats.kMeansCluster(points, this.numClusters)
-    const data = df.data.map((row, i) => {
+    env.appendLog('log', `${this.species} ${this.label} ${this.columns.join(', ')} ${this.numClusters}`)
+    const {used, points} = _getFeatures(df, this.columns, this.standardize, this.species)
+    const distinct = new Set(points.map(p => JSON.stringify(p))).size
+    util.check(distinct >= this.numClusters,
+               `Require at least as many different points as clusters`)
+    let labels = null
+    try {
+      labels = stats.kMeansCluster(points, this.numClusters, () => random.float()).labels
+    }
+    catch (err) {
+      // Repeated points can still be chosen as identical starting centers.
+      util.fail(`Unable to find ${this.numClusters} separate clusters (try fewer clusters)`)
+    }
+    const details = []
+    let total = 0
+    for (let cluster = 0; cluster < this.numClusters; cluster += 1) {
+      const members = labels
+        .map((value, i) => i)
+        .filter(i => (labels[i] === cluster))
+      const center = this.columns.map((col, j) => stats.mean(members.map(i => points[i][j])))
+      const wcss = members.reduce((sum, i) => {
+        return sum + points[i].reduce((inner, x, j) => inner + ((x - center[j]) ** 2), 0)
+      }, 0)
+      total += wcss
+      const row = {cluster, size: members.length, wcss}
+      this.columns.forEach(col => {
+        row[col] = stats.mean(members.map(i => df.data[used[i]][col]))
+      })
+      details.push(row)
+    }
+    env.setStats(this.label, new statistics.StatsResult('k-means clustering', {
+      sampleSizes: {total: used.length},
+      extra: {
+        clusters: this.numClusters,
+        'within-cluster sum of squares': total
+      },
+      details
+    }))
+
+    const data = df.data.map(row => {
       const newRow = Object.assign({}, row)
-      newRow[this.labels] = labels[i]
+      newRow[this.labels] = util.MISSING
       return newRow
     })
-    return new DataFrame(data)
+    used.forEach((rowIndex, i) => {
+      data[rowIndex][this.labels] = labels[i]
+    })
+    return df.withData(data, [...df.columns, this.labels])
   }
 }
 
 /**
- * Silhouette scoring of clusters.
- * @param {string} axisX Which column to use for the X axis.
- * @param {string} axisY Which column to use for the Y axis.
+ * Silhouette scoring of clusters. Rows with missing values in any of the
+ * feature columns or in the label column are not scored. For compatibility
+ * with older programs, this can be given X and Y column names, the label
+ * column, and the score column instead.
+ * @param {string[]} columns Which columns to use as features.
  * @param {string} labels What to call the label column.
  * @param {string} score Where to put the calculated score.
+ * @param {Boolean} standardize Convert features to z-scores first?
  */
 class TransformSilhouette extends TransformStats {
-  constructor (axisX, axisY, labels, score) {
+  constructor (columns, labels, score, standardize = false) {
+    if (typeof columns === 'string') {
+      const [axisX, axisY, oldLabels, oldScore] = arguments
+      columns = [axisX, axisY]
+      labels = oldLabels
+      score = oldScore
+      standardize = false
+    }
+    util.check(Array.isArray(columns) && (columns.length > 0) &&
+               columns.every(col => col && (typeof col === 'string')),
+               `Must provide one or more feature columns`)
+    util.check(typeof standardize === 'boolean',
+               `Must say whether to standardize features`)
     super('silhouette')
-    this.axisX = axisX
-    this.axisY = axisY
+    this.columns = columns
     this.labels = labels
     this.score = score
+    this.standardize = standardize
   }
 
   run (env, df) {
     env.appendLog('log', `${this.species}`)
-    const points = df.data.map(row => [row[this.axisX], row[this.axisY]])
-    const labels = df.data.map(row => row[this.labels])
+    const {used, points} = _getFeatures(df, this.columns, this.standardize,
+                                        this.species, [this.labels])
+    const labels = used.map(i => df.data[i][this.labels])
     const scores = stats.silhouette(points, labels)
-    const data = df.data.map((row, i) => {
+    const data = df.data.map(row => {
       const newRow = Object.assign({}, row)
-      newRow[this.score] = scores[i]
+      newRow[this.score] = util.MISSING
       return newRow
     })
-    return new DataFrame(data)
+    used.forEach((rowIndex, i) => {
+      data[rowIndex][this.score] = scores[i]
+    })
+    return df.withData(data, [...df.columns, this.score])
   }
 }
 
 // ----------------------------------------------------------------------
 
+//
+// Check that a plot option is well formed.
+//
+const _checkPlotOption = (option) => {
+  util.check(Array.isArray(option) && (option[0] in TransformPlot.OPTIONS) &&
+             (option.length === TransformPlot.OPTIONS[option[0]] + 1),
+             `Unknown or badly-formed plot option ${JSON.stringify(option)}`)
+  const [kind, ...values] = option
+  if (kind === 'title') {
+    util.check(typeof values[0] === 'string',
+               `Plot title must be a string`)
+  }
+  else if (kind === 'colorScheme') {
+    util.check(TransformPlot.COLOR_SCHEMES.includes(values[0]),
+               `Unknown color scheme "${values[0]}"`)
+  }
+  else {
+    util.check(TransformPlot.AXES.includes(values[0]),
+               `Unknown axis "${values[0]}" in plot option`)
+    if (kind === 'axisTitle') {
+      util.check(typeof values[1] === 'string',
+                 `Axis title must be a string`)
+    }
+    else if (kind === 'scale') {
+      util.check(TransformPlot.SCALES.includes(values[1]),
+                 `Unknown scale "${values[1]}"`)
+    }
+    else {
+      util.check((typeof values[1] === 'number') && (typeof values[2] === 'number') &&
+                 (values[1] < values[2]),
+                 `Axis domain must be two increasing numbers`)
+    }
+  }
+}
+
+//
+// Apply a plot option to a spec, changing every encoding of the relevant
+// channel (including those in layers).
+//
+const _applyPlotOption = (spec, option) => {
+  const [kind, ...values] = option
+  if (kind === 'title') {
+    spec.title = values[0]
+    return
+  }
+  const channel = (kind === 'colorScheme') ? 'color' : values[0]
+  const views = [spec, ...(spec.layer || [])]
+  views.filter(view => view.encoding && view.encoding[channel]).forEach(view => {
+    const encoding = view.encoding[channel]
+    if (kind === 'axisTitle') {
+      encoding.title = values[1]
+    }
+    else {
+      encoding.scale = Object.assign({}, encoding.scale)
+      if (kind === 'scale') {
+        encoding.scale.type = values[1]
+      }
+      else if (kind === 'domain') {
+        encoding.scale.domain = [values[1], values[2]]
+      }
+      else {
+        encoding.scale.scheme = values[0]
+      }
+    }
+  })
+}
+
+//
+// Choose row indices at random using the seeded random number generator.
+// Sampling without replacement uses a partial Fisher-Yates shuffle.
+//
+const _sampleIndices = (available, size, replace) => {
+  if (replace) {
+    return Array.from({length: size}, () => random.int(0, available - 1))
+  }
+  const indices = Array.from({length: available}, (v, k) => k)
+  for (let i = 0; i < size; i += 1) {
+    const j = random.int(i, available - 1)
+    const temp = indices[i]
+    indices[i] = indices[j]
+    indices[j] = temp
+  }
+  return indices.slice(0, size)
+}
+
+//
+// Get the non-missing values of a column.
+//
+const _getNumbers = (df, column) => {
+  return df.data
+    .map(row => row[column])
+    .filter(value => (value !== util.MISSING))
+}
+
+//
+// Sum of squared differences from the mean.
+//
+const _sumSquares = (values) => {
+  const mean = stats.mean(values)
+  return values.reduce((total, v) => total + ((v - mean) ** 2), 0)
+}
+
+//
+// Check the label and column names given to a statistical test.
+//
+const _checkStatsColumns = (label, columns) => {
+  util.check(label && (typeof label === 'string'),
+             `Must provide non-empty label`)
+  util.check(columns.every(col => col && (typeof col === 'string')),
+             `Must provide non-empty column names`)
+}
+
+//
+// Check that an alternative hypothesis is known.
+//
+const _checkAlternative = (alternative) => {
+  util.check(statistics.ALTERNATIVES.includes(alternative),
+             `Unknown alternative hypothesis "${alternative}"`)
+}
+
+//
+// Get numeric features from rows where none of the given columns are missing,
+// optionally converting each feature to z-scores. Returns the indices of the
+// rows used and a point for each.
+//
+const _getFeatures = (df, columns, standardize, species, others = []) => {
+  columns.forEach(col => df.checkType(col, ['number'], species))
+  const required = [...columns, ...others]
+  const used = df.data
+    .map((row, i) => i)
+    .filter(i => required.every(col => (df.data[i][col] !== util.MISSING)))
+  util.check(used.length > 0,
+             `No rows without missing values`)
+  const points = used.map(i => columns.map(col => df.data[i][col]))
+  if (standardize) {
+    columns.forEach((col, j) => {
+      const values = points.map(p => p[j])
+      const mean = stats.mean(values)
+      const sd = (values.length > 1) ? stats.sampleStandardDeviation(values) : 0
+      util.check(sd > 0,
+                 `Cannot standardize column ${col} because its values do not vary`)
+      points.forEach(p => {
+        p[j] = (p[j] - mean) / sd
+      })
+    })
+  }
+  return {used, points}
+}
+
+//
+// Get the values of two columns from rows where neither is missing.
+//
+const _getPairs = (df, colA, colB) => {
+  const rows = df.data.filter(row => (row[colA] !== util.MISSING) &&
+                              (row[colB] !== util.MISSING))
+  return [rows.map(row => row[colA]), rows.map(row => row[colB])]
+}
+
+//
+// Get the non-missing values of a column grouped by the values of another
+// column, with groups in the order they first appear.
+//
+const _getGroups = (df, groupCol, valueCol) => {
+  const groups = new Map()
+  df.data.forEach(row => {
+    const group = row[groupCol]
+    const value = row[valueCol]
+    if ((group === util.MISSING) || (value === util.MISSING)) {
+      return
+    }
+    if (!groups.has(group)) {
+      groups.set(group, [])
+    }
+    groups.get(group).push(value)
+  })
+  return groups
+}
+
+//
+// Wrap a plot's spec so that a separate plot is made for each value of a
+// column. Vega-Lite can't fit faceted plots to their container, so the
+// `autosize` setting is dropped.
+//
+const _makeFacetSpec = (spec, facet) => {
+  const FACETED_KEYS = ['mark', 'encoding', 'layer', 'transform']
+  const result = {}
+  const inner = {}
+  Object.keys(spec).forEach(key => {
+    if (FACETED_KEYS.includes(key)) {
+      inner[key] = spec[key]
+    }
+    else if (key !== 'autosize') {
+      result[key] = spec[key]
+    }
+  })
+  result.facet = {column: {field: facet, type: 'nominal'}}
+  result.spec = inner
+  return result
+}
+
+//
+// Make the spec for a plot of one or more series (such as a line plot).
+//
+const _makeSeriesSpec = (mark, axisX, axisY, color) => {
+  util.check(axisX && (typeof axisX === 'string') &&
+             axisY && (typeof axisY === 'string'),
+             `Must provide non-empty strings for axes`)
+  util.check((color === null) || (typeof color === 'string'),
+             `Must provide null or (empty) string for color`)
+  const spec = {
+    data: {values: null},
+    autosize: 'fit',
+    mark: mark,
+    encoding: {
+      x: {field: axisX, type: 'quantitative'},
+      y: {field: axisY, type: 'quantitative'}
+    }
+  }
+  if (color) {
+    spec.encoding.color = {field: color, type: 'nominal'}
+  }
+  return spec
+}
+
+//
+// Describe the parameters of a plot of one or more series.
+//
+const _logSeriesParams = (spec) => {
+  const color = ('color' in spec.encoding) ? spec.encoding.color.field : '-none-'
+  return `${spec.encoding.x.field} ${spec.encoding.y.field} ${color}`
+}
+
+//
+// Choose the type of a plot axis from the type of its column: datetime values
+// are temporal, text is ordinal, and everything else is quantitative.
+//
+const _getAxisType = (df, column) => {
+  const type = df.hasColumns([column]) ? df.getType(column) : null
+  if (type === 'datetime') {
+    return 'temporal'
+  }
+  if (type === 'text') {
+    return 'ordinal'
+  }
+  return 'quantitative'
+}
+
 module.exports = {
   FAMILY: FAMILY,
   base: TransformBase,
   bin: TransformBin,
+  bootstrap: TransformBootstrap,
+  collapse: TransformCollapse,
   create: TransformCreate,
   data: TransformData,
   drop: TransformDrop,
@@ -851,24 +1873,38 @@ module.exports = {
   glue: TransformGlue,
   groupBy: TransformGroupBy,
   join: TransformJoin,
+  sample: TransformSample,
   saveAs: TransformSaveAs,
   seed: TransformSeed,
   select: TransformSelect,
   sequence: TransformSequence,
+  shuffle: TransformShuffle,
   sort: TransformSort,
   summarize: TransformSummarize,
+  timeZone: TransformTimeZone,
   running: TransformRunning,
   ungroup: TransformUngroup,
   unique: TransformUnique,
   plot: TransformPlot,
+  area: TransformArea,
   bar: TransformBar,
   box: TransformBox,
   dot: TransformDot,
+  heatmap: TransformHeatmap,
   histogram: TransformHistogram,
+  line: TransformLine,
   scatter: TransformScatter,
   stats: TransformStats,
   ttest_one: TransformTTestOneSample,
-  ttest_two: TransformTTestPaired,
+  ttest_two: TransformTTestTwoSample,
+  ttest_paired: TransformTTestPaired,
+  linear_regression: TransformLinearRegression,
+  chisq: TransformChiSquared,
+  anova: TransformAnova,
+  mann_whitney: TransformMannWhitney,
+  wilcoxon: TransformWilcoxon,
+  kruskal_wallis: TransformKruskalWallis,
+  correlation: TransformCorrelation,
   k_means: TransformKMeansClustering,
   silhouette: TransformSilhouette
 }
@@ -58,6 +58,10 @@ class SaveMenuItems extends React.Component{
           <MenuItem onClick={() => this.handleClick(this.props.saveSvg)}>
             Save SVG</MenuItem>
         </Link>
+        <Link>
+          <MenuItem onClick={() => this.handleClick(this.props.savePlot)}>
+            Save Plot</MenuItem>
+        </Link>
         <Link>
           <MenuItem onClick={() => this.handleClick(this.props.saveAllSvg)}>
             Save All SVGs</MenuItem>
@@ -115,7 +119,7 @@ function MenuItemsButton ({name, icon, handleClick}) {
 }
 
 // Create the Save items for the top TidyBlocks bar.
-function TidyBlocksSaveMenuItems({name, icon, menuItems, saveWorkspace, saveData, saveSvg, saveAllSvg}) {
+function TidyBlocksSaveMenuItems({name, icon, menuItems, saveWorkspace, saveData, saveSvg, savePlot, saveAllSvg}) {
   const [anchorEl, setAnchorEl] = React.useState(null)
   const open = Boolean(anchorEl)
   const handleClick = (event) => {
@@ -140,6 +144,7 @@ function TidyBlocksSaveMenuItems({name, icon, menuItems, saveWorkspace, saveData
           saveWorkspace={saveWorkspace}
           saveData={saveData}
           saveSvg={saveSvg}
+          savePlot={savePlot}
           saveAllSvg={saveAllSvg}/>
 
       </Menu>
@@ -206,6 +211,7 @@ export class MenuBar extends React.Component{
                 saveWorkspace={this.props.saveWorkspace}
                 saveData={this.props.saveData}
                 saveSvg={this.props.saveSvg}
+                savePlot={this.props.savePlot}
                 saveAllSvg={this.props.saveAllSvg}
                 icon={<SaveIcon className="menuIcon" />}/>
               <TidyBlocksHelpMenuItems edge="start" name="Help"
@@ -7,11 +7,15 @@ import DialogContent from '@material-ui/core/DialogContent'
 import DialogContentText from '@material-ui/core/DialogContentText'
 import DialogTitle from '@material-ui/core/DialogTitle'
 import Link from '@material-ui/core/Link'
+import NativeSelect from '@material-ui/core/NativeSelect'
 import Blockly from 'blockly/blockly_compressed'
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
 import { faFileUpload, faCloudUploadAlt } from '@fortawesome/free-solid-svg-icons'
 import AdmZip from 'adm-zip'
 
+import {TYPES, inferType} from '../util'
+import {SCHEMA} from '../render'
+
 function SaveDialog (props) {
   return (
     <Dialog open={props.open} onClose={props.handleClose} aria-labelledby="form-dialog-title">
@@ -342,6 +346,125 @@ export class SaveAllSvgFormDialog extends React.Component{
   }
 }
 
+// Formats that plots can be saved in, with the suffix for each.
+const PLOT_FORMATS = {
+  svg: '.svg',
+  png: '.png',
+  json: '.json'
+}
+
+// Helper function that builds a Vega view for a plot spec. Uses the copies of
+// Vega and Vega-Lite loaded by the page (the same ones used by vegaEmbed).
+function getPlotView(spec){
+  const compiled = vegaLite.compile(spec).spec
+  return new vega.View(vega.parse(compiled), {renderer: 'none'})
+}
+
+export class SavePlotFormDialog extends React.Component{
+  constructor(props) {
+    super(props)
+    const dateObj = new Date()
+    const month = dateObj.getUTCMonth() + 1
+    const day = dateObj.getUTCDate()
+    const year = dateObj.getUTCFullYear()
+    const filename = 'plot_' + year + '_' + month + '_' + day
+
+    this.state = {
+      open: false,
+      filename: filename,
+      format: 'svg',
+      title: 'Save Plot',
+      contentText: 'Enter the name for your plot file.'
+    }
+    this.handleClickOpen = this.handleClickOpen.bind(this)
+    this.handleClose = this.handleClose.bind(this)
+    this.handleDownload = this.handleDownload.bind(this)
+    this.handleFilenameChange = this.handleFilenameChange.bind(this)
+    this.handleFormatChange = this.handleFormatChange.bind(this)
+  }
+
+  handleClickOpen () {
+    this.setState({open: true})
+  }
+
+  handleClose () {
+    this.setState({open: false})
+  }
+
+  handleFilenameChange (evt) {
+    const value = evt.target.value
+    this.setState({ filename: value })
+  }
+
+  handleFormatChange (evt) {
+    this.setState({ format: evt.target.value })
+  }
+
+  // Rendering is asynchronous (and the dialog may be gone by the time it
+  // finishes), so a temporary link is clicked once the file is ready.
+  handleDownload (spec){
+    const format = this.state.format
+    const suffix = PLOT_FORMATS[format]
+    const filename = this.state.filename.endsWith(suffix) ?
+          this.state.filename : this.state.filename + suffix
+    const download = (href) => {
+      const link = document.createElement('a')
+      link.setAttribute('href', href)
+      link.setAttribute('download', filename)
+      link.click()
+    }
+    const standalone = Object.assign({$schema: SCHEMA}, spec)
+    if (format === 'json') {
+      const text = JSON.stringify(standalone, null, 2)
+      download('data:application/json;charset=utf-8,' + encodeURIComponent(text))
+    } else {
+      const view = getPlotView(standalone)
+      const rendered = (format === 'svg') ?
+            view.toSVG().then(svg => URL.createObjectURL(new Blob([svg]))) :
+            view.toImageURL('png')
+      rendered.then(href => download(href)).finally(() => view.finalize())
+    }
+    this.handleClose()
+  }
+
+  render () {
+    return (
+      <Dialog open={this.state.open} onClose={this.handleClose} aria-labelledby="form-dialog-title">
+        <DialogTitle id="form-dialog-title">{this.state.title}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {this.props.data ? this.state.contentText : 'Select a plot to save first.'}
+          </DialogContentText>
+          <TextField
+            autoFocus
+            margin="dense"
+            id="plotName"
+            label="Plot File Name"
+            type="text"
+            value={this.state.filename}
+            fullWidth
+            onChange={(evt) => this.handleFilenameChange(evt)}
+          />
+          <NativeSelect
+            value={this.state.format}
+            onChange={this.handleFormatChange}>
+            {Object.keys(PLOT_FORMATS).map(f => <option key={f} value={f}>{f}</option>)}
+          </NativeSelect>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={this.handleClose} color="primary">
+            Cancel
+          </Button>
+          <Button onClick={() => this.handleDownload(this.props.data)}
+            disabled={!this.props.data} color="primary" >
+            Download
+          </Button>
+        </DialogActions>
+      </Dialog>
+    )
+  }
+}
+
 export class LoadCsvDialog extends React.Component{
   constructor(props) {
     super(props)
@@ -426,3 +549,82 @@ export class LoadCsvDialog extends React.Component{
     )
   }
 }
+
+// Shows the types inferred for the columns of a newly-loaded CSV file and lets
+// the user change them before the data is added.
+export class ColumnTypesDialog extends React.Component{
+  constructor(props) {
+    super(props)
+    this.state = {
+      open: false,
+      label: '',
+      table: [],
+      types: {}
+    }
+    this.handleClickOpen = this.handleClickOpen.bind(this)
+    this.handleClose = this.handleClose.bind(this)
+    this.handleTypeChange = this.handleTypeChange.bind(this)
+    this.handleLoad = this.handleLoad.bind(this)
+  }
+
+  handleClickOpen (label, table) {
+    const columns = (table.length > 0) ? Object.keys(table[0]) : []
+    const types = {}
+    columns.forEach(col => {
+      types[col] = inferType(table.map(row => row[col])) || 'text'
+    })
+    this.setState({open: true, label: label, table: table, types: types})
+  }
+
+  handleClose () {
+    this.setState({open: false})
+  }
+
+  handleTypeChange (column, evt) {
+    const types = Object.assign({}, this.state.types)
+    types[column] = evt.target.value
+    this.setState({types: types})
+  }
+
+  handleLoad () {
+    this.props.loadTable(this.state.label, this.state.table, this.state.types)
+    this.handleClose()
+  }
+
+  render () {
+    return (
+      <Dialog open={this.state.open} onClose={this.handleClose} aria-labelledby="form-dialog-title">
+        <DialogTitle id="form-dialog-title">Column Types for {this.state.label}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Check the type of each column before loading the data
+          </DialogContentText>
+          <table className="columnTypes">
+            <tbody>
+              {Object.keys(this.state.types).map(col =>
+                <tr key={col}>
+                  <td><code>{col}</code></td>
+                  <td>
+                    <NativeSelect
+                      value={this.state.types[col]}
+                      onChange={(evt) => this.handleTypeChange(col, evt)}>
+                      {TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    </NativeSelect>
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={this.handleClose} color="primary">
+            Cancel
+          </Button>
+          <Button onClick={this.handleLoad} color="primary">
+            Load
+          </Button>
+        </DialogActions>
+      </Dialog>
+    )
+  }
+}
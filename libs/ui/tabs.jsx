@@ -164,6 +164,19 @@ export function TabSelectionBar (props) {
   )
 }
 
+// Display values of any type in a data grid: React can't display dates or
+// Booleans directly.
+const CellFormatter = (props) => {
+  const value = props.row[props.column.key]
+  if (value instanceof Date) {
+    return <>{value.toISOString()}</>
+  }
+  if (typeof value === 'boolean') {
+    return <>{value ? 'true' : 'false'}</>
+  }
+  return <>{value}</>
+}
+
 function MultiDataGrid (props) {
   return (
     <>
@@ -174,6 +187,7 @@ function MultiDataGrid (props) {
               <DataGrid
                 columns={props.dataColumns[0]}
                 rows={props.data[0]}
+                defaultFormatter={CellFormatter}
                 enableCellAutoFocus={false}
                 onGridSort={props.sortRows}
                 height={props.topRightPaneHeight/2}
@@ -185,6 +199,7 @@ function MultiDataGrid (props) {
             <DataGrid
               columns={props.dataColumns[1]}
               rows={props.data[1]}
+              defaultFormatter={CellFormatter}
               enableCellAutoFocus={false}
               onGridSort={props.sortRows}
               height={props.topRightPaneHeight/2}
@@ -198,6 +213,7 @@ function MultiDataGrid (props) {
         <DataGrid
           columns={props.dataColumns[0]}
           rows={props.data[0]}
+          defaultFormatter={CellFormatter}
           enableCellAutoFocus={false}
           height={props.topRightPaneHeight}
           />
@@ -214,6 +230,52 @@ function MultiDataGrid (props) {
   )
 }
 
+// Columns for the summary of a statistical result.
+const STATS_COLUMNS = [{key: 'name', name: 'name', resizable: true},
+  {key: 'value', name: 'value', resizable: true}]
+
+// Shows numbers in statistical results to a readable precision.
+function formatStat (value) {
+  return (typeof value === 'number') ? Number(value.toPrecision(6)) : value
+}
+
+// Displays a statistical result as a table of its fields, followed by a table
+// of its details (such as regression coefficients) if it has any.
+function StatsTable ({result, height}) {
+  const rows = result.toTable().map(({name, value}) => {
+    return {name: name, value: formatStat(value)}
+  })
+  const details = result.details || []
+  const detailColumns = (details.length == 0) ? [] :
+    Object.keys(details[0]).map(key => ({key: key, name: key, resizable: true}))
+  const detailRows = details.map(row => {
+    const formatted = {}
+    Object.keys(row).forEach(key => {
+      formatted[key] = formatStat(row[key])
+    })
+    return formatted
+  })
+  const tableHeight = (details.length > 0) ? height / 2 : height
+  return (
+    <>
+      <DataGrid
+        columns={STATS_COLUMNS}
+        rows={rows}
+        enableCellAutoFocus={false}
+        height={tableHeight}
+        />
+      { details.length > 0 &&
+        <DataGrid
+          columns={detailColumns}
+          rows={detailRows}
+          enableCellAutoFocus={false}
+          height={tableHeight}
+          />
+      }
+    </>
+  )
+}
+
 function MultiStatsGrid (props) {
   return (
     <>
@@ -221,31 +283,25 @@ function MultiStatsGrid (props) {
         <>
           <div className="relativeWrapper">
             <div className="dataWrapper">
-              <DataGrid
-                columns={props.statsColumns}
-                rows={props.stats[0]}
-                enableCellAutoFocus={false}
+              <StatsTable
+                result={props.stats[0].result}
                 height={props.topRightPaneHeight/2}
                 />
             </div>
           </div>
           <div className="relativeWrapper">
             <div className="dataWrapper">
-            <DataGrid
-              columns={props.statsColumns}
-              rows={props.stats[1]}
-              enableCellAutoFocus={false}
-              height={props.topRightPaneHeight/2}
-              />
+              <StatsTable
+                result={props.stats[1].result}
+                height={props.topRightPaneHeight/2}
+                />
             </div>
           </div>
         </>
       }
       { props.stats && props.stats.length == 1 &&
-        <DataGrid
-          columns={props.statsColumns}
-          rows={props.stats[0]}
-          enableCellAutoFocus={false}
+        <StatsTable
+          result={props.stats[0].result}
           height={props.topRightPaneHeight}
           />
       }
@@ -332,7 +388,6 @@ export function TabPanels (props) {
                     animationOutDuration={800}
                     isVisible={!props.hideStatsTable}>
                     <MultiStatsGrid
-                      statsColumns={props.statsColumns}
                       stats={props.stats}
                       topRightPaneHeight={props.topRightPaneHeight}
                       sortRows={props.sortRows}/>
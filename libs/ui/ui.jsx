@@ -19,7 +19,8 @@ import {csvToTable} from '../util'
 import DataFrame from '../dataframe'
 import { MenuBar } from './menuBar.jsx'
 import { SaveCsvFormDialog, SaveWorkspaceFormDialog,
-  SaveSvgFormDialog, SaveAllSvgFormDialog, LoadCsvDialog } from './saveDialog.jsx'
+  SaveSvgFormDialog, SavePlotFormDialog, SaveAllSvgFormDialog, LoadCsvDialog,
+  ColumnTypesDialog } from './saveDialog.jsx'
 import { DataTabSelect, StatsTabSelect, PlotTabSelect} from './select.jsx'
 import { TabSelectionBar, TabPanels } from './tabs.jsx'
 import { theme } from './theme.jsx'
@@ -50,8 +51,10 @@ export class TidyBlocksApp extends React.Component {
     this.saveCsvNameDialog = React.createRef()
     this.saveWorkspaceDialog = React.createRef()
     this.saveSvgDialog = React.createRef()
+    this.savePlotDialog = React.createRef()
     this.saveAllSvgDialog = React.createRef()
     this.loadCsvDialog = React.createRef()
+    this.columnTypesDialog = React.createRef()
 
     // Get the initial environment so that we can pre-populate the datasets.
     const initialEnv = props.initialEnv
@@ -125,6 +128,7 @@ export class TidyBlocksApp extends React.Component {
     this.loadCsvClick = this.loadCsvClick.bind(this)
     this.loadCsv = this.loadCsv.bind(this)
     this.loadCsvUrl = this.loadCsvUrl.bind(this)
+    this.loadTable = this.loadTable.bind(this)
     this.changeData = this.changeData.bind(this)
     this.changeResults = this.changeResults.bind(this)
     this.changeStats = this.changeStats.bind(this)
@@ -134,6 +138,7 @@ export class TidyBlocksApp extends React.Component {
     this.saveWorkspace = this.saveWorkspace.bind(this)
     this.saveData = this.saveData.bind(this)
     this.saveSvg = this.saveSvg.bind(this)
+    this.savePlot = this.savePlot.bind(this)
     this.saveAllSvg = this.saveAllSvg.bind(this)
     this.maximizePanel = this.maximizePanel.bind(this)
     this.minimizePanel = this.minimizePanel.bind(this)
@@ -367,7 +372,7 @@ export class TidyBlocksApp extends React.Component {
       this.setState({activeStatsOptions: [], stats: []})
     } else {
       for (let optIndex = 0; optIndex < activeStatsOptions.length; optIndex++){
-        stats.push([{'name': activeStatsOptions[optIndex].value, 'result': this.state.env.stats.get(activeStatsOptions[optIndex].value)}])
+        stats.push({'name': activeStatsOptions[optIndex].value, 'result': this.state.env.stats.get(activeStatsOptions[optIndex].value)})
       }
       this.setState({activeStatsOptions: activeStatsOptions, stats: stats})
     }
@@ -578,16 +583,13 @@ export class TidyBlocksApp extends React.Component {
   updateStatsInformation (env) {
     const statsKeys = env.stats.keys()
     let stats = []
-    let statsColumns = []
     let activeStatsOptions = []
-    let STATS_COLUMNS = [{key: "name", name: "name", sortable: true, resizable: true},
-      {key: "result", name: "result", sortable: true, resizable: true}]
 
     if (this.state.activeStatsOptions.length > 0) {
       for (let optIndex = 0; optIndex < this.state.activeStatsOptions.length; optIndex++){
         if (env.stats.has(this.state.activeStatsOptions[optIndex].value)){
-          stats.push([{'name': this.state.activeStatsOptions[optIndex].value,
-            'result': env.stats.get(this.state.activeStatsOptions[optIndex].value)}])
+          stats.push({'name': this.state.activeStatsOptions[optIndex].value,
+            'result': env.stats.get(this.state.activeStatsOptions[optIndex].value)})
           activeStatsOptions.push(this.state.activeStatsOptions[optIndex])
         }
       }
@@ -595,7 +597,7 @@ export class TidyBlocksApp extends React.Component {
       let result = statsKeys.next()
       if (!result.done){
         activeStatsOptions = [{'value': result.value, 'label': result.value}]
-        stats = [[{'name': result.value, 'result': env.stats.get(activeStatsOptions[0].value)}]]
+        stats = [{'name': result.value, 'result': env.stats.get(activeStatsOptions[0].value)}]
       }
     }
 
@@ -608,7 +610,7 @@ export class TidyBlocksApp extends React.Component {
     if (stats && stats.length != this.state.stats.length && this.state.tabValue != this.state.STATS_TAB_INDEX){
       tabUpdated.stats = true
     }
-    this.setState({statsKeys:statsKeys, stats: stats, statsColumns: STATS_COLUMNS,
+    this.setState({statsKeys:statsKeys, stats: stats,
       activeStatsOptions: activeStatsOptions, statsOptions: statsOptions})
   }
 
@@ -642,13 +644,18 @@ export class TidyBlocksApp extends React.Component {
   // Saves the currently displayed data table to a file.
   saveData(){
 
-    // If we're on the results tab, and there're results download them,
-    // otherwise download the data.
+    // If we're on the results or stats tab, and there're results download
+    // them, otherwise download the data.
     if (this.state.tabValue == this.state.RESULTS_TAB_INDEX
       && this.state.resultColumns.length > 0){
       this.setState({saveData: this.state.results}, () => {
         this.saveCsvNameDialog.current.handleClickOpen()
       })
+    } else if (this.state.tabValue == this.state.STATS_TAB_INDEX
+      && this.state.stats.length > 0){
+      this.setState({saveData: this.state.stats[0].result.toTable()}, () => {
+        this.saveCsvNameDialog.current.handleClickOpen()
+      })
     } else {
       this.setState({saveData: this.state.data}, () => {
         this.saveCsvNameDialog.current.handleClickOpen()
@@ -666,6 +673,11 @@ export class TidyBlocksApp extends React.Component {
     this.saveSvgDialog.current.handleClickOpen()
   }
 
+  // Saves the first of the currently selected plots to a file.
+  savePlot(){
+    this.savePlotDialog.current.handleClickOpen()
+  }
+
   // Saves all the svg files (used as a developer tool to update documentation).
   saveAllSvg(){
     this.saveAllSvgDialog.current.handleClickOpen()
@@ -696,12 +708,7 @@ export class TidyBlocksApp extends React.Component {
     const name = file.name
     file.text().then(text => {
       const label = name.replace('.csv', '')
-      const workspace = this.getWorkspace().state.workspace
-      const df = new DataFrame(csvToTable(text))
-      this.state.env.ui.userData.set(label, df)
-      this.setState({env: this.state.env}, () => {
-        this.updateDataInformation(this.state.env)
-      })
+      this.columnTypesDialog.current.handleClickOpen(label, csvToTable(text))
     })
   }
 
@@ -711,11 +718,23 @@ export class TidyBlocksApp extends React.Component {
     const formattedUrl = url.replace(/#[^#]+$/, "").replace(/\?[^\?]+$/, "").replace(/\/$/, "");
     const label = formattedUrl.substr(formattedUrl.lastIndexOf("/") + 1).replace('.csv', '')
     fetch(url, {mode:'cors'}).then(response => response.text()).then(text => {
-      const workspace = this.getWorkspace().state.workspace
-      const df = new DataFrame(csvToTable(text))
-      this.state.env.ui.userData.set(label, df)
-      this.setState({env: this.state.env}, () => {
-        this.updateDataInformation(this.state.env)})
+      this.columnTypesDialog.current.handleClickOpen(label, csvToTable(text))
+    })
+  }
+
+  // Adds loaded data once the user has confirmed the types of its columns.
+  loadTable (label, table, types) {
+    const env = this.state.env
+    try {
+      const df = new DataFrame(table).inferTypes(types)
+      env.ui.userData.set(label, df)
+    }
+    catch (err) {
+      env.appendLog('error', `Cannot load ${label}: ${err.message}`)
+      this.updateLogMessages(env)
+    }
+    this.setState({env: env}, () => {
+      this.updateDataInformation(env)
     })
   }
 
@@ -748,7 +767,9 @@ export class TidyBlocksApp extends React.Component {
       <div className="splitPaneWrapper">
         <MuiThemeProvider theme={theme}>
           <LoadCsvDialog ref={this.loadCsvDialog} fileUploadRef={this.refs.csvFileUploader} loadCsvUrl={this.loadCsvUrl}/>
+          <ColumnTypesDialog ref={this.columnTypesDialog} loadTable={this.loadTable}/>
           <SaveCsvFormDialog ref={this.saveCsvNameDialog} saveData={this.state.saveData}/>
+          <SavePlotFormDialog ref={this.savePlotDialog} data={this.state.plotData[0]}/>
           { this.blocklyRef.current &&
             <>
               <SaveWorkspaceFormDialog ref={this.saveWorkspaceDialog} data={this.getWorkspace().state.workspace}/>
@@ -766,6 +787,7 @@ export class TidyBlocksApp extends React.Component {
             saveWorkspace={this.saveWorkspace}
             saveData={this.saveData}
             saveSvg={this.saveSvg}
+            savePlot={this.savePlot}
             saveAllSvg={this.saveAllSvg}/>
           <input type="file" id="workspaceFile" ref="workspaceFileUploader"
             onChange={this.loadWorkspace}
@@ -827,7 +849,6 @@ export class TidyBlocksApp extends React.Component {
                   resultGridRef={this.resultGridRef}
                   results={this.state.results}
                   stats={this.state.stats}
-                  statsColumns={this.state.statsColumns}
                   plotData={this.state.plotData}
                   isDraggingPane={this.state.isDraggingPane}
                   hideDataTable={this.state.hideDataTable}
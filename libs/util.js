@@ -66,13 +66,20 @@ const equal = (left, right) => {
   return left === right
 }
 
+// Text that looks like an ISO-style date, with or without a time, but without
+// a time zone (so that it must be interpreted in one).
+const MATCH_ZONELESS_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/
+
 /**
  * Turn something into a date. MISSING and actual dates are returned as-is,
- * strings are converted if they can be, and everything else fails.
+ * strings are converted if they can be, and everything else fails. Strings
+ * that don't specify a time zone (like '2020-07-03 12:00') are interpreted in
+ * the given time zone.
  * @param value What to try to convert.
+ * @param {string} zone A time zone (see `checkTimeZone`).
  * @return Date.
  */
-const makeDate = (value) => {
+const makeDate = (value, zone = null) => {
   if ((value === MISSING) || (value instanceof Date)) {
     return value
   }
@@ -81,10 +88,450 @@ const makeDate = (value) => {
   }
   check(typeof value === 'string',
         `Cannot create date from ${value} of type ${typeof value}`)
-  value = new Date(value)
-  check(value.toString() !== 'Invalid Date',
-        `Cannot create date from ${value} of type ${typeof value}`)
-  return value
+  const match = MATCH_ZONELESS_DATE.exec(value)
+  if (match) {
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7)
+      .map(field => (field === undefined) ? 0 : parseInt(field, 10))
+    const milliseconds = (match[7] === undefined)
+      ? 0
+      : parseInt(match[7].padEnd(3, '0').slice(0, 3), 10)
+    check((month >= 1) && (month <= 12) &&
+          (day >= 1) && (day <= daysInMonth(year, month)) &&
+          (hours <= 23) && (minutes <= 59) && (seconds <= 59),
+          `Cannot create date from "${value}"`)
+    return makeDatetimeFromParts({year, month, day, hours, minutes, seconds, milliseconds}, zone)
+  }
+  const result = new Date(value)
+  check(result.toString() !== 'Invalid Date',
+        `Cannot create date from "${value}"`)
+  return result
+}
+
+/**
+ * Units for datetime arithmetic, differences, and truncation.
+ */
+const DATETIME_UNITS = ['year', 'month', 'week', 'day', 'hour', 'minute', 'second']
+
+/**
+ * Special names for time zones: the local time of the machine running the
+ * program and Coordinated Universal Time. Named time zones such as
+ * 'America/Toronto' can be used as well.
+ */
+const TIME_ZONES = ['local', 'UTC']
+
+/**
+ * Time zone used when a program doesn't specify one.
+ */
+const DEFAULT_TIME_ZONE = 'UTC'
+
+// Time zone that datetimes are interpreted in when an operation doesn't
+// specify one (set by programs when they run).
+let currentTimeZone = DEFAULT_TIME_ZONE
+
+// Formatters for splitting datetimes into parts in named time zones (created
+// on demand because they are expensive to create).
+const zoneFormatters = new Map()
+
+/**
+ * Check that a datetime unit is legal.
+ * @param {string} unit One of `DATETIME_UNITS`.
+ */
+const checkDatetimeUnit = (unit) => {
+  check(DATETIME_UNITS.includes(unit),
+        `Unknown datetime unit "${unit}"`)
+}
+
+/**
+ * Check that a time zone is legal.
+ * @param {string} zone One of `TIME_ZONES`, a named time zone, or null to use
+ * the program's time zone.
+ */
+const checkTimeZone = (zone) => {
+  if ((zone === null) || TIME_ZONES.includes(zone)) {
+    return
+  }
+  check(typeof zone === 'string',
+        `Time zone must be text`)
+  _zoneFormatter(zone)
+}
+
+/**
+ * Set the time zone used by datetime operations that don't specify one.
+ * @param {string} zone One of `TIME_ZONES` or a named time zone.
+ */
+const setTimeZone = (zone) => {
+  check(zone !== null,
+        `Require time zone`)
+  checkTimeZone(zone)
+  currentTimeZone = zone
+}
+
+/**
+ * Get the time zone used by datetime operations that don't specify one.
+ * @return Time zone.
+ */
+const getTimeZone = () => {
+  return currentTimeZone
+}
+
+/**
+ * Get (and cache) a formatter that splits datetimes into parts in a named
+ * time zone, failing if the time zone is unknown.
+ * @param {string} zone The time zone.
+ * @return {Intl.DateTimeFormat} The formatter.
+ */
+const _zoneFormatter = (zone) => {
+  if (!zoneFormatters.has(zone)) {
+    try {
+      zoneFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }))
+    }
+    catch (err) {
+      fail(`Unknown time zone "${zone}"`)
+    }
+  }
+  return zoneFormatters.get(zone)
+}
+
+/**
+ * Get the offset of a named time zone from UTC at a particular moment.
+ * @param {number} time Milliseconds since the epoch.
+ * @param {string} zone The time zone.
+ * @return Offset in milliseconds (positive east of Greenwich).
+ */
+const _zoneOffset = (time, zone) => {
+  const date = new Date(time)
+  const parts = datetimeParts(date, zone)
+  const asUTC = makeDatetimeFromParts(parts, 'UTC').getTime()
+  return asUTC - date.getTime()
+}
+
+/**
+ * Split a datetime into its calendar and clock parts.
+ * @param {Date} date What to split.
+ * @param {string} zone A time zone (see `checkTimeZone`).
+ * @return Object with `year`, `month` (1-based), `day`, `hours`, `minutes`,
+ * `seconds`, `milliseconds`, and `weekday` (0 for Sunday).
+ */
+const datetimeParts = (date, zone = null) => {
+  checkTimeZone(zone)
+  zone = (zone === null) ? currentTimeZone : zone
+  if (zone === 'UTC') {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hours: date.getUTCHours(),
+      minutes: date.getUTCMinutes(),
+      seconds: date.getUTCSeconds(),
+      milliseconds: date.getUTCMilliseconds(),
+      weekday: date.getUTCDay()
+    }
+  }
+  if (zone === 'local') {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hours: date.getHours(),
+      minutes: date.getMinutes(),
+      seconds: date.getSeconds(),
+      milliseconds: date.getMilliseconds(),
+      weekday: date.getDay()
+    }
+  }
+  const fields = {}
+  _zoneFormatter(zone).formatToParts(date).forEach(({type, value}) => {
+    fields[type] = parseInt(value, 10)
+  })
+  const parts = {
+    year: fields.year,
+    month: fields.month,
+    day: fields.day,
+    hours: fields.hour,
+    minutes: fields.minute,
+    seconds: fields.second,
+    milliseconds: date.getUTCMilliseconds()
+  }
+  parts.weekday = makeDatetimeFromParts(parts, 'UTC').getUTCDay()
+  return parts
+}
+
+/**
+ * Build a datetime from calendar and clock parts. Out-of-range parts roll
+ * over (e.g., day 32 of January is the 1st of February).
+ * @param {Object} parts As produced by `datetimeParts` (`weekday` is ignored
+ * and missing clock parts are 0).
+ * @param {string} zone A time zone (see `checkTimeZone`).
+ * @return Date.
+ */
+const makeDatetimeFromParts = (parts, zone = null) => {
+  checkTimeZone(zone)
+  zone = (zone === null) ? currentTimeZone : zone
+  const {year, month, day} = parts
+  const {hours = 0, minutes = 0, seconds = 0, milliseconds = 0} = parts
+  // Set the year separately so that years before 100 aren't treated as 19xx.
+  const result = new Date(0)
+  if (zone === 'local') {
+    result.setFullYear(year, month - 1, day)
+    result.setHours(hours, minutes, seconds, milliseconds)
+    return result
+  }
+  result.setUTCFullYear(year, month - 1, day)
+  result.setUTCHours(hours, minutes, seconds, milliseconds)
+  if (zone === 'UTC') {
+    return result
+  }
+  // Shift by the zone's offset, checking again in case that crosses a change
+  // of offset (e.g., the start or end of daylight saving time).
+  const guess = result.getTime()
+  const offset = _zoneOffset(guess, zone)
+  const adjusted = _zoneOffset(guess - offset, zone)
+  return new Date(guess - adjusted)
+}
+
+/**
+ * Get the number of days in a month.
+ * @param {number} year Which year.
+ * @param {number} month Which month (1-based).
+ * @return Number of days.
+ */
+const daysInMonth = (year, month) => {
+  const result = new Date(0)
+  result.setUTCFullYear(year, month, 0)
+  return result.getUTCDate()
+}
+
+/**
+ * Add a number of units to a datetime. Years, months, weeks, and days follow
+ * the calendar, so adding a day in local time keeps the clock time across
+ * daylight saving changes. Adding months or years to a day that doesn't exist
+ * in the result (like January 31 plus one month) gives the last day of the
+ * month.
+ * @param {Date} date Where to start.
+ * @param {number} amount How many units to add (negative to subtract). This
+ * must be an integer for calendar units.
+ * @param {string} unit One of `DATETIME_UNITS`.
+ * @param {string} zone A time zone (see `checkTimeZone`).
+ * @return Date.
+ */
+const addToDatetime = (date, amount, unit, zone = null) => {
+  checkDatetimeUnit(unit)
+  const fixed = {hour: 60 * 60 * 1000, minute: 60 * 1000, second: 1000}
+  if (unit in fixed) {
+    return new Date(date.getTime() + (amount * fixed[unit]))
+  }
+  check(Number.isInteger(amount),
+        `Require whole number of ${unit}s`)
+  const parts = datetimeParts(date, zone)
+  if ((unit === 'year') || (unit === 'month')) {
+    const total = (parts.year * 12) + (parts.month - 1) +
+          ((unit === 'year') ? (12 * amount) : amount)
+    parts.year = Math.floor(total / 12)
+    parts.month = (total - (12 * parts.year)) + 1
+    parts.day = Math.min(parts.day, daysInMonth(parts.year, parts.month))
+  }
+  else {
+    parts.day += (unit === 'week') ? (7 * amount) : amount
+  }
+  return makeDatetimeFromParts(parts, zone)
+}
+
+/**
+ * Count the whole units from one datetime to another (rounding toward zero).
+ * Months and years are counted on the calendar once the start's day of the
+ * month and time of day have been reached, so January 31 to February 28 is
+ * zero months in either direction.
+ * @param {Date} start Where to count from.
+ * @param {Date} end Where to count to.
+ * @param {string} unit One of `DATETIME_UNITS`.
+ * @param {string} zone A time zone (see `checkTimeZone`).
+ * @return Number of units (negative if `end` is before `start`).
+ */
+const datetimeDifference = (start, end, unit, zone = null) => {
+  checkDatetimeUnit(unit)
+  if ((unit === 'year') || (unit === 'month')) {
+    const first = datetimeParts(start, zone)
+    const last = datetimeParts(end, zone)
+    let months = ((last.year - first.year) * 12) + (last.month - first.month)
+    // A month only counts once the start's day and time have been reached.
+    const within = _timeInMonth(last) - _timeInMonth(first)
+    if ((months > 0) && (within < 0)) {
+      months -= 1
+    }
+    else if ((months < 0) && (within > 0)) {
+      months += 1
+    }
+    return (unit === 'year') ? _truncate(months / 12) : months
+  }
+  const fixed = {
+    week: 7 * 24 * 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    hour: 60 * 60 * 1000,
+    minute: 60 * 1000,
+    second: 1000
+  }
+  // Days and weeks are counted on the calendar in case the clocks changed.
+  const ms = ((unit === 'day') || (unit === 'week'))
+    ? (_calendarMilliseconds(end, zone) - _calendarMilliseconds(start, zone))
+    : (end.getTime() - start.getTime())
+  return _truncate(ms / fixed[unit])
+}
+
+/**
+ * Round toward zero without producing negative zero.
+ * @param {number} value What to round.
+ * @return Integer.
+ */
+const _truncate = (value) => {
+  return Math.trunc(value) || 0
+}
+
+/**
+ * Get how far into its month a datetime is (for comparing days and times in
+ * different months).
+ * @param {Object} parts As produced by `datetimeParts`.
+ * @return Milliseconds since the start of the month's day 0.
+ */
+const _timeInMonth = (parts) => {
+  const {day, hours, minutes, seconds, milliseconds} = parts
+  return (((((((day * 24) + hours) * 60) + minutes) * 60) + seconds) * 1000) + milliseconds
+}
+
+/**
+ * Get the number of milliseconds since the epoch that a datetime's calendar
+ * and clock parts would represent in UTC (i.e., ignoring daylight saving).
+ * @param {Date} date What to convert.
+ * @param {string} zone A time zone (see `checkTimeZone`).
+ * @return Milliseconds.
+ */
+const _calendarMilliseconds = (date, zone = null) => {
+  return makeDatetimeFromParts(datetimeParts(date, zone), 'UTC').getTime()
+}
+
+/**
+ * Get the start of the year, month, week (Monday), day, hour, minute, or
+ * second containing a datetime.
+ * @param {Date} date What to truncate.
+ * @param {string} unit One of `DATETIME_UNITS`.
+ * @param {string} zone A time zone (see `checkTimeZone`).
+ * @return Date.
+ */
+const truncateDatetime = (date, unit, zone = null) => {
+  checkDatetimeUnit(unit)
+  const parts = datetimeParts(date, zone)
+  const keep = DATETIME_UNITS.indexOf(unit)
+  parts.milliseconds = 0
+  if (keep < DATETIME_UNITS.indexOf('second')) {
+    parts.seconds = 0
+  }
+  if (keep < DATETIME_UNITS.indexOf('minute')) {
+    parts.minutes = 0
+  }
+  if (keep < DATETIME_UNITS.indexOf('hour')) {
+    parts.hours = 0
+  }
+  if (unit === 'week') {
+    parts.day -= (parts.weekday + 6) % 7
+  }
+  if (keep < DATETIME_UNITS.indexOf('week')) {
+    parts.day = 1
+  }
+  if (keep < DATETIME_UNITS.indexOf('month')) {
+    parts.month = 1
+  }
+  return makeDatetimeFromParts(parts, zone)
+}
+
+// Fields that can appear in datetime formats, with the part of the datetime
+// each one refers to, its width when formatting, and what it matches when
+// parsing.
+const DATETIME_FORMAT_FIELDS = {
+  YYYY: {part: 'year', width: 4, pattern: '\\d{4}'},
+  MM: {part: 'month', width: 2, pattern: '\\d{1,2}'},
+  DD: {part: 'day', width: 2, pattern: '\\d{1,2}'},
+  HH: {part: 'hours', width: 2, pattern: '\\d{1,2}'},
+  mm: {part: 'minutes', width: 2, pattern: '\\d{1,2}'},
+  ss: {part: 'seconds', width: 2, pattern: '\\d{1,2}'},
+  SSS: {part: 'milliseconds', width: 3, pattern: '\\d{3}'}
+}
+
+// Match fields in datetime formats.
+const MATCH_DATETIME_FIELD = /YYYY|MM|DD|HH|mm|ss|SSS/g
+
+/**
+ * Check that a datetime format is legal: it must be text containing at least
+ * one of the fields `YYYY`, `MM`, `DD`, `HH`, `mm`, `ss`, and `SSS`, and none
+ * of them more than once.
+ * @param {string} format What to check.
+ */
+const checkDatetimeFormat = (format) => {
+  check((typeof format === 'string') && (format.length > 0),
+        `Require text as datetime format`)
+  const fields = format.match(MATCH_DATETIME_FIELD) || []
+  check(fields.length > 0,
+        `Datetime format "${format}" does not contain any fields`)
+  check(new Set(fields).size === fields.length,
+        `Datetime format "${format}" repeats a field`)
+}
+
+/**
+ * Format a datetime as text.
+ * @param {Date} date What to format.
+ * @param {string} format How to format it (see `checkDatetimeFormat`).
+ * @param {string} zone A time zone (see `checkTimeZone`).
+ * @return Text.
+ */
+const formatDatetime = (date, format, zone = null) => {
+  checkDatetimeFormat(format)
+  const parts = datetimeParts(date, zone)
+  return format.replace(MATCH_DATETIME_FIELD, (field) => {
+    const {part, width} = DATETIME_FORMAT_FIELDS[field]
+    return `${parts[part]}`.padStart(width, '0')
+  })
+}
+
+/**
+ * Parse text as a datetime using an explicit format. Fields that aren't in the
+ * format default to the start of 1970 (e.g., 'YYYY-MM' gives the first day of
+ * the month at midnight).
+ * @param {string} text What to parse.
+ * @param {string} format What it looks like (see `checkDatetimeFormat`).
+ * @param {string} zone A time zone (see `checkTimeZone`).
+ * @return Date.
+ */
+const parseDatetime = (text, format, zone = null) => {
+  checkDatetimeFormat(format)
+  const fields = format.match(MATCH_DATETIME_FIELD)
+  const pattern = format
+    .split(MATCH_DATETIME_FIELD)
+    .map(literal => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .map((literal, i) => (i === 0)
+      ? literal
+      : `(${DATETIME_FORMAT_FIELDS[fields[i - 1]].pattern})${literal}`)
+    .join('')
+  const match = new RegExp(`^${pattern}$`).exec(text.trim())
+  check(match !== null,
+        `Cannot parse "${text}" as datetime with format "${format}"`)
+  const parts = {year: 1970, month: 1, day: 1}
+  fields.forEach((field, i) => {
+    parts[DATETIME_FORMAT_FIELDS[field].part] = parseInt(match[i + 1], 10)
+  })
+  check((parts.month >= 1) && (parts.month <= 12) &&
+        (parts.day >= 1) && (parts.day <= daysInMonth(parts.year, parts.month)) &&
+        ((parts.hours || 0) <= 23) &&
+        ((parts.minutes || 0) <= 59) &&
+        ((parts.seconds || 0) <= 59),
+        `Invalid datetime "${text}" for format "${format}"`)
+  return makeDatetimeFromParts(parts, zone)
 }
 
 /**
@@ -130,6 +577,129 @@ const safeValue = (value) => {
   return isFinite(value) ? value : MISSING
 }
 
+/**
+ * Types of values that can be stored in dataframe columns.
+ */
+const TYPES = ['number', 'text', 'logical', 'datetime']
+
+// Text that looks like an ISO-style date, with or without a time.
+const MATCH_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+
+/**
+ * Get the type of a single value.
+ * @param value What to check.
+ * @return One of `TYPES`, or `null` for MISSING.
+ */
+const valueType = (value) => {
+  if (value === MISSING) {
+    return null
+  }
+  if (typeof value === 'number') {
+    return 'number'
+  }
+  if (typeof value === 'string') {
+    return 'text'
+  }
+  if (typeof value === 'boolean') {
+    return 'logical'
+  }
+  check(value instanceof Date,
+        `Value ${value} has unknown type`)
+  return 'datetime'
+}
+
+/**
+ * Infer the type of a column from its values. Text that looks like dates is
+ * treated as datetime, since that's how it usually arrives in CSV files, and
+ * columns with a mix of types are treated as text.
+ * @param {Array} values The values in the column.
+ * @return One of `TYPES`, or `null` if all values are MISSING.
+ */
+const inferType = (values) => {
+  const seen = new Set()
+  values.forEach(value => {
+    if ((typeof value === 'string') && MATCH_DATE.test(value.trim())) {
+      seen.add('datetime')
+    }
+    else if (value !== MISSING) {
+      seen.add(valueType(value))
+    }
+  })
+  if (seen.size === 0) {
+    return null
+  }
+  if (seen.size === 1) {
+    return seen.values().next().value
+  }
+  return 'text'
+}
+
+/**
+ * Convert a value to a column type, producing MISSING for missing values.
+ * @param value What to convert.
+ * @param {string} type One of `TYPES`.
+ * @return Converted value.
+ */
+const convertType = (value, type) => {
+  check(TYPES.includes(type),
+        `Unknown type "${type}"`)
+  if (value === MISSING) {
+    return MISSING
+  }
+  if (type === 'number') {
+    const result = makeNumber(value)
+    check(result !== MISSING,
+          `Cannot convert "${value}" to a number`)
+    return result
+  }
+  if (type === 'text') {
+    return (value instanceof Date) ? value.toISOString() : `${value}`
+  }
+  if (type === 'logical') {
+    if (typeof value === 'string') {
+      const lower = value.trim().toLowerCase()
+      check((lower === 'true') || (lower === 'false'),
+            `Cannot convert "${value}" to a logical value`)
+      return lower === 'true'
+    }
+    return makeLogical(value)
+  }
+  return makeDate((typeof value === 'string') ? value.trim() : value)
+}
+
+/**
+ * How summaries and running values can handle missing values: 'skip' ignores
+ * them, while 'propagate' makes the result missing once one has been seen.
+ */
+const MISSING_POLICIES = ['skip', 'propagate']
+
+/**
+ * Check that a missing-value policy is legal.
+ * @param {string} policy One of `MISSING_POLICIES`.
+ */
+const checkMissingPolicy = (policy) => {
+  check(MISSING_POLICIES.includes(policy),
+        `Unknown missing value policy "${policy}"`)
+}
+
+/**
+ * Apply a missing-value policy to some values.
+ * @param {Array} values Values that may include MISSING.
+ * @param {string} policy One of `MISSING_POLICIES`.
+ * @return The values without MISSING if skipping, or null if propagating and
+ * there is at least one missing value.
+ */
+const applyMissingPolicy = (values, policy) => {
+  checkMissingPolicy(policy)
+  if (!values.includes(MISSING)) {
+    return values
+  }
+  if (policy === 'propagate') {
+    return null
+  }
+  return values.filter(value => (value !== MISSING))
+}
+
 /**
  * Convert CSV-formatted text to array of objects with uniform keys. The first
  * row must contain valid headers; null and the string 'NA' are converted to
@@ -186,6 +756,26 @@ const csvToTable = (text) => {
   return result.data
 }
 
+/**
+ * Convert an array of objects with uniform keys to CSV-formatted text. MISSING
+ * values are written as empty fields and dates as ISO-formatted strings, so the
+ * result can be read back with `csvToTable`.
+ * @param {Object[]} table Rows to convert.
+ * @param {string[]} columns Names of columns in order (taken from the first
+ * row if not provided).
+ * @return CSV-formatted text.
+ */
+const tableToCsv = (table, columns = null) => {
+  check(Array.isArray(table),
+        `Require array of rows`)
+  if (columns === null) {
+    columns = (table.length > 0) ? Object.keys(table[0]) : []
+  }
+  const fields = Array.from(columns)
+  const text = papaparse.unparse({fields, data: table}, {newline: '\n'})
+  return text.replace(/\n$/, '')
+}
+
 module.exports = {
   MISSING,
   fail,
@@ -193,9 +783,33 @@ module.exports = {
   checkNumber,
   checkTypeEqual,
   equal,
+  MATCH_ZONELESS_DATE,
   makeDate,
+  DATETIME_UNITS,
+  TIME_ZONES,
+  DEFAULT_TIME_ZONE,
+  checkDatetimeUnit,
+  checkTimeZone,
+  setTimeZone,
+  getTimeZone,
+  datetimeParts,
+  makeDatetimeFromParts,
+  addToDatetime,
+  datetimeDifference,
+  truncateDatetime,
+  checkDatetimeFormat,
+  formatDatetime,
+  parseDatetime,
   makeLogical,
   makeNumber,
   safeValue,
-  csvToTable
+  TYPES,
+  valueType,
+  inferType,
+  convertType,
+  MISSING_POLICIES,
+  checkMissingPolicy,
+  applyMissingPolicy,
+  csvToTable,
+  tableToCsv
 }
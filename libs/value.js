@@ -69,6 +69,12 @@ class ValueColumn extends ExprNullary {
     super(FAMILY, 'column', name)
   }
 
+  checkTypes (df, types = null, context = null) {
+    if (df.hasColumns([this.value])) {
+      df.checkType(this.value, types, context)
+    }
+  }
+
   run (row, i, data) {
     util.check((i >= 0) && (i < data.length),
                `Row index ${i} out of range`)
@@ -85,6 +91,7 @@ class ValueColumn extends ExprNullary {
  * A constant datetime value.
  *
  * - Can be constructed from `MISSING`, a `Date` object, or a string that can be converted to a `Date`.
+ * - Strings without a time zone are interpreted in the program's time zone.
  * - Equal to other datetimes with the same value.
  * - Produces that constant datetime.
  */
@@ -93,14 +100,19 @@ class ValueDatetime extends ExprNullary {
    * @param {(MISSING|string|Date)} value Value to produce.
    */
   constructor (value) {
+    const text = ((typeof value === 'string') && util.MATCH_ZONELESS_DATE.test(value))
+      ? value
+      : null
     value = util.makeDate(value)
     util.check((value === util.MISSING) || (value instanceof Date),
                `Datetime value "${value}" must be MISSING, date, or convertible string`)
     super(FAMILY, 'datetime', value)
+    this.text = text
   }
 
   run (row, i, data) {
-    return this.value
+    // Re-interpret text without a zone in the zone in effect when the program runs.
+    return (this.text === null) ? this.value : util.makeDate(this.text)
   }
 }
 
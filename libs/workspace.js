@@ -0,0 +1,55 @@
+'use strict'
+
+// Blockly's Node module provides replacements for the browser's XML parser and
+// serializer, which are needed to load workspaces outside the browser.
+const Blockly = require('blockly/core')
+
+const util = require('./util')
+const blocks = require('../blocks/blocks')
+
+/**
+ * Convert a saved workspace (the XML produced by `Blockly.Xml.workspaceToDom`
+ * and stored in `.jeff` files) to a program's JSON representation without a
+ * browser.
+ * @param {string} text XML text of the workspace.
+ * @param {string} language What language to use for localizing blocks.
+ * @return Object with the program's JSON as `json` and the number of stacks
+ * that could not be turned into pipelines as `strayCount`.
+ */
+const xmlToJSON = (text, language = 'en') => {
+  util.check(typeof text === 'string',
+             `Require XML text for workspace`)
+  blocks.createBlocks(language)
+  Blockly.Events.disable() // to stop it trying to create SVG
+  const workspace = new Blockly.Workspace({})
+  try {
+    const xml = Blockly.Xml.textToDom(text)
+    Blockly.Xml.domToWorkspace(xml, workspace)
+    workspace.getTopBlocks().forEach(block => _setHat(block))
+    const {code, strayCount} = Blockly.TidyBlocks.workspaceToCode(workspace)
+    return {
+      json: JSON.parse(code),
+      strayCount
+    }
+  }
+  finally {
+    workspace.dispose()
+    Blockly.Events.enable()
+  }
+}
+
+//
+// Headless blocks are never rendered, so they don't get the hat defined by
+// their style in the theme. Fill it in so that code generation can tell which
+// stacks start pipelines.
+//
+const _setHat = (block) => {
+  const style = blocks.THEME.blockStyles[block.getStyleName()]
+  if (style && style.hat) {
+    block.hat = style.hat
+  }
+}
+
+module.exports = {
+  xmlToJSON
+}
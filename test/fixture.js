@@ -28,6 +28,17 @@ const addSubBlock = (upper, field, lower) => {
     connection.connect(lower.outputConnection)
 }
 
+/**
+ * Put `lower` at the end of the statements in the named `field` of `upper`.
+ */
+const addStatement = (upper, field, lower) => {
+  let connection = upper.getInput(field).connection
+  while (connection.targetBlock()) {
+    connection = connection.targetBlock().nextConnection
+  }
+  connection.connect(lower.previousConnection)
+}
+
 /**
  * Stack `upper` on top of `lower`.
  */
@@ -82,6 +93,7 @@ const CONCERT_STR = CONCERT.toISOString()
 module.exports = {
   workspace,
   addSubBlock,
+  addStatement,
   stackBlocks,
   MockTransform,
   CONCERT,
@@ -275,8 +275,9 @@ describe('expression code generation', () => {
   })
 
   it('generates code for datetime operations', (done) => {
-    const expected = [Op.FAMILY, 'datetime', 'toMonth',
-                      [Value.FAMILY, 'datetime', fixture.CONCERT_STR]]
+    const expected = [Op.FAMILY, 'toMonth',
+                      [Value.FAMILY, 'datetime', fixture.CONCERT_STR],
+                      null]
     const w = fixture.workspace()
     const arg = w.newBlock('value_datetime')
     arg.setFieldValue(fixture.CONCERT_STR, 'DATE')
@@ -285,6 +286,170 @@ describe('expression code generation', () => {
     fixture.addSubBlock(block, 'VALUE', arg)
     const actual = getCode(block)
     assert.deepEqual(expected, actual, `Mis-match`)
+    block.setFieldValue('local', 'ZONE')
+    assert.deepEqual(getCode(block)[3], 'local',
+                     `Mis-match for time zone`)
+    block.setFieldValue('America/Toronto', 'ZONE')
+    assert.deepEqual(getCode(block)[3], 'America/Toronto',
+                     `Mis-match for named time zone`)
+    done()
+  })
+
+  it('generates code for mathematical functions', (done) => {
+    const w = fixture.workspace()
+    const arg = w.newBlock('value_number')
+    arg.setFieldValue(100, 'VALUE')
+    const block = w.newBlock('op_math')
+    block.setFieldValue('log10', 'OP')
+    fixture.addSubBlock(block, 'VALUE', arg)
+    assert.deepEqual(getCode(block),
+                     [Op.FAMILY, 'log10', [Value.FAMILY, 'number', 100]],
+                     `Mis-match for logarithm`)
+    block.setFieldValue('round', 'OP')
+    block.setFieldValue(2, 'DIGITS')
+    assert.deepEqual(getCode(block),
+                     [Op.FAMILY, 'round', [Value.FAMILY, 'number', 100], 2],
+                     `Mis-match for rounding`)
+    done()
+  })
+
+  it('generates code for unary text operations', (done) => {
+    const w = fixture.workspace()
+    const length = w.newBlock('op_text_length')
+    assert.deepEqual(getCode(length),
+                     [Op.FAMILY, 'length', [Value.FAMILY, 'absent']],
+                     `Mis-match for length`)
+    const arg = w.newBlock('value_text')
+    arg.setFieldValue('abc', 'VALUE')
+    const convert = w.newBlock('op_text_convert')
+    convert.setFieldValue('upper', 'TYPE')
+    fixture.addSubBlock(convert, 'VALUE', arg)
+    assert.deepEqual(getCode(convert),
+                     [Op.FAMILY, 'upper', [Value.FAMILY, 'text', 'abc']],
+                     `Mis-match for conversion`)
+    done()
+  })
+
+  it('generates code for binary text operations', (done) => {
+    const w = fixture.workspace()
+    const left = w.newBlock('value_column')
+    left.setFieldValue('name', 'COLUMN')
+    const right = w.newBlock('value_text')
+    right.setFieldValue('Jo', 'VALUE')
+    const block = w.newBlock('op_text_search')
+    block.setFieldValue('startsWith', 'OP')
+    fixture.addSubBlock(block, 'LEFT', left)
+    fixture.addSubBlock(block, 'RIGHT', right)
+    assert.deepEqual(getCode(block),
+                     [Op.FAMILY, 'startsWith',
+                      [Value.FAMILY, 'column', 'name'],
+                      [Value.FAMILY, 'text', 'Jo']],
+                     `Mis-match for search`)
+    const join = w.newBlock('op_text_concatenate')
+    assert.deepEqual(getCode(join),
+                     [Op.FAMILY, 'concatenate',
+                      [Value.FAMILY, 'absent'],
+                      [Value.FAMILY, 'absent']],
+                     `Mis-match for concatenation`)
+    done()
+  })
+
+  it('generates code for ternary text operations', (done) => {
+    const checks = [
+      ['op_text_substring', 'substring', ['START', 'LENGTH']],
+      ['op_text_replace', 'replace', ['OLD', 'NEW']],
+      ['op_text_split', 'splitPart', ['SEPARATOR', 'INDEX']]
+    ]
+    for (const [blockName, opName, [middleName, rightName]] of checks) {
+      const w = fixture.workspace()
+      const value = w.newBlock('value_column')
+      value.setFieldValue('name', 'COLUMN')
+      const middle = w.newBlock('value_number')
+      middle.setFieldValue(2, 'VALUE')
+      const right = w.newBlock('value_number')
+      right.setFieldValue(3, 'VALUE')
+      const block = w.newBlock(blockName)
+      fixture.addSubBlock(block, 'VALUE', value)
+      fixture.addSubBlock(block, middleName, middle)
+      fixture.addSubBlock(block, rightName, right)
+      const expected = [Op.FAMILY, opName,
+                        [Value.FAMILY, 'column', 'name'],
+                        [Value.FAMILY, 'number', 2],
+                        [Value.FAMILY, 'number', 3]]
+      assert.deepEqual(getCode(block), expected,
+                       `Mis-match for ${blockName}`)
+    }
+    done()
+  })
+
+  it('generates code for regular expression operations', (done) => {
+    const w = fixture.workspace()
+    const matches = w.newBlock('op_text_matches')
+    matches.setFieldValue('^\\d+"', 'PATTERN')
+    assert.deepEqual(getCode(matches),
+                     [Op.FAMILY, 'matches', [Value.FAMILY, 'absent'], '^\\d+"'],
+                     `Mis-match for matching`)
+    const extract = w.newBlock('op_text_extract')
+    extract.setFieldValue('(a)(b)', 'PATTERN')
+    extract.setFieldValue(2, 'GROUP')
+    assert.deepEqual(getCode(extract),
+                     [Op.FAMILY, 'extract', [Value.FAMILY, 'absent'], '(a)(b)', 2],
+                     `Mis-match for extraction`)
+    const replace = w.newBlock('op_text_replace_all')
+    replace.setFieldValue('(a)', 'PATTERN')
+    replace.setFieldValue('$1$1', 'REPLACEMENT')
+    assert.deepEqual(getCode(replace),
+                     [Op.FAMILY, 'replaceAll', [Value.FAMILY, 'absent'], '(a)', '$1$1'],
+                     `Mis-match for replacement`)
+    done()
+  })
+
+  it('generates code for datetime arithmetic', (done) => {
+    const w = fixture.workspace()
+    const date = w.newBlock('value_datetime')
+    date.setFieldValue(fixture.CONCERT_STR, 'DATE')
+    const amount = w.newBlock('value_number')
+    amount.setFieldValue(3, 'VALUE')
+    const add = w.newBlock('op_datetime_add')
+    add.setFieldValue('subtractDuration', 'OP')
+    add.setFieldValue('week', 'UNIT')
+    add.setFieldValue('UTC', 'ZONE')
+    fixture.addSubBlock(add, 'LEFT', date)
+    fixture.addSubBlock(add, 'RIGHT', amount)
+    assert.deepEqual(getCode(add),
+                     [Op.FAMILY, 'subtractDuration',
+                      [Value.FAMILY, 'datetime', fixture.CONCERT_STR],
+                      [Value.FAMILY, 'number', 3],
+                      'week', 'UTC'],
+                     `Mis-match for arithmetic`)
+    const difference = w.newBlock('op_datetime_difference')
+    difference.setFieldValue('hour', 'UNIT')
+    assert.deepEqual(getCode(difference),
+                     [Op.FAMILY, 'datetimeDifference',
+                      [Value.FAMILY, 'absent'],
+                      [Value.FAMILY, 'absent'],
+                      'hour', null],
+                     `Mis-match for difference`)
+    const truncate = w.newBlock('op_datetime_truncate')
+    truncate.setFieldValue('month', 'UNIT')
+    assert.deepEqual(getCode(truncate),
+                     [Op.FAMILY, 'truncateDatetime', [Value.FAMILY, 'absent'], 'month', null],
+                     `Mis-match for truncation`)
+    done()
+  })
+
+  it('generates code for datetime formatting and parsing', (done) => {
+    const w = fixture.workspace()
+    const format = w.newBlock('op_datetime_format')
+    format.setFieldValue('DD/MM/YYYY', 'FORMAT')
+    format.setFieldValue('UTC', 'ZONE')
+    assert.deepEqual(getCode(format),
+                     [Op.FAMILY, 'formatDatetime', [Value.FAMILY, 'absent'], 'DD/MM/YYYY', 'UTC'],
+                     `Mis-match for formatting`)
+    const parse = w.newBlock('op_datetime_parse')
+    assert.deepEqual(getCode(parse),
+                     [Op.FAMILY, 'parseDatetime', [Value.FAMILY, 'absent'], 'YYYY-MM-DD', null],
+                     `Mis-match for parsing`)
     done()
   })
 
@@ -413,6 +578,25 @@ describe('transform code generation', () => {
     done()
   })
 
+  it('generates code for resampling', (done) => {
+    const w = fixture.workspace()
+    const sample = w.newBlock('transform_sample')
+    sample.setFieldValue(20, 'NUMBER')
+    sample.setFieldValue('TRUE', 'REPLACE')
+    assert.deepEqual(getCode(sample), [Transform.FAMILY, 'sample', 20, true],
+                     `Mis-match for sample`)
+    const bootstrap = w.newBlock('transform_bootstrap')
+    bootstrap.setFieldValue(50, 'NUMBER')
+    bootstrap.setFieldValue('rep', 'LABEL')
+    assert.deepEqual(getCode(bootstrap), [Transform.FAMILY, 'bootstrap', 50, 'rep'],
+                     `Mis-match for bootstrap`)
+    const shuffle = w.newBlock('transform_shuffle')
+    shuffle.setFieldValue('red', 'COLUMN')
+    assert.deepEqual(getCode(shuffle), [Transform.FAMILY, 'shuffle', 'red'],
+                     `Mis-match for shuffle`)
+    done()
+  })
+
   it('generates code for sort', (done) => {
     const expected = [Transform.FAMILY, 'sort', ['pink', 'orange'], false]
     const w = fixture.workspace()
@@ -424,18 +608,51 @@ describe('transform code generation', () => {
   })
 
   it('generates code for summarize', (done) => {
-    const expected = [Transform.FAMILY, 'summarize', 'maximum', 'red']
+    const expected = [Transform.FAMILY, 'summarize',
+                      [['maximum', 'red', ''], ['mean', 'green', 'average']],
+                      false, 'skip']
     const w = fixture.workspace()
     const block = w.newBlock('transform_summarize')
-    block.setFieldValue('maximum', 'OP')
+    const first = w.newBlock('transform_summarize_item')
+    first.setFieldValue('maximum', 'OP')
+    first.setFieldValue('red', 'COLUMN')
+    fixture.addStatement(block, 'SUMMARIES', first)
+    const second = w.newBlock('transform_summarize_item')
+    second.setFieldValue('mean', 'OP')
+    second.setFieldValue('green', 'COLUMN')
+    second.setFieldValue('average', 'OUTPUT')
+    fixture.addStatement(block, 'SUMMARIES', second)
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('generates code for quantile summaries', (done) => {
+    const expected = ['quantile', 'red', 'q1', 0.25]
+    const w = fixture.workspace()
+    const block = w.newBlock('transform_summarize_item')
+    block.setFieldValue('quantile', 'OP')
+    block.setFieldValue(0.25, 'QUANTILE')
     block.setFieldValue('red', 'COLUMN')
+    block.setFieldValue('q1', 'OUTPUT')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('generates code for summarize with one row per group and propagation', (done) => {
+    const expected = [Transform.FAMILY, 'summarize', [], true, 'propagate']
+    const w = fixture.workspace()
+    const block = w.newBlock('transform_summarize')
+    block.setFieldValue('TRUE', 'COLLAPSE')
+    block.setFieldValue('propagate', 'MISSING')
     const actual = getCode(block)
     assert.deepEqual(expected, actual, `Mis-match`)
     done()
   })
 
   it('generates code for running values', (done) => {
-    const expected = [Transform.FAMILY, 'running', 'sum', 'red']
+    const expected = [Transform.FAMILY, 'running', 'sum', 'red', 'skip']
     const w = fixture.workspace()
     const block = w.newBlock('transform_running')
     block.setFieldValue('sum', 'OP')
@@ -445,6 +662,27 @@ describe('transform code generation', () => {
     done()
   })
 
+  it('generates code for running values that propagate missing values', (done) => {
+    const expected = [Transform.FAMILY, 'running', 'mean', 'red', 'propagate']
+    const w = fixture.workspace()
+    const block = w.newBlock('transform_running')
+    block.setFieldValue('mean', 'OP')
+    block.setFieldValue('red', 'COLUMN')
+    block.setFieldValue('propagate', 'MISSING')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('generates code for collapse', (done) => {
+    const expected = [Transform.FAMILY, 'collapse']
+    const w = fixture.workspace()
+    const block = w.newBlock('transform_collapse')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
   it('generates code for ungroup', (done) => {
     const expected = [Transform.FAMILY, 'ungroup']
     const w = fixture.workspace()
@@ -467,7 +705,7 @@ describe('transform code generation', () => {
 
 describe('plot code generation', () => {
   it('persists a bar plot', (done) => {
-    const expected = [Transform.FAMILY, 'bar', 'figure_1', 'red', 'green']
+    const expected = [Transform.FAMILY, 'bar', 'figure_1', 'red', 'green', '', []]
     const w = fixture.workspace()
     const block = w.newBlock('plot_bar')
     block.setFieldValue('figure_1', 'NAME')
@@ -479,7 +717,7 @@ describe('plot code generation', () => {
   })
 
   it('persists a box plot', (done) => {
-    const expected = [Transform.FAMILY, 'box', 'figure_1', 'red', 'green']
+    const expected = [Transform.FAMILY, 'box', 'figure_1', 'red', 'green', '', []]
     const w = fixture.workspace()
     const block = w.newBlock('plot_box')
     block.setFieldValue('figure_1', 'NAME')
@@ -491,7 +729,7 @@ describe('plot code generation', () => {
   })
 
   it('persists a dot plot', (done) => {
-    const expected = [Transform.FAMILY, 'dot', 'figure_1', 'red']
+    const expected = [Transform.FAMILY, 'dot', 'figure_1', 'red', '', []]
     const w = fixture.workspace()
     const block = w.newBlock('plot_dot')
     block.setFieldValue('figure_1', 'NAME')
@@ -502,7 +740,7 @@ describe('plot code generation', () => {
   })
 
   it('persists a histogram plot', (done) => {
-    const expected = [Transform.FAMILY, 'histogram', 'figure_1', 'red', 5]
+    const expected = [Transform.FAMILY, 'histogram', 'figure_1', 'red', 5, '', []]
     const w = fixture.workspace()
     const block = w.newBlock('plot_histogram')
     block.setFieldValue('figure_1', 'NAME')
@@ -513,8 +751,46 @@ describe('plot code generation', () => {
     done()
   })
 
+  it('persists an area plot', (done) => {
+    const expected = [Transform.FAMILY, 'area', 'figure_1', 'red', 'green', '', '', []]
+    const w = fixture.workspace()
+    const block = w.newBlock('plot_area')
+    block.setFieldValue('figure_1', 'NAME')
+    block.setFieldValue('red', 'X_AXIS')
+    block.setFieldValue('green', 'Y_AXIS')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('persists a heatmap', (done) => {
+    const expected = [Transform.FAMILY, 'heatmap', 'figure_1', 'red', 'green', 'blue', '', []]
+    const w = fixture.workspace()
+    const block = w.newBlock('plot_heatmap')
+    block.setFieldValue('figure_1', 'NAME')
+    block.setFieldValue('red', 'X_AXIS')
+    block.setFieldValue('green', 'Y_AXIS')
+    block.setFieldValue('blue', 'COLUMN')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('persists a line plot', (done) => {
+    const expected = [Transform.FAMILY, 'line', 'figure_1', 'red', 'green', 'blue', '', []]
+    const w = fixture.workspace()
+    const block = w.newBlock('plot_line')
+    block.setFieldValue('figure_1', 'NAME')
+    block.setFieldValue('red', 'X_AXIS')
+    block.setFieldValue('green', 'Y_AXIS')
+    block.setFieldValue('blue', 'COLOR')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
   it('persists a scatter plot', (done) => {
-    const expected = [Transform.FAMILY, 'scatter', 'figure_1', 'red', 'green', 'blue', false]
+    const expected = [Transform.FAMILY, 'scatter', 'figure_1', 'red', 'green', 'blue', false, '', []]
     const w = fixture.workspace()
     const block = w.newBlock('plot_scatter')
     block.setFieldValue('figure_1', 'NAME')
@@ -525,23 +801,73 @@ describe('plot code generation', () => {
     assert.deepEqual(expected, actual, `Mis-match`)
     done()
   })
+
+  it('persists a faceted plot', (done) => {
+    const expected = [Transform.FAMILY, 'bar', 'figure_1', 'red', 'green', 'blue', []]
+    const w = fixture.workspace()
+    const block = w.newBlock('plot_bar')
+    block.setFieldValue('figure_1', 'NAME')
+    block.setFieldValue('red', 'X_AXIS')
+    block.setFieldValue('green', 'Y_AXIS')
+    block.setFieldValue('blue', 'FACET')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('persists plot options', (done) => {
+    const expected = [Transform.FAMILY, 'bar', 'figure_1', 'red', 'green', '',
+                      [['title', 'Colors'],
+                       ['axisTitle', 'x', 'Redness'],
+                       ['scale', 'y', 'log'],
+                       ['domain', 'y', 1, 1000],
+                       ['colorScheme', 'viridis']]]
+    const w = fixture.workspace()
+    const block = w.newBlock('plot_bar')
+    block.setFieldValue('figure_1', 'NAME')
+    block.setFieldValue('red', 'X_AXIS')
+    block.setFieldValue('green', 'Y_AXIS')
+    const title = w.newBlock('plot_title')
+    title.setFieldValue('Colors', 'TEXT')
+    fixture.addStatement(block, 'OPTIONS', title)
+    const axisTitle = w.newBlock('plot_axis_title')
+    axisTitle.setFieldValue('x', 'AXIS')
+    axisTitle.setFieldValue('Redness', 'TEXT')
+    fixture.addStatement(block, 'OPTIONS', axisTitle)
+    const scale = w.newBlock('plot_scale')
+    scale.setFieldValue('y', 'AXIS')
+    scale.setFieldValue('log', 'SCALE')
+    fixture.addStatement(block, 'OPTIONS', scale)
+    const domain = w.newBlock('plot_domain')
+    domain.setFieldValue('y', 'AXIS')
+    domain.setFieldValue(1, 'LOW')
+    domain.setFieldValue(1000, 'HIGH')
+    fixture.addStatement(block, 'OPTIONS', domain)
+    const scheme = w.newBlock('plot_color_scheme')
+    scheme.setFieldValue('viridis', 'SCHEME')
+    fixture.addStatement(block, 'OPTIONS', scheme)
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
 })
 
 describe('stats code generation', () => {
   it('creates one-sample t test from blocks', (done) => {
-    const expected = [Transform.FAMILY, 'ttest_one', 'result', 'red', 3.5]
+    const expected = [Transform.FAMILY, 'ttest_one', 'result', 'red', 3.5, 'greater']
     const w = fixture.workspace()
     const block = w.newBlock('stats_ttest_one')
     block.setFieldValue('result', 'NAME')
     block.setFieldValue('red', 'COLUMN')
     block.setFieldValue(3.5, 'MEAN')
+    block.setFieldValue('greater', 'ALTERNATIVE')
     const actual = getCode(block)
     assert.deepEqual(expected, actual, `Mis-match`)
     done()
   })
 
   it('creates two-sample t test from blocks', (done) => {
-    const expected = [Transform.FAMILY, 'ttest_two', 'result', 'red', 'green']
+    const expected = [Transform.FAMILY, 'ttest_two', 'result', 'red', 'green', false, 'two-sided']
     const w = fixture.workspace()
     const block = w.newBlock('stats_ttest_two')
     block.setFieldValue('result', 'NAME')
@@ -552,25 +878,115 @@ describe('stats code generation', () => {
     done()
   })
 
+  it('creates Welch two-sample t test from blocks', (done) => {
+    const expected = [Transform.FAMILY, 'ttest_two', 'result', 'red', 'green', true, 'less']
+    const w = fixture.workspace()
+    const block = w.newBlock('stats_ttest_two')
+    block.setFieldValue('result', 'NAME')
+    block.setFieldValue('red', 'LABEL_COLUMN')
+    block.setFieldValue('green', 'VALUE_COLUMN')
+    block.setFieldValue('TRUE', 'WELCH')
+    block.setFieldValue('less', 'ALTERNATIVE')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('creates paired t test from blocks', (done) => {
+    const expected = [Transform.FAMILY, 'ttest_paired', 'result', 'red', 'green', 'two-sided']
+    const w = fixture.workspace()
+    const block = w.newBlock('stats_ttest_paired')
+    block.setFieldValue('result', 'NAME')
+    block.setFieldValue('red', 'FIRST_COLUMN')
+    block.setFieldValue('green', 'SECOND_COLUMN')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('creates linear regression from blocks', (done) => {
+    const expected = [Transform.FAMILY, 'linear_regression', 'fit', 'red', ['green', 'blue'], '', 'error']
+    const w = fixture.workspace()
+    const block = w.newBlock('stats_linear_regression')
+    block.setFieldValue('fit', 'NAME')
+    block.setFieldValue('red', 'COLUMN')
+    block.setFieldValue('green, blue', 'MULTIPLE_COLUMNS')
+    block.setFieldValue('error', 'RESIDUALS')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('creates chi-squared test from blocks', (done) => {
+    const expected = [Transform.FAMILY, 'chisq', 'chi', 'red', 'green']
+    const w = fixture.workspace()
+    const block = w.newBlock('stats_chisq')
+    block.setFieldValue('chi', 'NAME')
+    block.setFieldValue('red', 'FIRST_COLUMN')
+    block.setFieldValue('green', 'SECOND_COLUMN')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('creates grouped hypothesis tests from blocks', (done) => {
+    ['anova', 'mann_whitney', 'kruskal_wallis'].forEach(species => {
+      const expected = [Transform.FAMILY, species, 'result', 'name', 'red']
+      const w = fixture.workspace()
+      const block = w.newBlock(`stats_${species}`)
+      block.setFieldValue('result', 'NAME')
+      block.setFieldValue('name', 'LABEL_COLUMN')
+      block.setFieldValue('red', 'VALUE_COLUMN')
+      const actual = getCode(block)
+      assert.deepEqual(expected, actual, `Mis-match for ${species}`)
+    })
+    done()
+  })
+
+  it('creates Wilcoxon signed-rank test from blocks', (done) => {
+    const expected = [Transform.FAMILY, 'wilcoxon', 'wil', 'red', 'green']
+    const w = fixture.workspace()
+    const block = w.newBlock('stats_wilcoxon')
+    block.setFieldValue('wil', 'NAME')
+    block.setFieldValue('red', 'FIRST_COLUMN')
+    block.setFieldValue('green', 'SECOND_COLUMN')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('creates correlation test from blocks', (done) => {
+    const expected = [Transform.FAMILY, 'correlation', 'cor', 'red', 'green', 'spearman']
+    const w = fixture.workspace()
+    const block = w.newBlock('stats_correlation')
+    block.setFieldValue('cor', 'NAME')
+    block.setFieldValue('red', 'FIRST_COLUMN')
+    block.setFieldValue('green', 'SECOND_COLUMN')
+    block.setFieldValue('spearman', 'METHOD')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
   it('creates k-means cluster from blocks', (done) => {
-    const expected = [Transform.FAMILY, 'k_means', 'onX', 'onY', 3, 'flavor']
+    const expected = [Transform.FAMILY, 'k_means', 'clusters', ['onX', 'onY', 'onZ'], 3, 'flavor', true]
     const w = fixture.workspace()
     const block = w.newBlock('stats_k_means')
-    block.setFieldValue('onX', 'X_AXIS')
-    block.setFieldValue('onY', 'Y_AXIS')
+    block.setFieldValue('clusters', 'NAME')
+    block.setFieldValue('onX, onY, onZ', 'MULTIPLE_COLUMNS')
     block.setFieldValue(3, 'NUMBER')
     block.setFieldValue('flavor', 'LABEL')
+    block.setFieldValue('TRUE', 'STANDARDIZE')
     const actual = getCode(block)
     assert.deepEqual(expected, actual, `Mis-match`)
     done()
   })
 
   it('creates silhouette from blocks', (done) => {
-    const expected = [Transform.FAMILY, 'silhouette', 'onX', 'onY', 'flavors', 'scores']
+    const expected = [Transform.FAMILY, 'silhouette', ['onX', 'onY'], 'flavors', 'scores', false]
     const w = fixture.workspace()
     const block = w.newBlock('stats_silhouette')
-    block.setFieldValue('onX', 'X_AXIS')
-    block.setFieldValue('onY', 'Y_AXIS')
+    block.setFieldValue('onX, onY', 'MULTIPLE_COLUMNS')
     block.setFieldValue('flavors', 'LABEL')
     block.setFieldValue('scores', 'SCORE')
     const actual = getCode(block)
@@ -593,9 +1009,23 @@ describe('combiner code generation', () => {
   })
 
   it('generates code for join', (done) => {
-    const expected = [Transform.FAMILY, 'join', 'alpha', 'A', 'beta', 'B']
+    const expected = [Transform.FAMILY, 'join', 'alpha', ['A'], 'beta', ['B'], 'inner']
+    const w = fixture.workspace()
+    const block = w.newBlock('combine_join')
+    block.setFieldValue('alpha', 'LEFT_TABLE')
+    block.setFieldValue('A', 'LEFT_COLUMN')
+    block.setFieldValue('beta', 'RIGHT_TABLE')
+    block.setFieldValue('B', 'RIGHT_COLUMN')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
+  it('generates code for join with a kind', (done) => {
+    const expected = [Transform.FAMILY, 'join', 'alpha', ['A'], 'beta', ['B'], 'anti']
     const w = fixture.workspace()
     const block = w.newBlock('combine_join')
+    block.setFieldValue('anti', 'KIND')
     block.setFieldValue('alpha', 'LEFT_TABLE')
     block.setFieldValue('A', 'LEFT_COLUMN')
     block.setFieldValue('beta', 'RIGHT_TABLE')
@@ -605,6 +1035,19 @@ describe('combiner code generation', () => {
     done()
   })
 
+  it('generates code for join on multiple columns', (done) => {
+    const expected = [Transform.FAMILY, 'join', 'alpha', ['A', 'C'], 'beta', ['B', 'D'], 'inner']
+    const w = fixture.workspace()
+    const block = w.newBlock('combine_join')
+    block.setFieldValue('alpha', 'LEFT_TABLE')
+    block.setFieldValue('A, C', 'LEFT_COLUMN')
+    block.setFieldValue('beta', 'RIGHT_TABLE')
+    block.setFieldValue(' B,D ', 'RIGHT_COLUMN')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
+
   it('generates code for saveAs', (done) => {
     const expected = [Transform.FAMILY, 'saveAs', 'stuff']
     const w = fixture.workspace()
@@ -627,6 +1070,16 @@ describe('control code generation', () => {
     assert.deepEqual(expected, actual, `Mis-match`)
     done()
   })
+
+  it('generates code for time zone', (done) => {
+    const expected = [Transform.FAMILY, 'timeZone', 'America/New_York']
+    const w = fixture.workspace()
+    const block = w.newBlock('control_time_zone')
+    block.setFieldValue('America/New_York', 'TIME_ZONE')
+    const actual = getCode(block)
+    assert.deepEqual(expected, actual, `Mis-match`)
+    done()
+  })
 })
 
 describe('program code generation', () => {
@@ -453,6 +453,65 @@ describe('group and ungroup', () => {
            `Expected grouping column to be removed`)
     done()
   })
+
+  it('refuses to collapse data that is not grouped', (done) => {
+    const df = new DataFrame(THREE_ROWS)
+    assert.throws(() => df.collapse(),
+                  Error,
+                  `Should not be able to collapse data that is not grouped`)
+    done()
+  })
+
+  it('collapses grouped data to one row per group', (done) => {
+    const df = new DataFrame(fixture.COLORS)
+          .groupBy(['red'])
+          .summarize(new Summarize.maximum('green'))
+          .collapse()
+    assert.deepEqual(Array.from(df.columns), ['red', 'green_maximum'],
+                     `Expected grouping and summary columns`)
+    assert.equal(df.data.length, GROUP_RED_MAX_GREEN.size,
+                 `Expected one row per group`)
+    assert(df.data.every(row => (row.green_maximum === GROUP_RED_MAX_GREEN.get(row.red))),
+           `Wrong summary values kept`)
+    assert.equal(df.getType('red'), 'number',
+                 `Expected types to be kept`)
+    done()
+  })
+
+  it('only keeps grouping and summary columns when collapsing', (done) => {
+    // 'label' is constant within each group but is not a grouping column.
+    const df = new DataFrame([{key: 'a', label: 'x', value: 1},
+                              {key: 'a', label: 'x', value: 2},
+                              {key: 'b', label: 'y', value: 3}])
+          .groupBy(['key'])
+          .summarize(new Summarize.sum('value'))
+          .sort(['value'], true)
+          .filter(new Value.logical(true))
+    assert.deepEqual(df.collapse().data,
+                     [{key: 'b', value_sum: 3}, {key: 'a', value_sum: 3}],
+                     `Expected grouping and summary columns only`)
+    assert.deepEqual(df.select(['key', 'value', DataFrame.GROUPCOL]).collapse().data,
+                     [{key: 'b'}, {key: 'a'}],
+                     `Expected columns that were not selected to be dropped`)
+    assert.deepEqual(df.create('key', new Value.text('z')).collapse().data,
+                     [{value_sum: 3}, {value_sum: 3}],
+                     `Expected replaced columns to be dropped`)
+    done()
+  })
+
+  it('keeps all grouping columns when collapsing sub-groups', (done) => {
+    const df = new DataFrame([{a: 1, b: 'x', c: true},
+                              {a: 1, b: 'y', c: true},
+                              {a: 1, b: 'x', c: false}])
+          .groupBy(['a'])
+          .groupBy([DataFrame.GROUPCOL, 'b'])
+    assert.deepEqual(df.collapse().data,
+                     [{a: 1, b: 'x'}, {a: 1, b: 'y'}],
+                     `Expected both grouping columns`)
+    assert.deepEqual(df.ungroup().groupColumns, [],
+                     `Ungrouped data should not have grouping columns`)
+    done()
+  })
 })
 
 describe('sort', () => {
@@ -634,6 +693,80 @@ describe('summarize', () => {
       `Wrong maximum(s) for grouped values`)
     done()
   })
+
+  it('can calculate several named summaries at once', (done) => {
+    const df = new DataFrame(fixture.COLORS).groupBy(['red'])
+    const result = df.summarizeMultiple([[new Summarize.count('red'), 'n'],
+                                         [new Summarize.maximum('green'), 'most']])
+    assert.equal(result.data.length, fixture.COLORS.length,
+                 `Expected every row to be kept`)
+    assert.deepEqual(Array.from(result.columns), [...df.columns, 'n', 'most'],
+                     `Wrong columns`)
+    assert(result.data.every(row => (row.n === GROUP_RED_COUNT_RED.get(row.red))),
+           `Wrong count(s) for grouped values`)
+    assert(result.data.every(row => (row.most === GROUP_RED_MAX_GREEN.get(row.red))),
+           `Wrong maximum(s) for grouped values`)
+    done()
+  })
+
+  it('can collapse grouped summaries to one row per group', (done) => {
+    const df = new DataFrame(fixture.COLORS).groupBy(['red'])
+    const result = df.summarizeMultiple([[new Summarize.count('red'), 'n'],
+                                         [new Summarize.maximum('green'), 'most']],
+                                        true)
+    assert.deepEqual(Array.from(result.columns), ['red', 'n', 'most'],
+                     `Expected only grouping columns and summaries`)
+    assert.equal(result.data.length, GROUP_RED_COUNT_RED.size,
+                 `Expected one row per group`)
+    assert(result.data.every(row => (row.n === GROUP_RED_COUNT_RED.get(row.red)) &&
+                             (row.most === GROUP_RED_MAX_GREEN.get(row.red))),
+           `Wrong summaries`)
+    done()
+  })
+
+  it('can collapse ungrouped summaries to a single row', (done) => {
+    const df = new DataFrame([{ones: 1, tens: 10}, {ones: 2, tens: 20}])
+    const result = df.summarizeMultiple([[new Summarize.sum('ones'), 'total'],
+                                         [new Summarize.mean('tens'), 'avg']],
+                                        true)
+    assert.deepEqual(result.data, [{total: 3, avg: 15}],
+                     `Wrong collapsed result`)
+    done()
+  })
+
+  it('applies missing-value policies to grouped summaries', (done) => {
+    const df = new DataFrame([{g: 'a', x: 1}, {g: 'a', x: util.MISSING}, {g: 'a', x: 2},
+                              {g: 'b', x: 5}, {g: 'b', x: 6}])
+          .groupBy(['g'])
+    const summaries = [[new Summarize.sum('x'), 'total']]
+    const skipped = df.summarizeMultiple(summaries, true, 'skip')
+    assert.deepEqual(skipped.data.map(row => row.total), [3, 11],
+                     `Wrong skipped values`)
+    const propagated = df.summarizeMultiple(summaries, true, 'propagate')
+    assert.deepEqual(propagated.data.map(row => row.total), [util.MISSING, 11],
+                     `Wrong propagated values`)
+    assert.equal(df.summarize(new Summarize.sum('x'), 'propagate').data[0].x_sum, util.MISSING,
+                 `Expected policy to be passed on by summarize`)
+    assert.throws(() => df.summarizeMultiple(summaries, true, 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    done()
+  })
+
+  it('rejects missing, badly-named, or duplicate summaries', (done) => {
+    const df = new DataFrame(fixture.COLORS)
+    assert.throws(() => df.summarizeMultiple([]),
+                  Error,
+                  `Should require at least one summary`)
+    assert.throws(() => df.summarizeMultiple([[new Summarize.count('red'), 'not a name']]),
+                  Error,
+                  `Should reject illegal names`)
+    assert.throws(() => df.summarizeMultiple([[new Summarize.count('red'), 'x'],
+                                              [new Summarize.count('green'), 'x']]),
+                  Error,
+                  `Should reject duplicate names`)
+    done()
+  })
 })
 
 describe('running', () => {
@@ -698,6 +831,22 @@ describe('running', () => {
     }
     done()
   })
+
+  it('applies missing-value policies to grouped running values', (done) => {
+    const df = new DataFrame([{g: 'a', x: 1}, {g: 'a', x: util.MISSING}, {g: 'a', x: 2},
+                              {g: 'b', x: 5}, {g: 'b', x: 6}])
+          .groupBy(['g'])
+    const skipped = df.running(new Running.sum('x'), 'skip')
+    assert.deepEqual(skipped.data.map(row => row.x_sum), [1, 1, 3, 5, 11],
+                     `Wrong skipped values`)
+    const propagated = df.running(new Running.sum('x'), 'propagate')
+    assert.deepEqual(propagated.data.map(row => row.x_sum), [1, util.MISSING, util.MISSING, 5, 11],
+                     `Wrong propagated values`)
+    assert.throws(() => df.running(new Running.sum('x'), 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    done()
+  })
 })
 
 describe('unique', () => {
@@ -845,6 +994,51 @@ describe('glue', () => {
   })
 })
 
+//
+// Reference implementation of join that compares every pair of rows.
+//
+const nestedLoopJoin = (left, leftName, leftCol, right, rightName, rightCol, kind) => {
+  const makeRow = (key, leftRow, rightRow) => {
+    const row = {_join_: key}
+    Array.from(left.columns).filter(c => (c !== leftCol)).forEach(c => {
+      row[`${leftName}_${c}`] = (leftRow === null) ? util.MISSING : leftRow[c]
+    })
+    Array.from(right.columns).filter(c => (c !== rightCol)).forEach(c => {
+      row[`${rightName}_${c}`] = (rightRow === null) ? util.MISSING : rightRow[c]
+    })
+    return row
+  }
+  const matches = (leftRow, rightRow) => util.equal(leftRow[leftCol], rightRow[rightCol])
+  if ((kind === 'semi') || (kind === 'anti')) {
+    return left.data.filter(leftRow => {
+      return right.data.some(rightRow => matches(leftRow, rightRow)) === (kind === 'semi')
+    })
+  }
+  const result = []
+  const rightMatched = new Set()
+  left.data.forEach(leftRow => {
+    let matched = false
+    right.data.forEach((rightRow, i) => {
+      if (matches(leftRow, rightRow)) {
+        matched = true
+        rightMatched.add(i)
+        result.push(makeRow(leftRow[leftCol], leftRow, rightRow))
+      }
+    })
+    if (!matched && ((kind === 'left') || (kind === 'full'))) {
+      result.push(makeRow(leftRow[leftCol], leftRow, null))
+    }
+  })
+  if ((kind === 'right') || (kind === 'full')) {
+    right.data.forEach((rightRow, i) => {
+      if (!rightMatched.has(i)) {
+        result.push(makeRow(rightRow[rightCol], null, rightRow))
+      }
+    })
+  }
+  return result
+}
+
 describe('join', () => {
   it('requires a valid name for the left table', (done) => {
     const left = new DataFrame(ONE_ROW)
@@ -970,4 +1164,365 @@ describe('join', () => {
            `Wrong resulting data`)
     done()
   })
+
+  it('requires a known kind of join', (done) => {
+    const left = new DataFrame(ONE_ROW)
+    const right = new DataFrame(TWO_ROWS)
+    assert.throws(() => left.join('left', 'ones', right, 'right', 'ones', 'sideways'),
+                  Error,
+                  `Should not be able to do unknown kind of join`)
+    done()
+  })
+
+  it('keeps unmatched rows from the left in a left join', (done) => {
+    const left = new DataFrame(THREE_ROWS)
+    const right = new DataFrame([{ones: 1, hundreds: 100}, {ones: 3, hundreds: 300}])
+    const result = left.join('left', 'ones', right, 'right', 'ones', 'left')
+    const expected = [
+      {_join_: 1, left_tens: 10, right_hundreds: 100},
+      {_join_: 2, left_tens: 20, right_hundreds: util.MISSING},
+      {_join_: 3, left_tens: 30, right_hundreds: 300}
+    ]
+    assert.deepEqual(result.data, expected,
+                     `Wrong resulting data`)
+    done()
+  })
+
+  it('keeps unmatched rows from the right in a right join', (done) => {
+    const left = new DataFrame([{ones: 1, hundreds: 100}, {ones: 3, hundreds: 300}])
+    const right = new DataFrame(THREE_ROWS)
+    const result = left.join('left', 'ones', right, 'right', 'ones', 'right')
+    const expected = [
+      {_join_: 1, left_hundreds: 100, right_tens: 10},
+      {_join_: 3, left_hundreds: 300, right_tens: 30},
+      {_join_: 2, left_hundreds: util.MISSING, right_tens: 20}
+    ]
+    assert.deepEqual(result.data, expected,
+                     `Wrong resulting data`)
+    done()
+  })
+
+  it('keeps unmatched rows from both sides in a full join', (done) => {
+    const left = new DataFrame(TWO_ROWS)
+    const right = new DataFrame([{ones: 2, hundreds: 200}, {ones: 3, hundreds: 300}])
+    const result = left.join('left', 'ones', right, 'right', 'ones', 'full')
+    const expected = [
+      {_join_: 1, left_tens: 10, right_hundreds: util.MISSING},
+      {_join_: 2, left_tens: 20, right_hundreds: 200},
+      {_join_: 3, left_tens: util.MISSING, right_hundreds: 300}
+    ]
+    assert.deepEqual(result.data, expected,
+                     `Wrong resulting data`)
+    const expectedColumns = new Set([DataFrame.JOINCOL, 'left_tens', 'right_hundreds'])
+    assert.deepEqual(result.columns, expectedColumns,
+                     `Wrong columns`)
+    done()
+  })
+
+  it('keeps all rows in a full join with an empty table', (done) => {
+    const left = new DataFrame(ZERO_ROWS, ['ones', 'tens'])
+    const right = new DataFrame(ONE_ROW)
+    const result = left.join('left', 'ones', right, 'right', 'ones', 'full')
+    assert.deepEqual(result.data, [{_join_: 1, left_tens: util.MISSING, right_tens: 10}],
+                     `Wrong resulting data`)
+    done()
+  })
+
+  it('keeps matching rows once in a semi join', (done) => {
+    const left = new DataFrame(THREE_ROWS)
+    const right = new DataFrame([
+      {ones: 1, hundreds: 100},
+      {ones: 1, hundreds: 200},
+      {ones: 3, hundreds: 300}
+    ])
+    const result = left.join('left', 'ones', right, 'right', 'ones', 'semi')
+    assert.deepEqual(result.data, [THREE_ROWS[0], THREE_ROWS[2]],
+                     `Wrong resulting data`)
+    assert.deepEqual(result.columns, new Set(['ones', 'tens']),
+                     `Semi join should keep left columns`)
+    done()
+  })
+
+  it('keeps non-matching rows in an anti join', (done) => {
+    const left = new DataFrame(THREE_ROWS)
+    const right = new DataFrame([{ones: 1, hundreds: 100}, {ones: 3, hundreds: 300}])
+    const result = left.join('left', 'ones', right, 'right', 'ones', 'anti')
+    assert.deepEqual(result.data, [THREE_ROWS[1]],
+                     `Wrong resulting data`)
+    assert.deepEqual(result.columns, new Set(['ones', 'tens']),
+                     `Anti join should keep left columns`)
+    done()
+  })
+
+  it('matches dates that represent the same moment', (done) => {
+    const left = new DataFrame([{when: new Date(fixture.CONCERT_STR), name: 'concert'},
+                                {when: new Date(0), name: 'epoch'}])
+    const right = new DataFrame([{when: new Date(fixture.CONCERT_STR), place: 'hall'},
+                                 {when: fixture.CONCERT.getTime(), place: 'number'}])
+    const result = left.join('left', 'when', right, 'right', 'when')
+    assert.deepEqual(result.data, [{_join_: left.data[0].when, left_name: 'concert', right_place: 'hall'}],
+                     `Should match equal dates but not numbers`)
+    done()
+  })
+
+  it('matches missing keys to each other', (done) => {
+    const left = new DataFrame([{key: util.MISSING, name: 'left'}, {key: 0, name: 'zero'}])
+    const right = new DataFrame([{key: util.MISSING, name: 'right'}, {key: '', name: 'empty'}])
+    const result = left.join('left', 'key', right, 'right', 'key')
+    assert.deepEqual(result.data, [{_join_: util.MISSING, left_name: 'left', right_name: 'right'}],
+                     `Should match missing keys but not other falsy values`)
+    done()
+  })
+
+  it('requires the same number of columns on each side', (done) => {
+    const left = new DataFrame(TWO_ROWS)
+    const right = new DataFrame(TWO_ROWS)
+    assert.throws(() => left.join('left', ['ones', 'tens'], right, 'right', ['ones']),
+                  Error,
+                  `Should not be able to join on different numbers of columns`)
+    assert.throws(() => left.join('left', [], right, 'right', []),
+                  Error,
+                  `Should not be able to join on no columns`)
+    done()
+  })
+
+  it('joins on multiple columns', (done) => {
+    const left = new DataFrame([
+      {year: 2020, state: 'ON', value: 1},
+      {year: 2020, state: 'QC', value: 2},
+      {year: 2021, state: 'ON', value: 3}
+    ])
+    const right = new DataFrame([
+      {yr: 2020, st: 'QC', other: 'a'},
+      {yr: 2021, st: 'ON', other: 'b'},
+      {yr: 2021, st: 'QC', other: 'c'}
+    ])
+    const result = left.join('left', ['year', 'state'], right, 'right', ['yr', 'st'])
+    const expected = [
+      {left_year: 2020, left_state: 'QC', left_value: 2, right_other: 'a'},
+      {left_year: 2021, left_state: 'ON', left_value: 3, right_other: 'b'}
+    ]
+    assert.deepEqual(result.data, expected,
+                     `Wrong resulting data`)
+    assert.deepEqual(result.columns, new Set(['left_year', 'left_state', 'left_value', 'right_other']),
+                     `Wrong columns`)
+    done()
+  })
+
+  it('fills in key columns from either side in a full join on multiple columns', (done) => {
+    const left = new DataFrame([{year: 2020, state: 'ON', value: 1}])
+    const right = new DataFrame([{yr: 2020, st: 'QC', other: 'a'}])
+    const result = left.join('left', ['year', 'state'], right, 'right', ['yr', 'st'], 'full')
+    const expected = [
+      {left_year: 2020, left_state: 'ON', left_value: 1, right_other: util.MISSING},
+      {left_year: 2020, left_state: 'QC', left_value: util.MISSING, right_other: 'a'}
+    ]
+    assert.deepEqual(result.data, expected,
+                     `Wrong resulting data`)
+    done()
+  })
+
+  it('does not confuse values when joining on multiple columns', (done) => {
+    const left = new DataFrame([{a: 'x,y', b: 'z'}, {a: 1, b: 'z'}])
+    const right = new DataFrame([{a: 'x', b: 'y,z'}, {a: '1', b: 'z'}])
+    const result = left.join('left', ['a', 'b'], right, 'right', ['a', 'b'], 'semi')
+    assert.deepEqual(result.data, [],
+                     `Should not match`)
+    done()
+  })
+
+  it('does not match NaN', (done) => {
+    const left = new DataFrame([{key: NaN, name: 'left'}])
+    const right = new DataFrame([{key: NaN, name: 'right'}])
+    const result = left.join('left', 'key', right, 'right', 'key')
+    assert.deepEqual(result.data, [],
+                     `Should not match NaN`)
+    done()
+  })
+
+  it('matches the nested-loop join on fixture tables', (done) => {
+    const tests = [
+      [fixture.BOOL, 'left', 'right'],
+      [fixture.NUMBER, 'left', 'right'],
+      [fixture.STRING, 'left', 'right'],
+      [fixture.MIXED, 'date', 'date'],
+      [fixture.MIXED, 'num', 'str']
+    ]
+    for (const [table, leftCol, rightCol] of tests) {
+      for (const kind of DataFrame.JOIN_KINDS) {
+        const left = new DataFrame(table)
+        const right = new DataFrame(table)
+        const actual = left.join('left', leftCol, right, 'right', rightCol, kind)
+        const expected = nestedLoopJoin(left, 'left', leftCol, right, 'right', rightCol, kind)
+        assert.deepEqual(actual.data, expected,
+                         `Mis-match for ${kind} join on ${leftCol} and ${rightCol}`)
+      }
+    }
+    const colors = new DataFrame(fixture.COLORS)
+    for (const kind of DataFrame.JOIN_KINDS) {
+      const actual = colors.join('left', 'red', colors, 'right', 'green', kind)
+      const expected = nestedLoopJoin(colors, 'left', 'red', colors, 'right', 'green', kind)
+      assert.deepEqual(actual.data, expected,
+                       `Mis-match for ${kind} join on colors`)
+    }
+    done()
+  })
+
+  it('joins large tables using an index', (done) => {
+    const size = 20000
+    const left = new DataFrame(Array.from({length: size}, (_, i) => ({key: i, left: i})))
+    const right = new DataFrame(Array.from({length: size}, (_, i) => ({key: size - i - 1, right: i})))
+    // Count key calculations: an index needs one per row, comparing every
+    // pair of rows would need one per pair.
+    let keyCount = 0
+    const makeJoinKey = left._makeJoinKey
+    left._makeJoinKey = function (...args) {
+      keyCount += 1
+      return makeJoinKey.apply(this, args)
+    }
+    const result = left.join('left', 'key', right, 'right', 'key')
+    assert.equal(result.data.length, size,
+                 `Expected one match per row`)
+    assert(result.data.every(row => (row.left_left + row.right_right === size - 1)),
+           `Wrong rows matched`)
+    assert.equal(keyCount, 2 * size,
+                 `Expected one key per row`)
+    done()
+  })
+})
+
+describe('column types', () => {
+  it('infers types when constructing dataframes', (done) => {
+    const df = new DataFrame(fixture.MIXED)
+    assert.deepEqual(Array.from(df.schema.entries()),
+                     [['num', 'number'], ['date', 'datetime'], ['str', 'text'], ['bool', 'logical']],
+                     `Wrong schema`)
+    const mixed = new DataFrame([{value: 1}, {value: 'a'}, {value: util.MISSING}])
+    assert.equal(mixed.getType('value'), null,
+                 `Mixed column should have unknown type`)
+    done()
+  })
+
+  it('uses types that are provided', (done) => {
+    const df = new DataFrame(ZERO_ROWS, ['ones', 'tens'], new Map([['ones', 'number']]))
+    assert.equal(df.getType('ones'), 'number',
+                 `Should use provided type`)
+    assert.equal(df.getType('tens'), null,
+                 `Should not know type of empty column`)
+    assert.throws(() => new DataFrame(ONE_ROW, null, new Map([['ones', 'complex']])),
+                  Error,
+                  `Should not accept unknown type`)
+    done()
+  })
+
+  it('converts columns', (done) => {
+    const df = new DataFrame([{when: '2017-07-21', count: '3'}])
+    const result = df.convert({when: 'datetime', count: 'number'})
+    assert.deepEqual(result.data, [{when: new Date(Date.UTC(2017, 6, 21)), count: 3}],
+                     `Wrong converted values`)
+    assert.equal(result.getType('when'), 'datetime',
+                 `Wrong type for converted column`)
+    assert.throws(() => new DataFrame([{name: 'abc'}]).convert({name: 'number'}),
+                  /column "name" row 1/,
+                  `Should report column and row when conversion fails`)
+    done()
+  })
+
+  it('infers and converts types of loaded data', (done) => {
+    const table = util.csvToTable('name,when,count\nabc,2017-07-21,1\n555,2017-07-22,NA')
+    const result = new DataFrame(table).inferTypes()
+    assert.deepEqual(result.data, [
+      {name: 'abc', when: new Date(Date.UTC(2017, 6, 21)), count: 1},
+      {name: '555', when: new Date(Date.UTC(2017, 6, 22)), count: util.MISSING}
+    ], `Wrong values`)
+    assert.deepEqual(Array.from(result.schema.values()), ['text', 'datetime', 'number'],
+                     `Wrong types`)
+    const overridden = new DataFrame(table).inferTypes({when: 'text', count: 'text'})
+    assert.equal(overridden.data[0].when, '2017-07-21',
+                 `Should not convert overridden column`)
+    assert.equal(overridden.data[0].count, '1',
+                 `Should convert to overriding type`)
+    done()
+  })
+
+  it('re-interprets datetimes without time zones', (done) => {
+    const table = util.csvToTable('when\n2017-07-21 12:00\n2017-07-21T12:00Z')
+    const loaded = new DataFrame(table).inferTypes()
+    try {
+      util.setTimeZone('Asia/Tokyo')
+      assert.deepEqual(loaded.reinterpretDatetimes().data, [
+        {when: new Date(Date.UTC(2017, 6, 21, 3, 0))},
+        {when: new Date(Date.UTC(2017, 6, 21, 12, 0))}
+      ], `Should only re-interpret text without a time zone`)
+    }
+    finally {
+      util.setTimeZone(util.DEFAULT_TIME_ZONE)
+    }
+    const text = loaded.convert({when: 'text'})
+    assert.strictEqual(text.reinterpretDatetimes(), text,
+                       `Should not re-interpret columns that are no longer datetimes`)
+    done()
+  })
+
+  it('carries types through transformations', (done) => {
+    const df = new DataFrame([{name: 'a', value: '1'}]).convert({value: 'text'})
+    const empty = df.filter(new Value.logical(false))
+    assert.equal(empty.getType('value'), 'text',
+                 `Filter should keep types even when there are no rows`)
+    assert.equal(empty.select(['value']).getType('value'), 'text',
+                 `Select should keep types`)
+    const created = df.create('value', new Value.number(1))
+    assert.equal(created.getType('value'), 'number',
+                 `Create should infer type of replaced column`)
+    assert.equal(created.getType('name'), 'text',
+                 `Create should keep types of other columns`)
+    const joined = empty.join('left', 'name', df, 'right', 'name', 'left')
+    assert.equal(joined.getType('left_value'), 'text',
+                 `Join should keep types of left columns`)
+    assert.equal(joined.getType('right_value'), 'text',
+                 `Join should keep types of right columns`)
+    assert.equal(joined.getType(DataFrame.JOINCOL), 'text',
+                 `Join should keep type of key column`)
+    done()
+  })
+
+  it('reports type errors before calculating', (done) => {
+    const df = new DataFrame(fixture.NAMES)
+    assert.throws(() => df.checkType('personal', ['number'], 'test'),
+                  /test requires number values but column "personal" contains text/,
+                  `Should report wrong type`)
+    assert.throws(() => df.summarize(new Summarize.mean('personal')),
+                  /summarize mean requires number values/,
+                  `Should not be able to take mean of text`)
+    assert.throws(() => df.running(new Running.sum('personal')),
+                  /requires number values/,
+                  `Should not be able to sum text`)
+    const count = df.summarize(new Summarize.count('personal'))
+    assert.equal(count.data[0].personal_count, 3,
+                 `Should be able to count text`)
+    done()
+  })
+
+  it('reports type errors in expressions before calculating', (done) => {
+    // No rows, so errors can only come from the schema.
+    const df = new DataFrame(fixture.NAMES).filter(new Value.logical(false))
+    const personal = new Value.column('personal')
+    assert.throws(() => df.create('x', new Op.add(personal, new Value.number(1))),
+                  /add requires number values but column "personal" contains text/,
+                  `Should not be able to add text`)
+    assert.throws(() => df.filter(new Op.greater(new Op.toYear(personal), new Value.number(2000))),
+                  /toYear requires datetime values but column "personal" contains text/,
+                  `Should check nested expressions`)
+    assert.throws(() => df.create('x', new Op.substring(personal, new Value.number(1), new Value.column('family'))),
+                  /substring requires number values but column "family" contains text/,
+                  `Should check every argument`)
+    const upper = df.create('x', new Op.upper(personal))
+    assert.equal(upper.data.length, 0,
+                 `Should be able to use text where text is required`)
+    const unknown = new DataFrame([{value: 'a'}], null, new Map([['value', null]]))
+    assert.throws(() => unknown.filter(new Op.negate(new Value.column('value'))),
+                  /Value a is not missing or a number/,
+                  `Should only check columns of unknown type when processing rows`)
+    done()
+  })
 })
@@ -0,0 +1,128 @@
+'use strict'
+
+const assert = require('assert')
+
+const util = require('../libs/util')
+const HeadlessInterface = require('../libs/headless')
+
+const Value = require('../libs/value')
+const Op = require('../libs/op')
+const Program = require('../libs/program')
+const Pipeline = require('../libs/pipeline')
+const Transform = require('../libs/transform')
+
+const CSV = 'name,value\nfirst,1\nsecond,NA'
+
+describe('runs programs without a browser', () => {
+  it('returns the program it was given as JSON', (done) => {
+    const json = [Program.FAMILY,
+                  [Pipeline.FAMILY, [Transform.FAMILY, 'data', 'colors']]]
+    const ui = new HeadlessInterface(json)
+    assert.deepEqual(ui.getJSON(), json,
+                     `Did not get program back`)
+    done()
+  })
+
+  it('provides the default datasets', (done) => {
+    const ui = new HeadlessInterface([Program.FAMILY])
+    assert(['colors', 'earthquakes', 'penguins', 'phish'].every(n => ui.userData.has(n)),
+           `Expected default datasets`)
+    done()
+  })
+
+  it('loads CSV text as user data', (done) => {
+    const ui = new HeadlessInterface([Program.FAMILY])
+    ui.loadCsv('things', CSV)
+    const df = ui.userData.get('things')
+    assert.deepEqual(df.data, [{name: 'first', value: 1},
+                               {name: 'second', value: util.MISSING}],
+                     `Wrong data loaded`)
+    done()
+  })
+
+  it('infers column types of loaded data unless told otherwise', (done) => {
+    const ui = new HeadlessInterface([Program.FAMILY])
+    ui.loadCsv('inferred', 'when,value\n2017-07-21,1')
+    ui.loadCsv('overridden', 'when,value\n2017-07-21,1', {when: 'text'})
+    assert.equal(ui.userData.get('inferred').getType('when'), 'datetime',
+                 `Expected dates to be inferred`)
+    assert(ui.userData.get('inferred').data[0].when instanceof Date,
+           `Expected dates to be converted`)
+    assert.equal(ui.userData.get('overridden').getType('when'), 'text',
+                 `Expected type to be overridden`)
+    assert.equal(ui.userData.get('overridden').data[0].when, '2017-07-21',
+                 `Expected text to be kept`)
+    done()
+  })
+
+  it('rejects illegal or duplicate dataset labels', (done) => {
+    const ui = new HeadlessInterface([Program.FAMILY])
+    assert.throws(() => ui.loadCsv('not a label', CSV),
+                  Error,
+                  `Should not accept label with spaces`)
+    assert.throws(() => ui.loadCsv('colors', CSV),
+                  Error,
+                  `Should not overwrite existing dataset`)
+    done()
+  })
+
+  it('runs a program using loaded data', (done) => {
+    const json = [Program.FAMILY,
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'data', 'things'],
+                   [Transform.FAMILY, 'saveAs', 'copy']],
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'data', 'colors'],
+                   [Transform.FAMILY, 'bar', 'figure', 'name', 'red']]]
+    const ui = new HeadlessInterface(json)
+    ui.loadCsv('things', CSV)
+    ui.runProgram()
+    assert(!ui.hasErrors(),
+           `Program should not have errors`)
+    assert(ui.env.results.has('copy'),
+           `Expected saved result`)
+    assert.equal(ui.env.results.get('copy').data.length, 2,
+                 `Expected two rows in result`)
+    assert(ui.env.plots.has('figure'),
+           `Expected plot`)
+    done()
+  })
+
+  it('interprets loaded datetimes in the program time zone', (done) => {
+    const when = [Value.FAMILY, 'datetime', '2016-08-24 03:36:32']
+    const json = [Program.FAMILY,
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'timeZone', 'Europe/Rome']],
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'data', 'quakes'],
+                   [Transform.FAMILY, 'create', 'column', [Op.FAMILY, 'toHours', [Value.FAMILY, 'column', 't']]],
+                   [Transform.FAMILY, 'create', 'constant', [Op.FAMILY, 'toHours', when]],
+                   [Transform.FAMILY, 'create', 'same', [Op.FAMILY, 'equal', [Value.FAMILY, 'column', 't'], when]],
+                   [Transform.FAMILY, 'saveAs', 'result']]]
+    const ui = new HeadlessInterface(json)
+    ui.loadCsv('quakes', 't\n2016-08-24 03:36:32\n2016-08-24T03:36:32Z')
+    ui.runProgram()
+    assert(!ui.hasErrors(),
+           `Program should not have errors`)
+    const data = ui.env.results.get('result').data
+    assert.deepEqual(data.map(row => [row.column, row.constant, row.same]),
+                     [[3, 3, true], [5, 3, false]],
+                     `Column and constant should be interpreted in the same time zone`)
+    assert.deepEqual(ui.userData.get('quakes').data[0].t, new Date(Date.UTC(2016, 7, 24, 3, 36, 32)),
+                     `Loaded data should not be changed`)
+    done()
+  })
+
+  it('reports errors in programs', (done) => {
+    const json = [Program.FAMILY,
+                  [Pipeline.FAMILY, [Transform.FAMILY, 'data', 'nonexistent']]]
+    const ui = new HeadlessInterface(json)
+    assert.throws(() => ui.hasErrors(),
+                  Error,
+                  `Cannot check errors before running`)
+    ui.runProgram()
+    assert(ui.hasErrors(),
+           `Expected error for unknown dataset`)
+    done()
+  })
+})
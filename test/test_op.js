@@ -503,7 +503,7 @@ describe('type conversions', () => {
 describe('extract values from datetimes', () => {
   it('extracts components of datetimes', (done) => {
     // Zero-based month in constructor *sigh*.
-    const value = new Value.datetime(new Date(1983, 11, 2, 7, 55, 19, 0))
+    const value = new Value.datetime(new Date(Date.UTC(1983, 11, 2, 7, 55, 19, 0)))
     assert.equal((new Op.toYear(value)).run(fixture.SINGLE[0], 0, fixture.SINGLE), 1983,
                  `Wrong year`)
     assert.equal((new Op.toMonth(value)).run(fixture.SINGLE[0], 0, fixture.SINGLE), 12,
@@ -542,6 +542,396 @@ describe('extract values from datetimes', () => {
   })
 })
 
+describe('datetime arithmetic and formatting', () => {
+  const run = (op) => op.run(fixture.SINGLE[0], 0, fixture.SINGLE)
+  const when = new Value.datetime(new Date(Date.UTC(2020, 0, 31, 13, 45)))
+  const missing = new Value.datetime(util.MISSING)
+
+  it('adds and subtracts durations', (done) => {
+    assert.deepEqual(run(new Op.addDuration(when, new Value.number(1), 'month', 'UTC')),
+                     new Date(Date.UTC(2020, 1, 29, 13, 45)),
+                     `Wrong result adding month`)
+    assert.deepEqual(run(new Op.subtractDuration(when, new Value.number(2), 'hour', 'UTC')),
+                     new Date(Date.UTC(2020, 0, 31, 11, 45)),
+                     `Wrong result subtracting hours`)
+    assert.equal(run(new Op.addDuration(missing, new Value.number(1), 'day', 'UTC')), util.MISSING,
+                 `Expected missing date to propagate`)
+    assert.equal(run(new Op.addDuration(when, new Value.number(util.MISSING), 'day', 'UTC')), util.MISSING,
+                 `Expected missing amount to propagate`)
+    assert.throws(() => run(new Op.addDuration(when, new Value.text('1'), 'day', 'UTC')),
+                  Error,
+                  `Should require numeric amount`)
+    done()
+  })
+
+  it('counts units between datetimes', (done) => {
+    const later = new Value.datetime(new Date(Date.UTC(2020, 2, 1)))
+    assert.equal(run(new Op.datetimeDifference(when, later, 'day', 'UTC')), 29,
+                 `Wrong number of days`)
+    assert.equal(run(new Op.datetimeDifference(later, when, 'month', 'UTC')), -1,
+                 `Wrong number of months`)
+    assert.equal(run(new Op.datetimeDifference(when, missing, 'day', 'UTC')), util.MISSING,
+                 `Expected missing to propagate`)
+    assert.throws(() => run(new Op.datetimeDifference(when, new Value.number(0), 'day', 'UTC')),
+                  Error,
+                  `Should require dates`)
+    done()
+  })
+
+  it('truncates datetimes', (done) => {
+    assert.deepEqual(run(new Op.truncateDatetime(when, 'week', 'UTC')),
+                     new Date(Date.UTC(2020, 0, 27)),
+                     `Wrong start of week`)
+    assert.equal(run(new Op.truncateDatetime(missing, 'month', 'UTC')), util.MISSING,
+                 `Expected missing to propagate`)
+    done()
+  })
+
+  it('formats and parses datetimes', (done) => {
+    assert.equal(run(new Op.formatDatetime(when, 'YYYY/MM/DD HH:mm', 'UTC')), '2020/01/31 13:45',
+                 `Wrong formatting`)
+    assert.deepEqual(run(new Op.parseDatetime(new Value.text('31.1.2020'), 'DD.MM.YYYY', 'UTC')),
+                     new Date(Date.UTC(2020, 0, 31)),
+                     `Wrong parsing`)
+    assert.equal(run(new Op.formatDatetime(missing, 'YYYY', 'UTC')), util.MISSING,
+                 `Expected missing to propagate when formatting`)
+    assert.equal(run(new Op.parseDatetime(new Value.text(util.MISSING), 'YYYY', 'UTC')), util.MISSING,
+                 `Expected missing to propagate when parsing`)
+    assert.throws(() => run(new Op.parseDatetime(new Value.text('2020'), 'DD.MM.YYYY', 'UTC')),
+                  Error,
+                  `Should not parse text that does not match format`)
+    done()
+  })
+
+  it('uses the program time zone by default', (done) => {
+    const noon = new Value.datetime(new Date(Date.UTC(2020, 0, 31, 12, 0)))
+    assert.equal(run(new Op.formatDatetime(noon, 'DD HH:mm')), '31 12:00',
+                 `Should format in UTC by default`)
+    try {
+      util.setTimeZone('Asia/Tokyo')
+      assert.equal(run(new Op.formatDatetime(noon, 'DD HH:mm')), '31 21:00',
+                   `Should format in program time zone`)
+      assert.deepEqual(run(new Op.truncateDatetime(noon, 'day')),
+                       new Date(Date.UTC(2020, 0, 30, 15, 0)),
+                       `Should truncate in program time zone`)
+      assert.equal(run(new Op.toHours(noon)), 21,
+                   `Should extract in program time zone`)
+      assert.equal(run(new Op.toHours(noon, 'UTC')), 12,
+                   `Should use time zone given to operation`)
+      assert.deepEqual(run(new Value.datetime('2020-01-31 21:00')), noon.value,
+                       `Should interpret text without zone in program time zone`)
+    }
+    finally {
+      util.setTimeZone(util.DEFAULT_TIME_ZONE)
+    }
+    done()
+  })
+
+  it('checks units, time zones, and formats when created', (done) => {
+    const one = new Value.number(1)
+    assert.throws(() => new Op.addDuration(when, one, 'fortnight', 'UTC'),
+                  Error,
+                  `Should not accept unknown unit`)
+    assert.throws(() => new Op.datetimeDifference(when, when, 'day', 'Mars'),
+                  Error,
+                  `Should not accept unknown time zone`)
+    assert.throws(() => new Op.formatDatetime(when, 'no fields', 'UTC'),
+                  Error,
+                  `Should not accept format without fields`)
+    assert(!new Op.truncateDatetime(when, 'day', 'UTC').equal(new Op.truncateDatetime(when, 'day', 'local')),
+           `Different time zones should not be equal`)
+    assert(!new Op.formatDatetime(when, 'YYYY', 'UTC').equal(new Op.formatDatetime(when, 'MM', 'UTC')),
+           `Different formats should not be equal`)
+    done()
+  })
+})
+
+describe('mathematical functions', () => {
+  const run = (op) => op.run(fixture.SINGLE[0], 0, fixture.SINGLE)
+
+  it('applies mathematical functions', (done) => {
+    const checks = [
+      ['log', Op.log, Math.E, 1],
+      ['log10', Op.log10, 1000, 3],
+      ['exp', Op.exp, 0, 1],
+      ['sqrt', Op.sqrt, 16, 4],
+      ['floor', Op.floor, -1.5, -2],
+      ['ceiling', Op.ceiling, -1.5, -1],
+      ['sign', Op.sign, -7, -1],
+      ['sin', Op.sin, Math.PI / 2, 1],
+      ['cos', Op.cos, 0, 1],
+      ['tan', Op.tan, 0, 0],
+      ['asin', Op.asin, 1, Math.PI / 2],
+      ['acos', Op.acos, 1, 0],
+      ['atan', Op.atan, 0, 0]
+    ]
+    for (const [name, func, arg, expected] of checks) {
+      assert.equal(run(new func(new Value.number(arg))), expected,
+                   `Wrong result for ${name}`)
+      assert.equal(run(new func(new Value.number(util.MISSING))), util.MISSING,
+                   `Wrong result for missing ${name}`)
+    }
+    done()
+  })
+
+  it('converts non-finite results to missing values', (done) => {
+    const checks = [
+      ['log', Op.log, 0],
+      ['log10', Op.log10, -1],
+      ['sqrt', Op.sqrt, -4],
+      ['exp', Op.exp, 1000],
+      ['asin', Op.asin, 2]
+    ]
+    for (const [name, func, arg] of checks) {
+      assert.equal(run(new func(new Value.number(arg))), util.MISSING,
+                   `Expected missing value for ${name}`)
+    }
+    done()
+  })
+
+  it('rounds to a number of digits', (done) => {
+    const checks = [
+      [2.5, 0, 3],
+      [-2.5, 0, -3],
+      [3.14159, 2, 3.14],
+      [1234.5, -2, 1200],
+      [1250, -2, 1300],
+      [1.005, 2, 1.01],
+      [-1.005, 2, -1.01],
+      [1.45e-7, 8, 1.5e-7],
+      [123.456, 0, 123],
+      [util.MISSING, 1, util.MISSING]
+    ]
+    for (const [value, digits, expected] of checks) {
+      assert.equal(run(new Op.round(new Value.number(value), digits)), expected,
+                   `Wrong rounding of ${value} to ${digits} digits`)
+    }
+    assert.throws(() => new Op.round(new Value.number(1), 0.5),
+                  Error,
+                  `Should require integer number of digits`)
+    assert(!new Op.round(new Value.number(1), 1).equal(new Op.round(new Value.number(1), 2)),
+           `Different digits should not be equal`)
+    done()
+  })
+
+  it('requires numbers for mathematical functions', (done) => {
+    for (const func of [Op.log, Op.sqrt, Op.round]) {
+      assert.throws(() => run(new func(new Value.text('abc'))),
+                    Error,
+                    `Should require number`)
+    }
+    done()
+  })
+})
+
+describe('text operations', () => {
+  it('measures and converts text', (done) => {
+    const value = new Value.text('  Mixed Case ')
+    const checks = [
+      ['length', Op.length, 13],
+      ['upper', Op.upper, '  MIXED CASE '],
+      ['lower', Op.lower, '  mixed case '],
+      ['trim', Op.trim, 'Mixed Case']
+    ]
+    for (const [name, func, expected] of checks) {
+      const op = new func(value)
+      assert.equal(op.run(fixture.SINGLE[0], 0, fixture.SINGLE), expected,
+                   `Wrong result for ${name}`)
+      assert.equal((new func(new Value.text(util.MISSING))).run(fixture.SINGLE[0], 0, fixture.SINGLE),
+                   util.MISSING,
+                   `Wrong result for missing ${name}`)
+    }
+    done()
+  })
+
+  it('concatenates text', (done) => {
+    const expected = ['pqrpqr', 'abcdef', 'defabc', 'abc', util.MISSING, util.MISSING, util.MISSING]
+    const op = new Op.concatenate(getLeft, getRight)
+    const actual = fixture.STRING.map((r, i, d) => op.run(r, i, d))
+    assert.deepEqual(expected, actual,
+                     `Wrong value(s) for concatenate`)
+    done()
+  })
+
+  it('searches text', (done) => {
+    const expected = [true, false, false, true, util.MISSING, util.MISSING, util.MISSING]
+    for (const func of [Op.contains, Op.startsWith, Op.endsWith]) {
+      const op = new func(getLeft, getRight)
+      const actual = fixture.STRING.map((r, i, d) => op.run(r, i, d))
+      assert.deepEqual(expected, actual,
+                       `Wrong value(s) for ${op.kind}`)
+    }
+    const text = new Value.text('Fatal gunshot wound')
+    const run = (op) => op.run(fixture.SINGLE[0], 0, fixture.SINGLE)
+    assert(run(new Op.contains(text, new Value.text('gun'))),
+           `Should contain text`)
+    assert(run(new Op.startsWith(text, new Value.text('Fatal'))),
+           `Should start with text`)
+    assert(!run(new Op.endsWith(text, new Value.text('Fatal'))),
+           `Should not end with text`)
+    done()
+  })
+
+  it('gets substrings', (done) => {
+    const text = new Value.text('abcdef')
+    const run = (start, length) => {
+      const op = new Op.substring(text, new Value.number(start), new Value.number(length))
+      return op.run(fixture.SINGLE[0], 0, fixture.SINGLE)
+    }
+    assert.equal(run(1, 3), 'abc',
+                 `Wrong substring from start`)
+    assert.equal(run(4, 10), 'def',
+                 `Wrong substring past end`)
+    assert.equal(run(8, 2), '',
+                 `Wrong substring after end`)
+    assert.throws(() => run(0, 2),
+                  Error,
+                  `Should not allow zero start`)
+    assert.throws(() => run(1, -1),
+                  Error,
+                  `Should not allow negative length`)
+    done()
+  })
+
+  it('replaces text literally', (done) => {
+    const op = new Op.replace(new Value.text('a.b.c'), new Value.text('.'), new Value.text('--'))
+    assert.equal(op.run(fixture.SINGLE[0], 0, fixture.SINGLE), 'a--b--c',
+                 `Wrong replacement`)
+    const empty = new Op.replace(new Value.text('abc'), new Value.text(''), new Value.text('x'))
+    assert.throws(() => empty.run(fixture.SINGLE[0], 0, fixture.SINGLE),
+                  Error,
+                  `Should not replace empty text`)
+    done()
+  })
+
+  it('gets parts of split text', (done) => {
+    const text = new Value.text('Smith, Jo')
+    const run = (index) => {
+      const op = new Op.splitPart(text, new Value.text(', '), new Value.number(index))
+      return op.run(fixture.SINGLE[0], 0, fixture.SINGLE)
+    }
+    assert.equal(run(1), 'Smith',
+                 `Wrong first part`)
+    assert.equal(run(2), 'Jo',
+                 `Wrong second part`)
+    assert.equal(run(3), util.MISSING,
+                 `Expected missing part`)
+    assert.throws(() => run(0),
+                  Error,
+                  `Should not allow zero index`)
+    done()
+  })
+
+  it('propagates missing values through ternary text operations', (done) => {
+    const text = new Value.text('abc')
+    const missing = new Value.text(util.MISSING)
+    const one = new Value.number(1)
+    const ops = [
+      new Op.substring(missing, one, one),
+      new Op.substring(text, new Value.number(util.MISSING), one),
+      new Op.replace(text, new Value.text('b'), missing),
+      new Op.splitPart(text, missing, one)
+    ]
+    for (const op of ops) {
+      assert.equal(op.run(fixture.SINGLE[0], 0, fixture.SINGLE), util.MISSING,
+                   `Expected missing for ${op.kind}`)
+    }
+    done()
+  })
+
+  it('requires text for text operations', (done) => {
+    const number = new Value.number(123)
+    const text = new Value.text('abc')
+    const ops = [
+      new Op.length(number),
+      new Op.upper(number),
+      new Op.concatenate(text, number),
+      new Op.contains(number, text),
+      new Op.substring(number, new Value.number(1), new Value.number(1))
+    ]
+    for (const op of ops) {
+      assert.throws(() => op.run(fixture.SINGLE[0], 0, fixture.SINGLE),
+                    Error,
+                    `Should require text for ${op.kind}`)
+    }
+    done()
+  })
+})
+
+describe('regular expression operations', () => {
+  const codes = new Value.text('codes AB-123 and CD-9')
+  const run = (op) => op.run(fixture.SINGLE[0], 0, fixture.SINGLE)
+
+  it('matches patterns', (done) => {
+    assert.equal(run(new Op.matches(codes, '[A-Z]{2}-[0-9]+')), true,
+                 `Should match pattern`)
+    assert.equal(run(new Op.matches(codes, '^[0-9]')), false,
+                 `Should not match pattern`)
+    assert.equal(run(new Op.matches(new Value.text(util.MISSING), 'a')), util.MISSING,
+                 `Should propagate missing`)
+    done()
+  })
+
+  it('extracts matches and groups', (done) => {
+    const pattern = '([A-Z]+)-(\\d+)'
+    assert.equal(run(new Op.extract(codes, pattern)), 'AB-123',
+                 `Wrong whole match`)
+    assert.equal(run(new Op.extract(codes, pattern, 1)), 'AB',
+                 `Wrong first group`)
+    assert.equal(run(new Op.extract(codes, pattern, 2)), '123',
+                 `Wrong second group`)
+    assert.equal(run(new Op.extract(codes, 'XYZ')), util.MISSING,
+                 `Expected missing for no match`)
+    assert.equal(run(new Op.extract(codes, '(X)?codes', 1)), util.MISSING,
+                 `Expected missing for unmatched group`)
+    done()
+  })
+
+  it('replaces all matches', (done) => {
+    assert.equal(run(new Op.replaceAll(codes, '-', '/')), 'codes AB/123 and CD/9',
+                 `Wrong replacement`)
+    assert.equal(run(new Op.replaceAll(codes, '([A-Z]+)-(\\d+)', '$2$1')), 'codes 123AB and 9CD',
+                 `Wrong replacement with groups`)
+    const op = new Op.replaceAll(codes, '\\d', '#')
+    assert.equal(run(op), run(op),
+                 `Repeated runs should give the same result`)
+    done()
+  })
+
+  it('rejects invalid patterns and groups when created', (done) => {
+    assert.throws(() => new Op.matches(codes, '(abc'),
+                  /Invalid pattern/,
+                  `Should not accept invalid pattern`)
+    assert.throws(() => new Op.replaceAll(codes, '[z-a]', ''),
+                  /Invalid pattern/,
+                  `Should not accept invalid range`)
+    assert.throws(() => new Op.extract(codes, '(a)(b)', 3),
+                  Error,
+                  `Should not accept nonexistent group`)
+    assert.throws(() => new Op.extract(codes, 'a', -1),
+                  Error,
+                  `Should not accept negative group`)
+    done()
+  })
+
+  it('requires text to match against', (done) => {
+    assert.throws(() => run(new Op.matches(new Value.number(123), '1')),
+                  Error,
+                  `Should require text`)
+    done()
+  })
+
+  it('compares regular expression operations', (done) => {
+    assert(new Op.extract(codes, 'a', 0).equal(new Op.extract(codes, 'a', 0)),
+           `Same should equal`)
+    assert(!new Op.extract(codes, 'a', 0).equal(new Op.extract(codes, 'b', 0)),
+           `Different patterns should not equal`)
+    assert(!new Op.replaceAll(codes, 'a', 'x').equal(new Op.replaceAll(codes, 'a', 'y')),
+           `Different replacements should not equal`)
+    done()
+  })
+})
+
 describe('expression equality tests', () => {
   it('compares unary expressions', (done) => {
     const const_one = new Value.text('one')
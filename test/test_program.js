@@ -388,6 +388,55 @@ describe('seeds random number generation', () => {
   })
 })
 
+describe('sets the time zone', () => {
+  it('uses the time zone block when running the program', (done) => {
+    const json = [Program.FAMILY,
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'data', 'colors'],
+                   [Transform.FAMILY, 'create', 'when',
+                    ['@op', 'formatDatetime',
+                     ['@value', 'datetime', '2020-07-03 12:00'], 'YYYY-MM-DD HH:mm', 'UTC']],
+                   [Transform.FAMILY, 'saveAs', 'result']],
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'timeZone', 'Asia/Tokyo']]]
+    const program = new Restore().program(json)
+    const env = new Env(INTERFACE)
+    program.run(env)
+    assert.deepEqual(env.log[0], ['log', 'timeZone Asia/Tokyo'],
+                     `Should run time zone block first`)
+    assert.equal(env.results.get('result').data[0].when, '2020-07-03 03:00',
+                 `Should interpret datetime in program time zone`)
+    assert.equal(util.getTimeZone(), util.DEFAULT_TIME_ZONE,
+                 `Should restore default time zone after running`)
+    done()
+  })
+
+  it('uses UTC if there is no time zone block', (done) => {
+    const json = [Program.FAMILY,
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'data', 'colors'],
+                   [Transform.FAMILY, 'create', 'hours',
+                    ['@op', 'toHours', ['@value', 'datetime', '2020-07-03 12:00']]],
+                   [Transform.FAMILY, 'saveAs', 'result']]]
+    const program = new Restore().program(json)
+    const env = new Env(INTERFACE)
+    program.run(env)
+    assert.equal(env.results.get('result').data[0].hours, 12,
+                 `Should use UTC by default`)
+    done()
+  })
+
+  it('rejects unknown time zones', (done) => {
+    assert.throws(() => new Transform.timeZone('Mars/Olympus_Mons'),
+                  Error,
+                  `Should not accept unknown time zone`)
+    assert.throws(() => new Transform.timeZone(null),
+                  Error,
+                  `Should require time zone`)
+    done()
+  })
+})
+
 describe('checks programs for problems', () => {
   it('checks that only one seed block is allowed', (done) => {
     const phrase = 'random phrase'
@@ -407,4 +456,18 @@ describe('checks programs for problems', () => {
                     `Did not get expected error message`)
     done()
   })
+
+  it('checks that only one time zone block is allowed', (done) => {
+    const json = [Program.FAMILY,
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'timeZone', 'UTC']],
+                  [Pipeline.FAMILY,
+                   [Transform.FAMILY, 'timeZone', 'local']]]
+    const program = new Restore().program(json)
+    const env = new Env(INTERFACE)
+    program.run(env)
+    assert.deepEqual(env.log, [['error', 'Program has 2 time zone blocks: only allowed 1']],
+                     `Did not get expected error message`)
+    done()
+  })
 })
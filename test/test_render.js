@@ -0,0 +1,65 @@
+'use strict'
+
+const assert = require('assert')
+
+const DataFrame = require('../libs/dataframe')
+const Env = require('../libs/env')
+const Transform = require('../libs/transform')
+const {SCHEMA, plotToSpec, plotToJSON, plotToSvg} = require('../libs/render')
+
+const fixture = require('./fixture')
+
+const INTERFACE = new fixture.TestInterface()
+
+const makePlot = (transform) => {
+  const env = new Env(INTERFACE)
+  transform.run(env, new DataFrame(fixture.COLORS))
+  return env.getPlot(transform.label)
+}
+
+describe('exports plots', () => {
+  it('makes standalone Vega-Lite specs with data inlined', (done) => {
+    const plot = makePlot(new Transform.bar('figure_1', 'name', 'red'))
+    const spec = plotToSpec(plot)
+    assert.equal(spec.$schema, SCHEMA,
+                 `Expected schema`)
+    assert.deepEqual(spec.data.values, fixture.COLORS,
+                     `Expected data to be inlined`)
+    assert(!('$schema' in plot),
+           `Should not modify stored plot`)
+    assert.deepEqual(JSON.parse(plotToJSON(plot)).data.values, fixture.COLORS,
+                     `Expected data in JSON`)
+    done()
+  })
+
+  it('requires plots with data', (done) => {
+    const transform = new Transform.bar('figure_1', 'name', 'red')
+    assert.throws(() => plotToSpec(transform.spec),
+                  Error,
+                  `Should not export plot that has not been run`)
+    assert.throws(() => plotToSpec(null),
+                  Error,
+                  `Should not export non-plot`)
+    done()
+  })
+
+  it('renders plots as SVG', (done) => {
+    const plot = makePlot(new Transform.bar('figure_1', 'name', 'red', '', [['title', 'Colors']]))
+    plotToSvg(plot).then(svg => {
+      assert(svg.startsWith('<svg'),
+             `Expected SVG`)
+      assert(svg.includes('>Colors<'),
+             `Expected title in SVG`)
+      done()
+    }).catch(done)
+  })
+
+  it('renders faceted and layered plots as SVG', (done) => {
+    const plot = makePlot(new Transform.scatter('figure_1', 'red', 'green', null, true, 'name'))
+    plotToSvg(plot).then(svg => {
+      assert(svg.startsWith('<svg'),
+             `Expected SVG`)
+      done()
+    }).catch(done)
+  })
+})
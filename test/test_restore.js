@@ -75,7 +75,11 @@ describe('expression persistence', () => {
     const childJSON = [Value.FAMILY, 'number', 123]
     const allChecks = [
       ['negate', Op.negate],
-      ['not', Op.not]
+      ['not', Op.not],
+      ['length', Op.length],
+      ['lower', Op.lower],
+      ['trim', Op.trim],
+      ['upper', Op.upper]
     ]
     for (const [name, func] of allChecks) {
       const factory = new Restore()
@@ -87,13 +91,35 @@ describe('expression persistence', () => {
     done()
   })
 
+  it('restores mathematical functions', (done) => {
+    const childObj = new Value.number(123)
+    const childJSON = [Value.FAMILY, 'number', 123]
+    const allChecks = ['acos', 'asin', 'atan', 'ceiling', 'cos', 'exp', 'floor',
+                       'log', 'log10', 'sign', 'sin', 'sqrt', 'tan']
+    for (const name of allChecks) {
+      const factory = new Restore()
+      const json = [Op.FAMILY, name, childJSON]
+      assert.deepEqual(factory.expr(json),
+                       new Op[name](childObj),
+                       `Failed to restore mathematical function "${name}"`)
+    }
+    const factory = new Restore()
+    assert.deepEqual(factory.expr([Op.FAMILY, 'round', childJSON, 2]),
+                     new Op.round(childObj, 2),
+                     `Failed to restore rounding`)
+    done()
+  })
+
   it('restores binary operations', (done) => {
     const childObj = new Value.number(123)
     const childJSON = [Value.FAMILY, 'number', 123]
     const allChecks = [
       ['add', Op.add],
       ['and', Op.and],
+      ['concatenate', Op.concatenate],
+      ['contains', Op.contains],
       ['divide', Op.divide],
+      ['endsWith', Op.endsWith],
       ['equal', Op.equal],
       ['greater', Op.greater],
       ['greaterEqual', Op.greaterEqual],
@@ -104,6 +130,7 @@ describe('expression persistence', () => {
       ['or', Op.or],
       ['power', Op.power],
       ['remainder', Op.remainder],
+      ['startsWith', Op.startsWith],
       ['subtract', Op.subtract]
     ]
     for (const [name, func] of allChecks) {
@@ -133,6 +160,24 @@ describe('expression persistence', () => {
     done()
   })
 
+  it('restores ternary text operations', (done) => {
+    const childObj = new Value.text('abc')
+    const childJSON = [Value.FAMILY, 'text', 'abc']
+    const allChecks = [
+      ['replace', Op.replace],
+      ['splitPart', Op.splitPart],
+      ['substring', Op.substring]
+    ]
+    for (const [name, func] of allChecks) {
+      const factory = new Restore()
+      const json = [Op.FAMILY, name, childJSON, childJSON, childJSON]
+      assert.deepEqual(factory.expr(json),
+                       new func(childObj, childObj, childObj),
+                       `Failed to restore ternary text operation ${name}`)
+    }
+    done()
+  })
+
   it('restores shift operations', (done) => {
     const factory = new Restore()
     const json = [Op.FAMILY, 'shift', 'pink', -3]
@@ -142,6 +187,54 @@ describe('expression persistence', () => {
     done()
   })
 
+  it('restores datetime arithmetic and formatting operations', (done) => {
+    const childObj = new Value.datetime(fixture.CONCERT)
+    const childJSON = [Value.FAMILY, 'datetime', fixture.CONCERT_STR]
+    const amountObj = new Value.number(2)
+    const amountJSON = [Value.FAMILY, 'number', 2]
+    const factory = new Restore()
+    assert.deepEqual(factory.expr([Op.FAMILY, 'addDuration', childJSON, amountJSON, 'day', 'UTC']),
+                     new Op.addDuration(childObj, amountObj, 'day', 'UTC'),
+                     `Failed to restore addition`)
+    assert.deepEqual(factory.expr([Op.FAMILY, 'subtractDuration', childJSON, amountJSON, 'month', 'local']),
+                     new Op.subtractDuration(childObj, amountObj, 'month', 'local'),
+                     `Failed to restore subtraction`)
+    assert.deepEqual(factory.expr([Op.FAMILY, 'datetimeDifference', childJSON, childJSON, 'week', 'UTC']),
+                     new Op.datetimeDifference(childObj, childObj, 'week', 'UTC'),
+                     `Failed to restore difference`)
+    assert.deepEqual(factory.expr([Op.FAMILY, 'truncateDatetime', childJSON, 'month', 'UTC']),
+                     new Op.truncateDatetime(childObj, 'month', 'UTC'),
+                     `Failed to restore truncation`)
+    assert.deepEqual(factory.expr([Op.FAMILY, 'formatDatetime', childJSON, 'YYYY-MM', 'UTC']),
+                     new Op.formatDatetime(childObj, 'YYYY-MM', 'UTC'),
+                     `Failed to restore formatting`)
+    const textObj = new Value.text('2020-01')
+    const textJSON = [Value.FAMILY, 'text', '2020-01']
+    assert.deepEqual(factory.expr([Op.FAMILY, 'parseDatetime', textJSON, 'YYYY-MM', 'UTC']),
+                     new Op.parseDatetime(textObj, 'YYYY-MM', 'UTC'),
+                     `Failed to restore parsing`)
+    done()
+  })
+
+  it('restores regular expression operations', (done) => {
+    const childObj = new Value.text('abc')
+    const childJSON = [Value.FAMILY, 'text', 'abc']
+    const factory = new Restore()
+    assert.deepEqual(factory.expr([Op.FAMILY, 'matches', childJSON, '^a\\w']),
+                     new Op.matches(childObj, '^a\\w'),
+                     `Failed to restore matching`)
+    assert.deepEqual(factory.expr([Op.FAMILY, 'extract', childJSON, '(a)', 1]),
+                     new Op.extract(childObj, '(a)', 1),
+                     `Failed to restore extraction`)
+    assert.deepEqual(factory.expr([Op.FAMILY, 'replaceAll', childJSON, 'a', 'b']),
+                     new Op.replaceAll(childObj, 'a', 'b'),
+                     `Failed to restore replacement`)
+    assert.throws(() => factory.expr([Op.FAMILY, 'matches', childJSON, '(']),
+                  Error,
+                  `Should not restore invalid pattern`)
+    done()
+  })
+
   it('restores type-checking operations', (done) => {
     const childObj = new Value.number(123)
     const childJSON = [Value.FAMILY, 'number', 123]
@@ -200,6 +293,9 @@ describe('expression persistence', () => {
                        new func(childObj),
                        `Failed to restore datetime ${name}`)
     }
+    assert.deepEqual(new Restore().expr([Op.FAMILY, 'toHours', childJSON, 'Asia/Tokyo']),
+                     new Op.toHours(childObj, 'Asia/Tokyo'),
+                     `Failed to restore datetime operation with time zone`)
     done()
   })
 })
@@ -251,6 +347,33 @@ describe('transform persistence', () => {
     done()
   })
 
+  it('restores join with a kind from JSON', (done) => {
+    const factory = new Restore()
+    const json = [Transform.FAMILY, 'join', 'before', 'red', 'after', 'blue', 'full']
+    const actual = factory.transform(json)
+    assert.deepEqual(actual,
+                     new Transform.join('before', 'red', 'after', 'blue', 'full'),
+                     `join`)
+    assert.equal(actual.kind, 'full',
+                 `Wrong kind of join`)
+    assert.throws(() => factory.transform([Transform.FAMILY, 'join', 'before', 'red', 'after', 'blue', 'sideways']),
+                  Error,
+                  `Should not restore unknown kind of join`)
+    done()
+  })
+
+  it('restores join on multiple columns from JSON', (done) => {
+    const factory = new Restore()
+    const json = [Transform.FAMILY, 'join', 'before', ['red', 'green'], 'after', ['blue', 'alpha'], 'left']
+    const actual = factory.transform(json)
+    assert(actual.equal(new Transform.join('before', ['red', 'green'], 'after', ['blue', 'alpha'], 'left')),
+           `join`)
+    assert.throws(() => factory.transform([Transform.FAMILY, 'join', 'before', ['red', 'green'], 'after', ['blue'], 'inner']),
+                  Error,
+                  `Should not restore join with different numbers of columns`)
+    done()
+  })
+
   it('restores create from JSON', (done) => {
     const newName = 'finished'
     const factory = new Restore()
@@ -289,6 +412,20 @@ describe('transform persistence', () => {
     done()
   })
 
+  it('restores resampling from JSON', (done) => {
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'sample', 5, true]),
+                     new Transform.sample(5, true),
+                     `sample`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'bootstrap', 100, 'replicate']),
+                     new Transform.bootstrap(100, 'replicate'),
+                     `bootstrap`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'shuffle', 'red']),
+                     new Transform.shuffle('red'),
+                     `shuffle`)
+    done()
+  })
+
   it('restores sort from JSON', (done) => {
     const columns = ['left', 'right']
     const factory = new Restore()
@@ -307,12 +444,36 @@ describe('transform persistence', () => {
     done()
   })
 
+  it('restores summarize with several summaries from JSON', (done) => {
+    const summaries = [['mean', 'red', ''], ['count', 'green', 'n']]
+    const transform = new Transform.summarize(summaries, true)
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'summarize', summaries, true]),
+                     transform,
+                     `summarize`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'summarize', summaries, true, 'propagate']),
+                     new Transform.summarize(summaries, true, 'propagate'),
+                     `summarize with missing-value policy`)
+    done()
+  })
+
   it('restores running from JSON', (done) => {
     const transform = new Transform.running('sum', 'red')
     const factory = new Restore()
     assert.deepEqual(factory.transform([Transform.FAMILY, 'running', 'sum', 'red']),
                      transform,
                      `running`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'running', 'sum', 'red', 'propagate']),
+                     new Transform.running('sum', 'red', 'propagate'),
+                     `running with missing-value policy`)
+    done()
+  })
+
+  it('restores collapse from JSON', (done) => {
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'collapse']),
+                     new Transform.collapse(),
+                     `collapse`)
     done()
   })
 
@@ -332,6 +493,14 @@ describe('transform persistence', () => {
                      `unique`)
     done()
   })
+
+  it('restores time zone from JSON', (done) => {
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'timeZone', 'Europe/Paris']),
+                     new Transform.timeZone('Europe/Paris'),
+                     `timeZone`)
+    done()
+  })
 })
 
 describe('plot persistence', () => {
@@ -371,6 +540,46 @@ describe('plot persistence', () => {
     done()
   })
 
+  it('restores area, line, and heatmap from JSON', (done) => {
+    const label = 'final', axisX = 'age', axisY = 'height', color = 'vermilion'
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'area', label, axisX, axisY, color]),
+                     new Transform.area(label, axisX, axisY, color),
+                     `area`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'line', label, axisX, axisY, '']),
+                     new Transform.line(label, axisX, axisY, ''),
+                     `line`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'heatmap', label, axisX, axisY, color]),
+                     new Transform.heatmap(label, axisX, axisY, color),
+                     `heatmap`)
+    done()
+  })
+
+  it('restores faceted plots from JSON', (done) => {
+    const factory = new Restore()
+    const transform = factory.transform([Transform.FAMILY, 'bar', 'figure', 'age', 'height', 'species'])
+    assert.deepEqual(transform,
+                     new Transform.bar('figure', 'age', 'height', 'species'),
+                     `bar`)
+    assert.equal(transform.facet, 'species',
+                 `Wrong facet`)
+    done()
+  })
+
+  it('restores plot options from JSON', (done) => {
+    const options = [['title', 'Growth'], ['scale', 'y', 'log']]
+    const factory = new Restore()
+    const transform = factory.transform([Transform.FAMILY, 'bar', 'figure', 'age', 'height', '', options])
+    assert.deepEqual(transform,
+                     new Transform.bar('figure', 'age', 'height', '', options),
+                     `bar`)
+    assert.equal(transform.spec.title, 'Growth',
+                 `Wrong title`)
+    assert.equal(transform.spec.encoding.y.scale.type, 'log',
+                 `Wrong scale`)
+    done()
+  })
+
   it('restores scatter from JSON', (done) => {
     const label = 'final', axisX = 'age', axisY = 'height', color = 'vermilion'
     const factory = new Restore()
@@ -391,14 +600,78 @@ describe('generates code for statistics', () => {
     done()
   })
 
-  it('restores paired two-sided t test from JSON', (done) => {
+  it('restores two-sample t test from JSON', (done) => {
     const significance = 0.03, leftCol = 'green', rightCol = 'blue'
     const factory = new Restore()
     assert.deepEqual(factory.transform([Transform.FAMILY, 'ttest_two', leftCol, rightCol]),
                      new Transform.ttest_two(leftCol, rightCol),
+                     `two-sample t test`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'ttest_two', 'result', leftCol, rightCol, true, 'greater']),
+                     new Transform.ttest_two('result', leftCol, rightCol, true, 'greater'),
+                     `Welch t test`)
+    done()
+  })
+
+  it('restores paired t test from JSON', (done) => {
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'ttest_paired', 'result', 'green', 'blue', 'less']),
+                     new Transform.ttest_paired('result', 'green', 'blue', 'less'),
                      `paired t test`)
     done()
   })
+
+  it('restores linear regression from JSON', (done) => {
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'linear_regression', 'fit', 'red', ['green'], 'predicted', '']),
+                     new Transform.linear_regression('fit', 'red', ['green'], 'predicted', ''),
+                     `linear regression`)
+    done()
+  })
+
+  it('restores clustering from JSON', (done) => {
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'k_means', 'clusters', ['red', 'green'], 3, 'label', true]),
+                     new Transform.k_means('clusters', ['red', 'green'], 3, 'label', true),
+                     `k-means`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'silhouette', ['red', 'green'], 'label', 'score']),
+                     new Transform.silhouette(['red', 'green'], 'label', 'score'),
+                     `silhouette`)
+    done()
+  })
+
+  it('restores clustering saved in the older two-column form', (done) => {
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'k_means', 'x', 'y', 3, 'label']),
+                     new Transform.k_means('label', ['x', 'y'], 3, 'label', false),
+                     `old k-means`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'silhouette', 'x', 'y', 'label', 'score']),
+                     new Transform.silhouette(['x', 'y'], 'label', 'score', false),
+                     `old silhouette`)
+    done()
+  })
+
+  it('restores hypothesis tests from JSON', (done) => {
+    const factory = new Restore()
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'chisq', 'chi', 'red', 'green']),
+                     new Transform.chisq('chi', 'red', 'green'),
+                     `chi-squared`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'anova', 'aov', 'name', 'red']),
+                     new Transform.anova('aov', 'name', 'red'),
+                     `ANOVA`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'mann_whitney', 'mw', 'name', 'red']),
+                     new Transform.mann_whitney('mw', 'name', 'red'),
+                     `Mann-Whitney`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'wilcoxon', 'wil', 'red', 'green']),
+                     new Transform.wilcoxon('wil', 'red', 'green'),
+                     `Wilcoxon`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'kruskal_wallis', 'kw', 'name', 'red']),
+                     new Transform.kruskal_wallis('kw', 'name', 'red'),
+                     `Kruskal-Wallis`)
+    assert.deepEqual(factory.transform([Transform.FAMILY, 'correlation', 'cor', 'red', 'green', 'spearman']),
+                     new Transform.correlation('cor', 'red', 'green', 'spearman'),
+                     `correlation`)
+    done()
+  })
 })
 
 describe('program and pipeline persistence', () => {
@@ -3,6 +3,7 @@
 const assert = require('assert')
 
 const util = require('../libs/util')
+const DataFrame = require('../libs/dataframe')
 const Running = require('../libs/running')
 
 const makeTrueFalse = () => ([{name: true},
@@ -95,5 +96,93 @@ describe('running values', () => {
                      `Mismatch`)
     done()
   })
+
+  it('names running value columns after the operation', (done) => {
+    const df = new DataFrame([{age: 3}, {age: 1}, {age: 5}])
+    const result = df
+      .running(new Running.maximum('age'))
+      .running(new Running.minimum('age'))
+    assert.deepEqual(result.data.map(row => [row.age_maximum, row.age_minimum]),
+                     [[3, 3], [3, 1], [5, 1]],
+                     `Second running value should not overwrite the first`)
+    assert(!result.hasColumns(['age_all']),
+           `Should not use old column name`)
+    done()
+  })
 })
 
+describe('missing values in running values', () => {
+  const makeWithMissing = () => ([{name: util.MISSING},
+                                  {name: 3},
+                                  {name: util.MISSING},
+                                  {name: 1},
+                                  {name: 4}])
+
+  const makeLogicalWithMissing = () => ([{name: true},
+                                         {name: util.MISSING},
+                                         {name: false}])
+
+  // Operation, fixture, expected values when skipping missing values.
+  const SKIPPED = [
+    ['all', makeLogicalWithMissing, [true, true, false]],
+    ['any', makeLogicalWithMissing, [true, true, true]],
+    ['index', makeWithMissing, [1, 2, 3, 4, 5]],
+    ['maximum', makeWithMissing, [util.MISSING, 3, 3, 3, 4]],
+    ['mean', makeWithMissing, [util.MISSING, 3, 3, 2, 8 / 3]],
+    ['minimum', makeWithMissing, [util.MISSING, 3, 3, 1, 1]],
+    ['sum', makeWithMissing, [util.MISSING, 3, 3, 4, 8]]
+  ]
+
+  // Operation, fixture, expected values when propagating missing values.
+  const PROPAGATED = [
+    ['all', makeLogicalWithMissing, [true, util.MISSING, util.MISSING]],
+    ['any', makeLogicalWithMissing, [true, util.MISSING, util.MISSING]],
+    ['index', makeWithMissing, [1, 2, 3, 4, 5]],
+    ['maximum', makeWithMissing, Array(5).fill(util.MISSING)],
+    ['mean', makeWithMissing, Array(5).fill(util.MISSING)],
+    ['minimum', makeWithMissing, Array(5).fill(util.MISSING)],
+    ['sum', makeWithMissing, Array(5).fill(util.MISSING)]
+  ]
+
+  it('skips missing values by default for every operation', (done) => {
+    SKIPPED.forEach(([name, makeFixture, expected]) => {
+      const byDefault = makeFixture()
+      new Running[name]('name').run(byDefault, 'dest')
+      assert.deepEqual(byDefault.map(row => row.dest), expected,
+                       `Wrong default values for ${name}`)
+      const skipped = makeFixture()
+      new Running[name]('name').run(skipped, 'dest', 'skip')
+      assert.deepEqual(skipped.map(row => row.dest), expected,
+                       `Wrong skipped values for ${name}`)
+    })
+    done()
+  })
+
+  it('propagates missing values for every operation', (done) => {
+    PROPAGATED.forEach(([name, makeFixture, expected]) => {
+      const fixture = makeFixture()
+      new Running[name]('name').run(fixture, 'dest', 'propagate')
+      assert.deepEqual(fixture.map(row => row.dest), expected,
+                       `Wrong propagated values for ${name}`)
+    })
+    done()
+  })
+
+  it('propagates missing values from the first one onward', (done) => {
+    const fixture = [{name: 3}, {name: 1}, {name: util.MISSING}, {name: 4}]
+    new Running.sum('name').run(fixture, 'dest', 'propagate')
+    assert.deepEqual(fixture.map(row => row.dest), [3, 4, util.MISSING, util.MISSING],
+                     `Wrong propagated values`)
+    done()
+  })
+
+  it('rejects unknown policies', (done) => {
+    assert.throws(() => new Running.sum('name').run(makeNumbers(), 'dest', 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    assert.throws(() => new Running.index('name').run(makeNumbers(), 'dest', 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    done()
+  })
+})
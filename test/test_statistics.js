@@ -0,0 +1,286 @@
+'use strict'
+
+const assert = require('assert')
+
+const statistics = require('../libs/statistics')
+
+const approx = require('./approx')
+
+describe('statistical distributions', () => {
+  it('calculates the regularized incomplete beta function', (done) => {
+    assert(approx.approxEqual(statistics.incompleteBeta(0.3, 2, 5), 0.579825),
+           `Wrong value below the switch-over point`)
+    assert(approx.approxEqual(statistics.incompleteBeta(0.9, 2, 5), 0.999945),
+           `Wrong value above the switch-over point`)
+    assert.equal(statistics.incompleteBeta(0, 2, 5), 0,
+                 `Wrong value at lower limit`)
+    assert.equal(statistics.incompleteBeta(1, 2, 5), 1,
+                 `Wrong value at upper limit`)
+    assert.throws(() => statistics.incompleteBeta(1.5, 2, 5),
+                  Error,
+                  `Should require x between 0 and 1`)
+    assert.throws(() => statistics.incompleteBeta(0.5, 0, 5),
+                  Error,
+                  `Should require positive shape parameters`)
+    done()
+  })
+
+  it('calculates the t distribution', (done) => {
+    assert(approx.approxEqual(statistics.tDistribution(2.0, 10), 0.963305983),
+           `Wrong value for positive t`)
+    assert(approx.approxEqual(statistics.tDistribution(-1.5, 3), 0.115291933),
+           `Wrong value for negative t`)
+    assert(approx.approxEqual(statistics.tDistribution(0, 7), 0.5),
+           `Distribution should be symmetric`)
+    done()
+  })
+
+  it('calculates quantiles and intervals of the t distribution', (done) => {
+    assert(approx.approxEqual(statistics.tQuantile(0.975, 4), 2.776445105),
+           `Wrong upper quantile`)
+    assert(approx.approxEqual(statistics.tQuantile(0.05, 10), -1.812461123),
+           `Wrong lower quantile`)
+    const {level, low, high} = statistics.tInterval(3, 0.5, 4)
+    assert.equal(level, 0.95,
+                 `Wrong default level`)
+    assert(approx.allApproxEqual([low, high], [3 - (0.5 * 2.776445105), 3 + (0.5 * 2.776445105)]),
+           `Wrong interval`)
+    assert.throws(() => statistics.tQuantile(1, 4),
+                  Error,
+                  `Should require probability less than 1`)
+    done()
+  })
+
+  it('calculates the regularized incomplete gamma function', (done) => {
+    assert(approx.approxEqual(statistics.incompleteGamma(1.5, 3), 0.191153169),
+           `Wrong value from series`)
+    assert(approx.approxEqual(statistics.incompleteGamma(5, 2), 0.959572318),
+           `Wrong value from continued fraction`)
+    assert.equal(statistics.incompleteGamma(0, 2), 0,
+                 `Wrong value at lower limit`)
+    assert.throws(() => statistics.incompleteGamma(-1, 2),
+                  Error,
+                  `Should require non-negative x`)
+    done()
+  })
+
+  it('calculates the normal and chi-squared distributions', (done) => {
+    assert(approx.approxEqual(statistics.normalDistribution(1.96), 0.975002105),
+           `Wrong value for positive z`)
+    assert(approx.approxEqual(statistics.normalDistribution(-1), 0.158655254),
+           `Wrong value for negative z`)
+    assert(approx.approxEqual(statistics.normalQuantile(0.975), 1.959963985),
+           `Wrong normal quantile`)
+    assert(approx.approxEqual(1 - statistics.chiSquaredDistribution(3.84, 1), 0.050043521),
+           `Wrong chi-squared value for one degree of freedom`)
+    assert(approx.approxEqual(1 - statistics.chiSquaredDistribution(10, 4), 0.040427682),
+           `Wrong chi-squared value for several degrees of freedom`)
+    done()
+  })
+
+  it('calculates p-values and intervals for alternative hypotheses', (done) => {
+    assert(approx.approxEqual(statistics.tPValue(2.0, 10), 2 * (1 - 0.963305983)),
+           `Wrong two-sided p-value`)
+    assert(approx.approxEqual(statistics.tPValue(2.0, 10, 'less'), 0.963305983),
+           `Wrong lower-tail p-value`)
+    assert(approx.approxEqual(statistics.tPValue(2.0, 10, 'greater'), 1 - 0.963305983),
+           `Wrong upper-tail p-value`)
+    const less = statistics.tInterval(3, 0.5, 4, 0.95, 'less')
+    assert.equal(less.low, -Infinity,
+                 `Lower bound should be infinite`)
+    assert.throws(() => statistics.tPValue(2.0, 10, 'sideways'),
+                  Error,
+                  `Should reject unknown alternative`)
+    done()
+  })
+
+  it('calculates the F distribution', (done) => {
+    assert(approx.approxEqual(statistics.fDistribution(3.5, 2, 10), 1 - (1.7 ** -5)),
+           `Wrong value`)
+    assert.equal(statistics.fDistribution(0, 2, 10), 0,
+                 `Wrong value at zero`)
+    assert.equal(statistics.fDistribution(Infinity, 2, 10), 1,
+                 `Wrong value at infinity`)
+    done()
+  })
+})
+
+describe('statistical results', () => {
+  it('fills in fields that do not apply', (done) => {
+    const result = new statistics.StatsResult('test', {pValue: 0.5})
+    assert.equal(result.pValue, 0.5,
+                 `Wrong p-value`)
+    assert.equal(result.statistic, null,
+                 `Unused fields should be null`)
+    done()
+  })
+
+  it('rejects unknown fields and unnamed tests', (done) => {
+    assert.throws(() => new statistics.StatsResult('test', {kerfuffle: 1}),
+                  Error,
+                  `Should not accept unknown field`)
+    assert.throws(() => new statistics.StatsResult(''),
+                  Error,
+                  `Should require test name`)
+    done()
+  })
+
+  it('converts results to tables', (done) => {
+    const result = new statistics.StatsResult('test', {
+      statistic: {name: 't', value: 2},
+      df: [1, 3],
+      pValue: 0.25,
+      confidenceInterval: {level: 0.95, low: 1, high: 3},
+      sampleSizes: {left: 4, right: 5},
+      extra: {thing: 'value'}
+    })
+    assert.deepEqual(result.toTable(), [
+      {name: 'test', value: 'test'},
+      {name: 't', value: 2},
+      {name: 'degrees of freedom', value: '1, 3'},
+      {name: 'p-value', value: 0.25},
+      {name: '95% confidence interval', value: '[1, 3]'},
+      {name: 'n (left)', value: 4},
+      {name: 'n (right)', value: 5},
+      {name: 'thing', value: 'value'}
+    ], `Wrong table`)
+    done()
+  })
+})
+
+describe('hypothesis tests', () => {
+  const GROUPS = new Map([['a', [1, 2, 3]], ['b', [4, 5, 6]], ['c', [7, 8, 9]]])
+
+  it('ranks values with ties', (done) => {
+    assert.deepEqual(statistics.rank([3, 1, 4, 1, 5]), [3, 1.5, 4, 1.5, 5],
+                     `Tied values should get average ranks`)
+    done()
+  })
+
+  it('tests independence with chi-squared', (done) => {
+    const result = statistics.chiSquaredTest(['x', 'x', 'x', 'y', 'y', 'y'],
+                                             ['p', 'p', 'q', 'q', 'q', 'q'])
+    assert(approx.approxEqual(result.statistic.value, 3),
+           `Wrong statistic`)
+    assert.equal(result.df, 1,
+                 `Wrong degrees of freedom`)
+    assert(approx.approxEqual(result.pValue, 0.083264517),
+           `Wrong p-value`)
+    assert(approx.approxEqual(result.effectSize.value, Math.sqrt(0.5)),
+           `Wrong Cramer's V`)
+    assert.deepEqual(result.details.map(row => row.expected), [1, 2, 1, 2],
+                     `Wrong expected counts`)
+    assert.throws(() => statistics.chiSquaredTest(['x', 'x'], ['p', 'q']),
+                  Error,
+                  `Should require two categories in each column`)
+    done()
+  })
+
+  it('runs one-way ANOVA', (done) => {
+    const result = statistics.anova(GROUPS)
+    assert(approx.approxEqual(result.statistic.value, 27),
+           `Wrong F statistic`)
+    assert.deepEqual(result.df, [2, 6],
+                     `Wrong degrees of freedom`)
+    assert(approx.approxEqual(result.pValue, 0.001),
+           `Wrong p-value`)
+    assert(approx.approxEqual(result.effectSize.value, 0.9),
+           `Wrong eta squared`)
+    assert.throws(() => statistics.anova(new Map([['a', [1, 2]]])),
+                  Error,
+                  `Should require at least two groups`)
+    done()
+  })
+
+  it('runs Mann-Whitney U test', (done) => {
+    const result = statistics.mannWhitney(new Map([['a', [1, 2, 3]], ['b', [4, 5, 6, 7]]]))
+    assert.equal(result.statistic.value, 0,
+                 `Wrong U`)
+    assert(approx.approxEqual(result.pValue, 0.051829927),
+           `Wrong p-value`)
+    assert.equal(result.effectSize.value, -1,
+                 `Wrong rank-biserial correlation`)
+    assert.throws(() => statistics.mannWhitney(GROUPS),
+                  Error,
+                  `Should require exactly two groups`)
+    done()
+  })
+
+  it('runs Wilcoxon signed-rank test', (done) => {
+    const result = statistics.wilcoxon([1, 2, 3, 4, 5, 6], [2, 4, 6, 8, 10, 6])
+    assert.equal(result.statistic.value, 0,
+                 `Wrong V`)
+    assert(approx.approxEqual(result.pValue, 0.059058229),
+           `Wrong p-value`)
+    assert.deepEqual(result.sampleSizes, {pairs: 6, differences: 5},
+                     `Should ignore pairs without differences`)
+    assert.throws(() => statistics.wilcoxon([1, 2], [1, 2]),
+                  Error,
+                  `Should require some differences`)
+    done()
+  })
+
+  it('runs Kruskal-Wallis test', (done) => {
+    const result = statistics.kruskalWallis(GROUPS)
+    assert(approx.approxEqual(result.statistic.value, 7.2),
+           `Wrong H`)
+    assert.equal(result.df, 2,
+                 `Wrong degrees of freedom`)
+    assert(approx.approxEqual(result.pValue, Math.exp(-3.6)),
+           `Wrong p-value`)
+    done()
+  })
+
+  it('tests correlation', (done) => {
+    const pearson = statistics.correlation([1, 2, 3, 4, 5], [2, 1, 4, 3, 5])
+    assert(approx.approxEqual(pearson.effectSize.value, 0.8),
+           `Wrong correlation`)
+    assert(approx.approxEqual(pearson.statistic.value, 2.309401077),
+           `Wrong t`)
+    assert(approx.approxEqual(pearson.pValue, 0.104088039),
+           `Wrong p-value`)
+    assert(approx.allApproxEqual([pearson.confidenceInterval.low, pearson.confidenceInterval.high],
+                                 [-0.279640042, 0.986196193]),
+           `Wrong confidence interval`)
+    const spearman = statistics.correlation([1, 2, 3, 4, 5], [20, 10, 40, 30, 500], 'spearman')
+    assert.equal(spearman.effectSize.name, 'rho',
+                 `Wrong effect size name`)
+    assert(approx.approxEqual(spearman.effectSize.value, 0.8),
+           `Spearman correlation should use ranks`)
+    assert.equal(spearman.confidenceInterval, null,
+                 `Spearman correlation should not have interval`)
+    assert.throws(() => statistics.correlation([1, 2, 3], [1, 2, 3], 'kendall'),
+                  Error,
+                  `Should reject unknown method`)
+    assert.throws(() => statistics.correlation([1, 1, 1], [1, 2, 3]),
+                  Error,
+                  `Should reject constant values`)
+    done()
+  })
+})
+
+describe('linear models', () => {
+  it('fits an exact line', (done) => {
+    const fit = statistics.linearFit([1, 3, 5, 7], [[0], [1], [2], [3]])
+    assert(approx.allApproxEqual(fit.coefficients, [1, 2]),
+           `Wrong coefficients`)
+    assert(approx.approxEqual(fit.rSquared, 1),
+           `Exact fit should have R squared of 1`)
+    assert.equal(fit.df, 2,
+                 `Wrong degrees of freedom`)
+    done()
+  })
+
+  it('requires enough data to fit', (done) => {
+    assert.throws(() => statistics.linearFit([1, 2], [[1], [2]]),
+                  Error,
+                  `Should require more observations than coefficients`)
+    assert.throws(() => statistics.linearFit([1, 2, 3], [[1], [2]]),
+                  Error,
+                  `Should require matching numbers of observations`)
+    assert.throws(() => statistics.linearFit([2, 2, 2], [[1], [2], [3]]),
+                  Error,
+                  `Should not fit a constant response`)
+    done()
+  })
+})
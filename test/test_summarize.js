@@ -258,3 +258,224 @@ describe('variance', () => {
     done()
   })
 })
+
+describe('distinct', () => {
+  it('counts distinct values in empty tables', (done) => {
+    const op = new Summarize.distinct('ones')
+    assert.equal(op.run([]), 0,
+                 `Expected zero`)
+    done()
+  })
+
+  it('counts distinct values in non-empty tables', (done) => {
+    const op = new Summarize.distinct('ones')
+    assert.equal(op.run(THREE_ROWS), 3,
+                 `Wrong value`)
+    done()
+  })
+
+  it('ignores missing values and distinguishes types when counting distinct values', (done) => {
+    const op = new Summarize.distinct('value')
+    const rows = [{value: 1}, {value: '1'}, {value: util.MISSING},
+                  {value: new Date(1)}, {value: new Date(1)}]
+    assert.equal(op.run(rows), 3,
+                 `Wrong value`)
+    done()
+  })
+})
+
+describe('first and last', () => {
+  it('finds first and last of empty tables', (done) => {
+    assert.equal(new Summarize.first('ones').run([]), util.MISSING,
+                 `Expected missing value`)
+    assert.equal(new Summarize.last('ones').run([]), util.MISSING,
+                 `Expected missing value`)
+    done()
+  })
+
+  it('finds first and last of non-empty tables', (done) => {
+    assert.equal(new Summarize.first('ones').run(THREE_ROWS), 3,
+                 `Wrong first value`)
+    assert.equal(new Summarize.last('ones').run(THREE_ROWS), 1,
+                 `Wrong last value`)
+    done()
+  })
+})
+
+describe('interquartile range', () => {
+  it('finds interquartile range of empty tables', (done) => {
+    const op = new Summarize.iqr('ones')
+    assert.equal(op.run([]), util.MISSING,
+                 `Expected missing value`)
+    done()
+  })
+
+  it('finds interquartile range of non-empty tables', (done) => {
+    const op = new Summarize.iqr('ones')
+    const rows = [1, 2, 3, 4, 5, 6, 7, 8].map(ones => ({ones}))
+    assert.equal(op.run(rows), 4,
+                 `Wrong value`)
+    done()
+  })
+})
+
+describe('missing', () => {
+  it('counts missing values in empty tables', (done) => {
+    const op = new Summarize.missing('ones')
+    assert.equal(op.run([]), 0,
+                 `Expected zero`)
+    done()
+  })
+
+  it('counts missing values in non-empty tables', (done) => {
+    const op = new Summarize.missing('ones')
+    const rows = [{ones: 1}, {ones: util.MISSING}, {ones: util.MISSING}]
+    assert.equal(op.run(rows), 2,
+                 `Wrong value`)
+    done()
+  })
+})
+
+describe('mode', () => {
+  it('finds mode of empty tables', (done) => {
+    const op = new Summarize.mode('ones')
+    assert.equal(op.run([]), util.MISSING,
+                 `Expected missing value`)
+    done()
+  })
+
+  it('finds mode of non-empty tables', (done) => {
+    const op = new Summarize.mode('ones')
+    assert.equal(op.run(THREE_ROWS), 2,
+                 `Wrong value`)
+    done()
+  })
+
+  it('uses the first of equally common values and ignores missing values', (done) => {
+    const op = new Summarize.mode('name')
+    const rows = [{name: util.MISSING}, {name: util.MISSING}, {name: 'b'},
+                  {name: 'a'}, {name: 'a'}, {name: 'b'}]
+    assert.equal(op.run(rows), 'b',
+                 `Wrong value`)
+    assert.equal(op.run([{name: util.MISSING}]), util.MISSING,
+                 `Expected missing value when all values are missing`)
+    done()
+  })
+})
+
+describe('quantile', () => {
+  it('requires a quantile between 0 and 1', (done) => {
+    assert.throws(() => new Summarize.quantile('ones', 1.5),
+                  Error,
+                  `Should not be able to use quantile greater than 1`)
+    assert.throws(() => new Summarize.quantile('ones', '0.5'),
+                  Error,
+                  `Should not be able to use string as quantile`)
+    done()
+  })
+
+  it('finds quantile of empty tables', (done) => {
+    const op = new Summarize.quantile('ones', 0.25)
+    assert.equal(op.run([]), util.MISSING,
+                 `Expected missing value`)
+    done()
+  })
+
+  it('finds quantiles of non-empty tables', (done) => {
+    const rows = [1, 2, 3, 4, 5, 6, 7, 8].map(ones => ({ones}))
+    assert.equal(new Summarize.quantile('ones', 0.25).run(rows), 2.5,
+                 `Wrong lower quartile`)
+    assert.equal(new Summarize.quantile('ones').run(THREE_ROWS), 2,
+                 `Expected median by default`)
+    assert.equal(new Summarize.quantile('ones', 1).run(rows), 8,
+                 `Wrong maximum`)
+    done()
+  })
+})
+
+describe('missing values in summaries', () => {
+  const WITH_MISSING = [{num: 3, flag: true},
+                        {num: util.MISSING, flag: util.MISSING},
+                        {num: 1, flag: false},
+                        {num: 3, flag: true}]
+
+  // Operation, column, expected result when skipping missing values.
+  const SKIPPED = [
+    ['all', 'flag', false],
+    ['any', 'flag', true],
+    ['distinct', 'num', 2],
+    ['first', 'num', 3],
+    ['iqr', 'num', 2],
+    ['last', 'num', 3],
+    ['maximum', 'num', 3],
+    ['mean', 'num', 7 / 3],
+    ['median', 'num', 3],
+    ['minimum', 'num', 1],
+    ['mode', 'num', 3],
+    ['quantile', 'num', 3],
+    ['stdDev', 'num', Math.sqrt(8 / 9)],
+    ['sum', 'num', 7],
+    ['variance', 'num', 8 / 9]
+  ]
+
+  it('skips missing values by default for every operation', (done) => {
+    SKIPPED.forEach(([name, column, expected]) => {
+      const op = new Summarize[name](column)
+      assert(Math.abs(op.run(WITH_MISSING) - expected) < 1e-9,
+             `Wrong value for ${name}`)
+      assert.equal(op.run(WITH_MISSING, 'skip'), op.run(WITH_MISSING),
+                   `Expected skipping to be the default for ${name}`)
+    })
+    done()
+  })
+
+  it('propagates missing values for every operation', (done) => {
+    SKIPPED.forEach(([name, column, expected]) => {
+      const op = new Summarize[name](column)
+      assert.equal(op.run(WITH_MISSING, 'propagate'), util.MISSING,
+                   `Expected missing value for ${name}`)
+      const present = WITH_MISSING.filter(row => (row[column] !== util.MISSING))
+      assert.equal(op.run(present, 'propagate'), op.run(present, 'skip'),
+                   `Expected same result without missing values for ${name}`)
+    })
+    done()
+  })
+
+  it('produces missing values when all values are skipped', (done) => {
+    const rows = [{num: util.MISSING}, {num: util.MISSING}]
+    assert.equal(new Summarize.mean('num').run(rows, 'skip'), util.MISSING,
+                 `Expected missing mean`)
+    done()
+  })
+
+  it('counts rows regardless of policy', (done) => {
+    const op = new Summarize.count('num')
+    assert.equal(op.run(WITH_MISSING, 'skip'), 4,
+                 `Wrong count when skipping`)
+    assert.equal(op.run(WITH_MISSING, 'propagate'), 4,
+                 `Wrong count when propagating`)
+    assert.throws(() => op.run(WITH_MISSING, 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    done()
+  })
+
+  it('counts missing values regardless of policy', (done) => {
+    const op = new Summarize.missing('num')
+    assert.equal(op.run(WITH_MISSING, 'skip'), 1,
+                 `Wrong count when skipping`)
+    assert.equal(op.run(WITH_MISSING, 'propagate'), 1,
+                 `Wrong count when propagating`)
+    done()
+  })
+
+  it('rejects unknown policies', (done) => {
+    assert.throws(() => new Summarize.mean('num').run(WITH_MISSING, 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    assert.throws(() => new Summarize.missing('num').run(WITH_MISSING, 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    done()
+  })
+})
@@ -45,6 +45,15 @@ describe('build dataframe operations', () => {
     done()
   })
 
+  it('requires numbers for binning', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.bin('name', 3, 'dst')
+    assert.throws(() => transform.run(env, new DataFrame(fixture.COLORS)),
+                  /bins requires number values but column "name" contains text/,
+                  `Should not be able to bin text`)
+    done()
+  })
+
   it('builds create transform', (done) => {
     const env = new Env(INTERFACE)
     const creator = new Value.text('stuff')
@@ -119,6 +128,43 @@ describe('build dataframe operations', () => {
     done()
   })
 
+  it('builds join transform with a kind', (done) => {
+    const leftData = new DataFrame([{leftName: 7, value: 'leftVal'}])
+    const rightData = new DataFrame([{rightName: 8, value: 'rightVal'}])
+    const env = new Env(INTERFACE)
+    env.setResult('leftTable', leftData)
+    env.setResult('rightTable', rightData)
+    const transform = new Transform.join('leftTable', 'leftName', 'rightTable', 'rightName', 'left')
+    const result = transform.run(env, null)
+    const row = {leftTable_value: 'leftVal', rightTable_value: util.MISSING}
+    row[DataFrame.JOINCOL] = 7
+    assert(result.equal(new DataFrame([row])),
+           `Wrong joined dataframe`)
+    assert.throws(() => new Transform.join('leftTable', 'leftName', 'rightTable', 'rightName', 'sideways'),
+                  Error,
+                  `Should not build unknown kind of join`)
+    done()
+  })
+
+  it('builds join transform on multiple columns', (done) => {
+    const leftData = new DataFrame([{year: 2020, state: 'ON', value: 'a'},
+                                    {year: 2021, state: 'ON', value: 'b'}])
+    const rightData = new DataFrame([{yr: 2021, st: 'ON', value: 'c'},
+                                     {yr: 2021, st: 'QC', value: 'd'}])
+    const env = new Env(INTERFACE)
+    env.setResult('leftTable', leftData)
+    env.setResult('rightTable', rightData)
+    const transform = new Transform.join('leftTable', ['year', 'state'], 'rightTable', ['yr', 'st'])
+    const result = transform.run(env, null)
+    const expected = [{leftTable_year: 2021, leftTable_state: 'ON', leftTable_value: 'b', rightTable_value: 'c'}]
+    assert(result.equal(new DataFrame(expected)),
+           `Wrong joined dataframe`)
+    assert.throws(() => new Transform.join('leftTable', ['year', 'state'], 'rightTable', ['yr']),
+                  Error,
+                  `Should not build join with different numbers of columns`)
+    done()
+  })
+
   it('builds saveAs transform', (done) => {
     const env = new Env(INTERFACE)
     const transform = new Transform.saveAs('answer')
@@ -146,6 +192,76 @@ describe('build dataframe operations', () => {
     done()
   })
 
+  it('samples rows reproducibly', (done) => {
+    const env = new Env(INTERFACE)
+    const df = new DataFrame(fixture.COLORS)
+    const draw = (size, replace) => {
+      new Transform.seed('sampling').run(env, null)
+      return new Transform.sample(size, replace).run(env, df)
+    }
+    const first = draw(5, false)
+    assert.equal(first.data.length, 5,
+                 `Wrong number of rows`)
+    assert.deepEqual(Array.from(first.columns), Array.from(df.columns),
+                     `Should keep columns`)
+    assert.equal(new Set(first.data.map(row => row.name)).size, 5,
+                 `Should not repeat rows without replacement`)
+    assert.deepEqual(draw(5, false).data, first.data,
+                     `Same seed should give same sample`)
+    assert.equal(draw(3 * df.data.length, true).data.length, 3 * df.data.length,
+                 `Should allow large samples with replacement`)
+    assert.throws(() => draw(df.data.length + 1, false),
+                  Error,
+                  `Should not sample more rows than exist without replacement`)
+    assert.throws(() => new Transform.sample(1.5),
+                  Error,
+                  `Should require integer sample size`)
+    done()
+  })
+
+  it('makes bootstrap replicates', (done) => {
+    const env = new Env(INTERFACE)
+    const df = new DataFrame(fixture.COLORS)
+    new Transform.seed('bootstrap').run(env, null)
+    const result = new Transform.bootstrap(3, 'replicate').run(env, df)
+    assert.equal(result.data.length, 3 * df.data.length,
+                 `Wrong number of rows`)
+    assert.deepEqual(Array.from(result.columns), [...df.columns, 'replicate'],
+                     `Should add replicate column`)
+    for (const replicate of [1, 2, 3]) {
+      assert.equal(result.data.filter(row => (row.replicate === replicate)).length,
+                   df.data.length,
+                   `Each replicate should be as large as the original data`)
+    }
+    assert(result.data.every(row => df.data.some(original => (original.name === row.name))),
+           `Should only contain original rows`)
+    assert.throws(() => new Transform.bootstrap(2, 'red').run(env, df),
+                  Error,
+                  `Should not overwrite existing column`)
+    assert.throws(() => new Transform.bootstrap(0, 'replicate'),
+                  Error,
+                  `Should require at least one replicate`)
+    done()
+  })
+
+  it('shuffles a column', (done) => {
+    const env = new Env(INTERFACE)
+    const df = new DataFrame(fixture.COLORS)
+    new Transform.seed('shuffle').run(env, null)
+    const result = new Transform.shuffle('red').run(env, df)
+    assert.deepEqual(result.data.map(row => row.name), df.data.map(row => row.name),
+                     `Should not change other columns`)
+    const sorted = (rows) => rows.map(row => row.red).sort((a, b) => a - b)
+    assert.deepEqual(sorted(result.data), sorted(df.data),
+                     `Should keep the same values`)
+    assert.notDeepEqual(result.data.map(row => row.red), df.data.map(row => row.red),
+                        `Should change the order of values`)
+    assert.throws(() => new Transform.shuffle('nonexistent').run(env, df),
+                  Error,
+                  `Should not shuffle unknown column`)
+    done()
+  })
+
   it('builds read data transform', (done) => {
     const env = new Env(INTERFACE)
     const transform = new Transform.data('colors')
@@ -201,6 +317,61 @@ describe('build dataframe operations', () => {
     done()
   })
 
+  it('builds summarize transform with several summaries', (done) => {
+    const df = new DataFrame([{left: 3, right: 1}, {left: 5, right: 1}])
+    const env = new Env(INTERFACE)
+    const transform = new Transform.summarize([['maximum', 'left', 'top'],
+                                               ['sum', 'right', '']])
+    const result = transform.run(env, df)
+    assert.deepEqual(result.data,
+                     [{left: 3, right: 1, top: 5, right_sum: 2},
+                      {left: 5, right: 1, top: 5, right_sum: 2}],
+                     `Incorrect summaries`)
+    done()
+  })
+
+  it('builds summarize transform with parameters', (done) => {
+    const df = new DataFrame([1, 2, 3, 4, 5, 6, 7, 8].map(left => ({left})))
+    const env = new Env(INTERFACE)
+    const transform = new Transform.summarize([['quantile', 'left', 'low', 0.25],
+                                               ['quantile', 'left', 'high', 0.75]],
+                                              true)
+    const result = transform.run(env, df)
+    assert.deepEqual(result.data, [{low: 2.5, high: 6.5}],
+                     `Incorrect quantiles`)
+    assert.throws(() => new Transform.summarize([['quantile', 'left', '', '0.5']]),
+                  Error,
+                  `Should require numeric parameter`)
+    done()
+  })
+
+  it('builds summarize transform that collapses groups', (done) => {
+    const df = new DataFrame([{left: 3, right: 'a'}, {left: 5, right: 'a'},
+                              {left: 7, right: 'b'}])
+          .groupBy(['right'])
+    const env = new Env(INTERFACE)
+    const transform = new Transform.summarize([['sum', 'left', 'total']], true)
+    const result = transform.run(env, df)
+    assert.deepEqual(result.data,
+                     [{right: 'a', total: 8},
+                      {right: 'b', total: 7}],
+                     `Incorrect collapsed summary`)
+    done()
+  })
+
+  it('rejects badly-formed summaries', (done) => {
+    assert.throws(() => new Transform.summarize([]),
+                  Error,
+                  `Should require at least one summary`)
+    assert.throws(() => new Transform.summarize([['maximum', 'left']]),
+                  Error,
+                  `Should require summary name`)
+    assert.throws(() => new Transform.summarize([['nope', 'left', '']]),
+                  Error,
+                  `Should require known operation`)
+    done()
+  })
+
   it('builds running transform', (done) => {
     const df = new DataFrame([{left: 3}, {left: 5}])
     const env = new Env(INTERFACE)
@@ -212,6 +383,25 @@ describe('build dataframe operations', () => {
     done()
   })
 
+  it('builds summarize and running transforms that propagate missing values', (done) => {
+    const df = new DataFrame([{left: 3}, {left: util.MISSING}, {left: 5}])
+    const env = new Env(INTERFACE)
+    const summarize = new Transform.summarize([['sum', 'left', 'total']], true, 'propagate')
+    assert.deepEqual(summarize.run(env, df).data, [{total: util.MISSING}],
+                     `Incorrect summary`)
+    const running = new Transform.running('sum', 'left', 'propagate')
+    assert.deepEqual(running.run(env, df).data.map(row => row.left_sum),
+                     [3, util.MISSING, util.MISSING],
+                     `Incorrect running values`)
+    assert.throws(() => new Transform.running('sum', 'left', 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    assert.throws(() => new Transform.summarize([['sum', 'left', '']], false, 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    done()
+  })
+
   it('build ungroup transform', (done) => {
     const env = new Env(INTERFACE)
     const transform = new Transform.ungroup()
@@ -223,6 +413,22 @@ describe('build dataframe operations', () => {
     done()
   })
 
+  it('builds collapse transform', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.collapse()
+    const input = [{a: 1, b: 'x'}, {a: 1, b: 'y'}, {a: 2, b: 'z'}]
+    const df = new DataFrame(input).groupBy(['a'])
+    const result = transform.run(env, df)
+    assert.deepEqual(result.data,
+                     [{a: 1}, {a: 2}],
+                     `Expected one row per group without other columns`)
+    const binned = new Transform.bin('a', 2, 'bin').run(env, df)
+    assert.deepEqual(transform.run(env, binned).data,
+                     [{a: 1}, {a: 2}],
+                     `Expected grouping to be kept by other transforms`)
+    done()
+  })
+
   it('builds unique values transform', (done) => {
     const env = new Env(INTERFACE)
     const transform = new Transform.unique(['a'])
@@ -299,6 +505,196 @@ describe('build plots', () => {
     done()
   })
 
+  it('creates a line plot without a color', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.line('figure_1', 'red', 'green', '')
+    transform.run(env, new DataFrame(fixture.COLORS))
+    const plot = env.getPlot('figure_1')
+    assert.deepEqual(plot.data.values, fixture.COLORS,
+                     `Wrong data in plot`)
+    assert.equal(plot.mark, 'line',
+                 `Wrong type of plot`)
+    assert.deepEqual(plot.encoding.x, {field: 'red', type: 'quantitative'},
+                     `Wrong X axis`)
+    assert.equal(plot.encoding.y.field, 'green',
+                 `Wrong Y axis`)
+    assert(!('color' in plot.encoding),
+           `Should not have color`)
+    done()
+  })
+
+  it('creates a line plot with a color and a temporal X axis', (done) => {
+    const env = new Env(INTERFACE)
+    const data = [{when: new Date(0), value: 1, series: 'a'},
+                  {when: new Date(1000), value: 2, series: 'a'}]
+    const transform = new Transform.line('figure_1', 'when', 'value', 'series')
+    transform.run(env, new DataFrame(data))
+    const plot = env.getPlot('figure_1')
+    assert.equal(plot.encoding.x.type, 'temporal',
+                 `Expected dates to be plotted on a temporal axis`)
+    assert.deepEqual(plot.encoding.color, {field: 'series', type: 'nominal'},
+                     `Wrong color`)
+    done()
+  })
+
+  it('creates an area plot with an ordinal X axis for text', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.area('figure_1', 'name', 'green', null)
+    transform.run(env, new DataFrame(fixture.COLORS))
+    const plot = env.getPlot('figure_1')
+    assert.equal(plot.mark, 'area',
+                 `Wrong type of plot`)
+    assert.equal(plot.encoding.x.type, 'ordinal',
+                 `Expected text to be plotted on an ordinal axis`)
+    assert.equal(plot.encoding.y.field, 'green',
+                 `Wrong Y axis`)
+    done()
+  })
+
+  it('creates a heatmap', (done) => {
+    const env = new Env(INTERFACE)
+    const data = [{left: 'a', right: 'a', r: 1}, {left: 'a', right: 'b', r: 0.5},
+                  {left: 'b', right: 'a', r: 0.5}, {left: 'b', right: 'b', r: 1}]
+    const transform = new Transform.heatmap('figure_1', 'left', 'right', 'r')
+    transform.run(env, new DataFrame(data))
+    const plot = env.getPlot('figure_1')
+    assert.equal(plot.mark, 'rect',
+                 `Wrong type of plot`)
+    assert.equal(plot.encoding.x.field, 'left',
+                 `Wrong X axis`)
+    assert.equal(plot.encoding.y.field, 'right',
+                 `Wrong Y axis`)
+    assert.deepEqual(plot.encoding.color, {field: 'r', type: 'quantitative'},
+                     `Wrong color`)
+    assert.throws(() => new Transform.heatmap('figure_1', 'left', 'right', ''),
+                  Error,
+                  `Should require value column`)
+    done()
+  })
+
+  it('facets a plot by a column', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.bar('figure_1', 'red', 'green', 'name')
+    transform.run(env, new DataFrame(fixture.COLORS))
+    const plot = env.getPlot('figure_1')
+    assert.deepEqual(plot.facet, {column: {field: 'name', type: 'nominal'}},
+                     `Wrong facet`)
+    assert.deepEqual(plot.data.values, fixture.COLORS,
+                     `Data should be at the top level`)
+    assert.equal(plot.spec.mark, 'bar',
+                 `Wrong type of plot inside facet`)
+    assert.equal(plot.spec.encoding.x.field, 'red',
+                 `Wrong X axis inside facet`)
+    assert(!('autosize' in plot),
+           `Faceted plots should not be autosized`)
+    done()
+  })
+
+  it('facets plots of grouped data by group automatically', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.scatter('figure_1', 'red', 'green', null, true)
+    transform.run(env, new DataFrame(fixture.COLORS).groupBy(['blue']))
+    const plot = env.getPlot('figure_1')
+    assert.deepEqual(plot.facet, {column: {field: DataFrame.GROUPCOL, type: 'nominal'}},
+                     `Wrong facet`)
+    assert.equal(plot.spec.layer.length, 3,
+                 `Expected layers inside facet`)
+    done()
+  })
+
+  it('does not facet plots of ungrouped data without a facet column', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.histogram('figure_1', 'red', 5, '')
+    transform.run(env, new DataFrame(fixture.COLORS))
+    const plot = env.getPlot('figure_1')
+    assert(!('facet' in plot),
+           `Should not facet ungrouped data`)
+    done()
+  })
+
+  it('requires facet columns to exist', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.dot('figure_1', 'red', 'nonexistent')
+    assert.throws(() => transform.run(env, new DataFrame(fixture.COLORS)),
+                  Error,
+                  `Should not be able to facet by unknown column`)
+    done()
+  })
+
+  it('sets plot and axis titles', (done) => {
+    const env = new Env(INTERFACE)
+    const options = [['title', 'Colors'], ['axisTitle', 'x', 'Redness'], ['axisTitle', 'y', 'Greenness']]
+    const transform = new Transform.bar('figure_1', 'red', 'green', '', options)
+    transform.run(env, new DataFrame(fixture.COLORS))
+    const plot = env.getPlot('figure_1')
+    assert.equal(plot.title, 'Colors',
+                 `Wrong plot title`)
+    assert.equal(plot.encoding.x.title, 'Redness',
+                 `Wrong X axis title`)
+    assert.equal(plot.encoding.y.title, 'Greenness',
+                 `Wrong Y axis title`)
+    done()
+  })
+
+  it('sets axis scales and domains in every layer', (done) => {
+    const env = new Env(INTERFACE)
+    const options = [['scale', 'x', 'sqrt'], ['scale', 'y', 'log'], ['domain', 'y', 1, 1000]]
+    const transform = new Transform.scatter('figure_1', 'red', 'green', null, true, '', options)
+    transform.run(env, new DataFrame(fixture.COLORS))
+    const plot = env.getPlot('figure_1')
+    plot.layer.filter(layer => 'x' in layer.encoding).forEach(layer => {
+      assert.equal(layer.encoding.x.scale.type, 'sqrt',
+                   `Wrong X scale`)
+      assert.deepEqual(layer.encoding.y.scale, {type: 'log', domain: [1, 1000]},
+                       `Wrong Y scale`)
+    })
+    done()
+  })
+
+  it('sets color schemes', (done) => {
+    const env = new Env(INTERFACE)
+    const options = [['colorScheme', 'viridis']]
+    const transform = new Transform.heatmap('figure_1', 'red', 'green', 'blue', '', options)
+    transform.run(env, new DataFrame(fixture.COLORS))
+    const plot = env.getPlot('figure_1')
+    assert.equal(plot.encoding.color.scale.scheme, 'viridis',
+                 `Wrong color scheme`)
+    done()
+  })
+
+  it('applies options inside faceted plots', (done) => {
+    const env = new Env(INTERFACE)
+    const options = [['title', 'Colors'], ['scale', 'y', 'log']]
+    const transform = new Transform.bar('figure_1', 'red', 'green', 'name', options)
+    transform.run(env, new DataFrame(fixture.COLORS))
+    const plot = env.getPlot('figure_1')
+    assert.equal(plot.title, 'Colors',
+                 `Title should be at the top level`)
+    assert.equal(plot.spec.encoding.y.scale.type, 'log',
+                 `Wrong Y scale inside facet`)
+    done()
+  })
+
+  it('rejects badly-formed plot options', (done) => {
+    const bad = [
+      [['unknown', 'x']],
+      [['title']],
+      [['title', 5]],
+      [['axisTitle', 'z', 'depth']],
+      [['scale', 'x', 'cubic']],
+      [['domain', 'y', 10, 1]],
+      [['domain', 'y', 'low', 'high']],
+      [['colorScheme', 'nonexistent']],
+      'title'
+    ]
+    bad.forEach(options => {
+      assert.throws(() => new Transform.bar('figure_1', 'red', 'green', '', options),
+                    Error,
+                    `Should not accept ${JSON.stringify(options)}`)
+    })
+    done()
+  })
+
   it('creates a scatter plot without a color', (done) => {
     const env = new Env(INTERFACE)
     const transform = new Transform.scatter('figure_1', 'red', 'green', null)
@@ -386,14 +782,55 @@ describe('build plots', () => {
 
 describe('build statistics', () => {
   it('runs one-sided two-sample t-test', (done) => {
+    const df = new DataFrame([1, 2, 3, 4, 5, util.MISSING].map(x => ({x})))
     const env = new Env(INTERFACE)
-    const transform = new Transform.ttest_one('result', 'blue', 0.0)
-    const result = transform.run(env, new DataFrame(fixture.COLORS))
+    const transform = new Transform.ttest_one('result', 'x', 2.0)
+    const result = transform.run(env, df)
+    assert.equal(result, df,
+                 `Should not change data`)
     const stats = env.getStats('result')
+    assert.equal(stats.test, 'one-sample t-test',
+                 `Wrong test name`)
+    assert.equal(stats.statistic.name, 't',
+                 `Wrong statistic`)
+    assert(approx.approxEqual(stats.statistic.value, 1.414213562),
+           `Wrong t statistic`)
+    assert.equal(stats.df, 4,
+                 `Wrong degrees of freedom`)
+    assert(approx.approxEqual(stats.pValue, 0.230199641),
+           `Wrong p-value`)
+    assert(approx.allApproxEqual([stats.confidenceInterval.low, stats.confidenceInterval.high],
+                                 [1.036756838, 4.963243161]),
+           `Wrong confidence interval`)
+    assert(approx.approxEqual(stats.effectSize.value, 0.632455532),
+           `Wrong effect size`)
+    assert.deepEqual(stats.sampleSizes, {x: 5},
+                     `Should ignore missing values`)
+    assert.equal(stats.alternative, 'two-sided',
+                 `Wrong alternative`)
     done()
   })
 
-  it('runs a paired two-sided t-test', (done) => {
+  it('runs a one-sample t-test with a one-sided alternative', (done) => {
+    const df = new DataFrame([1, 2, 3, 4, 5].map(x => ({x})))
+    const env = new Env(INTERFACE)
+    new Transform.ttest_one('result', 'x', 2.0, 'greater').run(env, df)
+    const stats = env.getStats('result')
+    assert.equal(stats.alternative, 'greater',
+                 `Wrong alternative`)
+    assert(approx.approxEqual(stats.pValue, 0.115099821),
+           `Wrong one-sided p-value`)
+    assert(approx.approxEqual(stats.confidenceInterval.low, 1.492556681),
+           `Wrong lower bound`)
+    assert.equal(stats.confidenceInterval.high, Infinity,
+                 `One-sided interval should be unbounded above`)
+    assert.throws(() => new Transform.ttest_one('result', 'x', 2.0, 'sideways'),
+                  Error,
+                  `Should reject unknown alternative`)
+    done()
+  })
+
+  it('runs a two-sample t-test', (done) => {
     const paired = [
       {left: 'a', right: 1},
       {left: 'a', right: 2},
@@ -403,8 +840,81 @@ describe('build statistics', () => {
     ]
     const env = new Env(INTERFACE)
     const transform = new Transform.ttest_two('result', 'left', 'right')
-    const result = transform.run(env, new DataFrame(paired))
+    transform.run(env, new DataFrame(paired))
+    const stats = env.getStats('result')
+    assert.equal(stats.test, 'two-sample t-test',
+                 `Wrong test name`)
+    assert(approx.approxEqual(stats.statistic.value, -0.6),
+           `Wrong t statistic`)
+    assert.equal(stats.df, 3,
+                 `Wrong degrees of freedom`)
+    assert(approx.approxEqual(stats.pValue, 0.590801208),
+           `Wrong p-value`)
+    assert(approx.allApproxEqual([stats.confidenceInterval.low, stats.confidenceInterval.high],
+                                 [-3.152038588, 2.152038588]),
+           `Wrong confidence interval`)
+    assert.deepEqual(stats.sampleSizes, {a: 2, b: 3},
+                     `Wrong sample sizes`)
+    done()
+  })
+
+  it('runs a two-sample t-test without assuming equal variances', (done) => {
+    const df = new DataFrame([
+      {left: 'a', right: 1},
+      {left: 'a', right: 2},
+      {left: 'b', right: 1},
+      {left: 'b', right: 2},
+      {left: 'b', right: 3}
+    ])
+    const env = new Env(INTERFACE)
+    new Transform.ttest_two('result', 'left', 'right', true).run(env, df)
     const stats = env.getStats('result')
+    assert.equal(stats.test, "Welch's two-sample t-test",
+                 `Wrong test name`)
+    assert(approx.approxEqual(stats.statistic.value, -0.654653671),
+           `Wrong t statistic`)
+    assert(approx.approxEqual(stats.df, 2.882352941),
+           `Wrong degrees of freedom`)
+    assert(approx.approxEqual(stats.pValue, 0.561150881),
+           `Wrong p-value`)
+    assert(approx.allApproxEqual([stats.confidenceInterval.low, stats.confidenceInterval.high],
+                                 [-2.987733798, 1.987733798]),
+           `Wrong confidence interval`)
+    done()
+  })
+
+  it('runs a paired t-test', (done) => {
+    const df = new DataFrame([
+      {before: 1, after: 2},
+      {before: 2, after: 1},
+      {before: 3, after: 4},
+      {before: 4, after: 3},
+      {before: util.MISSING, after: 8},
+      {before: 5, after: 7}
+    ])
+    const env = new Env(INTERFACE)
+    new Transform.ttest_paired('result', 'before', 'after').run(env, df)
+    new Transform.ttest_paired('less', 'before', 'after', 'less').run(env, df)
+    const stats = env.getStats('result')
+    assert.equal(stats.test, 'paired t-test',
+                 `Wrong test name`)
+    assert(approx.approxEqual(stats.statistic.value, -2 / 3),
+           `Wrong t statistic`)
+    assert.equal(stats.df, 4,
+                 `Wrong degrees of freedom`)
+    assert(approx.approxEqual(stats.pValue, 0.541469739),
+           `Wrong p-value`)
+    assert(approx.approxEqual(stats.effectSize.value, -0.298142397),
+           `Wrong effect size`)
+    assert.deepEqual(stats.sampleSizes, {pairs: 5},
+                     `Should ignore rows with missing values`)
+    const less = env.getStats('less')
+    assert(approx.approxEqual(less.pValue, 0.27073487),
+           `Wrong one-sided p-value`)
+    assert.equal(less.confidenceInterval.low, -Infinity,
+                 `One-sided interval should be unbounded below`)
+    assert(approx.approxEqual(less.confidenceInterval.high, 0.879108072),
+           `Wrong upper bound`)
     done()
   })
 
@@ -415,7 +925,7 @@ describe('build statistics', () => {
       {x: 0.1, y: 0.0}
     ])
     const env = new Env(INTERFACE)
-    const transform = new Transform.k_means('x', 'y', 2, 'label')
+    const transform = new Transform.k_means('clusters', ['x', 'y'], 2, 'label')
     const result = transform.run(env, df)
     assert.equal(result.data[0].label, result.data[2].label,
                  `Points not in the same group`)
@@ -424,6 +934,94 @@ describe('build statistics', () => {
     done()
   })
 
+  it('clusters points in several dimensions and saves centroids', (done) => {
+    const df = new DataFrame([
+      {a: 0.0, b: 0.0, c: 0.0},
+      {a: 0.2, b: 0.0, c: 0.2},
+      {a: 5.0, b: 5.0, c: 5.0},
+      {a: 5.0, b: 5.2, c: 5.2},
+      {a: util.MISSING, b: 1.0, c: 1.0}
+    ])
+    const env = new Env(INTERFACE)
+    new Transform.seed('clusters').run(env, null)
+    const result = new Transform.k_means('clusters', ['a', 'b', 'c'], 2, 'label').run(env, df)
+    const labels = result.data.map(row => row.label)
+    assert.equal(labels[0], labels[1],
+                 `First points should be together`)
+    assert.equal(labels[2], labels[3],
+                 `Last points should be together`)
+    assert.notEqual(labels[0], labels[2],
+                    `Distant points should be apart`)
+    assert.equal(labels[4], util.MISSING,
+                 `Rows with missing values should not be clustered`)
+    const stats = env.getStats('clusters')
+    const low = stats.details[labels[0]]
+    assert(approx.allApproxEqual([low.a, low.b, low.c], [0.1, 0.0, 0.1]),
+           `Wrong centroid`)
+    assert.equal(low.size, 2,
+                 `Wrong cluster size`)
+    assert(approx.approxEqual(stats.extra['within-cluster sum of squares'], 0.08),
+           `Wrong within-cluster sum of squares`)
+    assert.deepEqual(stats.sampleSizes, {total: 4},
+                     `Wrong number of points`)
+    done()
+  })
+
+  it('clusters reproducibly with a seed', (done) => {
+    const df = new DataFrame(fixture.COLORS)
+    const cluster = () => {
+      const env = new Env(INTERFACE)
+      new Transform.seed('repeat').run(env, null)
+      return new Transform.k_means('clusters', ['red', 'green', 'blue'], 3, 'label', true)
+        .run(env, df).data.map(row => row.label)
+    }
+    assert.deepEqual(cluster(), cluster(),
+                     `Same seed should give same clusters`)
+    done()
+  })
+
+  it('standardizes features before clustering', (done) => {
+    const df = new DataFrame([
+      {small: 0, large: 0},
+      {small: 0, large: 2},
+      {small: 10, large: 100},
+      {small: 10, large: 102}
+    ])
+    const env = new Env(INTERFACE)
+    new Transform.seed('scaled').run(env, null)
+    new Transform.k_means('raw', ['small', 'large'], 2, 'label').run(env, df)
+    new Transform.k_means('scaled', ['small', 'large'], 2, 'label', true).run(env, df)
+    assert(approx.approxEqual(env.getStats('raw').extra['within-cluster sum of squares'], 4),
+           `Wrong unscaled sum of squares`)
+    assert(approx.approxEqual(env.getStats('scaled').extra['within-cluster sum of squares'], 4 / 3334.666667),
+           `Wrong standardized sum of squares`)
+    const centroids = env.getStats('scaled').details
+      .map(row => [row.small, row.large])
+      .sort((left, right) => left[0] - right[0])
+    assert.deepEqual(centroids, [[0, 1], [10, 101]],
+                     `Centroids should be in original units`)
+    assert.throws(() => new Transform.k_means('bad', ['small'], 2, 'label', true)
+                  .run(env, new DataFrame([{small: 1}, {small: 1}])),
+                  /do not vary/,
+                  `Should not standardize constant column`)
+    assert.throws(() => new Transform.k_means('bad', [], 2, 'label'),
+                  Error,
+                  `Should require features`)
+    done()
+  })
+
+  it('refuses to make more k-means clusters than there are different points', (done) => {
+    const df = new DataFrame([{x: 1, y: 2}, {x: 1, y: 2}, {x: 1, y: 2}, {x: 1, y: 2}])
+    const env = new Env(INTERFACE)
+    assert.throws(() => new Transform.k_means('clusters', ['x', 'y'], 2, 'label').run(env, df),
+                  /at least as many different points as clusters/,
+                  `Should not cluster identical points`)
+    const result = new Transform.k_means('clusters', ['x', 'y'], 1, 'label').run(env, df)
+    assert.deepEqual(result.data.map(row => row.label), [0, 0, 0, 0],
+                     `Should put identical points in one cluster`)
+    done()
+  })
+
   it('calculates silhouette scores', (done) => {
     const df = new DataFrame([
       {x: 0.2, y: 0.0, gid: 0},
@@ -432,7 +1030,7 @@ describe('build statistics', () => {
       {x: 0.8, y: 0.0, gid: 1}
     ])
     const env = new Env(INTERFACE)
-    const transform = new Transform.silhouette('x', 'y', 'gid', 'result')
+    const transform = new Transform.silhouette(['x', 'y'], 'gid', 'result')
     const result = transform.run(env, df)
     const expected = [4/5, 2/3, 2/3, 4/5]
     const actual = result.data.map(row => row.result)
@@ -440,6 +1038,183 @@ describe('build statistics', () => {
            `Did not get expected stores`)
     done()
   })
+
+  it('fits a linear regression', (done) => {
+    const df = new DataFrame([
+      {x: 1, y: 2.2},
+      {x: 2, y: 4.1},
+      {x: 3, y: 6.2},
+      {x: 4, y: 7.9},
+      {x: 5, y: 10.1}
+    ])
+    const env = new Env(INTERFACE)
+    const transform = new Transform.linear_regression('fit', 'y', ['x'], 'predicted', 'error')
+    const result = transform.run(env, df)
+    const stats = env.getStats('fit')
+    const [intercept, slope] = stats.details
+    assert.deepEqual(stats.details.map(c => c.term), ['(intercept)', 'x'],
+                     `Wrong terms`)
+    assert(approx.allApproxEqual([intercept.estimate, slope.estimate], [0.22, 1.96]),
+           `Wrong coefficients`)
+    assert(approx.allApproxEqual([intercept.stdError, slope.stdError], [0.127017059, 0.038297084]),
+           `Wrong standard errors`)
+    assert(approx.allApproxEqual([intercept.pValue, slope.pValue], [0.181690114, 1.64286955e-5]),
+           `Wrong p-values`)
+    assert(approx.approxEqual(stats.effectSize.value, 0.998855954),
+           `Wrong R squared`)
+    assert(approx.approxEqual(stats.statistic.value, 2619.272727),
+           `Wrong F statistic`)
+    assert(approx.approxEqual(stats.pValue, 1.64286955e-5),
+           `Wrong p-value for model`)
+    assert.deepEqual(stats.df, [1, 3],
+                     `Wrong degrees of freedom`)
+    assert.deepEqual(Array.from(result.columns), ['x', 'y', 'predicted', 'error'],
+                     `Wrong columns`)
+    assert(approx.allApproxEqual(result.data.map(row => row.predicted), [2.18, 4.14, 6.10, 8.06, 10.02]),
+           `Wrong fitted values`)
+    assert(approx.allApproxEqual(result.data.map(row => row.error), [0.02, -0.04, 0.10, -0.16, 0.08]),
+           `Wrong residuals`)
+    done()
+  })
+
+  it('fits a linear regression with several predictors', (done) => {
+    const df = new DataFrame([
+      {a: 1, b: 3, y: 4},
+      {a: 2, b: 1, y: 1},
+      {a: 3, b: 4, y: 8},
+      {a: 4, b: 1, y: 3},
+      {a: 5, b: 5, y: 12},
+      {a: 6, b: 9, y: util.MISSING}
+    ])
+    const env = new Env(INTERFACE)
+    const transform = new Transform.linear_regression('fit', 'y', ['a', 'b'], '', 'error')
+    const result = transform.run(env, df)
+    const stats = env.getStats('fit')
+    assert(approx.allApproxEqual(stats.details.map(c => c.estimate), [-3, 1, 2]),
+           `Wrong coefficients`)
+    assert.deepEqual(stats.sampleSizes, {y: 5},
+                 `Should ignore rows with missing values`)
+    assert.deepEqual(Array.from(result.columns), ['a', 'b', 'y', 'error'],
+                     `Should only add residuals`)
+    assert.equal(result.data[5].error, util.MISSING,
+                 `Rows with missing values should not have residuals`)
+    done()
+  })
+
+  it('does not change data when fitting without output columns', (done) => {
+    const env = new Env(INTERFACE)
+    const df = new DataFrame(fixture.COLORS)
+    const transform = new Transform.linear_regression('fit', 'green', ['red', 'blue'])
+    const result = transform.run(env, df)
+    assert.equal(result, df,
+                 `Should return original data`)
+    assert(env.stats.has('fit'),
+           `Should still store statistics`)
+    done()
+  })
+
+  it('rejects bad linear regressions', (done) => {
+    const env = new Env(INTERFACE)
+    assert.throws(() => new Transform.linear_regression('fit', 'y', []),
+                  Error,
+                  `Should require predictors`)
+    const collinear = new DataFrame([{x: 1, z: 2, y: 1}, {x: 2, z: 4, y: 3}, {x: 3, z: 6, y: 2}, {x: 4, z: 8, y: 5}])
+    assert.throws(() => new Transform.linear_regression('fit', 'y', ['x', 'z']).run(env, collinear),
+                  /collinear/,
+                  `Should not fit collinear predictors`)
+    const tooFew = new DataFrame([{x: 1, y: 1}, {x: 2, y: 3}])
+    assert.throws(() => new Transform.linear_regression('fit', 'y', ['x']).run(env, tooFew),
+                  /more observations/,
+                  `Should require enough observations`)
+    assert.throws(() => new Transform.linear_regression('fit', 'personal', ['family']).run(env, new DataFrame(fixture.NAMES)),
+                  /linear_regression requires number values/,
+                  `Should not fit text`)
+    done()
+  })
+
+  it('runs tests on groups ignoring missing values', (done) => {
+    const df = new DataFrame([
+      {group: 'a', value: 1},
+      {group: 'a', value: 2},
+      {group: 'a', value: 3},
+      {group: 'b', value: 4},
+      {group: 'b', value: util.MISSING},
+      {group: util.MISSING, value: 10},
+      {group: 'b', value: 5},
+      {group: 'b', value: 6},
+      {group: 'b', value: 7}
+    ])
+    const env = new Env(INTERFACE)
+    new Transform.anova('aov', 'group', 'value').run(env, df)
+    new Transform.mann_whitney('mw', 'group', 'value').run(env, df)
+    new Transform.kruskal_wallis('kw', 'group', 'value').run(env, df)
+    assert.deepEqual(env.getStats('aov').sampleSizes, {a: 3, b: 4},
+                     `Wrong group sizes for ANOVA`)
+    assert.deepEqual(env.getStats('aov').df, [1, 5],
+                     `Wrong degrees of freedom for ANOVA`)
+    assert.equal(env.getStats('mw').statistic.value, 0,
+                 `Wrong U`)
+    assert(approx.approxEqual(env.getStats('mw').pValue, 0.051829927),
+           `Wrong p-value for Mann-Whitney`)
+    assert.equal(env.getStats('kw').test, 'Kruskal-Wallis test',
+                 `Wrong test name`)
+    done()
+  })
+
+  it('runs tests on pairs of columns ignoring missing values', (done) => {
+    const df = new DataFrame([
+      {left: 1, right: 2},
+      {left: 2, right: 1},
+      {left: 3, right: 4},
+      {left: util.MISSING, right: 7},
+      {left: 4, right: 3},
+      {left: 5, right: 5}
+    ])
+    const env = new Env(INTERFACE)
+    new Transform.correlation('cor', 'left', 'right', 'pearson').run(env, df)
+    new Transform.wilcoxon('wil', 'left', 'right').run(env, df)
+    assert(approx.approxEqual(env.getStats('cor').effectSize.value, 0.8),
+           `Wrong correlation`)
+    assert.deepEqual(env.getStats('wil').sampleSizes, {pairs: 5, differences: 4},
+                     `Wrong sample sizes for Wilcoxon`)
+    done()
+  })
+
+  it('runs chi-squared tests on categorical columns', (done) => {
+    const env = new Env(INTERFACE)
+    const df = new DataFrame(fixture.NAMES)
+    new Transform.chisq('chi', 'personal', 'family').run(env, df)
+    const result = env.getStats('chi')
+    assert.equal(result.df, (new Set(fixture.NAMES.map(row => row.personal)).size - 1) *
+                 (new Set(fixture.NAMES.map(row => row.family)).size - 1),
+                 `Wrong degrees of freedom`)
+    assert(Object.keys(result.details[0]).includes('personal'),
+           `Details should use column names`)
+    done()
+  })
+
+  it('rejects bad hypothesis tests', (done) => {
+    const env = new Env(INTERFACE)
+    assert.throws(() => new Transform.anova('', 'group', 'value'),
+                  Error,
+                  `Should require label`)
+    assert.throws(() => new Transform.correlation('cor', 'left', 'right', 'kendall'),
+                  Error,
+                  `Should require known correlation method`)
+    assert.throws(() => new Transform.kruskal_wallis('kw', 'personal', 'family').run(env, new DataFrame(fixture.NAMES)),
+                  /kruskal_wallis requires number values/,
+                  `Should not test text`)
+    done()
+  })
+
+  it('reports type errors in statistics', (done) => {
+    const env = new Env(INTERFACE)
+    const transform = new Transform.ttest_one('result', 'personal', 0.0)
+    assert.throws(() => transform.run(env, new DataFrame(fixture.NAMES)),
+                  /ttest_one requires number values but column "personal" contains text/,
+                  `Should not be able to test text`)
+    done()
+  })
 })
 
 describe('transform equality tests', () => {
@@ -547,6 +1322,16 @@ describe('transform equality tests', () => {
     const join_b_a = new Transform.join('b', 'bc', 'a', 'ac')
     assert(!join_a_b.equal(join_b_a),
            `Order should matter`)
+    const join_a_b_full = new Transform.join('a', 'ac', 'b', 'bc', 'full')
+    assert(!join_a_b.equal(join_a_b_full),
+           `Kind should matter`)
+    assert(join_a_b.equal(new Transform.join('a', ['ac'], 'b', ['bc'])),
+           `Single columns should equal lists of one column`)
+    const join_multi = new Transform.join('a', ['ac', 'ad'], 'b', ['bc', 'bd'])
+    assert(join_multi.equal(new Transform.join('a', ['ac', 'ad'], 'b', ['bc', 'bd'])),
+           `Same columns should equal`)
+    assert(!join_multi.equal(new Transform.join('a', ['ad', 'ac'], 'b', ['bc', 'bd'])),
+           `Column order should matter`)
     const groupBy = new Transform.groupBy(['left'])
     assert(!join_a_b.equal(groupBy),
            `Different transforms should not equal`)
@@ -579,6 +1364,18 @@ describe('transform equality tests', () => {
     done()
   })
 
+  it('compares resampling transforms', (done) => {
+    assert(new Transform.sample(3, true).equal(new Transform.sample(3, true)),
+           `Same samples should match`)
+    assert(!new Transform.sample(3, true).equal(new Transform.sample(3, false)),
+           `Replacement should matter`)
+    assert(!new Transform.bootstrap(10, 'rep').equal(new Transform.bootstrap(20, 'rep')),
+           `Number of replicates should matter`)
+    assert(!new Transform.shuffle('left').equal(new Transform.shuffle('right')),
+           `Shuffled column should matter`)
+    done()
+  })
+
   it('compares select transforms', (done) => {
     const select_left = new Transform.select(['left'])
     const select_right = new Transform.select(['right'])
@@ -626,6 +1423,14 @@ describe('transform equality tests', () => {
            `Different summarize functions should be unequal`)
     assert(!max_right.equal(max_left),
            `Different summarize columns should be unequal`)
+    const named = new Transform.summarize([['maximum', 'left', 'top']])
+    const collapsed = new Transform.summarize([['maximum', 'left', '']], true)
+    assert(max_left.equal(new Transform.summarize([['maximum', 'left', '']])),
+           `Old and new forms should be equal`)
+    assert(!named.equal(max_left),
+           `Different summary names should be unequal`)
+    assert(!collapsed.equal(max_left),
+           `Different collapse settings should be unequal`)
     done()
   })
 
@@ -639,6 +1444,19 @@ describe('transform equality tests', () => {
            `Different running functions should be unequal`)
     assert(!index_right.equal(index_left),
            `Different source columns should be unequal`)
+    assert(!new Transform.running('index', 'left', 'propagate').equal(index_left),
+           `Different missing-value policies should be unequal`)
+    assert(!new Transform.summarize([['sum', 'left', '']], false, 'propagate')
+           .equal(new Transform.summarize([['sum', 'left', '']], false, 'skip')),
+           `Different missing-value policies should be unequal`)
+    done()
+  })
+
+  it('compares collapse transforms', (done) => {
+    assert(new Transform.collapse().equal(new Transform.collapse()),
+           `All collapse transforms should be equal`)
+    assert(!new Transform.collapse().equal(new Transform.ungroup()),
+           `Different transforms should not equal`)
     done()
   })
 
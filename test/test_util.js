@@ -153,3 +153,330 @@ describe('converts text to CSV', () => {
     done()
   })
 })
+
+describe('CSV generation', () => {
+  it('writes an empty table as a header', (done) => {
+    assert.equal(util.tableToCsv([], ['left', 'right']), 'left,right',
+                 `Expected header only`)
+    done()
+  })
+
+  it('takes column names from the first row by default', (done) => {
+    assert.equal(util.tableToCsv([{left: 1, right: 'a'}]), 'left,right\n1,a',
+                 `Expected header and one row`)
+    done()
+  })
+
+  it('writes missing values and dates', (done) => {
+    const table = [{when: new Date(0), what: util.MISSING}]
+    assert.equal(util.tableToCsv(table, ['what', 'when']),
+                 'what,when\n,1970-01-01T00:00:00.000Z',
+                 `Expected empty field and ISO date`)
+    done()
+  })
+
+  it('round-trips through CSV parsing', (done) => {
+    const table = [{name: 'a,b', value: 1.5}, {name: util.MISSING, value: 2}]
+    assert.deepEqual(util.csvToTable(util.tableToCsv(table)), table,
+                     `Expected identical table`)
+    done()
+  })
+})
+
+describe('column types', () => {
+  it('gets the types of single values', (done) => {
+    assert.equal(util.valueType(util.MISSING), null,
+                 `Missing values have no type`)
+    assert.equal(util.valueType(1.5), 'number',
+                 `Wrong type for number`)
+    assert.equal(util.valueType('abc'), 'text',
+                 `Wrong type for text`)
+    assert.equal(util.valueType(false), 'logical',
+                 `Wrong type for logical`)
+    assert.equal(util.valueType(new Date(0)), 'datetime',
+                 `Wrong type for datetime`)
+    assert.throws(() => util.valueType({}),
+                  Error,
+                  `Should not be able to get type of object`)
+    done()
+  })
+
+  it('infers the types of columns', (done) => {
+    assert.equal(util.inferType([1, util.MISSING, 2]), 'number',
+                 `Expected numbers`)
+    assert.equal(util.inferType([true, false]), 'logical',
+                 `Expected logicals`)
+    assert.equal(util.inferType(['2017-07-21', '2016-08-24 03:36:32.000', util.MISSING]), 'datetime',
+                 `Expected dates in text to be datetimes`)
+    assert.equal(util.inferType(['abc', '2017-07-21']), 'text',
+                 `Expected text`)
+    assert.equal(util.inferType(['Set 1', 555]), 'text',
+                 `Expected mixed values to be text`)
+    assert.equal(util.inferType([util.MISSING, util.MISSING]), null,
+                 `Expected no type for all missing values`)
+    done()
+  })
+
+  it('converts values to types', (done) => {
+    assert.equal(util.convertType('2.5', 'number'), 2.5,
+                 `Wrong number`)
+    assert.equal(util.convertType(555, 'text'), '555',
+                 `Wrong text`)
+    assert.equal(util.convertType(' TRUE ', 'logical'), true,
+                 `Wrong logical`)
+    assert.equal(util.convertType('2017-07-21', 'datetime').getTime(),
+                 Date.UTC(2017, 6, 21),
+                 `Wrong datetime`)
+    assert.equal(util.convertType(util.MISSING, 'number'), util.MISSING,
+                 `Missing values should stay missing`)
+    done()
+  })
+
+  it('fails to convert values that do not match types', (done) => {
+    assert.throws(() => util.convertType('abc', 'number'),
+                  Error,
+                  `Should not convert text to number`)
+    assert.throws(() => util.convertType('maybe', 'logical'),
+                  Error,
+                  `Should not convert arbitrary text to logical`)
+    assert.throws(() => util.convertType('abc', 'datetime'),
+                  Error,
+                  `Should not convert arbitrary text to datetime`)
+    assert.throws(() => util.convertType(1, 'complex'),
+                  Error,
+                  `Should not convert to unknown type`)
+    done()
+  })
+})
+
+describe('missing-value policies', () => {
+  it('skips missing values', (done) => {
+    assert.deepEqual(util.applyMissingPolicy([1, util.MISSING, 2], 'skip'), [1, 2],
+                     `Expected missing values to be removed`)
+    assert.deepEqual(util.applyMissingPolicy([util.MISSING], 'skip'), [],
+                     `Expected no values to be left`)
+    done()
+  })
+
+  it('propagates missing values', (done) => {
+    assert.equal(util.applyMissingPolicy([1, util.MISSING, 2], 'propagate'), null,
+                 `Expected null when a value is missing`)
+    assert.deepEqual(util.applyMissingPolicy([1, 2], 'propagate'), [1, 2],
+                     `Expected values to be kept when none are missing`)
+    done()
+  })
+
+  it('rejects unknown policies', (done) => {
+    assert.throws(() => util.applyMissingPolicy([1], 'ignore'),
+                  Error,
+                  `Should not accept unknown policy`)
+    done()
+  })
+})
+
+describe('datetime helpers', () => {
+  // Run a function with the process in a particular time zone.
+  const inTimeZone = (zone, func) => {
+    const original = process.env.TZ
+    process.env.TZ = zone
+    try {
+      func()
+    }
+    finally {
+      if (original === undefined) {
+        delete process.env.TZ
+      }
+      else {
+        process.env.TZ = original
+      }
+    }
+  }
+
+  const utc = (...args) => new Date(Date.UTC(...args))
+
+  it('adds durations on the calendar', (done) => {
+    const start = utc(2020, 0, 31, 13, 45)
+    const checks = [
+      [1, 'month', utc(2020, 1, 29, 13, 45)],
+      [-13, 'month', utc(2018, 11, 31, 13, 45)],
+      [1, 'year', utc(2021, 0, 31, 13, 45)],
+      [2, 'week', utc(2020, 1, 14, 13, 45)],
+      [-31, 'day', utc(2019, 11, 31, 13, 45)],
+      [1.5, 'hour', utc(2020, 0, 31, 15, 15)],
+      [30, 'second', utc(2020, 0, 31, 13, 45, 30)]
+    ]
+    for (const [amount, unit, expected] of checks) {
+      assert.deepEqual(util.addToDatetime(start, amount, unit, 'UTC'), expected,
+                       `Wrong result adding ${amount} ${unit}`)
+    }
+    assert.throws(() => util.addToDatetime(start, 0.5, 'day', 'UTC'),
+                  Error,
+                  `Should require whole days`)
+    assert.throws(() => util.addToDatetime(start, 1, 'fortnight', 'UTC'),
+                  Error,
+                  `Should require known unit`)
+    done()
+  })
+
+  it('counts whole units between datetimes', (done) => {
+    const start = utc(2020, 0, 31, 13, 45)
+    const checks = [
+      [utc(2020, 1, 29), 'month', 0],
+      [utc(2020, 2, 1), 'month', 1],
+      [utc(2018, 11, 31, 13, 45), 'month', -13],
+      [utc(2018, 11, 31, 13, 45), 'year', -1],
+      [utc(2020, 1, 10), 'day', 9],
+      [utc(2020, 1, 10), 'week', 1],
+      [utc(2020, 0, 31, 12, 0), 'hour', -1],
+      [utc(2020, 0, 31, 13, 44, 30), 'minute', 0]
+    ]
+    for (const [end, unit, expected] of checks) {
+      assert.strictEqual(util.datetimeDifference(start, end, unit, 'UTC'), expected,
+                         `Wrong number of ${unit}s to ${end.toISOString()}`)
+    }
+    const pairs = [
+      [utc(2021, 0, 31), utc(2021, 1, 28), 0],
+      [utc(2021, 1, 28), utc(2021, 0, 31), 0],
+      [utc(2021, 0, 31), utc(2021, 2, 31), 2],
+      [utc(2021, 2, 31), utc(2021, 0, 31), -2],
+      [utc(2021, 1, 28), utc(2021, 2, 28), 1],
+      [utc(2021, 2, 28), utc(2021, 1, 28), -1]
+    ]
+    for (const [from, to, expected] of pairs) {
+      assert.strictEqual(util.datetimeDifference(from, to, 'month', 'UTC'), expected,
+                         `Wrong number of months from ${from.toISOString()} to ${to.toISOString()}`)
+    }
+    done()
+  })
+
+  it('truncates datetimes', (done) => {
+    const date = utc(2020, 0, 30, 13, 45, 10, 5) // a Thursday
+    const checks = [
+      ['year', utc(2020, 0, 1)],
+      ['month', utc(2020, 0, 1)],
+      ['week', utc(2020, 0, 27)],
+      ['day', utc(2020, 0, 30)],
+      ['hour', utc(2020, 0, 30, 13)],
+      ['minute', utc(2020, 0, 30, 13, 45)],
+      ['second', utc(2020, 0, 30, 13, 45, 10)]
+    ]
+    for (const [unit, expected] of checks) {
+      assert.deepEqual(util.truncateDatetime(date, unit, 'UTC'), expected,
+                       `Wrong truncation to ${unit}`)
+    }
+    done()
+  })
+
+  it('formats and parses datetimes', (done) => {
+    const date = utc(2020, 6, 3, 9, 5, 0, 7)
+    assert.equal(util.formatDatetime(date, 'DD/MM/YYYY HH:mm:ss.SSS', 'UTC'), '03/07/2020 09:05:00.007',
+                 `Wrong formatting`)
+    assert.deepEqual(util.parseDatetime('3/7/2020 9:05', 'DD/MM/YYYY HH:mm', 'UTC'), utc(2020, 6, 3, 9, 5),
+                     `Wrong parsing`)
+    assert.deepEqual(util.parseDatetime(' 2020-07 ', 'YYYY-MM', 'UTC'), utc(2020, 6, 1),
+                     `Wrong parsing of partial datetime`)
+    assert.deepEqual(util.parseDatetime('0050.01.02', 'YYYY.MM.DD', 'UTC').toISOString(), '0050-01-02T00:00:00.000Z',
+                     `Wrong parsing of early year or of literal characters`)
+    const failures = [
+      ['2020-07-03', 'DD/MM/YYYY'],
+      ['2020-02-30', 'YYYY-MM-DD'],
+      ['2020-07-03 24:00', 'YYYY-MM-DD HH:mm']
+    ]
+    for (const [text, format] of failures) {
+      assert.throws(() => util.parseDatetime(text, format, 'UTC'),
+                    Error,
+                    `Should not parse "${text}" as "${format}"`)
+    }
+    for (const format of ['', 'no fields', 'YYYY-YYYY']) {
+      assert.throws(() => util.checkDatetimeFormat(format),
+                    Error,
+                    `Should not accept format "${format}"`)
+    }
+    done()
+  })
+
+  it('rejects impossible dates without time zones', (done) => {
+    assert.deepEqual(util.makeDate('2020-02-29', 'UTC'), utc(2020, 1, 29),
+                     `Should accept leap day`)
+    for (const text of ['2020-02-31', '2021-02-29', '2020-04-31', '2020-07-00', '2020-07-03 24:00']) {
+      assert.throws(() => util.makeDate(text, 'UTC'),
+                    Error,
+                    `Should not create date from "${text}"`)
+    }
+    done()
+  })
+
+  it('distinguishes local time from UTC', (done) => {
+    inTimeZone('America/New_York', () => {
+      const date = utc(2020, 2, 8, 3, 0) // 10 PM on March 7 in New York
+      assert.equal(util.datetimeParts(date, 'UTC').day, 8,
+                   `Wrong UTC day`)
+      assert.equal(util.datetimeParts(date, 'local').day, 7,
+                   `Wrong local day`)
+      assert.deepEqual(util.truncateDatetime(date, 'day', 'local'), utc(2020, 2, 7, 5),
+                       `Wrong start of local day`)
+      assert.equal(util.formatDatetime(date, 'YYYY-MM-DD HH:mm', 'local'), '2020-03-07 22:00',
+                   `Wrong local formatting`)
+      assert.deepEqual(util.parseDatetime('2020-03-07 22:00', 'YYYY-MM-DD HH:mm', 'local'), date,
+                       `Wrong local parsing`)
+
+      // Clocks go forward on March 8, so a local day is only 23 hours long.
+      const noon = utc(2020, 2, 7, 17, 0)
+      const next = util.addToDatetime(noon, 1, 'day', 'local')
+      assert.deepEqual(next, utc(2020, 2, 8, 16, 0),
+                       `Adding a local day should keep the clock time`)
+      assert.equal(util.datetimeDifference(noon, next, 'day', 'local'), 1,
+                   `Expected one local day`)
+      assert.equal(util.datetimeDifference(noon, next, 'hour', 'local'), 23,
+                   `Expected 23 hours`)
+      assert.equal(util.datetimeDifference(noon, next, 'day', 'UTC'), 0,
+                   `Expected less than one UTC day`)
+    })
+    done()
+  })
+
+  it('handles named time zones', (done) => {
+    const date = utc(2020, 2, 8, 3, 0) // 10 PM on March 7 in New York
+    const zone = 'America/New_York'
+    assert.equal(util.datetimeParts(date, zone).day, 7,
+                 `Wrong day in named zone`)
+    assert.equal(util.formatDatetime(date, 'YYYY-MM-DD HH:mm', zone), '2020-03-07 22:00',
+                 `Wrong formatting in named zone`)
+    assert.deepEqual(util.parseDatetime('2020-03-07 22:00', 'YYYY-MM-DD HH:mm', zone), date,
+                     `Wrong parsing in named zone`)
+    const noon = utc(2020, 2, 7, 17, 0)
+    assert.deepEqual(util.addToDatetime(noon, 1, 'day', zone), utc(2020, 2, 8, 16, 0),
+                     `Adding a day should keep the clock time across a change of offset`)
+    assert.throws(() => util.checkTimeZone('Mars/Olympus_Mons'),
+                  Error,
+                  `Should not accept unknown time zone`)
+    done()
+  })
+
+  it('uses the current time zone when none is given', (done) => {
+    assert.equal(util.getTimeZone(), util.DEFAULT_TIME_ZONE,
+                 `Expected default time zone`)
+    assert.deepEqual(util.makeDate('2020-07-03 12:00'), utc(2020, 6, 3, 12, 0),
+                     `Should interpret text without zone in UTC by default`)
+    try {
+      util.setTimeZone('Asia/Tokyo')
+      assert.equal(util.getTimeZone(), 'Asia/Tokyo',
+                   `Time zone not set`)
+      assert.deepEqual(util.makeDate('2020-07-03 12:00'), utc(2020, 6, 3, 3, 0),
+                       `Should interpret text without zone in current zone`)
+      assert.deepEqual(util.makeDate('2020-07-03T12:00:00Z'), utc(2020, 6, 3, 12, 0),
+                       `Should respect zone given in text`)
+      assert.equal(util.datetimeParts(utc(2020, 6, 3, 20, 0)).day, 4,
+                   `Should extract parts in current zone`)
+      assert.equal(util.datetimeParts(utc(2020, 6, 3, 20, 0), 'UTC').day, 3,
+                   `Should extract parts in given zone`)
+    }
+    finally {
+      util.setTimeZone(util.DEFAULT_TIME_ZONE)
+    }
+    assert.throws(() => util.setTimeZone(null),
+                  Error,
+                  `Should require time zone`)
+    done()
+  })
+})
@@ -38,6 +38,50 @@ describe('validators', () => {
     done()
   })
 
+  it('rejects invalid regular expressions', (done) => {
+    const w = fixture.workspace()
+    const block = w.newBlock('op_text_matches')
+    block.setFieldValue('^[A-Z]+$', 'PATTERN')
+    assert.equal(block.getFieldValue('PATTERN'), '^[A-Z]+$',
+                 `Value not set`)
+    block.setFieldValue('([A-Z]+', 'PATTERN')
+    assert.equal(block.getFieldValue('PATTERN'), '^[A-Z]+$',
+                 `Value should not have changed`)
+    done()
+  })
+
+  it('rejects unknown time zones', (done) => {
+    const w = fixture.workspace()
+    const block = w.newBlock('control_time_zone')
+    block.setFieldValue('Europe/Paris', 'TIME_ZONE')
+    assert.equal(block.getFieldValue('TIME_ZONE'), 'Europe/Paris',
+                 `Value not set`)
+    block.setFieldValue('Mars/Olympus_Mons', 'TIME_ZONE')
+    assert.equal(block.getFieldValue('TIME_ZONE'), 'Europe/Paris',
+                 `Value should not have changed`)
+    block.setFieldValue('local', 'TIME_ZONE')
+    assert.equal(block.getFieldValue('TIME_ZONE'), 'local',
+                 `Should accept local time`)
+    done()
+  })
+
+  it('rejects unknown time zones for datetime operations', (done) => {
+    const w = fixture.workspace()
+    const block = w.newBlock('op_datetime_format')
+    assert.equal(block.getFieldValue('ZONE'), 'program',
+                 `Should use program time zone by default`)
+    block.setFieldValue('America/Toronto', 'ZONE')
+    assert.equal(block.getFieldValue('ZONE'), 'America/Toronto',
+                 `Value not set`)
+    block.setFieldValue('Mars/Olympus_Mons', 'ZONE')
+    assert.equal(block.getFieldValue('ZONE'), 'America/Toronto',
+                 `Value should not have changed`)
+    block.setFieldValue('program', 'ZONE')
+    assert.equal(block.getFieldValue('ZONE'), 'program',
+                 `Should accept program time zone`)
+    done()
+  })
+
   it('accepts valid color fields for scatter plots', (done) => {
     const w = fixture.workspace()
     const block = w.newBlock('plot_scatter')
@@ -65,4 +109,44 @@ describe('validators', () => {
     assert.equal(before, after, `Value should not have changed`)
     done()
   })
+
+  it('only shows the quantile field for quantile summaries', (done) => {
+    const w = fixture.workspace()
+    const block = w.newBlock('transform_summarize_item')
+    assert(!block.getField('QUANTILE').isVisible(),
+           `Quantile should be hidden by default`)
+    block.setFieldValue('quantile', 'OP')
+    assert(block.getField('QUANTILE').isVisible(),
+           `Quantile should be shown for quantile operation`)
+    block.setFieldValue('mean', 'OP')
+    assert(!block.getField('QUANTILE').isVisible(),
+           `Quantile should be hidden again for other operations`)
+    done()
+  })
+
+  it('only shows the digits field for rounding', (done) => {
+    const w = fixture.workspace()
+    const block = w.newBlock('op_math')
+    assert(!block.getField('DIGITS').isVisible(),
+           `Digits should be hidden by default`)
+    block.setFieldValue('round', 'OP')
+    assert(block.getField('DIGITS').isVisible(),
+           `Digits should be shown for rounding`)
+    block.setFieldValue('sqrt', 'OP')
+    assert(!block.getField('DIGITS').isVisible(),
+           `Digits should be hidden again for other functions`)
+    done()
+  })
+
+  it('requires quantiles between 0 and 1', (done) => {
+    const w = fixture.workspace()
+    const block = w.newBlock('transform_summarize_item')
+    block.setFieldValue(0.25, 'QUANTILE')
+    assert.equal(block.getFieldValue('QUANTILE'), 0.25,
+                 `Value not set`)
+    block.setFieldValue(2, 'QUANTILE')
+    assert(block.getFieldValue('QUANTILE') <= 1,
+           `Value should not be greater than 1`)
+    done()
+  })
 })
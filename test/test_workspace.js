@@ -0,0 +1,81 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+
+const Value = require('../libs/value')
+const Op = require('../libs/op')
+const Transform = require('../libs/transform')
+const Pipeline = require('../libs/pipeline')
+const Program = require('../libs/program')
+const Restore = require('../libs/persist')
+const {xmlToJSON} = require('../libs/workspace')
+
+const XML_NS = 'https://developers.google.com/blockly/xml'
+
+describe('converts workspaces to JSON', () => {
+  it('converts an empty workspace', (done) => {
+    const {json, strayCount} = xmlToJSON(`<xml xmlns="${XML_NS}"></xml>`)
+    assert.deepEqual(json, [Program.FAMILY],
+                     `Expected empty program`)
+    assert.equal(strayCount, 0,
+                 `Expected no strays`)
+    done()
+  })
+
+  it('converts a saved example', (done) => {
+    const text = fs.readFileSync('examples/earthquake-depth-vs-magnitude.jeff', 'utf-8')
+    const {json, strayCount} = xmlToJSON(text)
+    const expected = [Program.FAMILY,
+                      [Pipeline.FAMILY,
+                       [Transform.FAMILY, 'data', 'earthquakes'],
+                       [Transform.FAMILY, 'filter',
+                        [Op.FAMILY, 'greaterEqual',
+                         [Value.FAMILY, 'column', 'Magnitude'],
+                         [Value.FAMILY, 'number', 3.5]]],
+                       [Transform.FAMILY, 'scatter', 'earthquakes', 'Magnitude', 'Depth_Km', '', true, '', []]]]
+    assert.deepEqual(json, expected,
+                     `Did not convert example correctly`)
+    assert.equal(strayCount, 0,
+                 `Expected no strays`)
+    const program = new Restore().program(json)
+    assert(program instanceof Program,
+           `Expected runnable program`)
+    done()
+  })
+
+  it('counts stray stacks', (done) => {
+    const text = `<xml xmlns="${XML_NS}">
+      <block type="data_colors" x="10" y="10">
+        <next><block type="transform_ungroup"></block></next>
+      </block>
+      <block type="transform_drop" x="200" y="10">
+        <field name="MULTIPLE_COLUMNS">red</field>
+      </block>
+      <block type="combine_glue" x="400" y="10">
+        <field name="LEFT_TABLE">left</field>
+        <field name="RIGHT_TABLE">right</field>
+        <field name="COLUMN">label</field>
+      </block>
+    </xml>`
+    const {json, strayCount} = xmlToJSON(text)
+    const expected = [Program.FAMILY,
+                      [Pipeline.FAMILY,
+                       [Transform.FAMILY, 'data', 'colors'],
+                       [Transform.FAMILY, 'ungroup']],
+                      [Pipeline.FAMILY,
+                       [Transform.FAMILY, 'glue', 'left', 'right', 'label']]]
+    assert.deepEqual(json, expected,
+                     `Did not convert capped stacks correctly`)
+    assert.equal(strayCount, 1,
+                 `Expected one stray stack`)
+    done()
+  })
+
+  it('rejects invalid XML', (done) => {
+    assert.throws(() => xmlToJSON('<xml><block'),
+                  Error,
+                  `Should not be able to convert invalid XML`)
+    done()
+  })
+})